@@ -38,14 +38,18 @@ public class ContentSearchController : ControllerBase
     /// </summary>
     /// <param name="query">The search query string to match against titles.</param>
     /// <param name="limit">The maximum number of results to return (default 20).</param>
-    /// <returns>A SearchResultsResponse containing matching items and total count.</returns>
+    /// <param name="startIndex">The number of results to skip, for paging (default 0).</param>
+    /// <param name="filters">Optional type, year range and library filters.</param>
+    /// <returns>A SearchResultsResponse containing matching items, their count and whether more are available.</returns>
     [HttpGet]
     [ProducesResponseType(typeof(SearchResultsResponse), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
     [ProducesResponseType(StatusCodes.Status500InternalServerError)]
     public async Task<ActionResult<SearchResultsResponse>> SearchContent(
         [FromQuery] string query,
-        [FromQuery] int limit = 20)
+        [FromQuery] int limit = 20,
+        [FromQuery] int startIndex = 0,
+        [FromQuery] SearchFilters? filters = null)
     {
         try
         {
@@ -61,13 +65,32 @@ public class ContentSearchController : ControllerBase
                 return BadRequest(new { error = "Limit must be greater than 0" });
             }
 
-            _logger.LogInformation("Searching content with query: {Query}, limit: {Limit}", query, limit);
-            var results = await _contentSearchService.SearchByTitle(query, limit);
+            if (startIndex < 0)
+            {
+                _logger.LogWarning("SearchContent called with invalid start index: {StartIndex}", startIndex);
+                return BadRequest(new { error = "Start index cannot be negative" });
+            }
+
+            if (filters?.YearFrom > filters?.YearTo)
+            {
+                return BadRequest(new { error = "The first year of the range must not be after the last year" });
+            }
+
+            _logger.LogInformation("Searching content with query: {Query}, limit: {Limit}, start index: {StartIndex}", query, limit, startIndex);
+
+            // Ask for one extra result to know whether there is another page
+            var results = await _contentSearchService.SearchByTitle(query, limit + 1, startIndex, filters);
+            var hasMore = results.Count > limit;
+            if (hasMore)
+            {
+                results.RemoveAt(results.Count - 1);
+            }
 
             var response = new SearchResultsResponse
             {
                 Results = results,
-                TotalCount = results.Count
+                TotalCount = results.Count,
+                HasMore = hasMore
             };
 
             _logger.LogInformation("Search completed. Found {Count} results for query: {Query}", results.Count, query);
@@ -80,4 +103,91 @@ public class ContentSearchController : ControllerBase
                 new { error = "Failed to search content", details = ex.Message });
         }
     }
+
+    /// <summary>
+    /// Searches the library's box sets (collections) by name.
+    /// </summary>
+    /// <param name="query">The search query string to match against names.</param>
+    /// <param name="limit">The maximum number of results to return (default 20).</param>
+    /// <param name="startIndex">The number of results to skip, for paging (default 0).</param>
+    /// <returns>A SearchResultsResponse containing matching box sets and whether more are available.</returns>
+    [HttpGet("Collections")]
+    [ProducesResponseType(typeof(SearchResultsResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public ActionResult<SearchResultsResponse> SearchCollections(
+        [FromQuery] string query,
+        [FromQuery] int limit = 20,
+        [FromQuery] int startIndex = 0)
+    {
+        try
+        {
+            if (string.IsNullOrWhiteSpace(query))
+            {
+                _logger.LogWarning("SearchCollections called with empty query");
+                return BadRequest(new { error = "Query parameter is required" });
+            }
+
+            if (limit <= 0 || startIndex < 0)
+            {
+                _logger.LogWarning("SearchCollections called with invalid paging: limit {Limit}, start index {StartIndex}", limit, startIndex);
+                return BadRequest(new { error = "Limit must be greater than 0 and start index cannot be negative" });
+            }
+
+            // Ask for one extra result to know whether there is another page
+            var results = _contentSearchService.SearchBoxSets(query, limit + 1, startIndex);
+            var hasMore = results.Count > limit;
+            if (hasMore)
+            {
+                results.RemoveAt(results.Count - 1);
+            }
+
+            return Ok(new SearchResultsResponse
+            {
+                Results = results,
+                TotalCount = results.Count,
+                HasMore = hasMore
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error searching collections with query: {Query}", query);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to search collections", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Lists the movies of a library box set in release order.
+    /// </summary>
+    /// <param name="boxSetId">The Jellyfin ID of the box set.</param>
+    /// <returns>The movies of the box set.</returns>
+    [HttpGet("Collections/{boxSetId}/Movies")]
+    [ProducesResponseType(typeof(SearchResultsResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public ActionResult<SearchResultsResponse> GetCollectionMovies([FromRoute] Guid boxSetId)
+    {
+        try
+        {
+            var movies = _contentSearchService.GetBoxSetMovies(boxSetId);
+            if (movies == null)
+            {
+                return NotFound(new { error = "Collection not found" });
+            }
+
+            _logger.LogDebug("Box set {BoxSetId} has {Count} movies", boxSetId, movies.Count);
+            return Ok(new SearchResultsResponse
+            {
+                Results = movies,
+                TotalCount = movies.Count
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error loading movies of box set {BoxSetId}", boxSetId);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to load collection", details = ex.Message });
+        }
+    }
 }
@@ -0,0 +1,220 @@
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Jellyfin.Plugin.TimelineManager.Services;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.TV;
+using MediaBrowser.Controller.Library;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Api;
+
+/// <summary>
+/// API controller for matching timeline items against the Jellyfin library without creating playlists.
+/// </summary>
+[ApiController]
+[Route("Timeline/Matching")]
+[Authorize(Policy = "RequiresElevation")]
+public class LibraryMatchingController : ControllerBase
+{
+    private readonly ILogger<LibraryMatchingController> _logger;
+    private readonly ILibraryManager _libraryManager;
+    private readonly LibraryCoverageService _libraryCoverageService;
+    private readonly TmdbSearchService _tmdbSearchService;
+    private readonly ContentLookupService _contentLookupService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="LibraryMatchingController"/> class.
+    /// </summary>
+    /// <param name="logger">Logger instance.</param>
+    /// <param name="libraryManager">Jellyfin library manager.</param>
+    /// <param name="libraryCoverageService">Library coverage service.</param>
+    /// <param name="tmdbSearchService">TMDB search service.</param>
+    /// <param name="contentLookupService">Shared library lookup index.</param>
+    public LibraryMatchingController(
+        ILogger<LibraryMatchingController> logger,
+        ILibraryManager libraryManager,
+        LibraryCoverageService libraryCoverageService,
+        TmdbSearchService tmdbSearchService,
+        ContentLookupService contentLookupService)
+    {
+        _logger = logger;
+        _libraryManager = libraryManager;
+        _libraryCoverageService = libraryCoverageService;
+        _tmdbSearchService = tmdbSearchService;
+        _contentLookupService = contentLookupService;
+    }
+
+    /// <summary>
+    /// Reports how much of each universe is in the library, without creating or changing any playlists.
+    /// </summary>
+    /// <param name="filenames">Optional universe filenames to report on. If omitted, all universes are included.</param>
+    /// <param name="includeTitles">Whether to look up titles of missing items on TMDB (default true).</param>
+    /// <returns>One coverage report per universe.</returns>
+    [HttpGet("Coverage")]
+    [ProducesResponseType(typeof(List<UniverseCoverageReport>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<UniverseCoverageReport>>> GetCoverage(
+        [FromQuery] string[]? filenames = null,
+        [FromQuery] bool includeTitles = true)
+    {
+        try
+        {
+            _logger.LogInformation("Building library coverage report for {Universes}",
+                filenames == null || filenames.Length == 0 ? "all universes" : string.Join(", ", filenames));
+
+            var reports = await _libraryCoverageService.GetCoverageAsync(filenames, includeTitles);
+            return Ok(reports);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error building library coverage report");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to build coverage report", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Resolves timeline items against the library and reports how many library items each one expands to.
+    /// </summary>
+    /// <param name="items">The timeline items to resolve.</param>
+    /// <param name="includeDetails">Whether to add titles and posters, from the library or else from TMDB (default false).</param>
+    /// <returns>One result per timeline item, in request order.</returns>
+    [HttpPost("Expand")]
+    [ProducesResponseType(typeof(List<ItemExpansionResult>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<ItemExpansionResult>>> ExpandItems(
+        [FromBody] List<TimelineItem> items,
+        [FromQuery] bool includeDetails = false)
+    {
+        try
+        {
+            if (items == null)
+            {
+                return BadRequest(new { error = "Request body must be a list of timeline items" });
+            }
+
+            var lookupService = _contentLookupService;
+            lookupService.EnsureLookupTables();
+
+            // The same title is often referenced several times (e.g. one entry per season), so look it up once
+            var tmdbDetails = new Dictionary<string, TmdbTitleDetails?>(StringComparer.OrdinalIgnoreCase);
+
+            var results = new List<ItemExpansionResult>();
+            for (int i = 0; i < items.Count; i++)
+            {
+                var itemIds = lookupService.ResolveTimelineItem(items[i], out var titleMatch);
+                var result = new ItemExpansionResult
+                {
+                    Index = i,
+                    Matched = itemIds.Count > 0,
+                    ItemCount = itemIds.Count,
+                    TitleMatchConfidence = titleMatch?.Confidence
+                };
+
+                if (includeDetails)
+                {
+                    if (itemIds.Count > 0)
+                    {
+                        ApplyLibraryDetails(result, _libraryManager.GetItemById(itemIds[0]));
+                    }
+                    else if (!string.IsNullOrWhiteSpace(items[i].ProviderId))
+                    {
+                        // Episodes stored with their own ID are shown as their series
+                        var lookupId = items[i].SeriesId ?? items[i].ProviderId;
+                        var isMovie = string.Equals(items[i].Type, "movie", StringComparison.OrdinalIgnoreCase);
+                        var cacheKey = $"{items[i].ProviderName}_{lookupId}_{(isMovie ? "movie" : "tv")}";
+                        if (!tmdbDetails.TryGetValue(cacheKey, out var details))
+                        {
+                            details = await _tmdbSearchService.GetDetailsAsync(lookupId, items[i].ProviderName, items[i].Type);
+                            tmdbDetails[cacheKey] = details;
+                        }
+
+                        result.Title = details?.Title ?? items[i].Title;
+                        result.PosterUrl = details?.PosterUrl;
+                    }
+                }
+
+                results.Add(result);
+            }
+
+            _logger.LogDebug("Resolved {Count} timeline items against the library", items.Count);
+            return Ok(results);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error resolving timeline items");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to resolve timeline items", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Gets the freshness and size of the library lookup index.
+    /// </summary>
+    /// <returns>The lookup statistics (build and update times, pending changes, counts per provider).</returns>
+    [HttpGet("Index")]
+    [ProducesResponseType(typeof(Dictionary<string, object>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public ActionResult<Dictionary<string, object>> GetIndexStatus()
+    {
+        try
+        {
+            return Ok(_contentLookupService.GetLookupStatistics());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting lookup index status");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to get lookup index status", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Rebuilds the library lookup index from scratch. Normally not needed: the index follows library changes on its own.
+    /// </summary>
+    /// <returns>The lookup statistics after the rebuild.</returns>
+    [HttpPost("Index/Rebuild")]
+    [ProducesResponseType(typeof(Dictionary<string, object>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public ActionResult<Dictionary<string, object>> RebuildIndex()
+    {
+        try
+        {
+            _contentLookupService.BuildLookupTables();
+            return Ok(_contentLookupService.GetLookupStatistics());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error rebuilding lookup index");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to rebuild lookup index", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Fills in the title and poster of a matched timeline item. Episodes are shown as their series.
+    /// </summary>
+    /// <param name="result">The result to fill in.</param>
+    /// <param name="item">The first library item the timeline item resolved to.</param>
+    private static void ApplyLibraryDetails(ItemExpansionResult result, BaseItem? item)
+    {
+        if (item is Episode episode && episode.Series != null)
+        {
+            item = episode.Series;
+        }
+
+        if (item == null)
+        {
+            return;
+        }
+
+        result.Title = item.ProductionYear.HasValue ? $"{item.Name} ({item.ProductionYear.Value})" : item.Name;
+        result.ImageItemId = item.Id;
+    }
+}
@@ -0,0 +1,73 @@
+using System;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Jellyfin.Plugin.TimelineManager.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Api;
+
+/// <summary>
+/// API controller for importing timelines from IMDb, Letterboxd and Trakt list exports.
+/// </summary>
+[ApiController]
+[Route("Timeline/ListImport")]
+[Authorize(Policy = "RequiresElevation")]
+public class ListImportController : ControllerBase
+{
+    private readonly ILogger<ListImportController> _logger;
+    private readonly ListImportService _listImportService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ListImportController"/> class.
+    /// </summary>
+    /// <param name="logger">Logger instance.</param>
+    /// <param name="listImportService">List import service.</param>
+    public ListImportController(
+        ILogger<ListImportController> logger,
+        ListImportService listImportService)
+    {
+        _logger = logger;
+        _listImportService = listImportService;
+    }
+
+    /// <summary>
+    /// Parses a list export and maps its rows to timeline items, keeping the order of the file.
+    /// </summary>
+    /// <param name="request">The file content, with an optional format hint.</param>
+    /// <returns>All rows with their mapped timeline items; unmapped rows include a reason.</returns>
+    [HttpPost]
+    [ProducesResponseType(typeof(ListImportResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<ListImportResponse>> ImportList([FromBody] ListImportRequest request)
+    {
+        try
+        {
+            if (request == null || string.IsNullOrWhiteSpace(request.Content))
+            {
+                _logger.LogWarning("ImportList called with empty content");
+                return BadRequest(new { error = "File content is required" });
+            }
+
+            _logger.LogInformation("Importing list {Filename} (format: {Format})",
+                request.Filename ?? "(unnamed)", request.Format ?? "auto");
+
+            var response = await _listImportService.ImportAsync(request);
+            return Ok(response);
+        }
+        catch (FormatException ex)
+        {
+            _logger.LogWarning("Could not parse list {Filename}: {Message}", request?.Filename, ex.Message);
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error importing list");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to import list", details = ex.Message });
+        }
+    }
+}
@@ -21,6 +21,9 @@ public class PlaylistCreationController : ControllerBase
     private readonly ILogger<PlaylistCreationController> _logger;
     private readonly MediaBrowser.Controller.Playlists.IPlaylistManager _playlistManager;
     private readonly ILibraryManager _libraryManager;
+    private readonly PlaylistTrackingService _playlistTrackingService;
+    private readonly IUserManager _userManager;
+    private readonly ContentLookupService _contentLookupService;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="PlaylistCreationController"/> class.
@@ -28,21 +31,32 @@ public class PlaylistCreationController : ControllerBase
     /// <param name="logger">Logger instance.</param>
     /// <param name="playlistManager">Jellyfin playlist manager.</param>
     /// <param name="libraryManager">Jellyfin library manager.</param>
+    /// <param name="playlistTrackingService">Playlist tracking service.</param>
+    /// <param name="userManager">Jellyfin user manager.</param>
+    /// <param name="contentLookupService">Shared library lookup index.</param>
     public PlaylistCreationController(
         ILogger<PlaylistCreationController> logger,
         MediaBrowser.Controller.Playlists.IPlaylistManager playlistManager,
-        ILibraryManager libraryManager)
+        ILibraryManager libraryManager,
+        PlaylistTrackingService playlistTrackingService,
+        IUserManager userManager,
+        ContentLookupService contentLookupService)
     {
         _logger = logger;
         _playlistManager = playlistManager;
         _libraryManager = libraryManager;
+        _playlistTrackingService = playlistTrackingService;
+        _userManager = userManager;
+        _contentLookupService = contentLookupService;
     }
 
     /// <summary>
     /// Creates or updates playlists based on the timeline configuration file.
+    /// Universes that already produced a playlist have that playlist updated in place.
+    /// Each universe's ownership settings decide who owns and who can see its playlist.
     /// </summary>
-    /// <param name="userId">Optional user ID. If not provided, will attempt to extract from authentication context.</param>
-    /// <param name="request">Optional request body containing selected universe filenames.</param>
+    /// <param name="userId">Optional user ID that owns playlists of universes without an owner. If not provided, will attempt to extract from authentication context.</param>
+    /// <param name="request">Optional request body containing selected universe filenames and orderings.</param>
     /// <returns>The result of the playlist creation operation.</returns>
     [HttpPost("CreatePlaylists")]
     [ProducesResponseType(typeof(PlaylistCreationResponse), StatusCodes.Status200OK)]
@@ -121,7 +135,11 @@ public class PlaylistCreationController : ControllerBase
                 _libraryManager,
                 userId: effectiveUserId,
                 authToken: authToken,
-                selectedUniverseFilenames: selectedUniverseFilenames);
+                selectedUniverseFilenames: selectedUniverseFilenames,
+                playlistTrackingService: _playlistTrackingService,
+                userManager: _userManager,
+                selectedOrderings: request?.SelectedOrderings,
+                contentLookupService: _contentLookupService);
 
             // Execute playlist creation
             _logger.LogInformation("[Timeline API] Executing CreatePlaylistsAsync...");
@@ -0,0 +1,163 @@
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Jellyfin.Plugin.TimelineManager.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Api;
+
+/// <summary>
+/// API controller for the playlists generated from universes: listing and detaching them, and pulling
+/// changes made to them in Jellyfin back into their universe files.
+/// </summary>
+[ApiController]
+[Route("Timeline/Playlists")]
+[Authorize(Policy = "RequiresElevation")]
+public class PlaylistSyncController : ControllerBase
+{
+    private readonly ILogger<PlaylistSyncController> _logger;
+    private readonly PlaylistSyncService _playlistSyncService;
+    private readonly PlaylistTrackingService _playlistTrackingService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PlaylistSyncController"/> class.
+    /// </summary>
+    /// <param name="logger">Logger instance.</param>
+    /// <param name="playlistSyncService">Playlist sync service.</param>
+    /// <param name="playlistTrackingService">Playlist tracking service.</param>
+    public PlaylistSyncController(
+        ILogger<PlaylistSyncController> logger,
+        PlaylistSyncService playlistSyncService,
+        PlaylistTrackingService playlistTrackingService)
+    {
+        _logger = logger;
+        _playlistSyncService = playlistSyncService;
+        _playlistTrackingService = playlistTrackingService;
+    }
+
+    /// <summary>
+    /// Gets the playlists generated from universes, with the universe and ordering each one follows.
+    /// </summary>
+    /// <returns>The tracked playlists.</returns>
+    [HttpGet("Tracked")]
+    [ProducesResponseType(typeof(List<TrackedPlaylist>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<TrackedPlaylist>>> GetTrackedPlaylists()
+    {
+        try
+        {
+            return Ok(await _playlistTrackingService.GetAllAsync());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting tracked playlists");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to get tracked playlists", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Detaches a playlist from its universe. The playlist is kept, but refreshes no longer update it;
+    /// the next refresh of the universe creates a new playlist.
+    /// </summary>
+    /// <param name="playlistId">The Jellyfin item ID of the playlist.</param>
+    /// <returns>No content if the playlist was detached.</returns>
+    [HttpDelete("Tracked/{playlistId}")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult> DetachPlaylist([FromRoute] Guid playlistId)
+    {
+        try
+        {
+            var removed = await _playlistTrackingService.RemoveByPlaylistIdAsync(playlistId);
+            if (removed == null)
+            {
+                return NotFound(new { error = "This playlist is not linked to a universe" });
+            }
+
+            _logger.LogInformation("Detached playlist '{PlaylistName}' from universe '{UniverseKey}'", removed.PlaylistName, removed.UniverseKey);
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error detaching playlist {PlaylistId}", playlistId);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to detach the playlist", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Compares a playlist with the universe it was generated from. Nothing is written.
+    /// </summary>
+    /// <param name="playlistId">The Jellyfin item ID of the playlist.</param>
+    /// <returns>The items added, removed and moved in the playlist.</returns>
+    [HttpGet("{playlistId}/Sync")]
+    [ProducesResponseType(typeof(PlaylistSyncPreview), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<PlaylistSyncPreview>> PreviewSync([FromRoute] Guid playlistId)
+    {
+        try
+        {
+            var preview = await _playlistSyncService.PreviewAsync(playlistId);
+            if (preview.Error != null)
+            {
+                return NotFound(new { error = preview.Error });
+            }
+
+            return Ok(preview);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error comparing playlist {PlaylistId} with its universe", playlistId);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to compare the playlist with its universe", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Writes accepted playlist changes back to the universe file.
+    /// </summary>
+    /// <param name="playlistId">The Jellyfin item ID of the playlist.</param>
+    /// <param name="request">The accepted additions, removals and whether to apply the playlist order.</param>
+    /// <returns>The number of items added and removed, and any errors.</returns>
+    [HttpPost("{playlistId}/Sync")]
+    [ProducesResponseType(typeof(PlaylistSyncResult), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<PlaylistSyncResult>> ApplySync([FromRoute] Guid playlistId, [FromBody] PlaylistSyncRequest request)
+    {
+        try
+        {
+            if (request == null)
+            {
+                return BadRequest(new PlaylistSyncResult
+                {
+                    Success = false,
+                    Errors = new List<string> { "Request body is required" }
+                });
+            }
+
+            _logger.LogInformation("Pulling changes from playlist {PlaylistId}: {Added} addition(s), {Removed} removal(s), apply order: {ApplyOrder}",
+                playlistId, request.AddLibraryItemIds?.Count ?? 0, request.Remove?.Count ?? 0, request.ApplyOrder);
+
+            var result = await _playlistSyncService.ApplyAsync(playlistId, request);
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error pulling changes from playlist {PlaylistId}", playlistId);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new PlaylistSyncResult
+                {
+                    Success = false,
+                    Errors = new List<string> { $"Failed to pull changes: {ex.Message}" }
+                });
+        }
+    }
+}
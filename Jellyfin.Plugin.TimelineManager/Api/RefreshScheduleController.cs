@@ -0,0 +1,149 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Jellyfin.Plugin.TimelineManager.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Api;
+
+/// <summary>
+/// API controller for the automatic refresh schedule, its run history and the library activity view.
+/// </summary>
+[ApiController]
+[Route("Timeline/Schedule")]
+[Authorize(Policy = "RequiresElevation")]
+public class RefreshScheduleController : ControllerBase
+{
+    private readonly ILogger<RefreshScheduleController> _logger;
+    private readonly RefreshScheduleService _refreshScheduleService;
+    private readonly RefreshHistoryService _refreshHistoryService;
+    private readonly UniverseManagementService _universeManagementService;
+    private readonly LibraryActivityService _libraryActivityService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="RefreshScheduleController"/> class.
+    /// </summary>
+    /// <param name="logger">Logger instance.</param>
+    /// <param name="refreshScheduleService">Refresh schedule service.</param>
+    /// <param name="refreshHistoryService">Refresh history service.</param>
+    /// <param name="universeManagementService">Universe management service.</param>
+    /// <param name="libraryActivityService">Library activity service.</param>
+    public RefreshScheduleController(
+        ILogger<RefreshScheduleController> logger,
+        RefreshScheduleService refreshScheduleService,
+        RefreshHistoryService refreshHistoryService,
+        UniverseManagementService universeManagementService,
+        LibraryActivityService libraryActivityService)
+    {
+        _logger = logger;
+        _refreshScheduleService = refreshScheduleService;
+        _refreshHistoryService = refreshHistoryService;
+        _universeManagementService = universeManagementService;
+        _libraryActivityService = libraryActivityService;
+    }
+
+    /// <summary>
+    /// Gets the refresh schedule, with one entry per existing universe.
+    /// </summary>
+    /// <returns>The refresh schedule.</returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(RefreshSchedule), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<RefreshSchedule>> GetSchedule()
+    {
+        try
+        {
+            var schedule = await _refreshScheduleService.GetScheduleAsync();
+            var universes = await _universeManagementService.GetAllUniversesAsync();
+
+            // Fill in defaults for new universes and leave out deleted ones
+            schedule.Universes = universes
+                .Select(u => new UniverseRefreshSchedule
+                {
+                    Filename = u.Filename,
+                    Frequency = RefreshScheduleService.GetFrequency(schedule, u.Filename)
+                })
+                .ToList();
+
+            return Ok(schedule);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error loading refresh schedule");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to load refresh schedule", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Saves the refresh schedule.
+    /// </summary>
+    /// <param name="schedule">The refresh schedule.</param>
+    /// <returns>The saved schedule.</returns>
+    [HttpPost]
+    [ProducesResponseType(typeof(RefreshSchedule), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<RefreshSchedule>> SaveSchedule([FromBody] RefreshSchedule schedule)
+    {
+        try
+        {
+            if (schedule == null)
+            {
+                return BadRequest(new { error = "Schedule is required" });
+            }
+
+            await _refreshScheduleService.SaveScheduleAsync(schedule);
+            return Ok(schedule);
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning("Invalid refresh schedule: {Message}", ex.Message);
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error saving refresh schedule");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to save refresh schedule", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Gets the history of automatic refresh runs, newest first.
+    /// </summary>
+    /// <returns>The recorded runs.</returns>
+    [HttpGet("History")]
+    [ProducesResponseType(typeof(List<RefreshRun>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<RefreshRun>>> GetHistory()
+    {
+        try
+        {
+            var runs = await _refreshHistoryService.GetHistoryAsync();
+            return Ok(runs);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error loading refresh history");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to load refresh history", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Gets the most recent new library items that were inserted into universe playlists, newest first.
+    /// </summary>
+    /// <returns>The activity entries since the server started.</returns>
+    [HttpGet("Activity")]
+    [ProducesResponseType(typeof(List<LibraryActivityEntry>), StatusCodes.Status200OK)]
+    public ActionResult<List<LibraryActivityEntry>> GetActivity()
+    {
+        return Ok(_libraryActivityService.GetEntries());
+    }
+}
@@ -3,6 +3,7 @@ using System.Collections.Generic;
 using System.IO;
 using System.Linq;
 using System.Text.Json;
+using System.Text.Json.Serialization;
 using System.Threading.Tasks;
 using Jellyfin.Plugin.TimelineManager.Models;
 using Jellyfin.Plugin.TimelineManager.Services;
@@ -25,16 +26,26 @@ public class TimelineConfigController : ControllerBase
     private readonly ILogger<TimelineConfigController> _logger;
     private readonly ILibraryManager _libraryManager;
     private readonly string _configPath;
+    private readonly ContentLookupService _contentLookupService;
+    private readonly TmdbSearchService _tmdbSearchService;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="TimelineConfigController"/> class.
     /// </summary>
     /// <param name="logger">Logger instance.</param>
     /// <param name="libraryManager">Jellyfin library manager.</param>
-    public TimelineConfigController(ILogger<TimelineConfigController> logger, ILibraryManager libraryManager)
+    /// <param name="contentLookupService">Shared library lookup index.</param>
+    /// <param name="tmdbSearchService">TMDB search service, for testing TMDB credentials.</param>
+    public TimelineConfigController(
+        ILogger<TimelineConfigController> logger,
+        ILibraryManager libraryManager,
+        ContentLookupService contentLookupService,
+        TmdbSearchService tmdbSearchService)
     {
         _logger = logger;
         _libraryManager = libraryManager;
+        _contentLookupService = contentLookupService;
+        _tmdbSearchService = tmdbSearchService;
         _configPath = Path.Combine(
             Environment.GetFolderPath(Environment.SpecialFolder.ApplicationData),
             "jellyfin",
@@ -91,9 +102,20 @@ public class TimelineConfigController : ControllerBase
     }
 
     /// <summary>
-    /// Gets the TMDB API key from plugin configuration.
+    /// Gets the metadata providers whose IDs timeline items can use, in order of preference.
     /// </summary>
-    /// <returns>The TMDB API key configuration.</returns>
+    /// <returns>The supported providers.</returns>
+    [HttpGet("Providers")]
+    [ProducesResponseType(typeof(IReadOnlyList<ExternalProvider>), StatusCodes.Status200OK)]
+    public ActionResult<IReadOnlyList<ExternalProvider>> GetProviders()
+    {
+        return Ok(ProviderRegistry.Providers);
+    }
+
+    /// <summary>
+    /// Gets the TMDB settings from plugin configuration. The credential is only returned masked.
+    /// </summary>
+    /// <returns>The TMDB settings.</returns>
     [HttpGet("Settings/Tmdb")]
     [ProducesResponseType(StatusCodes.Status200OK)]
     public ActionResult<TmdbSettingsResponse> GetTmdbSettings()
@@ -106,26 +128,23 @@ public class TimelineConfigController : ControllerBase
             if (config == null)
             {
                 _logger.LogWarning("Plugin configuration is null");
-                return Ok(new TmdbSettingsResponse { TmdbApiKey = string.Empty });
+                return Ok(new TmdbSettingsResponse());
             }
 
-            return Ok(new TmdbSettingsResponse 
-            { 
-                TmdbApiKey = config.TmdbApiKey ?? string.Empty 
-            });
+            return Ok(CreateTmdbSettingsResponse(config));
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error getting TMDB settings");
-            return Ok(new TmdbSettingsResponse { TmdbApiKey = string.Empty });
+            return Ok(new TmdbSettingsResponse());
         }
     }
 
     /// <summary>
-    /// Saves the TMDB API key to plugin configuration.
+    /// Saves the TMDB credential and base URL to plugin configuration.
     /// </summary>
-    /// <param name="request">The TMDB settings request.</param>
-    /// <returns>Save result.</returns>
+    /// <param name="request">The TMDB settings request. An empty credential keeps the stored one.</param>
+    /// <returns>Save result with the masked settings.</returns>
     [HttpPost("Settings/Tmdb")]
     [ProducesResponseType(StatusCodes.Status200OK)]
     public ActionResult<TmdbSettingsSaveResponse> SaveTmdbSettings([FromBody] TmdbSettingsRequest request)
@@ -144,17 +163,41 @@ public class TimelineConfigController : ControllerBase
                 });
             }
 
+            if (!string.IsNullOrWhiteSpace(request.TmdbBaseUrl) && !IsHttpUrl(request.TmdbBaseUrl.Trim()))
+            {
+                return Ok(new TmdbSettingsSaveResponse
+                {
+                    Success = false,
+                    Message = $"'{request.TmdbBaseUrl}' is not an http or https URL"
+                });
+            }
+
             var config = Plugin.Instance.Configuration;
-            config.TmdbApiKey = request.TmdbApiKey ?? string.Empty;
+            if (request.ClearTmdbApiKey)
+            {
+                config.TmdbApiKey = string.Empty;
+            }
+            else if (!string.IsNullOrWhiteSpace(request.TmdbApiKey))
+            {
+                config.TmdbApiKey = request.TmdbApiKey.Trim();
+            }
+
+            if (request.TmdbBaseUrl != null)
+            {
+                config.TmdbBaseUrl = string.IsNullOrWhiteSpace(request.TmdbBaseUrl)
+                    ? PluginConfiguration.DefaultTmdbBaseUrl
+                    : request.TmdbBaseUrl.Trim().TrimEnd('/');
+            }
             
             Plugin.Instance.SaveConfiguration();
             
-            _logger.LogInformation("TMDB API key saved successfully");
+            _logger.LogInformation("TMDB settings saved successfully");
             
             return Ok(new TmdbSettingsSaveResponse 
             { 
                 Success = true, 
-                Message = "TMDB settings saved successfully" 
+                Message = "TMDB settings saved successfully",
+                Settings = CreateTmdbSettingsResponse(config)
             });
         }
         catch (Exception ex)
@@ -168,6 +211,32 @@ public class TimelineConfigController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Checks a TMDB credential against the TMDB API without saving it.
+    /// </summary>
+    /// <param name="request">
+    /// The credential and base URL to check. Empty values are taken from plugin configuration;
+    /// the saved credential is only used with the saved base URL.
+    /// </param>
+    /// <returns>Whether TMDB accepted the credential.</returns>
+    [HttpPost("Settings/Tmdb/Test")]
+    [ProducesResponseType(typeof(TmdbConnectionTestResult), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<TmdbConnectionTestResult>> TestTmdbSettings([FromBody] TmdbSettingsRequest request)
+    {
+        try
+        {
+            var baseUrl = string.IsNullOrWhiteSpace(request.TmdbBaseUrl) ? null : request.TmdbBaseUrl;
+            return Ok(await _tmdbSearchService.TestConnectionAsync(request.TmdbApiKey, baseUrl));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error testing TMDB settings");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to test TMDB settings", details = ex.Message });
+        }
+    }
+
     /// <summary>
     /// Validates the provided timeline configuration.
     /// </summary>
@@ -217,11 +286,10 @@ public class TimelineConfigController : ControllerBase
             }
 
             // Now validate that content actually exists in Jellyfin
-            var lookupLogger = loggerFactory.CreateLogger<ContentLookupService>();
-            var lookupService = new ContentLookupService(lookupLogger, _libraryManager);
+            var lookupService = _contentLookupService;
             
-            _logger.LogInformation("Building lookup tables to validate content exists in library");
-            lookupService.BuildLookupTables();
+            _logger.LogInformation("Updating lookup tables to validate content exists in library");
+            lookupService.EnsureLookupTables();
             
             var contentErrors = new List<string>();
             var foundItems = new List<string>();
@@ -255,13 +323,25 @@ public class TimelineConfigController : ControllerBase
             var tasks = allItems.Select(async tuple =>
             {
                 var (universe, item) = tuple;
-                var itemId = lookupService.FindItemByProviderId(item.ProviderId, item.ProviderName, item.Type);
+                var itemIds = lookupService.ResolveTimelineItem(item);
                 
-                if (itemId.HasValue)
+                if (itemIds.Count > 0)
                 {
                     // Get the actual item to retrieve its name
-                    var jellyfinItem = _libraryManager.GetItemById(itemId.Value);
+                    var jellyfinItem = _libraryManager.GetItemById(itemIds[0]);
                     var itemName = jellyfinItem?.Name ?? "Unknown";
+
+                    // Series and season items expand into episodes; name the series and report the episode count
+                    var isExpanded = itemIds.Count > 1 ||
+                                     item.Type.Equals("series", StringComparison.OrdinalIgnoreCase) ||
+                                     item.Type.Equals("season", StringComparison.OrdinalIgnoreCase);
+                    if (isExpanded)
+                    {
+                        var seriesName = (jellyfinItem as MediaBrowser.Controller.Entities.TV.Episode)?.SeriesName ?? itemName;
+                        var scopeSuffix = string.IsNullOrEmpty(item.ScopeLabel) ? "" : $" {item.ScopeLabel}";
+                        itemName = $"{seriesName}{scopeSuffix}, {itemIds.Count} episode(s)";
+                    }
+
                     return (found: true, message: $"[FOUND] {universe.Name}: {itemName} ({item.Type}) - {item.ProviderName}:{item.ProviderId}");
                 }
                 else
@@ -271,13 +351,13 @@ public class TimelineConfigController : ControllerBase
                     try
                     {
                         // Create cache key including season for unique identification
-                        var cacheKey = $"{item.ProviderName}:{item.ProviderId}:{item.Type}:{item.Season}";
+                        var cacheKey = $"{item.ProviderName}:{item.ProviderId}:{item.Type}:{item.ScopeLabel}";
                         
                         // Check cache first
                         if (!tmdbCache.TryGetValue(cacheKey, out var itemName))
                         {
                             // Not in cache, fetch from TMDB
-                            itemName = await FetchTmdbTitle(httpClient, item.ProviderId, item.ProviderName, item.Type, item.Season);
+                            itemName = await FetchTmdbTitle(httpClient, item.ProviderId, item.ProviderName, item.Type, item.Season, item.ScopeLabel);
                             tmdbCache.TryAdd(cacheKey, itemName);
                         }
                         
@@ -432,10 +512,11 @@ public class TimelineConfigController : ControllerBase
     /// <param name="httpClient">HTTP client for making requests.</param>
     /// <param name="providerId">The TMDB ID.</param>
     /// <param name="providerName">The provider name (tmdb or imdb).</param>
-    /// <param name="contentType">The content type (movie or episode).</param>
+    /// <param name="contentType">The content type (movie, episode, series or season).</param>
     /// <param name="season">Optional season number for TV series.</param>
+    /// <param name="scopeLabel">Optional season/episode range label (e.g., "S2E1-E8") appended to TV titles.</param>
     /// <returns>The title of the item, or a fallback string if not found.</returns>
-    private async Task<string> FetchTmdbTitle(System.Net.Http.HttpClient httpClient, string providerId, string providerName, string contentType, int? season = null)
+    private async Task<string> FetchTmdbTitle(System.Net.Http.HttpClient httpClient, string providerId, string providerName, string contentType, int? season = null, string? scopeLabel = null)
     {
         // Only support TMDB lookups for now
         if (providerName.ToLowerInvariant() != "tmdb")
@@ -453,9 +534,9 @@ public class TimelineConfigController : ControllerBase
                 url = $"https://www.themoviedb.org/movie/{providerId}";
                 titlePattern = @"<title>(.+?)\s*\(\d{4}\)";
             }
-            else if (contentType.ToLowerInvariant() == "episode")
+            else if (IsTvContentType(contentType))
             {
-                // For episodes, the providerId is actually the series ID
+                // For TV items, the providerId is actually the series ID
                 // Fetch the series name instead
                 url = $"https://www.themoviedb.org/tv/{providerId}";
                 titlePattern = @"<title>(.+?)\s*\(TV Series";
@@ -476,9 +557,13 @@ public class TimelineConfigController : ControllerBase
                 title = System.Net.WebUtility.HtmlDecode(title);
                 
                 // Add season suffix for TV shows if season number is provided
-                if (contentType.ToLowerInvariant() == "episode")
+                if (IsTvContentType(contentType))
                 {
-                    if (season.HasValue)
+                    if (!string.IsNullOrEmpty(scopeLabel))
+                    {
+                        title = $"{title} {scopeLabel}";
+                    }
+                    else if (season.HasValue)
                     {
                         title = $"{title} S{season.Value}";
                     }
@@ -499,6 +584,45 @@ public class TimelineConfigController : ControllerBase
             return $"Unknown {contentType} (TMDB:{providerId})";
         }
     }
+
+    /// <summary>
+    /// Checks whether a content type refers to TV content identified by its series ID.
+    /// </summary>
+    /// <param name="contentType">The content type.</param>
+    /// <returns>True for episode, series and season items.</returns>
+    private static bool IsTvContentType(string contentType)
+    {
+        var normalizedType = contentType.ToLowerInvariant();
+        return normalizedType == "episode" || normalizedType == "series" || normalizedType == "season";
+    }
+
+    /// <summary>
+    /// Builds the TMDB settings response, with the credential masked.
+    /// </summary>
+    /// <param name="config">The plugin configuration.</param>
+    /// <returns>The settings response.</returns>
+    private static TmdbSettingsResponse CreateTmdbSettingsResponse(PluginConfiguration config)
+    {
+        var apiKey = config.TmdbApiKey?.Trim() ?? string.Empty;
+        return new TmdbSettingsResponse
+        {
+            IsConfigured = apiKey.Length > 0,
+            MaskedTmdbApiKey = TmdbSearchService.MaskCredential(apiKey),
+            CredentialType = apiKey.Length > 0 ? TmdbSearchService.GetCredentialType(apiKey) : null,
+            TmdbBaseUrl = string.IsNullOrWhiteSpace(config.TmdbBaseUrl) ? PluginConfiguration.DefaultTmdbBaseUrl : config.TmdbBaseUrl
+        };
+    }
+
+    /// <summary>
+    /// Checks that a value is an absolute http or https URL.
+    /// </summary>
+    /// <param name="value">The value to check.</param>
+    /// <returns>True if the value is an http or https URL.</returns>
+    private static bool IsHttpUrl(string value)
+    {
+        return Uri.TryCreate(value, UriKind.Absolute, out var uri)
+            && (uri.Scheme == Uri.UriSchemeHttp || uri.Scheme == Uri.UriSchemeHttps);
+    }
 }
 
 /// <summary>
@@ -565,20 +689,52 @@ public class SaveResponse
 public class TmdbSettingsRequest
 {
     /// <summary>
-    /// Gets or sets the TMDB API key.
+    /// Gets or sets the TMDB v3 API key or v4 read access token. Empty keeps the stored credential.
     /// </summary>
-    public string TmdbApiKey { get; set; } = string.Empty;
+    [JsonPropertyName("tmdbApiKey")]
+    public string? TmdbApiKey { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the stored credential should be removed.
+    /// </summary>
+    [JsonPropertyName("clearTmdbApiKey")]
+    public bool ClearTmdbApiKey { get; set; }
+
+    /// <summary>
+    /// Gets or sets the TMDB API base URL. Null keeps the stored URL, empty restores the default.
+    /// </summary>
+    [JsonPropertyName("tmdbBaseUrl")]
+    public string? TmdbBaseUrl { get; set; }
 }
 
 /// <summary>
-/// Response model for TMDB settings retrieval.
+/// Response model for TMDB settings retrieval. The credential itself is never returned.
 /// </summary>
 public class TmdbSettingsResponse
 {
     /// <summary>
-    /// Gets or sets the TMDB API key.
+    /// Gets or sets a value indicating whether a TMDB credential is stored.
+    /// </summary>
+    [JsonPropertyName("isConfigured")]
+    public bool IsConfigured { get; set; }
+
+    /// <summary>
+    /// Gets or sets the stored credential with all but its last four characters masked.
     /// </summary>
-    public string TmdbApiKey { get; set; } = string.Empty;
+    [JsonPropertyName("maskedTmdbApiKey")]
+    public string MaskedTmdbApiKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the kind of the stored credential ("apiKey" or "bearerToken"), if one is stored.
+    /// </summary>
+    [JsonPropertyName("credentialType")]
+    public string? CredentialType { get; set; }
+
+    /// <summary>
+    /// Gets or sets the TMDB API base URL.
+    /// </summary>
+    [JsonPropertyName("tmdbBaseUrl")]
+    public string TmdbBaseUrl { get; set; } = PluginConfiguration.DefaultTmdbBaseUrl;
 }
 
 /// <summary>
@@ -589,10 +745,19 @@ public class TmdbSettingsSaveResponse
     /// <summary>
     /// Gets or sets a value indicating whether the save was successful.
     /// </summary>
+    [JsonPropertyName("success")]
     public bool Success { get; set; }
 
     /// <summary>
     /// Gets or sets the response message.
     /// </summary>
+    [JsonPropertyName("message")]
     public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the saved settings, with the credential masked.
+    /// </summary>
+    [JsonPropertyName("settings")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public TmdbSettingsResponse? Settings { get; set; }
 }
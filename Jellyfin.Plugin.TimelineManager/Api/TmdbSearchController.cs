@@ -1,5 +1,8 @@
 using System;
+using System.Collections.Generic;
 using System.ComponentModel.DataAnnotations;
+using System.Linq;
+using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Plugin.TimelineManager.Models;
 using Jellyfin.Plugin.TimelineManager.Services;
@@ -20,16 +23,26 @@ public class TmdbSearchController : ControllerBase
 {
     private readonly TmdbSearchService _tmdbSearchService;
     private readonly ILogger<TmdbSearchController> _logger;
+    private readonly ContentSearchService _contentSearchService;
+    private readonly UniverseManagementService _universeManagementService;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="TmdbSearchController"/> class.
     /// </summary>
     /// <param name="tmdbSearchService">The TMDB search service.</param>
     /// <param name="logger">The logger instance.</param>
-    public TmdbSearchController(TmdbSearchService tmdbSearchService, ILogger<TmdbSearchController> logger)
+    /// <param name="contentSearchService">The library content search service.</param>
+    /// <param name="universeManagementService">The universe management service, for pre-warming the cache.</param>
+    public TmdbSearchController(
+        TmdbSearchService tmdbSearchService,
+        ILogger<TmdbSearchController> logger,
+        ContentSearchService contentSearchService,
+        UniverseManagementService universeManagementService)
     {
         _tmdbSearchService = tmdbSearchService;
         _logger = logger;
+        _contentSearchService = contentSearchService;
+        _universeManagementService = universeManagementService;
     }
 
     /// <summary>
@@ -37,14 +50,18 @@ public class TmdbSearchController : ControllerBase
     /// </summary>
     /// <param name="query">The search query string.</param>
     /// <param name="limit">Maximum number of results (default 20).</param>
-    /// <returns>SearchResultsResponse with movie results.</returns>
+    /// <param name="page">The TMDB result page (default 1).</param>
+    /// <param name="filters">Optional year range.</param>
+    /// <returns>SearchResultsResponse with movie results, each marked as in the library or not.</returns>
     [HttpGet("Movies")]
     [ProducesResponseType(typeof(SearchResultsResponse), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
     [ProducesResponseType(StatusCodes.Status500InternalServerError)]
     public async Task<ActionResult<SearchResultsResponse>> SearchMovies(
         [FromQuery][Required] string query,
-        [FromQuery] int limit = 20)
+        [FromQuery] int limit = 20,
+        [FromQuery] int page = 1,
+        [FromQuery] SearchFilters? filters = null)
     {
         try
         {
@@ -61,17 +78,22 @@ public class TmdbSearchController : ControllerBase
                 return BadRequest("Limit must be between 1 and 100");
             }
 
-            _logger.LogDebug("TMDB movie search request: query={Query}, limit={Limit}", query, limit);
-
-            // Call service
-            var results = await _tmdbSearchService.SearchMovies(query, limit).ConfigureAwait(false);
+            if (page < 1 || page > 500)
+            {
+                _logger.LogWarning("Invalid page parameter provided for TMDB movie search: {Page}", page);
+                return BadRequest("Page must be between 1 and 500");
+            }
 
-            // Return response
-            var response = new SearchResultsResponse
+            if (filters?.YearFrom > filters?.YearTo)
             {
-                Results = results,
-                TotalCount = results.Count
-            };
+                return BadRequest("The first year of the range must not be after the last year");
+            }
+
+            _logger.LogDebug("TMDB movie search request: query={Query}, limit={Limit}, page={Page}", query, limit, page);
+
+            // Call service
+            var response = await _tmdbSearchService.SearchMovies(query, limit, page, filters).ConfigureAwait(false);
+            MarkLibraryItems(response, isSeries: false);
 
             return Ok(response);
         }
@@ -87,14 +109,18 @@ public class TmdbSearchController : ControllerBase
     /// </summary>
     /// <param name="query">The search query string.</param>
     /// <param name="limit">Maximum number of results (default 20).</param>
-    /// <returns>SearchResultsResponse with TV show results.</returns>
+    /// <param name="page">The TMDB result page (default 1).</param>
+    /// <param name="filters">Optional year range.</param>
+    /// <returns>SearchResultsResponse with TV show results, each marked as in the library or not.</returns>
     [HttpGet("Tv")]
     [ProducesResponseType(typeof(SearchResultsResponse), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
     [ProducesResponseType(StatusCodes.Status500InternalServerError)]
     public async Task<ActionResult<SearchResultsResponse>> SearchTvShows(
         [FromQuery][Required] string query,
-        [FromQuery] int limit = 20)
+        [FromQuery] int limit = 20,
+        [FromQuery] int page = 1,
+        [FromQuery] SearchFilters? filters = null)
     {
         try
         {
@@ -111,24 +137,273 @@ public class TmdbSearchController : ControllerBase
                 return BadRequest("Limit must be between 1 and 100");
             }
 
-            _logger.LogDebug("TMDB TV search request: query={Query}, limit={Limit}", query, limit);
+            if (page < 1 || page > 500)
+            {
+                _logger.LogWarning("Invalid page parameter provided for TMDB TV search: {Page}", page);
+                return BadRequest("Page must be between 1 and 500");
+            }
+
+            if (filters?.YearFrom > filters?.YearTo)
+            {
+                return BadRequest("The first year of the range must not be after the last year");
+            }
+
+            _logger.LogDebug("TMDB TV search request: query={Query}, limit={Limit}, page={Page}", query, limit, page);
 
             // Call service
-            var results = await _tmdbSearchService.SearchTvShows(query, limit).ConfigureAwait(false);
+            var response = await _tmdbSearchService.SearchTvShows(query, limit, page, filters).ConfigureAwait(false);
+            MarkLibraryItems(response, isSeries: true);
+
+            return Ok(response);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error in TMDB TV search endpoint for query: {Query}. Message: {Message}", query, ex.Message);
+            return StatusCode(StatusCodes.Status500InternalServerError, "An error occurred while searching TMDB for TV shows");
+        }
+    }
+
+    /// <summary>
+    /// Searches TMDB for movie collections matching the query.
+    /// </summary>
+    /// <param name="query">The search query string.</param>
+    /// <param name="page">The TMDB result page (default 1).</param>
+    /// <returns>SearchResultsResponse with "Collection" results.</returns>
+    [HttpGet("Collections")]
+    [ProducesResponseType(typeof(SearchResultsResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<SearchResultsResponse>> SearchCollections(
+        [FromQuery][Required] string query,
+        [FromQuery] int page = 1)
+    {
+        try
+        {
+            if (string.IsNullOrWhiteSpace(query))
+            {
+                _logger.LogWarning("Empty query parameter provided for TMDB collection search");
+                return BadRequest("Query parameter is required");
+            }
+
+            if (page < 1 || page > 500)
+            {
+                _logger.LogWarning("Invalid page parameter provided for TMDB collection search: {Page}", page);
+                return BadRequest("Page must be between 1 and 500");
+            }
+
+            _logger.LogDebug("TMDB collection search request: query={Query}, page={Page}", query, page);
+
+            var response = await _tmdbSearchService.SearchCollectionsAsync(query, page).ConfigureAwait(false);
+            return Ok(response);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error in TMDB collection search endpoint for query: {Query}. Message: {Message}", query, ex.Message);
+            return StatusCode(StatusCodes.Status500InternalServerError, "An error occurred while searching TMDB for collections");
+        }
+    }
+
+    /// <summary>
+    /// Lists the movies of a TMDB collection in release order.
+    /// </summary>
+    /// <param name="collectionId">The TMDB collection ID.</param>
+    /// <returns>SearchResultsResponse with the collection's movies, each marked as in the library or not.</returns>
+    [HttpGet("Collections/{collectionId}/Movies")]
+    [ProducesResponseType(typeof(SearchResultsResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<SearchResultsResponse>> GetCollectionMovies([FromRoute] string collectionId)
+    {
+        try
+        {
+            if (!IsTmdbId(collectionId))
+            {
+                _logger.LogWarning("Invalid TMDB collection ID provided: {CollectionId}", collectionId);
+                return BadRequest("Collection ID must be a TMDB ID");
+            }
 
-            // Return response
+            var movies = await _tmdbSearchService.GetCollectionMoviesAsync(collectionId).ConfigureAwait(false);
             var response = new SearchResultsResponse
             {
-                Results = results,
-                TotalCount = results.Count
+                Results = movies,
+                TotalCount = movies.Count
             };
+            MarkLibraryItems(response, isSeries: false);
 
             return Ok(response);
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error in TMDB TV search endpoint for query: {Query}. Message: {Message}", query, ex.Message);
-            return StatusCode(StatusCodes.Status500InternalServerError, "An error occurred while searching TMDB for TV shows");
+            _logger.LogError(ex, "Error in TMDB collection endpoint for collection: {CollectionId}. Message: {Message}", collectionId, ex.Message);
+            return StatusCode(StatusCodes.Status500InternalServerError, "An error occurred while loading the collection from TMDB");
+        }
+    }
+
+    /// <summary>
+    /// Lists the seasons of a TMDB series.
+    /// </summary>
+    /// <param name="seriesId">The TMDB series ID.</param>
+    /// <returns>The seasons in order, including specials (season 0).</returns>
+    [HttpGet("Tv/{seriesId}/Seasons")]
+    [ProducesResponseType(typeof(List<SeriesSeasonInfo>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<SeriesSeasonInfo>>> GetSeasons([FromRoute] string seriesId)
+    {
+        try
+        {
+            if (!IsTmdbId(seriesId))
+            {
+                _logger.LogWarning("Invalid TMDB series ID provided: {SeriesId}", seriesId);
+                return BadRequest("Series ID must be a TMDB ID");
+            }
+
+            _logger.LogDebug("TMDB seasons request: seriesId={SeriesId}", seriesId);
+
+            var seasons = await _tmdbSearchService.GetSeasonsAsync(seriesId).ConfigureAwait(false);
+            return Ok(seasons);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error in TMDB seasons endpoint for series: {SeriesId}. Message: {Message}", seriesId, ex.Message);
+            return StatusCode(StatusCodes.Status500InternalServerError, "An error occurred while loading seasons from TMDB");
+        }
+    }
+
+    /// <summary>
+    /// Lists the episodes of one season of a TMDB series.
+    /// </summary>
+    /// <param name="seriesId">The TMDB series ID.</param>
+    /// <param name="seasonNumber">The season number.</param>
+    /// <returns>The episodes in order, with their TMDB episode IDs.</returns>
+    [HttpGet("Tv/{seriesId}/Seasons/{seasonNumber}/Episodes")]
+    [ProducesResponseType(typeof(List<SeriesEpisodeInfo>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<SeriesEpisodeInfo>>> GetEpisodes(
+        [FromRoute] string seriesId,
+        [FromRoute] int seasonNumber)
+    {
+        try
+        {
+            if (!IsTmdbId(seriesId))
+            {
+                _logger.LogWarning("Invalid TMDB series ID provided: {SeriesId}", seriesId);
+                return BadRequest("Series ID must be a TMDB ID");
+            }
+
+            if (seasonNumber < 0)
+            {
+                _logger.LogWarning("Invalid season number provided: {Season}", seasonNumber);
+                return BadRequest("Season number cannot be negative");
+            }
+
+            _logger.LogDebug("TMDB episodes request: seriesId={SeriesId}, season={Season}", seriesId, seasonNumber);
+
+            var episodes = await _tmdbSearchService.GetEpisodesAsync(seriesId, seasonNumber).ConfigureAwait(false);
+            return Ok(episodes);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error in TMDB episodes endpoint for series: {SeriesId} season {Season}. Message: {Message}", seriesId, seasonNumber, ex.Message);
+            return StatusCode(StatusCodes.Status500InternalServerError, "An error occurred while loading episodes from TMDB");
+        }
+    }
+
+    /// <summary>
+    /// Gets the size of the local TMDB cache and whether TMDB-backed features only serve cached responses.
+    /// </summary>
+    /// <returns>The cache status.</returns>
+    [HttpGet("Cache")]
+    [ProducesResponseType(typeof(TmdbCacheStatus), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public ActionResult<TmdbCacheStatus> GetCacheStatus()
+    {
+        try
+        {
+            return Ok(_tmdbSearchService.GetCacheStatus());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting TMDB cache status. Message: {Message}", ex.Message);
+            return StatusCode(StatusCodes.Status500InternalServerError, "An error occurred while reading the TMDB cache");
+        }
+    }
+
+    /// <summary>
+    /// Loads the TMDB details of every item referenced by the universe files into the local cache.
+    /// </summary>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>How many titles were found, cached, skipped and not found.</returns>
+    [HttpPost("Cache/Prewarm")]
+    [ProducesResponseType(typeof(TmdbCachePrewarmResult), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<TmdbCachePrewarmResult>> PrewarmCache(CancellationToken cancellationToken)
+    {
+        try
+        {
+            var items = new List<TimelineItem>();
+            foreach (var metadata in await _universeManagementService.GetAllUniversesAsync().ConfigureAwait(false))
+            {
+                var universe = await _universeManagementService.GetUniverseAsync(metadata.Filename).ConfigureAwait(false);
+                if (universe != null)
+                {
+                    items.AddRange(universe.Items);
+                }
+            }
+
+            var result = await _tmdbSearchService.PrewarmCacheAsync(items, cancellationToken).ConfigureAwait(false);
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error pre-warming the TMDB cache. Message: {Message}", ex.Message);
+            return StatusCode(StatusCodes.Status500InternalServerError, "An error occurred while pre-warming the TMDB cache");
+        }
+    }
+
+    /// <summary>
+    /// Deletes every cached TMDB response.
+    /// </summary>
+    /// <returns>The number of responses deleted.</returns>
+    [HttpDelete("Cache")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult> ClearCache()
+    {
+        try
+        {
+            var deleted = await _tmdbSearchService.ClearCacheAsync().ConfigureAwait(false);
+            return Ok(new { deleted });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error clearing the TMDB cache. Message: {Message}", ex.Message);
+            return StatusCode(StatusCodes.Status500InternalServerError, "An error occurred while clearing the TMDB cache");
         }
     }
+
+    /// <summary>
+    /// Marks the TMDB results that are already in the Jellyfin library.
+    /// </summary>
+    /// <param name="response">The search response.</param>
+    /// <param name="isSeries">True for TV show results, false for movies.</param>
+    private void MarkLibraryItems(SearchResultsResponse response, bool isSeries)
+    {
+        foreach (var result in response.Results)
+        {
+            result.InLibrary = result.ProviderIds.TryGetValue("tmdb", out var tmdbId)
+                && _contentSearchService.IsInLibrary(tmdbId, isSeries);
+        }
+    }
+
+    /// <summary>
+    /// Checks that a route value is a numeric TMDB ID.
+    /// </summary>
+    /// <param name="id">The ID to check.</param>
+    /// <returns>True if the ID is all digits.</returns>
+    private static bool IsTmdbId(string id)
+    {
+        return !string.IsNullOrEmpty(id) && id.All(char.IsDigit);
+    }
 }
@@ -0,0 +1,119 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Jellyfin.Plugin.TimelineManager.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Api;
+
+/// <summary>
+/// API controller for finding and fixing stale provider IDs in universe files.
+/// </summary>
+[ApiController]
+[Route("Timeline/Health")]
+[Authorize(Policy = "RequiresElevation")]
+public class UniverseHealthController : ControllerBase
+{
+    private readonly ILogger<UniverseHealthController> _logger;
+    private readonly UniverseHealthService _universeHealthService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="UniverseHealthController"/> class.
+    /// </summary>
+    /// <param name="logger">Logger instance.</param>
+    /// <param name="universeHealthService">Universe health service.</param>
+    public UniverseHealthController(
+        ILogger<UniverseHealthController> logger,
+        UniverseHealthService universeHealthService)
+    {
+        _logger = logger;
+        _universeHealthService = universeHealthService;
+    }
+
+    /// <summary>
+    /// Finds missing items that match a library item by title and year, and proposes their corrected provider IDs.
+    /// Nothing is written.
+    /// </summary>
+    /// <param name="filenames">Optional universe filenames to check. If omitted, all universes are checked.</param>
+    /// <returns>One health report per universe.</returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(List<UniverseHealthReport>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<UniverseHealthReport>>> CheckUniverses([FromQuery] string[]? filenames = null)
+    {
+        try
+        {
+            if (filenames != null && filenames.Any(IsInvalidFilename))
+            {
+                _logger.LogWarning("CheckUniverses called with invalid filename");
+                return BadRequest(new { error = "Invalid filename" });
+            }
+
+            _logger.LogInformation("Running health check for {Universes}",
+                filenames == null || filenames.Length == 0 ? "all universes" : string.Join(", ", filenames));
+
+            var reports = await _universeHealthService.CheckAsync(filenames);
+            return Ok(reports);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error running health check");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to run health check", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Applies accepted fixes and rewrites the universe file.
+    /// </summary>
+    /// <param name="request">The universe filename and the accepted fixes.</param>
+    /// <returns>The number of items updated and any errors.</returns>
+    [HttpPost("Fix")]
+    [ProducesResponseType(typeof(HealthFixResult), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<HealthFixResult>> ApplyFixes([FromBody] HealthFixRequest request)
+    {
+        try
+        {
+            if (request == null || IsInvalidFilename(request.Filename) || request.Fixes == null || request.Fixes.Count == 0)
+            {
+                return BadRequest(new HealthFixResult
+                {
+                    Success = false,
+                    Errors = new List<string> { "A valid filename and at least one fix are required" }
+                });
+            }
+
+            _logger.LogInformation("Applying {Count} health fix(es) to {Filename}", request.Fixes.Count, request.Filename);
+            var result = await _universeHealthService.ApplyFixesAsync(request);
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error applying health fixes to {Filename}", request?.Filename);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new HealthFixResult
+                {
+                    Success = false,
+                    Errors = new List<string> { $"Failed to apply fixes: {ex.Message}" }
+                });
+        }
+    }
+
+    /// <summary>
+    /// Checks a filename for directory traversal.
+    /// </summary>
+    /// <param name="filename">The filename to check.</param>
+    /// <returns>True if the filename is empty or unsafe.</returns>
+    private static bool IsInvalidFilename(string filename)
+    {
+        return string.IsNullOrWhiteSpace(filename) || filename.Contains("..") || filename.Contains("/") || filename.Contains("\\");
+    }
+}
@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Linq;
 using System.Threading.Tasks;
 using Jellyfin.Plugin.TimelineManager.Models;
 using Jellyfin.Plugin.TimelineManager.Services;
@@ -20,18 +21,22 @@ public class UniverseManagementController : ControllerBase
 {
     private readonly ILogger<UniverseManagementController> _logger;
     private readonly UniverseManagementService _universeManagementService;
+    private readonly UniverseBundleService _universeBundleService;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="UniverseManagementController"/> class.
     /// </summary>
     /// <param name="logger">Logger instance.</param>
     /// <param name="universeManagementService">Universe management service.</param>
+    /// <param name="universeBundleService">Universe bundle import/export service.</param>
     public UniverseManagementController(
         ILogger<UniverseManagementController> logger,
-        UniverseManagementService universeManagementService)
+        UniverseManagementService universeManagementService,
+        UniverseBundleService universeBundleService)
     {
         _logger = logger;
         _universeManagementService = universeManagementService;
+        _universeBundleService = universeBundleService;
     }
 
     /// <summary>
@@ -227,4 +232,248 @@ public class UniverseManagementController : ControllerBase
                 new { error = "Failed to delete universe", details = ex.Message });
         }
     }
+
+    /// <summary>
+    /// Exports universes as a single JSON bundle.
+    /// </summary>
+    /// <param name="filenames">Optional universe filenames to export. If omitted, all universes are exported.</param>
+    /// <returns>The universe bundle.</returns>
+    [HttpGet("Export")]
+    [ProducesResponseType(typeof(UniverseBundle), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<UniverseBundle>> ExportUniverses([FromQuery] string[]? filenames = null)
+    {
+        try
+        {
+            if (filenames != null && filenames.Any(IsInvalidFilename))
+            {
+                _logger.LogWarning("ExportUniverses called with invalid filename");
+                return BadRequest(new { error = "Invalid filename" });
+            }
+
+            var bundle = await _universeBundleService.ExportAsync(filenames);
+            return Ok(bundle);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error exporting universes");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to export universes", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Previews importing a universe bundle: validation errors and key collisions. Nothing is written.
+    /// </summary>
+    /// <param name="bundle">The bundle to preview.</param>
+    /// <returns>One preview entry per universe in the bundle.</returns>
+    [HttpPost("Import/Preview")]
+    [ProducesResponseType(typeof(List<BundleImportPreviewItem>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<BundleImportPreviewItem>>> PreviewImport([FromBody] UniverseBundle bundle)
+    {
+        try
+        {
+            if (bundle?.Universes == null || bundle.Universes.Count == 0)
+            {
+                return BadRequest(new { error = "The bundle contains no universes" });
+            }
+
+            var preview = await _universeBundleService.PreviewImportAsync(bundle);
+            return Ok(preview);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error previewing universe bundle import");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to preview import", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Imports a universe bundle using the given overwrite/rename/skip decisions.
+    /// </summary>
+    /// <param name="request">The bundle and per-universe decisions.</param>
+    /// <returns>The result of the import.</returns>
+    [HttpPost("Import")]
+    [ProducesResponseType(typeof(BundleImportResult), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<BundleImportResult>> ImportUniverses([FromBody] BundleImportRequest request)
+    {
+        try
+        {
+            if (request?.Bundle?.Universes == null || request.Bundle.Universes.Count == 0)
+            {
+                return BadRequest(new BundleImportResult
+                {
+                    Success = false,
+                    Errors = new List<string> { "The bundle contains no universes" }
+                });
+            }
+
+            _logger.LogInformation("Importing bundle with {Count} universe(s)", request.Bundle.Universes.Count);
+            var result = await _universeBundleService.ImportAsync(request);
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error importing universe bundle");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new BundleImportResult
+                {
+                    Success = false,
+                    Errors = new List<string> { $"Failed to import universes: {ex.Message}" }
+                });
+        }
+    }
+
+    /// <summary>
+    /// Lists the snapshots of a universe file, newest first. A snapshot is taken before every save,
+    /// delete and restore.
+    /// </summary>
+    /// <param name="filename">The filename of the universe (e.g., "mcu.json").</param>
+    /// <returns>The snapshots.</returns>
+    [HttpGet("{filename}/History")]
+    [ProducesResponseType(typeof(List<UniverseSnapshot>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<UniverseSnapshot>>> GetUniverseHistory(string filename)
+    {
+        try
+        {
+            if (IsInvalidFilename(filename))
+            {
+                _logger.LogWarning("GetUniverseHistory called with invalid filename: {Filename}", filename);
+                return BadRequest(new { error = "Invalid filename" });
+            }
+
+            var snapshots = await _universeManagementService.GetSnapshotsAsync(filename);
+            return Ok(snapshots);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing history of universe file {Filename}", filename);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to load universe history", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Compares a snapshot with the current universe file.
+    /// </summary>
+    /// <param name="filename">The filename of the universe (e.g., "mcu.json").</param>
+    /// <param name="snapshotId">The snapshot ID.</param>
+    /// <returns>The differences between the snapshot and the current file.</returns>
+    [HttpGet("{filename}/History/{snapshotId}/Diff")]
+    [ProducesResponseType(typeof(UniverseSnapshotDiff), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<UniverseSnapshotDiff>> GetSnapshotDiff(string filename, string snapshotId)
+    {
+        try
+        {
+            if (IsInvalidFilename(filename) || !UniverseHistoryService.IsValidSnapshotId(snapshotId))
+            {
+                _logger.LogWarning("GetSnapshotDiff called with invalid filename or snapshot: {Filename} {SnapshotId}", filename, snapshotId);
+                return BadRequest(new { error = "Invalid filename or snapshot ID" });
+            }
+
+            var diff = await _universeManagementService.GetSnapshotDiffAsync(filename, snapshotId);
+            if (diff == null)
+            {
+                return NotFound(new { error = $"Snapshot '{snapshotId}' of '{filename}' not found or not readable" });
+            }
+
+            return Ok(diff);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error comparing snapshot {SnapshotId} of {Filename}", snapshotId, filename);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to compare snapshot", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Restores a universe file from a snapshot, recreating it if it was deleted.
+    /// </summary>
+    /// <param name="filename">The filename of the universe (e.g., "mcu.json").</param>
+    /// <param name="snapshotId">The snapshot ID.</param>
+    /// <returns>The result of the restore.</returns>
+    [HttpPost("{filename}/History/{snapshotId}/Restore")]
+    [ProducesResponseType(typeof(SaveUniverseResult), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<SaveUniverseResult>> RestoreSnapshot(string filename, string snapshotId)
+    {
+        try
+        {
+            if (IsInvalidFilename(filename) || !UniverseHistoryService.IsValidSnapshotId(snapshotId))
+            {
+                _logger.LogWarning("RestoreSnapshot called with invalid filename or snapshot: {Filename} {SnapshotId}", filename, snapshotId);
+                return BadRequest(new SaveUniverseResult
+                {
+                    Success = false,
+                    Errors = new List<string> { "Invalid filename or snapshot ID" }
+                });
+            }
+
+            _logger.LogInformation("Restoring universe file {Filename} from snapshot {SnapshotId}", filename, snapshotId);
+            var result = await _universeManagementService.RestoreSnapshotAsync(filename, snapshotId);
+
+            if (!result.Success)
+            {
+                _logger.LogWarning("Failed to restore universe file {Filename}: {Errors}", filename, string.Join(", ", result.Errors));
+                return BadRequest(result);
+            }
+
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error restoring snapshot {SnapshotId} of {Filename}", snapshotId, filename);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new SaveUniverseResult
+                {
+                    Success = false,
+                    Errors = new List<string> { $"Failed to restore universe: {ex.Message}" }
+                });
+        }
+    }
+
+    /// <summary>
+    /// Lists deleted universe files with their latest snapshot, so they can be restored.
+    /// </summary>
+    /// <returns>The latest snapshot of each deleted universe file, most recently deleted first.</returns>
+    [HttpGet("History/Deleted")]
+    [ProducesResponseType(typeof(List<UniverseSnapshot>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<UniverseSnapshot>>> GetDeletedUniverses()
+    {
+        try
+        {
+            var deleted = await _universeManagementService.GetDeletedUniversesAsync();
+            return Ok(deleted);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing deleted universes");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to list deleted universes", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Checks a filename for directory traversal.
+    /// </summary>
+    /// <param name="filename">The filename to check.</param>
+    /// <returns>True if the filename is empty or unsafe.</returns>
+    private static bool IsInvalidFilename(string filename)
+    {
+        return string.IsNullOrWhiteSpace(filename) || filename.Contains("..") || filename.Contains("/") || filename.Contains("\\");
+    }
 }
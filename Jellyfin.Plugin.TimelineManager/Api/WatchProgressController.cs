@@ -0,0 +1,177 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Jellyfin.Data.Entities;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Jellyfin.Plugin.TimelineManager.Services;
+using MediaBrowser.Controller.Library;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Api;
+
+/// <summary>
+/// API controller for users' watch progress through the timelines.
+/// Any signed-in user can read their own progress; administrators can read everyone's.
+/// Reports only include the universes and library items the reported user may see.
+/// </summary>
+[ApiController]
+[Route("Timeline/Progress")]
+[Authorize]
+public class WatchProgressController : ControllerBase
+{
+    // Claim Jellyfin's authentication handler stores the signed-in user's ID in
+    private const string UserIdClaimType = "Jellyfin-UserId";
+
+    private readonly ILogger<WatchProgressController> _logger;
+    private readonly WatchProgressService _watchProgressService;
+    private readonly IUserManager _userManager;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="WatchProgressController"/> class.
+    /// </summary>
+    /// <param name="logger">Logger instance.</param>
+    /// <param name="watchProgressService">Watch progress service.</param>
+    /// <param name="userManager">Jellyfin user manager.</param>
+    public WatchProgressController(
+        ILogger<WatchProgressController> logger,
+        WatchProgressService watchProgressService,
+        IUserManager userManager)
+    {
+        _logger = logger;
+        _watchProgressService = watchProgressService;
+        _userManager = userManager;
+    }
+
+    /// <summary>
+    /// Gets a user's progress through the items order of each universe.
+    /// </summary>
+    /// <param name="userId">Optional user ID. Defaults to the signed-in user; other users require an administrator.</param>
+    /// <param name="filenames">Optional universe filenames. If omitted, all universes are reported.</param>
+    /// <returns>One progress report per universe.</returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(List<WatchProgressReport>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<List<WatchProgressReport>>> GetProgress(
+        [FromQuery] Guid? userId = null,
+        [FromQuery] string[]? filenames = null)
+    {
+        try
+        {
+            if (filenames != null && filenames.Any(IsInvalidFilename))
+            {
+                _logger.LogWarning("GetProgress called with invalid filename");
+                return BadRequest(new { error = "Invalid filename" });
+            }
+
+            var userResult = ResolveUser(userId, out var user);
+            if (userResult != null)
+            {
+                return userResult;
+            }
+
+            return Ok(await _watchProgressService.GetProgressAsync(user!, filenames));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting watch progress");
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to get watch progress", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Gets a user's progress through one ordering of a universe, with every entry and the next item to watch.
+    /// </summary>
+    /// <param name="filename">The universe filename.</param>
+    /// <param name="userId">Optional user ID. Defaults to the signed-in user; other users require an administrator.</param>
+    /// <param name="ordering">Optional ordering key. Defaults to the items order.</param>
+    /// <returns>The progress report.</returns>
+    [HttpGet("{filename}")]
+    [ProducesResponseType(typeof(WatchProgressReport), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<WatchProgressReport>> GetUniverseProgress(
+        [FromRoute] string filename,
+        [FromQuery] Guid? userId = null,
+        [FromQuery] string? ordering = null)
+    {
+        try
+        {
+            if (IsInvalidFilename(filename))
+            {
+                _logger.LogWarning("GetUniverseProgress called with invalid filename: {Filename}", filename);
+                return BadRequest(new { error = "Invalid filename" });
+            }
+
+            var userResult = ResolveUser(userId, out var user);
+            if (userResult != null)
+            {
+                return userResult;
+            }
+
+            var report = await _watchProgressService.GetProgressAsync(user!, filename, ordering);
+            if (report.Error != null)
+            {
+                return NotFound(new { error = report.Error });
+            }
+
+            return Ok(report);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting watch progress for {Filename}", filename);
+            return StatusCode(StatusCodes.Status500InternalServerError,
+                new { error = "Failed to get watch progress", details = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Finds the user whose progress is requested and checks the caller may see it.
+    /// </summary>
+    /// <param name="userId">The requested user ID, or null for the signed-in user.</param>
+    /// <param name="user">The user, if found and allowed.</param>
+    /// <returns>An error result, or null if the user was resolved.</returns>
+    private ActionResult? ResolveUser(Guid? userId, out User? user)
+    {
+        user = null;
+
+        var callerId = Guid.TryParse(User.FindFirst(UserIdClaimType)?.Value, out var parsedCallerId) ? parsedCallerId : (Guid?)null;
+        var effectiveUserId = userId.HasValue && userId.Value != Guid.Empty ? userId.Value : callerId;
+        if (!effectiveUserId.HasValue)
+        {
+            return BadRequest(new { error = "A user ID is required" });
+        }
+
+        if (effectiveUserId != callerId && !User.IsInRole("Administrator"))
+        {
+            return StatusCode(StatusCodes.Status403Forbidden, new { error = "Only administrators can see other users' progress" });
+        }
+
+        user = _userManager.GetUserById(effectiveUserId.Value);
+        if (user == null)
+        {
+            return NotFound(new { error = $"User {effectiveUserId.Value} not found" });
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Checks a filename for directory traversal.
+    /// </summary>
+    /// <param name="filename">The filename to check.</param>
+    /// <returns>True if the filename is empty or unsafe.</returns>
+    private static bool IsInvalidFilename(string filename)
+    {
+        return string.IsNullOrWhiteSpace(filename) || filename.Contains("..") || filename.Contains("/") || filename.Contains("\\");
+    }
+}
@@ -1,3 +1,4 @@
+using System.Text.Json.Serialization;
 using MediaBrowser.Model.Plugins;
 
 namespace Jellyfin.Plugin.TimelineManager;
@@ -7,16 +8,32 @@ namespace Jellyfin.Plugin.TimelineManager;
 /// </summary>
 public class PluginConfiguration : BasePluginConfiguration
 {
+    /// <summary>
+    /// The TMDB API base URL used unless another one is configured.
+    /// </summary>
+    public const string DefaultTmdbBaseUrl = "https://api.themoviedb.org/3";
+
     /// <summary>
     /// Initializes a new instance of the <see cref="PluginConfiguration"/> class.
     /// </summary>
     public PluginConfiguration()
     {
         TmdbApiKey = string.Empty;
+        TmdbBaseUrl = DefaultTmdbBaseUrl;
     }
 
     /// <summary>
-    /// Gets or sets the TMDB API key for searching external content.
+    /// Gets or sets the TMDB credential for searching external content: a v3 API key or a v4 read access token.
     /// </summary>
+    /// <remarks>
+    /// Stored in the plugin's XML file but never sent through Jellyfin's plugin configuration API;
+    /// it is set through <c>/Timeline/Settings/Tmdb</c>, which only returns it masked.
+    /// </remarks>
+    [JsonIgnore]
     public string TmdbApiKey { get; set; }
-}
\ No newline at end of file
+
+    /// <summary>
+    /// Gets or sets the base URL of the TMDB API (e.g., a local mock for testing).
+    /// </summary>
+    public string TmdbBaseUrl { get; set; }
+}
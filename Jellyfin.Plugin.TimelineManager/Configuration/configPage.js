@@ -62,6 +62,12 @@ setTimeout(function() {
     }, 500);
 })();
 
+var ManagedPlaylistsUI = {
+    playlists: [], // Playlists of the current user
+    tracked: {}, // Tracking entries by normalized playlist ID
+    universes: [] // Universe metadata, to name the universe of each managed playlist
+};
+
 // Function to load and display playlists
 function loadPlaylists() {
     console.log('loadPlaylists called');
@@ -86,72 +92,51 @@ function loadPlaylists() {
         
         playlistsContainer.innerHTML = '<div class="fieldDescription">Loading playlists...</div>';
         
-        // Get all playlists for the user
-        fetch(ApiClient.getUrl('/Users/' + userId + '/Items?IncludeItemTypes=Playlist&Recursive=true&Fields=DateCreated,ChildCount'), {
-            headers: {
-                'X-Emby-Token': apiKey
-            }
-        })
-        .then(function(response) {
-            console.log('Fetch response:', response.status);
-            return response.json();
-        })
-        .then(function(data) {
+        // Get all playlists for the user, which of them were generated from a universe, and the universes
+        Promise.all([
+            fetch(ApiClient.getUrl('/Users/' + userId + '/Items?IncludeItemTypes=Playlist&Recursive=true&Fields=DateCreated,ChildCount'), {
+                headers: {
+                    'X-Emby-Token': apiKey
+                }
+            })
+            .then(function(response) {
+                return response.json();
+            }),
+            fetch(ApiClient.getUrl('/Timeline/Playlists/Tracked'), {
+                headers: {
+                    'X-Emby-Token': apiKey
+                }
+            })
+            .then(function(response) {
+                return response.ok ? response.json() : [];
+            })
+            .catch(function() {
+                return [];
+            }),
+            fetch(ApiClient.getUrl('/Timeline/Universes'), {
+                headers: {
+                    'X-Emby-Token': apiKey
+                }
+            })
+            .then(function(response) {
+                return response.ok ? response.json() : [];
+            })
+            .catch(function() {
+                return [];
+            })
+        ])
+        .then(function(results) {
+            var data = results[0];
             console.log('Got data:', data);
-            var playlists = data.Items || [];
-            console.log('Playlists count:', playlists.length);
-            
-            if (playlists.length === 0) {
-                playlistsContainer.innerHTML = '<div class="fieldDescription">No playlists found. Create one using the button above.</div>';
-                return;
-            }
             
-            // Display playlists
-            playlistsContainer.innerHTML = '';
-            var container = document.createElement('div');
-            container.style.display = 'grid';
-            container.style.gap = '1em';
-            
-            playlists.forEach(function(playlist) {
-                var card = document.createElement('div');
-                card.className = 'paperList';
-                card.style.padding = '1em';
-                card.style.display = 'flex';
-                card.style.justifyContent = 'space-between';
-                card.style.alignItems = 'center';
-                card.style.border = '1px solid #333';
-                
-                var info = document.createElement('div');
-                
-                var name = document.createElement('div');
-                name.style.fontWeight = '500';
-                name.style.marginBottom = '0.5em';
-                name.textContent = playlist.Name;
-                
-                var details = document.createElement('div');
-                details.className = 'fieldDescription';
-                details.textContent = (playlist.ChildCount || 0) + ' items • Created: ' + new Date(playlist.DateCreated).toLocaleDateString();
-                
-                info.appendChild(name);
-                info.appendChild(details);
-                
-                var deleteBtn = document.createElement('button');
-                deleteBtn.type = 'button';
-                deleteBtn.className = 'emby-button raised';
-                deleteBtn.textContent = 'Delete';
-                deleteBtn.style.background = '#f44336';
-                deleteBtn.style.color = 'white';
-                deleteBtn.onclick = function() {
-                    deletePlaylist(playlist.Id, playlist.Name);
-                };
-                
-                card.appendChild(info);
-                card.appendChild(deleteBtn);
-                container.appendChild(card);
+            ManagedPlaylistsUI.playlists = data.Items || [];
+            ManagedPlaylistsUI.tracked = {};
+            (results[1] || []).forEach(function(tracked) {
+                ManagedPlaylistsUI.tracked[normalizeItemId(tracked.playlistId)] = tracked;
             });
+            ManagedPlaylistsUI.universes = results[2] || [];
             
-            playlistsContainer.appendChild(container);
-            console.log('Playlists displayed successfully');
+            renderPlaylists();
         })
         .catch(function(error) {
             console.error('Error loading playlists:', error);
@@ -164,9 +149,252 @@ function loadPlaylists() {
     }
 }
 
-// Function to delete a playlist
-function deletePlaylist(playlistId, playlistName) {
-    if (!confirm('Are you sure you want to delete "' + playlistName + '"?')) {
+// Display the loaded playlists that match the managed/unmanaged filter
+function renderPlaylists() {
+    var playlistsContainer = document.getElementById('playlistsContainer');
+    var filterSelect = document.getElementById('playlistFilter');
+    var filter = filterSelect ? filterSelect.value : '';
+    
+    if (ManagedPlaylistsUI.playlists.length === 0) {
+        playlistsContainer.innerHTML = '<div class="fieldDescription">No playlists found. Create one using the button above.</div>';
+        return;
+    }
+    
+    var playlists = ManagedPlaylistsUI.playlists.filter(function(playlist) {
+        var managed = !!ManagedPlaylistsUI.tracked[normalizeItemId(playlist.Id)];
+        return filter === 'managed' ? managed : filter === 'unmanaged' ? !managed : true;
+    });
+    
+    if (playlists.length === 0) {
+        playlistsContainer.innerHTML = '<div class="fieldDescription">' +
+            (filter === 'managed' ? 'None of your playlists were generated from a universe.' : 'All of your playlists were generated from a universe.') +
+            '</div>';
+        return;
+    }
+    
+    // Display playlists
+    playlistsContainer.innerHTML = '';
+    var container = document.createElement('div');
+    container.style.display = 'grid';
+    container.style.gap = '1em';
+    
+    playlists.forEach(function(playlist) {
+        container.appendChild(createPlaylistCard(playlist, ManagedPlaylistsUI.tracked[normalizeItemId(playlist.Id)]));
+    });
+    
+    playlistsContainer.appendChild(container);
+}
+
+// Find the universe a tracked playlist was generated from, by filename or, if the file was renamed, by key
+function findTrackedUniverse(tracked) {
+    var byFilename = ManagedPlaylistsUI.universes.filter(function(universe) {
+        return universe.filename === tracked.universeFilename && universe.key === tracked.universeKey;
+    })[0];
+    
+    return byFilename || ManagedPlaylistsUI.universes.filter(function(universe) {
+        return universe.key === tracked.universeKey;
+    })[0] || null;
+}
+
+// Create the card of one playlist; managed playlists show their universe and the managed actions
+function createPlaylistCard(playlist, tracked) {
+    var universe = tracked ? findTrackedUniverse(tracked) : null;
+    
+    var card = document.createElement('div');
+    card.className = 'paperList';
+    card.style.padding = '1em';
+    card.style.display = 'flex';
+    card.style.justifyContent = 'space-between';
+    card.style.alignItems = 'center';
+    card.style.gap = '1em';
+    card.style.border = '1px solid #333';
+    
+    var info = document.createElement('div');
+    
+    var name = document.createElement('div');
+    name.style.fontWeight = '500';
+    name.style.marginBottom = '0.5em';
+    name.textContent = playlist.Name;
+    
+    if (tracked) {
+        var badge = document.createElement('span');
+        badge.textContent = 'Timeline';
+        badge.style.marginLeft = '0.5em';
+        badge.style.padding = '0.1em 0.5em';
+        badge.style.borderRadius = '4px';
+        badge.style.fontSize = '0.8em';
+        badge.style.background = '#1c4966';
+        badge.style.color = '#fff';
+        name.appendChild(badge);
+    }
+    
+    var details = document.createElement('div');
+    details.className = 'fieldDescription';
+    details.textContent = (playlist.ChildCount || 0) + ' items • Created: ' + new Date(playlist.DateCreated).toLocaleDateString();
+    
+    info.appendChild(name);
+    info.appendChild(details);
+    
+    if (tracked) {
+        var source = document.createElement('div');
+        source.className = 'fieldDescription';
+        if (universe) {
+            source.textContent = 'Universe: ' + universe.name + getTrackedOrderingLabel(tracked, universe) +
+                ' • Last synced: ' + new Date(tracked.lastSynced).toLocaleString();
+        } else {
+            source.textContent = 'Universe ' + tracked.universeFilename + ' no longer exists • Last synced: ' +
+                new Date(tracked.lastSynced).toLocaleString();
+            source.style.color = '#ffb74d';
+        }
+        info.appendChild(source);
+    }
+    
+    var actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.flexWrap = 'wrap';
+    actions.style.justifyContent = 'flex-end';
+    actions.style.gap = '0.5em';
+    
+    var syncPanel = document.createElement('div');
+    syncPanel.style.display = 'none';
+    
+    if (tracked && universe) {
+        actions.appendChild(createPlaylistActionButton('Rebuild', 'Rewrite this playlist from its universe now', function(button) {
+            rebuildPlaylist(tracked, universe, button);
+        }));
+        actions.appendChild(createPlaylistActionButton('Open Universe', 'Open the universe in the editor', function() {
+            openEditor(universe.filename);
+        }));
+        actions.appendChild(createPlaylistActionButton('Pull Changes', 'Write items removed, added or reordered in this playlist back to its universe', function() {
+            togglePlaylistSync(playlist.Id, syncPanel);
+        }));
+    }
+    
+    if (tracked) {
+        actions.appendChild(createPlaylistActionButton('Detach', 'Keep this playlist but stop updating it from its universe', function() {
+            detachPlaylist(playlist, universe);
+        }));
+    }
+    
+    var deleteBtn = createPlaylistActionButton('Delete', null, function() {
+        deletePlaylist(playlist.Id, playlist.Name, universe);
+    });
+    deleteBtn.style.background = '#f44336';
+    deleteBtn.style.color = 'white';
+    actions.appendChild(deleteBtn);
+    
+    card.appendChild(info);
+    card.appendChild(actions);
+    
+    var wrapper = document.createElement('div');
+    wrapper.appendChild(card);
+    wrapper.appendChild(syncPanel);
+    return wrapper;
+}
+
+// Button of a playlist card; onClick receives the button so it can show progress
+function createPlaylistActionButton(text, title, onClick) {
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'emby-button raised';
+    button.textContent = text;
+    if (title) {
+        button.title = title;
+    }
+    button.onclick = function() {
+        onClick(button);
+    };
+    return button;
+}
+
+// " (Release Order)" for playlists of an alternate ordering, empty for the items order
+function getTrackedOrderingLabel(tracked, universe) {
+    if (!tracked.orderingKey || tracked.orderingKey === DEFAULT_ORDERING_KEY) {
+        return '';
+    }
+    
+    var ordering = (universe.orderings || []).filter(function(o) {
+        return o.key === tracked.orderingKey;
+    })[0];
+    return ' (' + (ordering ? ordering.name : tracked.orderingKey) + ')';
+}
+
+// Rewrite one managed playlist from its universe and ordering
+function rebuildPlaylist(tracked, universe, button) {
+    var selectedOrderings = {};
+    selectedOrderings[universe.filename] = [tracked.orderingKey || DEFAULT_ORDERING_KEY];
+    
+    button.disabled = true;
+    button.textContent = 'Rebuilding...';
+    
+    fetch(ApiClient.getUrl('/Timeline/CreatePlaylists?userId=' + ApiClient.getCurrentUserId()), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken(),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            selectedUniverseFilenames: [universe.filename],
+            selectedOrderings: selectedOrderings
+        })
+    })
+    .then(function(response) {
+        return response.json();
+    })
+    .then(function(data) {
+        button.disabled = false;
+        button.textContent = 'Rebuild';
+        
+        if (data.success && data.playlists && data.playlists.length > 0) {
+            alert(formatPlaylistResults(data.playlists));
+            loadPlaylists();
+        } else {
+            alert('Failed to rebuild playlist: ' + ((data.errors && data.errors.join('\n')) || data.message || 'unknown error'));
+        }
+    })
+    .catch(function(error) {
+        button.disabled = false;
+        button.textContent = 'Rebuild';
+        alert('Error rebuilding playlist: ' + error.message);
+    });
+}
+
+// Stop updating a playlist from its universe; the playlist itself is kept
+function detachPlaylist(playlist, universe) {
+    var message = 'Detach "' + playlist.Name + '" from its universe? The playlist is kept as a normal playlist and is no longer updated.';
+    if (universe) {
+        message += '\n\nThe next refresh of "' + universe.name + '" will create a new playlist.';
+    }
+    if (!confirm(message)) {
+        return;
+    }
+    
+    fetch(ApiClient.getUrl('/Timeline/Playlists/Tracked/' + playlist.Id), {
+        method: 'DELETE',
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        if (response.ok) {
+            loadPlaylists();
+        } else {
+            alert('Failed to detach playlist: ' + response.statusText);
+        }
+    })
+    .catch(function(error) {
+        alert('Error detaching playlist: ' + error.message);
+    });
+}
+
+// Function to delete a playlist; universe is set for managed playlists whose universe still exists
+function deletePlaylist(playlistId, playlistName, universe) {
+    var message = 'Are you sure you want to delete "' + playlistName + '"?';
+    if (universe) {
+        message += '\n\nIts universe "' + universe.name + '" still exists, so the next refresh will create the playlist again. ' +
+            'Set the universe to "Off" in Scheduling or delete the universe to stop that.';
+    }
+    if (!confirm(message)) {
         return;
     }
     
@@ -326,6 +554,11 @@ setTimeout(function() {
         });
     }
     
+    var playlistFilter = document.getElementById('playlistFilter');
+    if (playlistFilter) {
+        playlistFilter.addEventListener('change', renderPlaylists);
+    }
+    
     // Create button handler
     var createBtn = document.getElementById('createPlaylistsBtn');
     if (createBtn) {
@@ -336,55 +569,351 @@ setTimeout(function() {
     }
 }, 500);
 
-// ===== UNIVERSE MANAGEMENT =====
+// ===== PLAYLIST SYNC =====
 
-var selectedUniverses = [];
-var currentEditingUniverse = null;
-var originalUniverseContent = null;
+// Jellyfin returns item IDs without dashes, the tracking file stores them with dashes
+function normalizeItemId(itemId) {
+    return itemId ? String(itemId).replace(/-/g, '').toLowerCase() : '';
+}
 
-// Function to load and display universes
-function loadUniverses() {
-    console.log('loadUniverses called');
-    var universeList = document.getElementById('universeList');
+// Show or hide the changes made to a generated playlist in Jellyfin
+function togglePlaylistSync(playlistId, panel) {
+    if (panel.style.display !== 'none') {
+        panel.style.display = 'none';
+        return;
+    }
     
-    if (!universeList) {
-        console.error('universeList not found!');
+    panel.style.display = 'block';
+    panel.style.padding = '1em';
+    panel.style.border = '1px solid #333';
+    panel.style.borderTop = 'none';
+    panel.innerHTML = '<div class="fieldDescription">Comparing the playlist with its universe...</div>';
+    
+    fetch(ApiClient.getUrl('/Timeline/Playlists/' + playlistId + '/Sync'), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        return response.json().then(function(data) {
+            if (!response.ok) {
+                throw new Error(data.error || 'HTTP ' + response.status);
+            }
+            return data;
+        });
+    })
+    .then(function(preview) {
+        renderPlaylistSync(preview, panel);
+    })
+    .catch(function(error) {
+        console.error('Error comparing playlist:', error);
+        panel.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        panel.firstChild.textContent = 'Error comparing playlist: ' + error.message;
+    });
+}
+
+// Render the differences with a checkbox per change and an apply button
+function renderPlaylistSync(preview, panel) {
+    panel.innerHTML = '';
+    
+    var summary = document.createElement('div');
+    summary.className = 'fieldDescription';
+    summary.textContent = preview.hasChanges
+        ? 'Tick the changes to write back to ' + preview.filename + (preview.orderingName ? ' (' + preview.orderingName + ')' : '') + '.'
+        : 'The playlist matches ' + preview.filename + ', nothing to pull.';
+    panel.appendChild(summary);
+    
+    var additions = [];
+    var removals = [];
+    var orderCheckbox = null;
+    
+    if (preview.removed.length > 0) {
+        panel.appendChild(createPlaylistSyncHeading('Removed from the playlist'));
+        preview.removed.forEach(function(item) {
+            var checkbox = appendPlaylistSyncRow(panel, '#' + (item.index + 1) + ' ' + item.title, null);
+            removals.push({ checkbox: checkbox, item: item });
+        });
+    }
+    
+    if (preview.added.length > 0) {
+        panel.appendChild(createPlaylistSyncHeading('Added to the playlist'));
+        preview.added.forEach(function(addition) {
+            var checkbox = appendPlaylistSyncRow(panel, addition.title,
+                'Position ' + addition.position + ' • ' + addition.item.providerName + ':' + addition.item.providerId);
+            additions.push({ checkbox: checkbox, addition: addition });
+        });
+    }
+    
+    if (preview.moved.length > 0) {
+        panel.appendChild(createPlaylistSyncHeading('Reordered'));
+        orderCheckbox = appendPlaylistSyncRow(panel, 'Apply the playlist order',
+            'Moved: ' + preview.moved.map(function(item) { return item.title; }).join(', '));
+    }
+    
+    if (preview.partiallyRemoved.length > 0 || preview.unmapped.length > 0) {
+        var notes = document.createElement('ul');
+        notes.style.margin = '0.75em 0 0 0';
+        preview.partiallyRemoved.forEach(function(item) {
+            var entry = document.createElement('li');
+            entry.className = 'fieldDescription';
+            entry.style.color = '#ffb74d';
+            entry.textContent = item.title + ': ' + item.detail + '. Narrow its episode range in the editor to keep this.';
+            notes.appendChild(entry);
+        });
+        preview.unmapped.forEach(function(title) {
+            var entry = document.createElement('li');
+            entry.className = 'fieldDescription';
+            entry.style.color = '#ffb74d';
+            entry.textContent = title + ' has no supported provider ID and can\'t be added to the universe.';
+            notes.appendChild(entry);
+        });
+        panel.appendChild(notes);
+    }
+    
+    if (!preview.hasChanges) {
         return;
     }
     
-    try {
-        var apiKey = ApiClient.accessToken();
+    var status = document.createElement('div');
+    status.style.marginTop = '0.5em';
+    status.style.padding = '0.5em';
+    status.style.borderRadius = '4px';
+    status.style.display = 'none';
+    
+    var applyBtn = document.createElement('button');
+    applyBtn.type = 'button';
+    applyBtn.className = 'emby-button raised';
+    applyBtn.style.marginTop = '0.75em';
+    applyBtn.textContent = 'Write Selected Changes';
+    applyBtn.onclick = function() {
+        var request = {
+            addLibraryItemIds: additions.filter(function(entry) {
+                return entry.checkbox.checked;
+            }).map(function(entry) {
+                return entry.addition.libraryItemId;
+            }),
+            remove: removals.filter(function(entry) {
+                return entry.checkbox.checked;
+            }).map(function(entry) {
+                return { index: entry.item.index, orderKey: entry.item.orderKey };
+            }),
+            applyOrder: orderCheckbox ? orderCheckbox.checked : false
+        };
+        applyPlaylistSync(preview, request, applyBtn, status);
+    };
+    
+    panel.appendChild(applyBtn);
+    panel.appendChild(status);
+}
+
+// Heading above one group of changes
+function createPlaylistSyncHeading(text) {
+    var heading = document.createElement('div');
+    heading.style.fontWeight = '500';
+    heading.style.marginTop = '0.75em';
+    heading.textContent = text;
+    return heading;
+}
+
+// Append a ticked change with an optional description line and return its checkbox
+function appendPlaylistSyncRow(panel, title, description) {
+    var row = document.createElement('label');
+    row.style.display = 'flex';
+    row.style.alignItems = 'flex-start';
+    row.style.gap = '0.5em';
+    row.style.marginTop = '0.5em';
+    
+    var checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    
+    var text = document.createElement('div');
+    var titleLine = document.createElement('div');
+    titleLine.textContent = title;
+    text.appendChild(titleLine);
+    
+    if (description) {
+        var descriptionLine = document.createElement('div');
+        descriptionLine.className = 'fieldDescription';
+        descriptionLine.textContent = description;
+        text.appendChild(descriptionLine);
+    }
+    
+    row.appendChild(checkbox);
+    row.appendChild(text);
+    panel.appendChild(row);
+    return checkbox;
+}
+
+// Write the accepted changes to the universe file and report the result
+function applyPlaylistSync(preview, request, applyBtn, status) {
+    if (request.addLibraryItemIds.length === 0 && request.remove.length === 0 && !request.applyOrder) {
+        alert('Select at least one change to write');
+        return;
+    }
+    
+    applyBtn.disabled = true;
+    applyBtn.textContent = 'Writing...';
+    
+    fetch(ApiClient.getUrl('/Timeline/Playlists/' + preview.playlistId + '/Sync'), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken(),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(request)
+    })
+    .then(function(response) {
+        return response.json();
+    })
+    .then(function(result) {
+        applyBtn.textContent = 'Write Selected Changes';
+        applyBtn.disabled = result.success;
         
-        if (!apiKey) {
-            universeList.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;">Not authenticated. Please log in first.</div>';
-            return;
+        var parts = [];
+        if (result.added > 0) {
+            parts.push(result.added + ' added');
+        }
+        if (result.removed > 0) {
+            parts.push(result.removed + ' removed');
+        }
+        if (result.reordered) {
+            parts.push('order updated');
         }
         
-        universeList.innerHTML = '<div class="fieldDescription">Loading universes...</div>';
-        
-        // Get all universes
-        fetch(ApiClient.getUrl('/Timeline/Universes'), {
-            headers: {
-                'X-Emby-Token': apiKey
-            }
-        })
-        .then(function(response) {
-            console.log('Fetch universes response:', response.status);
-            return response.json();
-        })
-        .then(function(universes) {
-            console.log('Got universes:', universes);
-            
-            if (!universes || universes.length === 0) {
-                universeList.innerHTML = '<div class="fieldDescription">No universes found. Create universe files in /config/universes/</div>';
-                return;
-            }
-            
-            // Display universes
-            universeList.innerHTML = '';
-            var container = document.createElement('div');
-            container.style.display = 'grid';
-            container.style.gap = '0.5em';
+        var message = parts.length > 0 ? preview.filename + ': ' + parts.join(', ') : 'Nothing was written';
+        if (result.errors && result.errors.length > 0) {
+            message += '. ' + result.errors.join('; ');
+        }
+        status.textContent = message;
+        status.style.background = result.success ? '#1e5631' : '#5a1a1a';
+        status.style.color = result.success ? '#fff' : '#ff6b6b';
+        status.style.display = 'block';
+    })
+    .catch(function(error) {
+        applyBtn.disabled = false;
+        applyBtn.textContent = 'Write Selected Changes';
+        status.textContent = 'Error writing changes: ' + error.message;
+        status.style.background = '#5a1a1a';
+        status.style.color = '#ff6b6b';
+        status.style.display = 'block';
+    });
+}
+
+// ===== UNIVERSE MANAGEMENT =====
+
+var selectedUniverses = [];
+var currentEditingUniverse = null;
+var originalUniverseContent = null;
+
+// Supported ID providers in order of preference; replaced by the server's list from /Timeline/Providers
+var UNIVERSE_PROVIDER_DETAILS = [
+    { name: 'tmdb', displayName: 'TMDB', movies: true, series: true, episodes: true, idPattern: '^\\d+$', exampleId: '1771' },
+    { name: 'imdb', displayName: 'IMDB', movies: true, series: true, episodes: true, idPattern: '^tt\\d+$', exampleId: 'tt0371746' },
+    { name: 'tvdb', displayName: 'TVDB', movies: true, series: true, episodes: true, idPattern: '^\\d+$', exampleId: '81189' },
+    { name: 'tvmaze', displayName: 'TVmaze', movies: false, series: true, episodes: true, idPattern: '^\\d+$', exampleId: '169' },
+    { name: 'anidb', displayName: 'AniDB', movies: true, series: true, episodes: true, idPattern: '^\\d+$', exampleId: '69' }
+];
+
+// Form editor state: the universe object being edited, the row elements and the looked-up titles/posters
+var UNIVERSE_ITEM_PROVIDERS = UNIVERSE_PROVIDER_DETAILS.map(function(provider) { return provider.name; });
+var UNIVERSE_ITEM_TYPES = ['movie', 'series', 'season', 'episode'];
+var universeEditorData = null;
+var universeEditorRawMode = false;
+var universeEditorRows = [];
+var universeEditorDetails = {};
+
+// Load the supported providers from the server, keeping the built-in list if the request fails
+function loadUniverseProviders() {
+    fetch(ApiClient.getUrl('/Timeline/Providers'), {
+        headers: { 'X-Emby-Token': ApiClient.accessToken() }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(providers) {
+        if (providers && providers.length > 0) {
+            UNIVERSE_PROVIDER_DETAILS = providers;
+            UNIVERSE_ITEM_PROVIDERS = providers.map(function(provider) { return provider.name; });
+        }
+    })
+    .catch(function(error) {
+        console.error('Error loading providers:', error);
+    });
+}
+
+// Find a provider by name, or null if it isn't supported
+function findUniverseProvider(providerName) {
+    var name = (providerName || '').toLowerCase();
+    for (var i = 0; i < UNIVERSE_PROVIDER_DETAILS.length; i++) {
+        if (UNIVERSE_PROVIDER_DETAILS[i].name === name) {
+            return UNIVERSE_PROVIDER_DETAILS[i];
+        }
+    }
+    return null;
+}
+
+// Whether a provider has IDs for a timeline item type (series and seasons use series IDs)
+function providerSupportsType(provider, type) {
+    if (type === 'movie') {
+        return !!provider.movies;
+    }
+    if (type === 'episode') {
+        return !!provider.episodes;
+    }
+    return !!provider.series;
+}
+
+setTimeout(function() {
+    loadUniverseProviders();
+}, 500);
+
+// Function to load and display universes
+function loadUniverses() {
+    console.log('loadUniverses called');
+    var universeList = document.getElementById('universeList');
+    
+    if (!universeList) {
+        console.error('universeList not found!');
+        return;
+    }
+    
+    try {
+        var apiKey = ApiClient.accessToken();
+        
+        if (!apiKey) {
+            universeList.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;">Not authenticated. Please log in first.</div>';
+            return;
+        }
+        
+        universeList.innerHTML = '<div class="fieldDescription">Loading universes...</div>';
+        
+        // Get all universes
+        fetch(ApiClient.getUrl('/Timeline/Universes'), {
+            headers: {
+                'X-Emby-Token': apiKey
+            }
+        })
+        .then(function(response) {
+            console.log('Fetch universes response:', response.status);
+            return response.json();
+        })
+        .then(function(universes) {
+            console.log('Got universes:', universes);
+            
+            if (!universes || universes.length === 0) {
+                universeList.innerHTML = '<div class="fieldDescription">No universes found. Create universe files in /config/universes/</div>';
+                return;
+            }
+            
+            // Display universes
+            universeList.innerHTML = '';
+            var container = document.createElement('div');
+            container.style.display = 'grid';
+            container.style.gap = '0.5em';
             
             universes.forEach(function(universe) {
                 var card = document.createElement('div');
@@ -427,11 +956,15 @@ function loadUniverses() {
                 
                 var details = document.createElement('div');
                 details.className = 'fieldDescription';
-                details.textContent = 'File: ' + universe.filename;
+                details.textContent = 'File: ' + universe.filename + (universe.isPublic === false ? ' • 🔒 Private' : '');
                 
                 info.appendChild(name);
                 info.appendChild(details);
                 
+                if (universe.orderings && universe.orderings.length > 0) {
+                    info.appendChild(createOrderingCheckboxes(universe));
+                }
+                
                 leftSection.appendChild(checkbox);
                 leftSection.appendChild(info);
                 
@@ -457,7 +990,16 @@ function loadUniverses() {
                     deleteUniverse(universe.filename, universe.name);
                 };
                 
+                var historyBtn = document.createElement('button');
+                historyBtn.type = 'button';
+                historyBtn.className = 'emby-button raised';
+                historyBtn.textContent = 'History';
+                historyBtn.onclick = function() {
+                    showUniverseHistory(universe.filename, universe.name);
+                };
+                
                 buttons.appendChild(editBtn);
+                buttons.appendChild(historyBtn);
                 buttons.appendChild(deleteBtn);
                 
                 card.appendChild(leftSection);
@@ -467,6 +1009,8 @@ function loadUniverses() {
             
             universeList.appendChild(container);
             console.log('Universes displayed successfully');
+            
+            loadSchedule(universes);
         })
         .catch(function(error) {
             console.error('Error loading universes:', error);
@@ -479,7 +1023,51 @@ function loadUniverses() {
     }
 }
 
-// Function to open JSON editor
+// Create one checkbox per ordering of a universe (all ticked) to choose which orderings get a playlist
+function createOrderingCheckboxes(universe) {
+    var container = document.createElement('div');
+    container.className = 'fieldDescription';
+    container.style.display = 'flex';
+    container.style.flexWrap = 'wrap';
+    container.style.gap = '0.75em';
+    container.style.marginTop = '0.3em';
+    container.appendChild(document.createTextNode('Orderings:'));
+    
+    [{ key: DEFAULT_ORDERING_KEY, name: 'Default order' }].concat(universe.orderings).forEach(function(ordering) {
+        var label = document.createElement('label');
+        label.style.display = 'flex';
+        label.style.alignItems = 'center';
+        label.style.gap = '0.3em';
+        
+        var checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'ordering-checkbox';
+        checkbox.dataset.filename = universe.filename;
+        checkbox.dataset.ordering = ordering.key;
+        checkbox.checked = true;
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(ordering.name));
+        container.appendChild(label);
+    });
+    
+    return container;
+}
+
+// Collect the ticked orderings of each universe that has alternate orderings, by filename
+function getSelectedOrderings() {
+    var selection = {};
+    document.querySelectorAll('.ordering-checkbox').forEach(function(checkbox) {
+        var filename = checkbox.dataset.filename;
+        selection[filename] = selection[filename] || [];
+        if (checkbox.checked) {
+            selection[filename].push(checkbox.dataset.ordering);
+        }
+    });
+    return selection;
+}
+
+// Function to open the universe editor
 function openEditor(filename) {
     console.log('Opening editor for:', filename);
     
@@ -497,8 +1085,16 @@ function openEditor(filename) {
         currentEditingUniverse = filename;
         originalUniverseContent = JSON.stringify(universe, null, 2);
         
+        if (!Array.isArray(universe.items)) {
+            universe.items = [];
+        }
+        universeEditorData = universe;
+        
         document.getElementById('editorUniverseName').textContent = universe.name;
         document.getElementById('jsonContent').value = originalUniverseContent;
+        document.getElementById('universeRawToggle').checked = false;
+        setUniverseRawMode(false);
+        renderUniverseEditor();
         document.getElementById('jsonEditorSection').style.display = 'block';
         document.getElementById('validationErrors').style.display = 'none';
         
@@ -527,6 +1123,28 @@ function validateJSON(jsonText) {
             errors.push('Missing required field: items');
         } else if (!Array.isArray(obj.items)) {
             errors.push('Field "items" must be an array');
+        } else {
+            obj.items.forEach(function(item, index) {
+                var label = 'Item ' + (index + 1) + ': ';
+                if (!item || typeof item !== 'object') {
+                    errors.push(label + 'must be an object');
+                    return;
+                }
+                if (!item.providerId) {
+                    errors.push(label + 'missing provider ID');
+                }
+                if (!item.providerName) {
+                    errors.push(label + 'missing provider');
+                }
+                if (!item.type) {
+                    errors.push(label + 'missing type');
+                }
+                ['season', 'episodeStart', 'episodeEnd'].forEach(function(field) {
+                    if (item[field] !== undefined && item[field] !== null && !(typeof item[field] === 'number' && item[field] % 1 === 0)) {
+                        errors.push(label + field + ' must be a whole number');
+                    }
+                });
+            });
         }
         
         return { valid: errors.length === 0, errors: errors };
@@ -537,7 +1155,7 @@ function validateJSON(jsonText) {
 
 // Function to save universe
 function saveUniverse() {
-    var jsonContent = document.getElementById('jsonContent').value;
+    var jsonContent = getEditedUniverseJson();
     var validationErrors = document.getElementById('validationErrors');
     var saveBtn = document.getElementById('saveUniverseBtn');
     
@@ -592,117 +1210,704 @@ function cancelEdit() {
     document.getElementById('jsonEditorSection').style.display = 'none';
     document.getElementById('jsonContent').value = '';
     document.getElementById('validationErrors').style.display = 'none';
+    document.getElementById('universeEditorItems').innerHTML = '';
     currentEditingUniverse = null;
     originalUniverseContent = null;
+    universeEditorData = null;
+    universeEditorRawMode = false;
+    universeEditorRows = [];
 }
 
-// Function to delete a universe
-function deleteUniverse(filename, universeName) {
-    if (!confirm('Are you sure you want to delete universe "' + universeName + '"?\n\nThis will permanently delete the file: ' + filename)) {
-        return;
+// The JSON that will be saved: the raw text in advanced mode, otherwise the form's universe
+function getEditedUniverseJson() {
+    if (universeEditorRawMode) {
+        return document.getElementById('jsonContent').value;
     }
+    return JSON.stringify(universeEditorData, null, 2);
+}
+
+// Switch between the form and the raw JSON textarea, carrying edits across.
+// Returns false (and stays in raw mode) if the JSON can't be shown in the form.
+function setUniverseRawMode(raw) {
+    var textarea = document.getElementById('jsonContent');
+    var form = document.getElementById('universeFormEditor');
+    var validationErrors = document.getElementById('validationErrors');
     
-    try {
-        var apiKey = ApiClient.accessToken();
+    if (raw) {
+        if (universeEditorData) {
+            textarea.value = JSON.stringify(universeEditorData, null, 2);
+        }
+    } else if (universeEditorRawMode) {
+        var parsed;
+        try {
+            parsed = JSON.parse(textarea.value);
+        } catch (e) {
+            parsed = null;
+        }
         
-        fetch(ApiClient.getUrl('/Timeline/Universes/' + filename), {
-            method: 'DELETE',
-            headers: {
-                'X-Emby-Token': apiKey
-            }
-        })
-        .then(function(response) {
-            return response.json();
-        })
-        .then(function(result) {
-            if (result.success) {
-                alert('Universe "' + universeName + '" deleted successfully!');
-                
-                // Remove from selected universes if it was selected
-                var index = selectedUniverses.indexOf(filename);
-                if (index !== -1) {
-                    selectedUniverses.splice(index, 1);
-                }
-                
-                loadUniverses(); // Reload the list
-            } else {
-                alert('Failed to delete universe: ' + (result.message || 'Unknown error'));
-            }
-        })
-        .catch(function(error) {
-            alert('Error deleting universe: ' + error.message);
-        });
-    } catch (error) {
-        alert('Error deleting universe: ' + error.message);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || (parsed.items !== undefined && !Array.isArray(parsed.items))) {
+            validationErrors.style.display = 'block';
+            validationErrors.textContent = 'Fix the JSON before switching back to the form: it must be a valid universe object with an "items" array.';
+            document.getElementById('universeRawToggle').checked = true;
+            return false;
+        }
+        
+        if (!parsed.items) {
+            parsed.items = [];
+        }
+        universeEditorData = parsed;
+        validationErrors.style.display = 'none';
+        renderUniverseEditor();
     }
+    
+    universeEditorRawMode = raw;
+    textarea.style.display = raw ? 'block' : 'none';
+    form.style.display = raw ? 'none' : 'block';
+    return true;
 }
 
-// Function to select all universes
-function selectAll() {
-    var checkboxes = document.querySelectorAll('.universe-checkbox');
-    selectedUniverses = [];
-    checkboxes.forEach(function(checkbox) {
-        checkbox.checked = true;
-        selectedUniverses.push(checkbox.dataset.filename);
+// Fill the form from the universe being edited
+function renderUniverseEditor() {
+    document.getElementById('universeEditorKey').value = universeEditorData.key || '';
+    document.getElementById('universeEditorName').value = universeEditorData.name || '';
+    document.getElementById('universeEditorSkipOptional').checked = !!universeEditorData.skipOptionalItems;
+    renderUniverseEditorItems();
+}
+
+// Render one editable row per universe item
+function renderUniverseEditorItems() {
+    var container = document.getElementById('universeEditorItems');
+    var items = universeEditorData.items;
+    
+    container.innerHTML = '';
+    universeEditorRows = [];
+    document.getElementById('universeEditorItemCount').textContent = items.length;
+    
+    if (items.length === 0) {
+        container.innerHTML = '<div class="fieldDescription">No items yet. Click "Add Item" to add one.</div>';
+        return;
+    }
+    
+    items.forEach(function(item, index) {
+        container.appendChild(createUniverseEditorRow(item, index, items.length));
     });
-    console.log('Selected all universes:', selectedUniverses);
+    
+    updateUniverseEditorWarnings();
+    loadUniverseEditorDetails();
 }
 
-// Function to deselect all universes
-function deselectAll() {
-    var checkboxes = document.querySelectorAll('.universe-checkbox');
-    checkboxes.forEach(function(checkbox) {
-        checkbox.checked = false;
+// Create a select with the given options, keeping an unknown current value selectable
+function createEditorSelect(options, value) {
+    var select = document.createElement('select');
+    select.className = 'emby-select';
+    select.style.width = 'auto';
+    
+    var values = options.slice();
+    if (value && values.indexOf(value) === -1) {
+        values.push(value);
+    }
+    
+    values.forEach(function(optionValue) {
+        var option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue;
+        select.appendChild(option);
     });
-    selectedUniverses = [];
-    console.log('Deselected all universes');
+    select.value = value || options[0];
+    return select;
 }
 
-// Update createPlaylists function to use selected universes
-function createPlaylistsForSelected() {
-    console.log('Create playlists for selected universes');
+// Create a small labelled number input for a season/episode field
+function createEditorNumberInput(item, index, field, label) {
+    var wrapper = document.createElement('label');
+    wrapper.style.display = 'flex';
+    wrapper.style.alignItems = 'center';
+    wrapper.style.gap = '0.25em';
+    wrapper.className = 'fieldDescription';
     
-    var createBtn = document.getElementById('createPlaylistsBtn');
-    var statusMessage = document.getElementById('statusMessage');
-    var outputBox = document.getElementById('outputBox');
-    var errorBox = document.getElementById('errorBox');
+    var text = document.createElement('span');
+    text.textContent = label;
     
-    // Hide previous messages
-    statusMessage.style.display = 'none';
-    outputBox.style.display = 'none';
-    errorBox.style.display = 'none';
+    var input = document.createElement('input');
+    input.type = 'number';
+    input.min = field === 'season' ? '0' : '1';
+    input.className = 'emby-input';
+    input.style.width = '4.5em';
+    input.value = item[field] === null || item[field] === undefined ? '' : item[field];
+    input.onchange = function() {
+        setUniverseItemField(index, field, input.value);
+    };
     
-    // Show loading state
-    createBtn.disabled = true;
-    createBtn.textContent = 'Creating...';
+    wrapper.appendChild(text);
+    wrapper.appendChild(input);
+    return wrapper;
+}
+
+// Create the editor row for one item
+function createUniverseEditorRow(item, index, itemCount) {
+    var row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'flex-start';
+    row.style.gap = '0.75em';
+    row.style.padding = '0.75em';
+    row.style.border = '1px solid #444';
+    row.style.borderRadius = '4px';
+    row.style.marginBottom = '0.5em';
     
-    statusMessage.style.display = 'block';
-    statusMessage.style.background = '#1c4966';
-    statusMessage.style.color = '#fff';
-    statusMessage.textContent = 'Creating playlists for selected universes...';
+    var position = document.createElement('span');
+    position.style.fontWeight = 'bold';
+    position.style.minWidth = '2em';
+    position.textContent = (index + 1) + '.';
     
-    try {
-        var apiKey = ApiClient.accessToken();
-        var userId = ApiClient.getCurrentUserId();
-        
-        if (!apiKey || !userId) {
-            throw new Error('Not authenticated. Please log in first.');
+    var poster = document.createElement('img');
+    poster.alt = '';
+    poster.style.width = '40px';
+    poster.style.height = '60px';
+    poster.style.objectFit = 'cover';
+    poster.style.background = '#333';
+    poster.style.borderRadius = '2px';
+    poster.style.visibility = 'hidden';
+    poster.onerror = function() {
+        poster.style.visibility = 'hidden';
+    };
+    
+    var main = document.createElement('div');
+    main.style.flex = '1';
+    
+    var title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    title.style.marginBottom = '0.4em';
+    
+    var controls = document.createElement('div');
+    controls.style.display = 'flex';
+    controls.style.flexWrap = 'wrap';
+    controls.style.alignItems = 'center';
+    controls.style.gap = '0.5em';
+    
+    var providerSelect = createEditorSelect(UNIVERSE_ITEM_PROVIDERS, item.providerName);
+    providerSelect.title = 'Provider';
+    providerSelect.onchange = function() {
+        setUniverseItemField(index, 'providerName', providerSelect.value);
+    };
+    
+    var idInput = document.createElement('input');
+    idInput.type = 'text';
+    idInput.className = 'emby-input';
+    idInput.style.width = '10em';
+    idInput.placeholder = 'Provider ID';
+    idInput.value = item.providerId || '';
+    idInput.onchange = function() {
+        setUniverseItemField(index, 'providerId', idInput.value);
+    };
+    
+    var typeSelect = createEditorSelect(UNIVERSE_ITEM_TYPES, item.type);
+    typeSelect.title = 'Type';
+    typeSelect.onchange = function() {
+        setUniverseItemField(index, 'type', typeSelect.value);
+    };
+    
+    var scope = document.createElement('span');
+    scope.style.display = 'flex';
+    scope.style.gap = '0.5em';
+    scope.appendChild(createEditorNumberInput(item, index, 'season', 'Season'));
+    scope.appendChild(createEditorNumberInput(item, index, 'episodeStart', 'Ep. from'));
+    scope.appendChild(createEditorNumberInput(item, index, 'episodeEnd', 'Ep. to'));
+    
+    controls.appendChild(providerSelect);
+    controls.appendChild(idInput);
+    controls.appendChild(typeSelect);
+    controls.appendChild(scope);
+    
+    var extras = document.createElement('div');
+    extras.style.display = 'flex';
+    extras.style.flexWrap = 'wrap';
+    extras.style.alignItems = 'center';
+    extras.style.gap = '0.5em';
+    extras.style.marginTop = '0.4em';
+    
+    var noteInput = document.createElement('input');
+    noteInput.type = 'text';
+    noteInput.className = 'emby-input';
+    noteInput.style.flex = '1';
+    noteInput.style.minWidth = '12em';
+    noteInput.placeholder = 'Note';
+    noteInput.value = item.comment || '';
+    noteInput.onchange = function() {
+        setUniverseItemField(index, 'comment', noteInput.value);
+    };
+    
+    var tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.className = 'emby-input';
+    tagsInput.style.width = '12em';
+    tagsInput.placeholder = 'Tags, comma-separated';
+    tagsInput.value = (item.tags || []).join(', ');
+    tagsInput.onchange = function() {
+        setUniverseItemField(index, 'tags', tagsInput.value);
+    };
+    
+    var optionalLabel = document.createElement('label');
+    optionalLabel.className = 'fieldDescription';
+    optionalLabel.style.display = 'flex';
+    optionalLabel.style.alignItems = 'center';
+    optionalLabel.style.gap = '0.25em';
+    var optionalCheckbox = document.createElement('input');
+    optionalCheckbox.type = 'checkbox';
+    optionalCheckbox.checked = !!item.optional;
+    optionalCheckbox.onchange = function() {
+        setUniverseItemField(index, 'optional', optionalCheckbox.checked);
+    };
+    var optionalText = document.createElement('span');
+    optionalText.textContent = 'Optional';
+    optionalLabel.appendChild(optionalCheckbox);
+    optionalLabel.appendChild(optionalText);
+    
+    extras.appendChild(noteInput);
+    extras.appendChild(tagsInput);
+    extras.appendChild(optionalLabel);
+    
+    var warnings = document.createElement('div');
+    warnings.className = 'fieldDescription';
+    warnings.style.color = '#ffb74d';
+    warnings.style.marginTop = '0.4em';
+    
+    main.appendChild(title);
+    main.appendChild(controls);
+    main.appendChild(extras);
+    main.appendChild(warnings);
+    
+    var buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '0.25em';
+    
+    var upBtn = document.createElement('button');
+    upBtn.type = 'button';
+    upBtn.className = 'emby-button raised';
+    upBtn.textContent = '↑';
+    upBtn.disabled = index === 0;
+    upBtn.onclick = function() {
+        moveUniverseEditorItem(index, index - 1);
+    };
+    
+    var downBtn = document.createElement('button');
+    downBtn.type = 'button';
+    downBtn.className = 'emby-button raised';
+    downBtn.textContent = '↓';
+    downBtn.disabled = index === itemCount - 1;
+    downBtn.onclick = function() {
+        moveUniverseEditorItem(index, index + 1);
+    };
+    
+    var removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'emby-button raised';
+    removeBtn.textContent = '✕';
+    removeBtn.style.background = '#f44336';
+    removeBtn.style.color = 'white';
+    removeBtn.onclick = function() {
+        removeUniverseEditorItem(index);
+    };
+    
+    buttons.appendChild(upBtn);
+    buttons.appendChild(downBtn);
+    buttons.appendChild(removeBtn);
+    
+    row.appendChild(position);
+    row.appendChild(poster);
+    row.appendChild(main);
+    row.appendChild(buttons);
+    
+    universeEditorRows[index] = { title: title, poster: poster, scope: scope, warnings: warnings, idInput: idInput };
+    updateUniverseEditorScope(index);
+    return row;
+}
+
+// Season and episode fields only apply to TV items, but stay visible on a movie that has them so they can be cleared
+function updateUniverseEditorScope(index) {
+    var item = universeEditorData.items[index];
+    var hasScope = [item.season, item.episodeStart, item.episodeEnd].some(function(value) {
+        return value !== null && value !== undefined;
+    });
+    universeEditorRows[index].scope.style.display = item.type !== 'movie' || hasScope ? 'flex' : 'none';
+}
+
+// Apply a change made in one of the row's fields
+function setUniverseItemField(index, field, value) {
+    var item = universeEditorData.items[index];
+    
+    if (field === 'season' || field === 'episodeStart' || field === 'episodeEnd') {
+        var number = parseInt(value, 10);
+        if (isNaN(number)) {
+            delete item[field];
+        } else {
+            item[field] = number;
         }
-        
-        // Prepare request body with selected universes
-        var requestBody = selectedUniverses.length > 0 ? {
-            selectedUniverseFilenames: selectedUniverses
-        } : null;
-        
-        console.log('Creating playlists with request:', requestBody);
-        
-        fetch(ApiClient.getUrl('/Timeline/CreatePlaylists?userId=' + userId), {
-            method: 'POST',
-            headers: {
-                'X-Emby-Token': apiKey,
-                'Content-Type': 'application/json'
-            },
-            body: requestBody ? JSON.stringify(requestBody) : null
+    } else if (field === 'comment' || field === 'tags' || field === 'optional') {
+        setItemAnnotation(item, field, value);
+        return;
+    } else {
+        item[field] = (value || '').trim();
+    }
+    
+    updateUniverseEditorScope(index);
+    updateUniverseEditorWarnings();
+    
+    if (field === 'providerName' || field === 'providerId' || field === 'type') {
+        loadUniverseEditorDetails();
+    }
+}
+
+// Parse comma-separated tags, dropping blanks and duplicates
+function parseItemTags(text) {
+    var tags = [];
+    (text || '').split(',').forEach(function(tag) {
+        tag = tag.trim();
+        if (tag && tags.indexOf(tag) === -1) {
+            tags.push(tag);
+        }
+    });
+    return tags;
+}
+
+// Set an item's note, tags (comma-separated text) or optional flag, removing the field when it's empty
+function setItemAnnotation(item, field, value) {
+    if (field === 'comment') {
+        value = (value || '').trim();
+    } else if (field === 'tags') {
+        value = parseItemTags(value);
+        if (value.length === 0) {
+            value = null;
+        }
+    }
+    
+    if (value) {
+        item[field] = value;
+    } else {
+        delete item[field];
+    }
+}
+
+// Append an empty item and focus its ID field
+function addUniverseEditorItem() {
+    universeEditorData.items.push({ providerId: '', providerName: 'tmdb', type: 'movie' });
+    renderUniverseEditorItems();
+    
+    var lastRow = universeEditorRows[universeEditorRows.length - 1];
+    lastRow.idInput.focus();
+}
+
+// Move an item to another position
+function moveUniverseEditorItem(fromIndex, toIndex) {
+    var items = universeEditorData.items;
+    if (toIndex < 0 || toIndex >= items.length) {
+        return;
+    }
+    var moved = items.splice(fromIndex, 1)[0];
+    items.splice(toIndex, 0, moved);
+    renderUniverseEditorItems();
+}
+
+// Remove an item
+function removeUniverseEditorItem(index) {
+    universeEditorData.items.splice(index, 1);
+    renderUniverseEditorItems();
+}
+
+// Key under which an item's title and poster are cached; seasons of the same series share it
+function getUniverseItemDetailsKey(item) {
+    return (item.providerName || '').toLowerCase() + ':' + (item.seriesId || item.providerId || '') + ':' + (item.type === 'movie' ? 'movie' : 'tv');
+}
+
+// Work out the inline warnings of every item: duplicates, a season on a movie, ranges that make no sense
+function getUniverseItemWarnings(items) {
+    var seen = {};
+    
+    return items.map(function(item, index) {
+        var warnings = [];
+        var hasSeason = item.season !== null && item.season !== undefined;
+        var hasStart = item.episodeStart !== null && item.episodeStart !== undefined;
+        var hasEnd = item.episodeEnd !== null && item.episodeEnd !== undefined;
+        var provider = findUniverseProvider(item.providerName);
+        
+        if (!item.providerId) {
+            warnings.push('Provider ID is missing');
+        } else if (provider && provider.idPattern && !new RegExp(provider.idPattern, 'i').test(item.providerId)) {
+            warnings.push(provider.displayName + ' IDs look like ' + provider.exampleId);
+        }
+        
+        if (!provider) {
+            warnings.push('Unknown provider "' + item.providerName + '" - this item will never match');
+        } else if (UNIVERSE_ITEM_TYPES.indexOf(item.type) !== -1 && !providerSupportsType(provider, item.type)) {
+            warnings.push(provider.displayName + ' has no IDs for ' + item.type + ' items - this item will never match');
+        }
+        
+        Object.keys(item.alternateIds || {}).forEach(function(alternateName) {
+            if (!findUniverseProvider(alternateName)) {
+                warnings.push('Unknown provider "' + alternateName + '" in the alternate IDs - it is ignored');
+            }
+        });
+        if (UNIVERSE_ITEM_TYPES.indexOf(item.type) === -1) {
+            warnings.push('Unknown type "' + item.type + '"');
+        }
+        
+        if (item.type === 'movie') {
+            if (hasSeason || hasStart || hasEnd) {
+                warnings.push('A movie has no seasons - the season and episode numbers are ignored');
+            }
+        } else {
+            if (item.type === 'season' && !hasSeason) {
+                warnings.push('Pick a season number, or change the type to series');
+            }
+            if ((hasStart || hasEnd) && !hasSeason) {
+                warnings.push('Episode numbers need a season');
+            }
+            if (hasStart && hasEnd && item.episodeEnd < item.episodeStart) {
+                warnings.push('The last episode comes before the first');
+            }
+        }
+        
+        if (item.providerId) {
+            var duplicateKey = getUniverseItemDetailsKey(item) + ':' + (item.type === 'movie' ? '' : formatEpisodeScope(item));
+            if (seen[duplicateKey] !== undefined) {
+                warnings.push('Duplicate of item ' + (seen[duplicateKey] + 1));
+            } else {
+                seen[duplicateKey] = index;
+            }
+        }
+        
+        return warnings;
+    });
+}
+
+// Show the current warnings under each row
+function updateUniverseEditorWarnings() {
+    var allWarnings = getUniverseItemWarnings(universeEditorData.items);
+    
+    allWarnings.forEach(function(warnings, index) {
+        var warningsDiv = universeEditorRows[index].warnings;
+        warningsDiv.textContent = warnings.map(function(warning) {
+            return '⚠ ' + warning;
+        }).join('  ');
+        warningsDiv.style.display = warnings.length > 0 ? 'block' : 'none';
+    });
+}
+
+// Look up titles and posters for items not seen yet; each title is requested once
+function loadUniverseEditorDetails() {
+    var pending = [];
+    var pendingKeys = [];
+    
+    universeEditorData.items.forEach(function(item) {
+        var key = getUniverseItemDetailsKey(item);
+        if (item.providerId && item.type && !(key in universeEditorDetails)) {
+            universeEditorDetails[key] = null;
+            pending.push(toTimelineItem(item));
+            pendingKeys.push(key);
+        }
+    });
+    
+    updateUniverseEditorDetailsView();
+    
+    if (pending.length === 0) {
+        return;
+    }
+    
+    var apiKey = ApiClient.accessToken();
+    
+    fetch(ApiClient.getUrl('/Timeline/Matching/Expand?includeDetails=true'), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': apiKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(pending)
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(results) {
+        results.forEach(function(result) {
+            universeEditorDetails[pendingKeys[result.index]] = result;
+        });
+        if (universeEditorData) {
+            updateUniverseEditorDetailsView();
+        }
+    })
+    .catch(function(error) {
+        console.error('Error looking up universe item titles:', error);
+        // Allow another attempt the next time the rows change
+        pendingKeys.forEach(function(key) {
+            delete universeEditorDetails[key];
+        });
+        if (universeEditorData) {
+            updateUniverseEditorDetailsView();
+        }
+    });
+}
+
+// Show the known titles and posters in the rows
+function updateUniverseEditorDetailsView() {
+    universeEditorData.items.forEach(function(item, index) {
+        var row = universeEditorRows[index];
+        if (!row) {
+            return;
+        }
+        
+        var key = getUniverseItemDetailsKey(item);
+        var details = universeEditorDetails[key];
+        var scopeLabel = item.type === 'movie' ? '' : formatEpisodeScope(item);
+        var titleText;
+        
+        if (!item.providerId) {
+            titleText = 'New item';
+        } else if (details === null) {
+            titleText = 'Looking up...';
+        } else if (details && details.title) {
+            titleText = details.title;
+            if (details.titleMatchConfidence) {
+                titleText += ' (matched by title, ' + details.titleMatchConfidence + '% - check it)';
+            }
+        } else {
+            titleText = 'Unknown title';
+        }
+        
+        if (scopeLabel) {
+            titleText += ' • ' + scopeLabel;
+        }
+        row.title.textContent = titleText;
+        
+        var posterSrc = '';
+        if (details && details.imageItemId) {
+            posterSrc = ApiClient.getUrl('/Items/' + details.imageItemId + '/Images/Primary?maxHeight=120');
+        } else if (details && details.posterUrl) {
+            posterSrc = details.posterUrl;
+        }
+        
+        if (posterSrc) {
+            if (row.poster.getAttribute('src') !== posterSrc) {
+                row.poster.src = posterSrc;
+            }
+            row.poster.style.visibility = 'visible';
+        } else {
+            row.poster.removeAttribute('src');
+            row.poster.style.visibility = 'hidden';
+        }
+    });
+}
+
+// Function to delete a universe
+function deleteUniverse(filename, universeName) {
+    if (!confirm('Are you sure you want to delete universe "' + universeName + '"?\n\nThis will delete the file: ' + filename + '\nYou can restore it later from "Deleted Universes".')) {
+        return;
+    }
+    
+    try {
+        var apiKey = ApiClient.accessToken();
+        
+        fetch(ApiClient.getUrl('/Timeline/Universes/' + filename), {
+            method: 'DELETE',
+            headers: {
+                'X-Emby-Token': apiKey
+            }
+        })
+        .then(function(response) {
+            return response.json();
+        })
+        .then(function(result) {
+            if (result.success) {
+                alert('Universe "' + universeName + '" deleted successfully!');
+                
+                // Remove from selected universes if it was selected
+                var index = selectedUniverses.indexOf(filename);
+                if (index !== -1) {
+                    selectedUniverses.splice(index, 1);
+                }
+                
+                loadUniverses(); // Reload the list
+            } else {
+                alert('Failed to delete universe: ' + (result.error || result.message || 'Unknown error'));
+            }
+        })
+        .catch(function(error) {
+            alert('Error deleting universe: ' + error.message);
+        });
+    } catch (error) {
+        alert('Error deleting universe: ' + error.message);
+    }
+}
+
+// Function to select all universes
+function selectAll() {
+    var checkboxes = document.querySelectorAll('.universe-checkbox');
+    selectedUniverses = [];
+    checkboxes.forEach(function(checkbox) {
+        checkbox.checked = true;
+        selectedUniverses.push(checkbox.dataset.filename);
+    });
+    console.log('Selected all universes:', selectedUniverses);
+}
+
+// Function to deselect all universes
+function deselectAll() {
+    var checkboxes = document.querySelectorAll('.universe-checkbox');
+    checkboxes.forEach(function(checkbox) {
+        checkbox.checked = false;
+    });
+    selectedUniverses = [];
+    console.log('Deselected all universes');
+}
+
+// Update createPlaylists function to use selected universes
+function createPlaylistsForSelected() {
+    console.log('Create playlists for selected universes');
+    
+    var createBtn = document.getElementById('createPlaylistsBtn');
+    var statusMessage = document.getElementById('statusMessage');
+    var outputBox = document.getElementById('outputBox');
+    var errorBox = document.getElementById('errorBox');
+    
+    // Hide previous messages
+    statusMessage.style.display = 'none';
+    outputBox.style.display = 'none';
+    errorBox.style.display = 'none';
+    
+    // Show loading state
+    createBtn.disabled = true;
+    createBtn.textContent = 'Creating...';
+    
+    statusMessage.style.display = 'block';
+    statusMessage.style.background = '#1c4966';
+    statusMessage.style.color = '#fff';
+    statusMessage.textContent = 'Creating playlists for selected universes...';
+    
+    try {
+        var apiKey = ApiClient.accessToken();
+        var userId = ApiClient.getCurrentUserId();
+        
+        if (!apiKey || !userId) {
+            throw new Error('Not authenticated. Please log in first.');
+        }
+        
+        // Prepare request body with selected universes and, per universe, the orderings to create playlists for
+        var requestBody = {
+            selectedOrderings: getSelectedOrderings()
+        };
+        if (selectedUniverses.length > 0) {
+            requestBody.selectedUniverseFilenames = selectedUniverses;
+        }
+        
+        console.log('Creating playlists with request:', requestBody);
+        
+        fetch(ApiClient.getUrl('/Timeline/CreatePlaylists?userId=' + userId), {
+            method: 'POST',
+            headers: {
+                'X-Emby-Token': apiKey,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(requestBody)
         })
         .then(function(response) {
             return response.json();
@@ -718,6 +1923,12 @@ function createPlaylistsForSelected() {
                 statusMessage.style.color = '#fff';
                 statusMessage.textContent = data.message || 'Playlists created successfully!';
                 
+                // Show what happened to each universe's playlist
+                if (data.playlists && data.playlists.length > 0) {
+                    outputBox.style.display = 'block';
+                    outputBox.textContent = formatPlaylistResults(data.playlists);
+                }
+                
                 setTimeout(function() {
                     loadPlaylists();
                 }, 1000);
@@ -760,993 +1971,4779 @@ function createPlaylistsForSelected() {
     }
 }
 
-// Initialize universe management on page load
-setTimeout(function() {
-    loadUniverses();
+// Format per-universe playlist results ("created", "updated" or "unchanged") for display
+function formatPlaylistResults(playlists) {
+    return playlists.map(function(playlist) {
+        var line = playlist.name + ': ' + playlist.action + ' (' + playlist.itemsAdded + ' items';
+        if (playlist.itemsMissing > 0) {
+            line += ', ' + playlist.itemsMissing + ' missing';
+        }
+        line += ')';
+        (playlist.titleMatches || []).forEach(function(match) {
+            line += '\n  Matched by title, check it: ' + formatTitleMatch(match);
+        });
+        return line;
+    }).join('\n');
+}
+
+// Describe an item found by title, e.g. "#4 Iron Man (2008) → Iron Man (2008) in library, 94%"
+function formatTitleMatch(match) {
+    var title = match.title + (match.scope ? ' ' + match.scope : '');
+    return '#' + (match.index + 1) + ' ' + title + ' → ' + match.libraryTitle + ' in library, ' + match.confidence + '%';
+}
+
+// ===== LIBRARY COVERAGE =====
+
+var lastCoverageReports = [];
+
+// Fetch coverage reports for the selected universes (all if none selected) and render them
+function checkCoverage() {
+    var checkBtn = document.getElementById('checkCoverageBtn');
+    var exportBtn = document.getElementById('exportMissingBtn');
+    var container = document.getElementById('coverageResults');
+    var apiKey = ApiClient.accessToken();
     
-    // Select All button
-    var selectAllBtn = document.getElementById('selectAllBtn');
-    if (selectAllBtn) {
-        selectAllBtn.addEventListener('click', selectAll);
-    }
+    checkBtn.disabled = true;
+    checkBtn.textContent = 'Checking...';
+    exportBtn.disabled = true;
+    container.innerHTML = '<div class="fieldDescription">Matching universes against your library...</div>';
     
-    // Deselect All button
-    var deselectAllBtn = document.getElementById('deselectAllBtn');
-    if (deselectAllBtn) {
-        deselectAllBtn.addEventListener('click', deselectAll);
-    }
+    var query = selectedUniverses.map(function(filename) {
+        return 'filenames=' + encodeURIComponent(filename);
+    }).join('&');
     
-    // Refresh Universes button
-    var refreshUniversesBtn = document.getElementById('refreshUniversesBtn');
-    if (refreshUniversesBtn) {
-        refreshUniversesBtn.addEventListener('click', loadUniverses);
-    }
+    fetch(ApiClient.getUrl('/Timeline/Matching/Coverage') + (query ? '?' + query : ''), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(reports) {
+        checkBtn.disabled = false;
+        checkBtn.textContent = 'Check Coverage';
+        
+        lastCoverageReports = reports;
+        exportBtn.disabled = !reports.some(function(report) {
+            return report.missing && report.missing.length > 0;
+        });
+        
+        renderCoverageReports(reports);
+    })
+    .catch(function(error) {
+        console.error('Error checking coverage:', error);
+        checkBtn.disabled = false;
+        checkBtn.textContent = 'Check Coverage';
+        container.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        container.firstChild.textContent = 'Error checking coverage: ' + error.message;
+    });
+}
+
+// Render one coverage card per universe
+function renderCoverageReports(reports) {
+    var container = document.getElementById('coverageResults');
+    container.innerHTML = '';
     
-    // Save Universe button
-    var saveUniverseBtn = document.getElementById('saveUniverseBtn');
-    if (saveUniverseBtn) {
-        saveUniverseBtn.addEventListener('click', saveUniverse);
-    }
-    
-    // Cancel Edit button
-    var cancelEditBtn = document.getElementById('cancelEditBtn');
-    if (cancelEditBtn) {
-        cancelEditBtn.addEventListener('click', cancelEdit);
+    if (!reports || reports.length === 0) {
+        container.innerHTML = '<div class="fieldDescription">No universes found.</div>';
+        return;
     }
     
-    // Update Create Playlists button to use selected universes
-    var createBtn = document.getElementById('createPlaylistsBtn');
-    if (createBtn) {
-        // Remove old event listener by replacing the button
-        var newCreateBtn = createBtn.cloneNode(true);
-        createBtn.parentNode.replaceChild(newCreateBtn, createBtn);
+    reports.forEach(function(report) {
+        var card = document.createElement('div');
+        card.className = 'paperList';
+        card.style.padding = '1em';
+        card.style.border = '1px solid #333';
+        card.style.marginBottom = '0.5em';
         
-        newCreateBtn.addEventListener('click', createPlaylistsForSelected);
-    }
-}, 500);
-
-// ===== PLAYLIST CREATOR =====
+        var name = document.createElement('div');
+        name.style.fontWeight = '500';
+        name.textContent = report.name || report.filename;
+        card.appendChild(name);
+        
+        if (report.error) {
+            var error = document.createElement('div');
+            error.className = 'fieldDescription';
+            error.style.color = '#ff6b6b';
+            error.textContent = report.error;
+            card.appendChild(error);
+            container.appendChild(card);
+            return;
+        }
+        
+        var summary = document.createElement('div');
+        summary.className = 'fieldDescription';
+        summary.textContent = report.foundItems + ' of ' + report.totalItems + ' items found (' + report.coveragePercent + '%), ' +
+            report.missingItems + ' missing • ' + report.playlistItemCount + ' playlist entries';
+        card.appendChild(summary);
+        
+        // Coverage bar
+        var bar = document.createElement('div');
+        bar.style.height = '6px';
+        bar.style.background = '#5a1a1a';
+        bar.style.borderRadius = '3px';
+        bar.style.margin = '0.5em 0';
+        bar.style.overflow = 'hidden';
+        
+        var fill = document.createElement('div');
+        fill.style.height = '100%';
+        fill.style.width = report.coveragePercent + '%';
+        fill.style.background = report.coveragePercent >= 100 ? '#1e5631' : '#00a4dc';
+        bar.appendChild(fill);
+        card.appendChild(bar);
+        
+        if (report.missing && report.missing.length > 0) {
+            var details = document.createElement('details');
+            
+            var detailsSummary = document.createElement('summary');
+            detailsSummary.style.cursor = 'pointer';
+            detailsSummary.textContent = 'Missing titles (' + report.missing.length + ')';
+            details.appendChild(detailsSummary);
+            
+            var list = document.createElement('ul');
+            list.style.margin = '0.5em 0 0 0';
+            report.missing.forEach(function(item) {
+                var entry = document.createElement('li');
+                entry.className = 'fieldDescription';
+                entry.textContent = '#' + (item.index + 1) + ' ' + formatMissingItem(item);
+                list.appendChild(entry);
+            });
+            details.appendChild(list);
+            card.appendChild(details);
+        }
+        
+        if (report.titleMatches && report.titleMatches.length > 0) {
+            var matchDetails = document.createElement('details');
+            
+            var matchSummary = document.createElement('summary');
+            matchSummary.style.cursor = 'pointer';
+            matchSummary.style.color = '#ffb74d';
+            matchSummary.textContent = 'Matched by title - check these (' + report.titleMatches.length + ')';
+            matchDetails.appendChild(matchSummary);
+            
+            var matchList = document.createElement('ul');
+            matchList.style.margin = '0.5em 0 0 0';
+            report.titleMatches.forEach(function(match) {
+                var entry = document.createElement('li');
+                entry.className = 'fieldDescription';
+                entry.textContent = formatTitleMatch(match);
+                matchList.appendChild(entry);
+            });
+            matchDetails.appendChild(matchList);
+            card.appendChild(matchDetails);
+        }
+        
+        container.appendChild(card);
+    });
+}
 
-var PlaylistCreatorUI = {
-    currentPlaylist: {
-        key: '',
-        name: '',
-        items: []
-    },
-    isEditing: false,
-    originalFilename: null,
-    searchTimeout: null,
-    currentSearchSource: 'jellyfin' // Default to Jellyfin Library
-};
+// Describe a missing item, e.g. "Iron Man (2008) - movie, tmdb:1726" or "Loki S2 - season, tmdb:84958"
+function formatMissingItem(item) {
+    var title = item.title || 'Unknown title';
+    if (item.scope) {
+        title += ' ' + item.scope;
+    }
+    return title + ' - ' + item.type + ', ' + item.providerName + ':' + item.providerId;
+}
 
-// Set search source (jellyfin or tmdb)
-function setSearchSource(source) {
-    console.log('Setting search source to:', source);
-    
-    PlaylistCreatorUI.currentSearchSource = source;
+// Download the missing items of the last coverage check as a CSV file
+function exportMissingList() {
+    var rows = [['Universe', 'Position', 'Title', 'Type', 'Season/Episodes', 'Provider', 'Provider ID']];
     
-    // Update button styles
-    var buttons = document.querySelectorAll('.search-source-toggle');
-    buttons.forEach(function(button) {
-        if (button.dataset.source === source) {
-            button.classList.add('active');
-            button.style.background = source === 'jellyfin' ? '#00a4dc' : '#01b4e4';
-        } else {
-            button.classList.remove('active');
-            button.style.background = '#2a2a2a';
-        }
+    lastCoverageReports.forEach(function(report) {
+        (report.missing || []).forEach(function(item) {
+            rows.push([
+                report.name || report.filename,
+                item.index + 1,
+                item.title || '',
+                item.type,
+                item.scope || '',
+                item.providerName,
+                item.providerId
+            ]);
+        });
     });
     
-    // Update indicator text
-    var indicator = document.getElementById('searchSourceIndicator');
-    if (indicator) {
-        indicator.innerHTML = 'Searching in: <strong>' + (source === 'jellyfin' ? 'Jellyfin Library' : 'TMDB') + '</strong>';
-    }
-    
-    // Clear search results when source changes
-    var searchResults = document.getElementById('searchResults');
-    if (searchResults) {
-        searchResults.style.display = 'none';
-        searchResults.innerHTML = '';
-    }
+    var csv = rows.map(function(row) {
+        return row.map(function(value) {
+            var text = String(value);
+            return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        }).join(',');
+    }).join('\n');
     
-    // Clear search input
-    var searchInput = document.getElementById('contentSearchInput');
-    if (searchInput) {
-        searchInput.value = '';
+    downloadFile(csv, 'timeline-missing-items.csv', 'text/csv');
+}
+
+// Offer text content as a file download
+function downloadFile(content, filename, mimeType) {
+    var blob = new Blob([content], { type: mimeType });
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() {
+        URL.revokeObjectURL(link.href);
+    }, 1000);
+}
+
+// ===== LIBRARY INDEX =====
+
+// Read a lookup statistic whether the server sends the key as-is ("LastBuilt") or camel-cased ("lastBuilt")
+function getIndexStatistic(statistics, name) {
+    if (name in statistics) {
+        return statistics[name];
     }
+    return statistics[name.charAt(0).toLowerCase() + name.slice(1)];
 }
 
-// Search TMDB for movies
-function searchTmdbMovies(query, limit) {
+// Fetch the lookup index status, or rebuild the index first
+function loadLibraryIndexStatus(rebuild) {
+    var container = document.getElementById('libraryIndexStatus');
+    var rebuildBtn = document.getElementById('rebuildLibraryIndexBtn');
     var apiKey = ApiClient.accessToken();
     
-    return fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Movies?query=' + encodeURIComponent(query) + '&limit=' + limit), {
+    if (rebuild) {
+        rebuildBtn.disabled = true;
+        rebuildBtn.textContent = 'Rebuilding...';
+        container.innerHTML = '<div class="fieldDescription">Reading your whole library, this can take a while on large libraries...</div>';
+    }
+    
+    fetch(ApiClient.getUrl(rebuild ? '/Timeline/Matching/Index/Rebuild' : '/Timeline/Matching/Index'), {
+        method: rebuild ? 'POST' : 'GET',
         headers: {
             'X-Emby-Token': apiKey
         }
     })
     .then(function(response) {
         if (!response.ok) {
-            throw new Error('TMDB movie search failed: ' + response.statusText);
+            throw new Error('HTTP ' + response.status);
         }
         return response.json();
     })
-    .then(function(data) {
-        return data.results || [];
+    .then(function(statistics) {
+        rebuildBtn.disabled = false;
+        rebuildBtn.textContent = 'Rebuild Index';
+        renderLibraryIndexStatus(statistics);
+    })
+    .catch(function(error) {
+        console.error('Error loading library index status:', error);
+        rebuildBtn.disabled = false;
+        rebuildBtn.textContent = 'Rebuild Index';
+        container.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        container.firstChild.textContent = 'Error loading index status: ' + error.message;
     });
 }
 
-// Search TMDB for TV shows
-function searchTmdbTvShows(query, limit) {
-    var apiKey = ApiClient.accessToken();
+// Show when the index was built and updated, how many changes are waiting and how much it holds
+function renderLibraryIndexStatus(statistics) {
+    var container = document.getElementById('libraryIndexStatus');
+    container.innerHTML = '';
     
-    return fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Tv?query=' + encodeURIComponent(query) + '&limit=' + limit), {
-        headers: {
-            'X-Emby-Token': apiKey
+    var status = document.createElement('div');
+    status.className = 'fieldDescription';
+    
+    if (!getIndexStatistic(statistics, 'IsBuilt')) {
+        status.textContent = 'Not loaded yet. The saved index is loaded (or, without one, built from the library) the first time playlists are created or a check runs.';
+        container.appendChild(status);
+        return;
+    }
+    
+    var lines = [
+        'Built: ' + new Date(getIndexStatistic(statistics, 'LastBuilt')).toLocaleString() +
+            ' (took ' + getIndexStatistic(statistics, 'LastBuildSeconds') + 's)',
+        'Last updated: ' + new Date(getIndexStatistic(statistics, 'LastUpdated')).toLocaleString() +
+            ' • ' + getIndexStatistic(statistics, 'IncrementalUpdates') + ' item(s) updated since the build',
+        'Pending changes: ' + getIndexStatistic(statistics, 'PendingChanges') + ' (applied on the next run)',
+        getIndexStatistic(statistics, 'LoadedFromDisk')
+            ? 'Loaded from disk at ' + new Date(getIndexStatistic(statistics, 'LoadedAt')).toLocaleString() + ' instead of being rebuilt'
+            : 'Built from the library since the server started',
+        getIndexStatistic(statistics, 'LastSaved')
+            ? 'Saved to disk: ' + new Date(getIndexStatistic(statistics, 'LastSaved')).toLocaleString()
+            : 'Not saved to disk yet',
+        'Indexed: ' + getIndexStatistic(statistics, 'TotalItemsIndexed') + ' items with provider IDs, ' +
+            getIndexStatistic(statistics, 'SeriesWithEpisodesCount') + ' series with episodes, ' +
+            getIndexStatistic(statistics, 'TitleCount') + ' unidentified titles'
+    ];
+    
+    // Per-provider counts, e.g. "Tmdb: 1200 movies, 80 shows, 4000 episodes"
+    var providerCounts = [];
+    Object.keys(statistics).forEach(function(key) {
+        var match = /^(.+)MovieCount$/i.exec(key);
+        if (!match) {
+            return;
         }
-    })
-    .then(function(response) {
-        if (!response.ok) {
-            throw new Error('TMDB TV search failed: ' + response.statusText);
+        var provider = match[1];
+        var movies = statistics[key];
+        var shows = statistics[provider + 'ShowCount'] || 0;
+        var episodes = statistics[provider + 'EpisodeCount'] || 0;
+        if (movies || shows || episodes) {
+            providerCounts.push(provider + ': ' + movies + ' movies, ' + shows + ' shows, ' + episodes + ' episodes');
         }
-        return response.json();
-    })
-    .then(function(data) {
-        return data.results || [];
     });
+    if (providerCounts.length > 0) {
+        lines.push(providerCounts.join(' • '));
+    }
+    
+    lines.forEach(function(line) {
+        var row = document.createElement('div');
+        row.textContent = line;
+        status.appendChild(row);
+    });
+    container.appendChild(status);
 }
 
-// Search TMDB for both movies and TV shows
-function searchTmdbContent(query, limit) {
-    return Promise.all([
-        searchTmdbMovies(query, limit),
-        searchTmdbTvShows(query, limit)
-    ])
-    .then(function(results) {
-        var movies = results[0];
-        var tvShows = results[1];
-        
-        // Tag all results with source: 'tmdb'
-        var allResults = [];
-        
-        movies.forEach(function(movie) {
-            movie.source = 'tmdb';
-            allResults.push(movie);
+setTimeout(function() {
+    var refreshIndexBtn = document.getElementById('refreshLibraryIndexBtn');
+    if (refreshIndexBtn) {
+        refreshIndexBtn.addEventListener('click', function() {
+            loadLibraryIndexStatus(false);
         });
-        
-        tvShows.forEach(function(tvShow) {
-            tvShow.source = 'tmdb';
-            allResults.push(tvShow);
+    }
+    
+    var rebuildIndexBtn = document.getElementById('rebuildLibraryIndexBtn');
+    if (rebuildIndexBtn) {
+        rebuildIndexBtn.addEventListener('click', function() {
+            if (confirm('Rebuild the library index from scratch? This reads your whole library again.')) {
+                loadLibraryIndexStatus(true);
+            }
         });
-        
-        return allResults;
-    });
-}
+        loadLibraryIndexStatus(false);
+    }
+}, 500);
 
-// Initialize new playlist
-function initializeNewPlaylist() {
-    PlaylistCreatorUI.currentPlaylist = {
-        key: '',
-        name: '',
-        items: []
-    };
-    PlaylistCreatorUI.isEditing = false;
-    PlaylistCreatorUI.originalFilename = null;
+// ===== HEALTH CHECK =====
+
+// Confidence (0-100) from which a proposed fix is ticked by default
+var HEALTH_AUTO_SELECT_CONFIDENCE = 90;
+
+// Run the health check for the selected universes (all if none selected) and render the proposals
+function runHealthCheck() {
+    var runBtn = document.getElementById('runHealthCheckBtn');
+    var container = document.getElementById('healthCheckResults');
     
-    document.getElementById('playlistKey').value = '';
-    document.getElementById('playlistName').value = '';
-    document.getElementById('playlistKey').disabled = false;
-    document.getElementById('contentSearchInput').value = '';
-    document.getElementById('keyValidationError').style.display = 'none';
-    document.getElementById('nameValidationError').style.display = 'none';
-    document.getElementById('playlistStatusMessage').style.display = 'none';
-    document.getElementById('searchResults').style.display = 'none';
-    document.getElementById('createJellyfinPlaylistBtn').disabled = true;
+    runBtn.disabled = true;
+    runBtn.textContent = 'Checking...';
+    container.innerHTML = '<div class="fieldDescription">Searching your library for missing items...</div>';
     
-    renderItemsList();
+    var query = selectedUniverses.map(function(filename) {
+        return 'filenames=' + encodeURIComponent(filename);
+    }).join('&');
     
-    document.getElementById('playlistCreatorForm').style.display = 'block';
-    document.getElementById('playlistCreatorForm').scrollIntoView({ behavior: 'smooth' });
-}
-
-// Validate playlist key
-function validatePlaylistKey(key) {
-    if (!key || key.trim() === '') {
-        return 'Playlist key is required';
-    }
-    if (/\s/.test(key)) {
-        return 'Playlist key cannot contain spaces';
-    }
-    if (!/^[a-zA-Z0-9-_]+$/.test(key)) {
-        return 'Playlist key can only contain letters, numbers, hyphens, and underscores';
-    }
-    return null;
+    fetch(ApiClient.getUrl('/Timeline/Health') + (query ? '?' + query : ''), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(reports) {
+        runBtn.disabled = false;
+        runBtn.textContent = 'Run Health Check';
+        renderHealthReports(reports);
+    })
+    .catch(function(error) {
+        console.error('Error running health check:', error);
+        runBtn.disabled = false;
+        runBtn.textContent = 'Run Health Check';
+        container.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        container.firstChild.textContent = 'Error running health check: ' + error.message;
+    });
 }
 
-// Validate playlist name
-function validatePlaylistName(name) {
-    if (!name || name.trim() === '') {
-        return 'Playlist name is required';
+// Render one card per universe with its proposed fixes
+function renderHealthReports(reports) {
+    var container = document.getElementById('healthCheckResults');
+    container.innerHTML = '';
+    
+    if (!reports || reports.length === 0) {
+        container.innerHTML = '<div class="fieldDescription">No universes found.</div>';
+        return;
     }
-    return null;
+    
+    reports.forEach(function(report) {
+        container.appendChild(createHealthReportCard(report));
+    });
 }
 
-// Perform search with debouncing
-function performSearch() {
-    var query = document.getElementById('contentSearchInput').value.trim();
-    var searchResults = document.getElementById('searchResults');
+// Create the card of one universe: proposals with checkboxes, an apply button and the unresolved items
+function createHealthReportCard(report) {
+    var card = document.createElement('div');
+    card.className = 'paperList';
+    card.style.padding = '1em';
+    card.style.border = '1px solid #333';
+    card.style.marginBottom = '0.5em';
     
-    if (PlaylistCreatorUI.searchTimeout) {
-        clearTimeout(PlaylistCreatorUI.searchTimeout);
-    }
+    var name = document.createElement('div');
+    name.style.fontWeight = '500';
+    name.textContent = report.name || report.filename;
+    card.appendChild(name);
     
-    if (!query) {
-        searchResults.style.display = 'none';
-        return;
+    if (report.error) {
+        var error = document.createElement('div');
+        error.className = 'fieldDescription';
+        error.style.color = '#ff6b6b';
+        error.textContent = report.error;
+        card.appendChild(error);
+        return card;
     }
     
-    PlaylistCreatorUI.searchTimeout = setTimeout(function() {
-        searchResults.innerHTML = '<div class="fieldDescription">Searching...</div>';
-        searchResults.style.display = 'block';
+    var summary = document.createElement('div');
+    summary.className = 'fieldDescription';
+    summary.textContent = report.missingItems === 0
+        ? 'All items match your library.'
+        : report.missingItems + ' missing • ' + report.proposals.length + ' fix' + (report.proposals.length === 1 ? '' : 'es') + ' proposed';
+    card.appendChild(summary);
+    
+    var checkboxes = [];
+    report.proposals.forEach(function(proposal) {
+        var row = document.createElement('label');
+        row.style.display = 'flex';
+        row.style.alignItems = 'flex-start';
+        row.style.gap = '0.5em';
+        row.style.marginTop = '0.5em';
         
-        var searchPromise;
+        var checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = proposal.confidence >= HEALTH_AUTO_SELECT_CONFIDENCE;
+        checkboxes.push({ checkbox: checkbox, proposal: proposal });
         
-        if (PlaylistCreatorUI.currentSearchSource === 'tmdb') {
-            // Search TMDB
-            searchPromise = searchTmdbContent(query, 10);
-        } else {
-            // Search Jellyfin Library
-            var apiKey = ApiClient.accessToken();
-            searchPromise = fetch(ApiClient.getUrl('/Timeline/Search?query=' + encodeURIComponent(query) + '&limit=10'), {
-                headers: {
-                    'X-Emby-Token': apiKey
-                }
-            })
-            .then(function(response) {
-                return response.json();
-            })
-            .then(function(data) {
-                // Tag Jellyfin results with source: 'jellyfin'
-                var results = data.results || [];
-                results.forEach(function(result) {
-                    result.source = 'jellyfin';
-                });
-                return results;
-            });
-        }
+        var text = document.createElement('div');
         
-        searchPromise
-            .then(function(results) {
-                renderSearchResults(results);
-            })
-            .catch(function(error) {
-                console.error('Search error:', error);
-                searchResults.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;">Error searching: ' + error.message + '</div>';
+        var change = document.createElement('div');
+        change.textContent = '#' + (proposal.index + 1) + ' ' + proposal.title + (proposal.scope ? ' ' + proposal.scope : '') +
+            ' • ' + proposal.providerName + ':' + proposal.providerId + ' → ' + proposal.newProviderName + ':' + proposal.newProviderId;
+        
+        var match = document.createElement('div');
+        match.className = 'fieldDescription';
+        match.textContent = 'Library: ' + proposal.libraryTitle + (proposal.libraryYear ? ' (' + proposal.libraryYear + ')' : '') +
+            ' • ' + proposal.confidence + '% match' + (proposal.titleSource === 'comment' ? ' • title taken from the item comment' :
+                proposal.titleSource === 'item' ? ' • title stored on the item' : '');
+        match.style.color = proposal.confidence >= HEALTH_AUTO_SELECT_CONFIDENCE ? '' : '#ffb74d';
+        
+        text.appendChild(change);
+        text.appendChild(match);
+        row.appendChild(checkbox);
+        row.appendChild(text);
+        card.appendChild(row);
+    });
+    
+    if (report.proposals.length > 0) {
+        var status = document.createElement('div');
+        status.style.marginTop = '0.5em';
+        status.style.padding = '0.5em';
+        status.style.borderRadius = '4px';
+        status.style.display = 'none';
+        
+        var applyBtn = document.createElement('button');
+        applyBtn.type = 'button';
+        applyBtn.className = 'emby-button raised';
+        applyBtn.style.marginTop = '0.75em';
+        applyBtn.textContent = 'Apply Selected Fixes';
+        applyBtn.onclick = function() {
+            var fixes = checkboxes.filter(function(entry) {
+                return entry.checkbox.checked;
+            }).map(function(entry) {
+                return entry.proposal;
             });
-    }, 300);
+            applyHealthFixes(report, fixes, applyBtn, status);
+        };
+        
+        card.appendChild(applyBtn);
+        card.appendChild(status);
+    }
+    
+    if (report.unresolved && report.unresolved.length > 0) {
+        var details = document.createElement('details');
+        details.style.marginTop = '0.5em';
+        
+        var detailsSummary = document.createElement('summary');
+        detailsSummary.style.cursor = 'pointer';
+        detailsSummary.textContent = 'No match in the library (' + report.unresolved.length + ')';
+        details.appendChild(detailsSummary);
+        
+        var list = document.createElement('ul');
+        list.style.margin = '0.5em 0 0 0';
+        report.unresolved.forEach(function(item) {
+            var entry = document.createElement('li');
+            entry.className = 'fieldDescription';
+            entry.textContent = '#' + (item.index + 1) + ' ' + formatMissingItem(item);
+            list.appendChild(entry);
+        });
+        details.appendChild(list);
+        card.appendChild(details);
+    }
+    
+    return card;
 }
 
-// Render search results
-function renderSearchResults(results) {
-    var searchResults = document.getElementById('searchResults');
-    
-    if (!results || results.length === 0) {
-        searchResults.innerHTML = '<div class="fieldDescription">No results found</div>';
+// Send the accepted fixes of one universe and report the result in its card
+function applyHealthFixes(report, proposals, applyBtn, status) {
+    if (proposals.length === 0) {
+        alert('Select at least one fix to apply');
         return;
     }
     
-    searchResults.innerHTML = '';
-    var container = document.createElement('div');
-    container.style.display = 'grid';
-    container.style.gap = '0.5em';
-    container.style.maxHeight = '300px';
-    container.style.overflowY = 'auto';
-    container.style.border = '1px solid #333';
-    container.style.borderRadius = '4px';
-    container.style.padding = '0.5em';
+    var request = {
+        filename: report.filename,
+        fixes: proposals.map(function(proposal) {
+            return {
+                index: proposal.index,
+                providerName: proposal.providerName,
+                providerId: proposal.providerId,
+                newProviderName: proposal.newProviderName,
+                newProviderId: proposal.newProviderId
+            };
+        })
+    };
     
-    results.forEach(function(result) {
-        var card = document.createElement('div');
-        card.className = 'paperList';
-        card.style.padding = '0.75em';
-        card.style.cursor = 'pointer';
-        card.style.border = '1px solid #444';
-        card.style.borderRadius = '4px';
-        
-        card.onmouseover = function() {
-            this.style.background = '#2a2a2a';
-        };
-        card.onmouseout = function() {
-            this.style.background = '';
-        };
-        
-        // Add source badge
-        var sourceBadge = document.createElement('span');
-        sourceBadge.style.display = 'inline-block';
-        sourceBadge.style.padding = '0.2em 0.5em';
-        sourceBadge.style.borderRadius = '3px';
-        sourceBadge.style.fontSize = '0.85em';
-        sourceBadge.style.fontWeight = 'bold';
-        sourceBadge.style.marginRight = '0.5em';
+    applyBtn.disabled = true;
+    applyBtn.textContent = 'Applying...';
+    
+    fetch(ApiClient.getUrl('/Timeline/Health/Fix'), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken(),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(request)
+    })
+    .then(function(response) {
+        return response.json();
+    })
+    .then(function(result) {
+        applyBtn.textContent = 'Apply Selected Fixes';
+        applyBtn.disabled = result.applied > 0;
         
-        if (result.source === 'tmdb') {
-            sourceBadge.style.background = '#01b4e4';
-            sourceBadge.style.color = 'white';
-            sourceBadge.textContent = '🎬 TMDB';
-        } else {
-            sourceBadge.style.background = '#00a4dc';
-            sourceBadge.style.color = 'white';
-            sourceBadge.textContent = '📁 Jellyfin';
+        var message = result.applied + ' item' + (result.applied === 1 ? '' : 's') + ' updated in ' + report.filename;
+        if (result.errors && result.errors.length > 0) {
+            message += '. ' + result.errors.join('; ');
         }
-        
-        var title = document.createElement('div');
-        title.style.fontWeight = '500';
-        title.appendChild(sourceBadge);
-        
-        var titleText = document.createElement('span');
-        titleText.textContent = result.title + (result.year ? ' (' + result.year + ')' : '');
-        title.appendChild(titleText);
-        
-        var details = document.createElement('div');
-        details.className = 'fieldDescription';
-        var detailsText = result.type;
-        if (result.type === 'Episode' && result.seriesName) {
-            detailsText += ' - ' + result.seriesName;
-            if (result.seasonNumber) {
-                detailsText += ' S' + result.seasonNumber;
-            }
+        status.textContent = message;
+        status.style.background = result.success ? '#1e5631' : '#5a1a1a';
+        status.style.color = result.success ? '#fff' : '#ff6b6b';
+        status.style.display = 'block';
+    })
+    .catch(function(error) {
+        applyBtn.disabled = false;
+        applyBtn.textContent = 'Apply Selected Fixes';
+        status.textContent = 'Error applying fixes: ' + error.message;
+        status.style.background = '#5a1a1a';
+        status.style.color = '#ff6b6b';
+        status.style.display = 'block';
+    });
+}
+
+setTimeout(function() {
+    var runHealthCheckBtn = document.getElementById('runHealthCheckBtn');
+    if (runHealthCheckBtn) {
+        runHealthCheckBtn.addEventListener('click', runHealthCheck);
+    }
+}, 500);
+
+// ===== WATCH PROGRESS =====
+
+// Symbol and color of each entry status
+var WATCH_STATUS_STYLES = {
+    watched: { symbol: '✓', color: '#4caf50', label: 'Watched' },
+    inProgress: { symbol: '◐', color: '#ffb74d', label: 'In progress' },
+    unwatched: { symbol: '○', color: '', label: 'Unwatched' },
+    missing: { symbol: '✗', color: '#ff6b6b', label: 'Not in library' }
+};
+
+// Fill the user picker, starting with the signed-in user
+function loadWatchProgressUsers() {
+    var select = document.getElementById('watchProgressUser');
+    
+    fetch(ApiClient.getUrl('/Users'), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
         }
-        if (result.providerIds) {
-            if (result.providerIds.tmdb) {
-                detailsText += ' • TMDB: ' + result.providerIds.tmdb;
-            }
-            if (result.providerIds.imdb) {
-                detailsText += ' • IMDB: ' + result.providerIds.imdb;
-            }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
         }
-        details.textContent = detailsText;
-        
-        card.appendChild(title);
-        card.appendChild(details);
-        
-        card.onclick = function() {
-            selectSearchResult(result);
-        };
-        
-        container.appendChild(card);
+        return response.json();
+    })
+    .then(function(users) {
+        var currentUserId = normalizeItemId(ApiClient.getCurrentUserId());
+        select.innerHTML = '';
+        users.forEach(function(user) {
+            var option = document.createElement('option');
+            option.value = user.Id;
+            option.textContent = user.Name;
+            option.selected = normalizeItemId(user.Id) === currentUserId;
+            select.appendChild(option);
+        });
+    })
+    .catch(function(error) {
+        console.error('Error loading users:', error);
     });
-    
-    searchResults.appendChild(container);
 }
 
-// Select search result and add to playlist
-function selectSearchResult(result) {
-    var season = null;
-    var providerId = null;
-    var providerName = null;
-    var itemType = null;
+// Fetch the progress of the picked user for the selected universes (all if none selected)
+function loadWatchProgress() {
+    var loadBtn = document.getElementById('loadWatchProgressBtn');
+    var container = document.getElementById('watchProgressResults');
+    var userId = document.getElementById('watchProgressUser').value;
     
-    // Handle TMDB items
-    if (result.source === 'tmdb') {
-        // For TMDB items, the providerId is directly in the result
-        providerId = result.providerIds && result.providerIds.tmdb ? result.providerIds.tmdb : null;
-        providerName = 'tmdb';
-        
-        // Determine type based on result.type
-        if (result.type === 'Movie') {
-            itemType = 'movie';
-        } else if (result.type === 'Series' || result.type === 'Episode') {
-            itemType = 'episode';
-            
-            // Prompt for season number for TV shows
-            var seasonInput = prompt('Enter season number for this TV show:', '1');
-            if (seasonInput === null) {
-                return; // User cancelled
-            }
-            season = parseInt(seasonInput);
-            if (isNaN(season) || season < 1) {
-                alert('Invalid season number');
-                return;
-            }
+    var query = selectedUniverses.map(function(filename) {
+        return 'filenames=' + encodeURIComponent(filename);
+    });
+    if (userId) {
+        query.push('userId=' + encodeURIComponent(userId));
+    }
+    
+    loadBtn.disabled = true;
+    container.innerHTML = '<div class="fieldDescription">Loading progress...</div>';
+    
+    fetch(ApiClient.getUrl('/Timeline/Progress') + (query.length > 0 ? '?' + query.join('&') : ''), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
         }
+        return response.json();
+    })
+    .then(function(reports) {
+        loadBtn.disabled = false;
+        container.innerHTML = '';
         
-        if (!providerId) {
-            alert('This TMDB item has no ID and cannot be added to the playlist');
+        if (!reports || reports.length === 0) {
+            container.innerHTML = '<div class="fieldDescription">No universes found.</div>';
             return;
         }
-    } else {
-        // Handle Jellyfin items (existing logic)
-        if (result.type === 'Episode') {
-            var seasonInput = prompt('Enter season number for this episode:', result.seasonNumber || '1');
-            if (seasonInput === null) {
-                return; // User cancelled
-            }
-            season = parseInt(seasonInput);
-            if (isNaN(season) || season < 1) {
-                alert('Invalid season number');
-                return;
-            }
+        
+        reports.forEach(function(report) {
+            container.appendChild(createWatchProgressCard(report));
+        });
+    })
+    .catch(function(error) {
+        console.error('Error loading watch progress:', error);
+        loadBtn.disabled = false;
+        container.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        container.firstChild.textContent = 'Error loading progress: ' + error.message;
+    });
+}
+
+// Reload one card for another ordering of its universe
+function switchWatchProgressOrdering(card, report, orderingKey) {
+    var url = '/Timeline/Progress/' + encodeURIComponent(report.filename) + '?userId=' + encodeURIComponent(report.userId);
+    if (orderingKey) {
+        url += '&ordering=' + encodeURIComponent(orderingKey);
+    }
+    
+    fetch(ApiClient.getUrl(url), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
         }
+    })
+    .then(function(response) {
+        return response.json().then(function(data) {
+            if (!response.ok) {
+                throw new Error(data.error || 'HTTP ' + response.status);
+            }
+            return data;
+        });
+    })
+    .then(function(updated) {
+        card.parentNode.replaceChild(createWatchProgressCard(updated), card);
+    })
+    .catch(function(error) {
+        alert('Error loading progress: ' + error.message);
+    });
+}
+
+// Create the card of one universe: progress bar, counts, next up and the entries
+function createWatchProgressCard(report) {
+    var card = document.createElement('div');
+    card.className = 'paperList';
+    card.style.padding = '1em';
+    card.style.border = '1px solid #333';
+    card.style.marginBottom = '0.5em';
+    
+    var header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.justifyContent = 'space-between';
+    header.style.alignItems = 'center';
+    header.style.gap = '0.5em';
+    
+    var name = document.createElement('div');
+    name.style.fontWeight = '500';
+    name.textContent = report.name || report.filename;
+    header.appendChild(name);
+    
+    if (report.orderings && report.orderings.length > 0) {
+        var orderingSelect = document.createElement('select');
+        orderingSelect.className = 'emby-select';
+        orderingSelect.style.width = 'auto';
+        [{ key: '', name: 'Timeline order' }].concat(report.orderings).forEach(function(ordering) {
+            var option = document.createElement('option');
+            option.value = ordering.key;
+            option.textContent = ordering.name;
+            option.selected = ordering.key === (report.orderingKey || '');
+            orderingSelect.appendChild(option);
+        });
+        orderingSelect.addEventListener('change', function() {
+            switchWatchProgressOrdering(card, report, orderingSelect.value);
+        });
+        header.appendChild(orderingSelect);
+    }
+    
+    card.appendChild(header);
+    
+    if (report.error) {
+        var error = document.createElement('div');
+        error.className = 'fieldDescription';
+        error.style.color = '#ff6b6b';
+        error.textContent = report.error;
+        card.appendChild(error);
+        return card;
+    }
+    
+    var bar = document.createElement('div');
+    bar.style.height = '8px';
+    bar.style.background = '#333';
+    bar.style.borderRadius = '4px';
+    bar.style.margin = '0.5em 0';
+    bar.style.overflow = 'hidden';
+    var fill = document.createElement('div');
+    fill.style.height = '100%';
+    fill.style.width = report.percentComplete + '%';
+    fill.style.background = '#4caf50';
+    bar.appendChild(fill);
+    card.appendChild(bar);
+    
+    var summary = document.createElement('div');
+    summary.className = 'fieldDescription';
+    summary.textContent = report.percentComplete + '% complete • ' + report.watchedEntries + ' watched • ' +
+        report.inProgressEntries + ' in progress • ' + report.unwatchedEntries + ' unwatched' +
+        (report.missingEntries > 0 ? ' • ' + report.missingEntries + ' not in library' : '');
+    card.appendChild(summary);
+    
+    var nextUp = document.createElement('div');
+    nextUp.style.marginTop = '0.5em';
+    if (report.nextUp) {
+        nextUp.textContent = 'Next up: ' + report.nextUp.title +
+            (report.nextUp.playbackPositionTicks > 0 ? ' (resume at ' + formatWatchTicks(report.nextUp.playbackPositionTicks) + ')' : '');
+    } else if (report.totalEntries > report.missingEntries) {
+        nextUp.textContent = 'Everything in your library has been watched.';
+    }
+    card.appendChild(nextUp);
+    
+    if (report.entries.length > 0) {
+        var details = document.createElement('details');
+        details.style.marginTop = '0.5em';
         
-        // Determine provider ID to use (prefer TMDB, fallback to IMDB)
-        providerId = result.providerIds.tmdb || result.providerIds.imdb;
-        providerName = result.providerIds.tmdb ? 'tmdb' : 'imdb';
-        itemType = result.type.toLowerCase();
+        var detailsSummary = document.createElement('summary');
+        detailsSummary.style.cursor = 'pointer';
+        detailsSummary.textContent = 'Entries (' + report.entries.length + ')';
+        details.appendChild(detailsSummary);
         
-        if (!providerId) {
-            alert('This item has no provider ID and cannot be added to the playlist');
-            return;
-        }
+        var list = document.createElement('div');
+        list.style.marginTop = '0.5em';
+        report.entries.forEach(function(entry) {
+            var style = WATCH_STATUS_STYLES[entry.status] || WATCH_STATUS_STYLES.unwatched;
+            var row = document.createElement('div');
+            row.className = 'fieldDescription';
+            row.title = style.label;
+            row.style.color = style.color;
+            row.textContent = style.symbol + ' ' + (entry.position + 1) + '. ' + entry.title +
+                (entry.totalItems > 1 ? ' (' + entry.watchedItems + '/' + entry.totalItems + ')' : '');
+            list.appendChild(row);
+        });
+        details.appendChild(list);
+        card.appendChild(details);
     }
     
-    var item = {
-        providerId: providerId,
-        providerName: providerName,
-        type: itemType,
-        title: result.title,
-        year: result.year,
-        _displaySource: result.source || 'jellyfin' // Store source for display
+    return card;
+}
+
+// Ticks (100 ns) as h:mm:ss or m:ss
+function formatWatchTicks(ticks) {
+    var totalSeconds = Math.floor(ticks / 10000000);
+    var hours = Math.floor(totalSeconds / 3600);
+    var minutes = Math.floor((totalSeconds % 3600) / 60);
+    var seconds = totalSeconds % 60;
+    var pad = function(value) {
+        return (value < 10 ? '0' : '') + value;
     };
+    return hours > 0 ? hours + ':' + pad(minutes) + ':' + pad(seconds) : minutes + ':' + pad(seconds);
+}
+
+setTimeout(function() {
+    var loadWatchProgressBtn = document.getElementById('loadWatchProgressBtn');
+    if (loadWatchProgressBtn) {
+        loadWatchProgressBtn.addEventListener('click', loadWatchProgress);
+        loadWatchProgressUsers();
+    }
+}, 500);
+
+// ===== IMPORT / EXPORT =====
+
+var UniverseImportUI = {
+    bundle: null, // Bundle being previewed
+    preview: [] // Preview entries returned by the server
+};
+
+// Export the selected universes (all if none selected) as a bundle file
+function exportUniverses() {
+    var apiKey = ApiClient.accessToken();
+    var query = selectedUniverses.map(function(filename) {
+        return 'filenames=' + encodeURIComponent(filename);
+    }).join('&');
     
-    if (season !== null) {
-        item.season = season;
+    fetch(ApiClient.getUrl('/Timeline/Universes/Export') + (query ? '?' + query : ''), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(bundle) {
+        if (!bundle.universes || bundle.universes.length === 0) {
+            alert('No universes to export');
+            return;
+        }
+        
+        var filename = bundle.universes.length === 1
+            ? bundle.universes[0].key + '.bundle.json'
+            : 'timeline-universes-' + new Date().toISOString().slice(0, 10) + '.json';
+        downloadFile(JSON.stringify(bundle, null, 2), filename, 'application/json');
+    })
+    .catch(function(error) {
+        console.error('Error exporting universes:', error);
+        alert('Error exporting universes: ' + error.message);
+    });
+}
+
+// Show the import panel
+function showImportPanel() {
+    document.getElementById('importUniversesSection').style.display = 'block';
+    document.getElementById('importUniversesSection').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Hide and reset the import panel
+function closeImportPanel() {
+    UniverseImportUI.bundle = null;
+    UniverseImportUI.preview = [];
+    
+    document.getElementById('importUniversesSection').style.display = 'none';
+    document.getElementById('importFileInput').value = '';
+    document.getElementById('importJsonContent').value = '';
+    document.getElementById('importPreview').innerHTML = '';
+    document.getElementById('importStatusMessage').style.display = 'none';
+    document.getElementById('confirmImportBtn').disabled = true;
+}
+
+// Load a chosen bundle file into the paste box
+function readImportFile(event) {
+    var file = event.target.files && event.target.files[0];
+    if (!file) {
+        return;
     }
     
-    PlaylistCreatorUI.currentPlaylist.items.push(item);
+    var reader = new FileReader();
+    reader.onload = function() {
+        document.getElementById('importJsonContent').value = reader.result;
+        previewImport();
+    };
+    reader.readAsText(file);
+}
+
+// Accept a bundle, a legacy {"universes": [...]} config, an array of universes or a single universe file
+function parseBundleText(text) {
+    var parsed = JSON.parse(text);
     
-    // Clear search
-    document.getElementById('contentSearchInput').value = '';
-    document.getElementById('searchResults').style.display = 'none';
+    if (Array.isArray(parsed)) {
+        return { universes: parsed };
+    }
+    if (parsed && Array.isArray(parsed.universes)) {
+        return parsed;
+    }
+    if (parsed && parsed.key !== undefined && Array.isArray(parsed.items)) {
+        return { universes: [parsed] };
+    }
     
-    renderItemsList();
-    updateCreateButtonState();
+    throw new Error('No universes found in this JSON');
 }
 
-// Render playlist items list
-function renderItemsList() {
-    var itemsList = document.getElementById('playlistItemsList');
-    var emptyState = document.getElementById('emptyStateMessage');
-    var items = PlaylistCreatorUI.currentPlaylist.items;
+// Show an import status message
+function showImportStatus(message, isError) {
+    var statusMessage = document.getElementById('importStatusMessage');
+    statusMessage.style.display = 'block';
+    statusMessage.style.background = isError ? '#5a1a1a' : '#1e5631';
+    statusMessage.style.color = isError ? '#ff6b6b' : '#fff';
+    statusMessage.textContent = message;
+}
+
+// Ask the server what importing the bundle would do
+function previewImport() {
+    var confirmBtn = document.getElementById('confirmImportBtn');
+    var previewContainer = document.getElementById('importPreview');
+    var bundle;
     
-    if (items.length === 0) {
-        emptyState.style.display = 'block';
-        // Remove any existing item cards
-        var existingCards = itemsList.querySelectorAll('.playlist-item-card');
-        existingCards.forEach(function(card) {
-            card.remove();
-        });
+    confirmBtn.disabled = true;
+    previewContainer.innerHTML = '';
+    document.getElementById('importStatusMessage').style.display = 'none';
+    
+    try {
+        bundle = parseBundleText(document.getElementById('importJsonContent').value);
+    } catch (error) {
+        showImportStatus('Invalid bundle: ' + error.message, true);
         return;
     }
     
-    emptyState.style.display = 'none';
+    var apiKey = ApiClient.accessToken();
     
-    // Clear existing items
-    var existingCards = itemsList.querySelectorAll('.playlist-item-card');
-    existingCards.forEach(function(card) {
-        card.remove();
+    fetch(ApiClient.getUrl('/Timeline/Universes/Import/Preview'), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': apiKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(bundle)
+    })
+    .then(function(response) {
+        return response.json().then(function(data) {
+            if (!response.ok) {
+                throw new Error(data.error || ('HTTP ' + response.status));
+            }
+            return data;
+        });
+    })
+    .then(function(preview) {
+        UniverseImportUI.bundle = bundle;
+        UniverseImportUI.preview = preview;
+        renderImportPreview(preview);
+        confirmBtn.disabled = false;
+    })
+    .catch(function(error) {
+        console.error('Error previewing import:', error);
+        showImportStatus('Error previewing import: ' + error.message, true);
     });
-    
-    items.forEach(function(item, index) {
+}
+
+// Render one row per bundle entry with its conflict choice
+function renderImportPreview(preview) {
+    var container = document.getElementById('importPreview');
+    container.innerHTML = '';
+    
+    preview.forEach(function(entry) {
+        var isValid = entry.validationErrors.length === 0;
+        
         var card = document.createElement('div');
-        card.className = 'playlist-item-card paperList';
-        card.style.padding = '0.75em';
-        card.style.display = 'flex';
-        card.style.justifyContent = 'space-between';
-        card.style.alignItems = 'center';
-        card.style.border = '1px solid #444';
-        card.style.borderRadius = '4px';
+        card.className = 'paperList';
+        card.style.padding = '1em';
+        card.style.border = '1px solid ' + (entry.hasConflict || !isValid ? '#8a6d1a' : '#333');
         card.style.marginBottom = '0.5em';
         
-        var info = document.createElement('div');
-        info.style.flex = '1';
+        var name = document.createElement('div');
+        name.style.fontWeight = '500';
+        name.textContent = (entry.name || '(no name)') + ' — ' + entry.itemCount + ' items';
+        card.appendChild(name);
         
-        var position = document.createElement('span');
-        position.style.fontWeight = 'bold';
-        position.style.marginRight = '0.5em';
-        position.textContent = (index + 1) + '.';
+        var details = document.createElement('div');
+        details.className = 'fieldDescription';
+        details.textContent = 'Key: ' + (entry.key || '(none)') + ' • File: ' + entry.filename +
+            (entry.hasConflict ? ' • Conflicts with ' + entry.conflictsWith : '');
+        card.appendChild(details);
         
-        // Add source badge
-        var sourceBadge = document.createElement('span');
-        sourceBadge.style.display = 'inline-block';
-        sourceBadge.style.padding = '0.2em 0.5em';
-        sourceBadge.style.borderRadius = '3px';
-        sourceBadge.style.fontSize = '0.75em';
-        sourceBadge.style.fontWeight = 'bold';
-        sourceBadge.style.marginRight = '0.5em';
+        entry.validationErrors.forEach(function(message) {
+            var error = document.createElement('div');
+            error.className = 'fieldDescription';
+            error.style.color = '#ff6b6b';
+            error.textContent = message;
+            card.appendChild(error);
+        });
         
-        if (item._displaySource === 'tmdb') {
-            sourceBadge.style.background = '#01b4e4';
-            sourceBadge.style.color = 'white';
-            sourceBadge.textContent = '🎬 TMDB';
-        } else {
-            sourceBadge.style.background = '#00a4dc';
-            sourceBadge.style.color = 'white';
-            sourceBadge.textContent = '📁 Jellyfin';
-        }
+        var controls = document.createElement('div');
+        controls.style.display = 'flex';
+        controls.style.gap = '0.5em';
+        controls.style.alignItems = 'center';
+        controls.style.marginTop = '0.5em';
         
-        var title = document.createElement('span');
-        title.textContent = item.title + (item.year ? ' (' + item.year + ')' : '');
+        var actionSelect = document.createElement('select');
+        actionSelect.className = 'emby-select import-action';
+        actionSelect.dataset.index = entry.index;
         
-        var details = document.createElement('div');
-        details.className = 'fieldDescription';
-        var detailsText = item.type;
-        if (item.season) {
-            detailsText += ' S' + item.season;
+        var actions = [];
+        if (!entry.hasConflict && isValid) {
+            actions.push(['import', 'Import']);
         }
-        detailsText += ' • ' + item.providerName.toUpperCase() + ': ' + item.providerId;
-        details.textContent = detailsText;
+        if (entry.hasConflict && entry.canOverwrite && isValid) {
+            actions.push(['overwrite', 'Overwrite existing']);
+        }
+        if (entry.hasConflict || !isValid) {
+            actions.push(['rename', 'Import with new key']);
+        }
+        actions.push(['skip', 'Skip']);
         
-        info.appendChild(position);
-        info.appendChild(sourceBadge);
-        info.appendChild(title);
-        info.appendChild(document.createElement('br'));
-        info.appendChild(details);
+        actions.forEach(function(action) {
+            var option = document.createElement('option');
+            option.value = action[0];
+            option.textContent = action[1];
+            actionSelect.appendChild(option);
+        });
         
-        var buttons = document.createElement('div');
-        buttons.style.display = 'flex';
-        buttons.style.gap = '0.25em';
+        // Default to the safe choice: conflicts and invalid entries are skipped unless changed
+        actionSelect.value = !entry.hasConflict && isValid ? 'import' : 'skip';
         
-        var upBtn = document.createElement('button');
-        upBtn.type = 'button';
-        upBtn.className = 'emby-button raised';
-        upBtn.textContent = '↑';
-        upBtn.disabled = index === 0;
-        upBtn.onclick = function() {
-            moveItemUp(index);
-        };
+        var renameInput = document.createElement('input');
+        renameInput.type = 'text';
+        renameInput.className = 'emby-input import-new-key';
+        renameInput.dataset.index = entry.index;
+        renameInput.placeholder = 'New key';
+        renameInput.value = entry.suggestedKey || '';
+        renameInput.style.display = 'none';
+        renameInput.style.width = '12em';
         
-        var downBtn = document.createElement('button');
-        downBtn.type = 'button';
-        downBtn.className = 'emby-button raised';
-        downBtn.textContent = '↓';
-        downBtn.disabled = index === items.length - 1;
-        downBtn.onclick = function() {
-            moveItemDown(index);
+        actionSelect.onchange = function() {
+            renameInput.style.display = this.value === 'rename' ? 'inline-block' : 'none';
         };
         
-        var removeBtn = document.createElement('button');
-        removeBtn.type = 'button';
-        removeBtn.className = 'emby-button raised';
-        removeBtn.textContent = '✕';
-        removeBtn.style.background = '#f44336';
-        removeBtn.style.color = 'white';
-        removeBtn.onclick = function() {
-            removeItemFromPlaylist(index);
+        controls.appendChild(actionSelect);
+        controls.appendChild(renameInput);
+        card.appendChild(controls);
+        
+        container.appendChild(card);
+    });
+}
+
+// Import the previewed bundle with the chosen decisions
+function confirmImport() {
+    if (!UniverseImportUI.bundle) {
+        return;
+    }
+    
+    var confirmBtn = document.getElementById('confirmImportBtn');
+    var decisions = [];
+    
+    document.querySelectorAll('#importPreview .import-action').forEach(function(select) {
+        var index = parseInt(select.dataset.index, 10);
+        var decision = { index: index, action: select.value };
+        
+        if (select.value === 'rename') {
+            var input = document.querySelector('#importPreview .import-new-key[data-index="' + index + '"]');
+            decision.newKey = input ? input.value.trim() : '';
+        }
+        
+        decisions.push(decision);
+    });
+    
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = 'Importing...';
+    
+    var apiKey = ApiClient.accessToken();
+    
+    fetch(ApiClient.getUrl('/Timeline/Universes/Import'), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': apiKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            bundle: UniverseImportUI.bundle,
+            decisions: decisions
+        })
+    })
+    .then(function(response) {
+        return response.json();
+    })
+    .then(function(result) {
+        confirmBtn.textContent = 'Import';
+        
+        var message = result.imported.length + ' imported, ' + result.skipped.length + ' skipped';
+        if (result.errors.length > 0) {
+            message += ', ' + result.errors.length + ' failed:\n' + result.errors.join('\n');
+        }
+        showImportStatus(message, result.errors.length > 0);
+        document.getElementById('importStatusMessage').style.whiteSpace = 'pre-wrap';
+        
+        // The import stays disabled until the bundle is previewed again, since written universes now conflict
+        loadUniverses();
+    })
+    .catch(function(error) {
+        console.error('Error importing universes:', error);
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = 'Import';
+        showImportStatus('Error importing universes: ' + error.message, true);
+    });
+}
+
+// Initialize universe management on page load
+setTimeout(function() {
+    loadUniverses();
+    
+    // Select All button
+    var selectAllBtn = document.getElementById('selectAllBtn');
+    if (selectAllBtn) {
+        selectAllBtn.addEventListener('click', selectAll);
+    }
+    
+    // Deselect All button
+    var deselectAllBtn = document.getElementById('deselectAllBtn');
+    if (deselectAllBtn) {
+        deselectAllBtn.addEventListener('click', deselectAll);
+    }
+    
+    // Refresh Universes button
+    var refreshUniversesBtn = document.getElementById('refreshUniversesBtn');
+    if (refreshUniversesBtn) {
+        refreshUniversesBtn.addEventListener('click', loadUniverses);
+    }
+    
+    // Save Universe button
+    var saveUniverseBtn = document.getElementById('saveUniverseBtn');
+    if (saveUniverseBtn) {
+        saveUniverseBtn.addEventListener('click', saveUniverse);
+    }
+    
+    // Cancel Edit button
+    var cancelEditBtn = document.getElementById('cancelEditBtn');
+    if (cancelEditBtn) {
+        cancelEditBtn.addEventListener('click', cancelEdit);
+    }
+    
+    // Universe editor form
+    var universeRawToggle = document.getElementById('universeRawToggle');
+    if (universeRawToggle) {
+        universeRawToggle.addEventListener('change', function() {
+            setUniverseRawMode(universeRawToggle.checked);
+        });
+    }
+    
+    var universeEditorKey = document.getElementById('universeEditorKey');
+    if (universeEditorKey) {
+        universeEditorKey.addEventListener('input', function() {
+            universeEditorData.key = universeEditorKey.value.trim();
+        });
+    }
+    
+    var universeEditorName = document.getElementById('universeEditorName');
+    if (universeEditorName) {
+        universeEditorName.addEventListener('input', function() {
+            universeEditorData.name = universeEditorName.value;
+        });
+    }
+    
+    var universeEditorSkipOptional = document.getElementById('universeEditorSkipOptional');
+    if (universeEditorSkipOptional) {
+        universeEditorSkipOptional.addEventListener('change', function() {
+            if (universeEditorSkipOptional.checked) {
+                universeEditorData.skipOptionalItems = true;
+            } else {
+                delete universeEditorData.skipOptionalItems;
+            }
+        });
+    }
+    
+    var addUniverseItemBtn = document.getElementById('addUniverseItemBtn');
+    if (addUniverseItemBtn) {
+        addUniverseItemBtn.addEventListener('click', addUniverseEditorItem);
+    }
+    
+    // Update Create Playlists button to use selected universes
+    var createBtn = document.getElementById('createPlaylistsBtn');
+    if (createBtn) {
+        // Remove old event listener by replacing the button
+        var newCreateBtn = createBtn.cloneNode(true);
+        createBtn.parentNode.replaceChild(newCreateBtn, createBtn);
+        
+        newCreateBtn.addEventListener('click', createPlaylistsForSelected);
+    }
+    
+    // Library coverage buttons
+    var checkCoverageBtn = document.getElementById('checkCoverageBtn');
+    if (checkCoverageBtn) {
+        checkCoverageBtn.addEventListener('click', checkCoverage);
+    }
+    
+    var exportMissingBtn = document.getElementById('exportMissingBtn');
+    if (exportMissingBtn) {
+        exportMissingBtn.addEventListener('click', exportMissingList);
+    }
+    
+    // Import/export buttons
+    var exportUniversesBtn = document.getElementById('exportUniversesBtn');
+    if (exportUniversesBtn) {
+        exportUniversesBtn.addEventListener('click', exportUniverses);
+    }
+    
+    var showImportBtn = document.getElementById('showImportUniversesBtn');
+    if (showImportBtn) {
+        showImportBtn.addEventListener('click', showImportPanel);
+    }
+    
+    var importFileInput = document.getElementById('importFileInput');
+    if (importFileInput) {
+        importFileInput.addEventListener('change', readImportFile);
+    }
+    
+    var previewImportBtn = document.getElementById('previewImportBtn');
+    if (previewImportBtn) {
+        previewImportBtn.addEventListener('click', previewImport);
+    }
+    
+    var confirmImportBtn = document.getElementById('confirmImportBtn');
+    if (confirmImportBtn) {
+        confirmImportBtn.addEventListener('click', confirmImport);
+    }
+    
+    var cancelImportBtn = document.getElementById('cancelImportBtn');
+    if (cancelImportBtn) {
+        cancelImportBtn.addEventListener('click', closeImportPanel);
+    }
+}, 500);
+
+// ===== UNIVERSE HISTORY =====
+
+var UniverseHistoryUI = {
+    filename: null, // Universe whose history is shown, or null for the deleted universes list
+    universeName: null
+};
+
+var SNAPSHOT_REASON_LABELS = {
+    save: 'Before save',
+    delete: 'Before delete',
+    restore: 'Before restore'
+};
+
+// Show the snapshots of one universe
+function showUniverseHistory(filename, universeName) {
+    UniverseHistoryUI.filename = filename;
+    UniverseHistoryUI.universeName = universeName;
+    document.getElementById('universeHistoryTitle').textContent = 'History: ' + universeName;
+    loadSnapshots('/Timeline/Universes/' + encodeURIComponent(filename) + '/History',
+        'No snapshots yet. One is kept every time this universe is saved.');
+}
+
+// Show the latest snapshot of every deleted universe
+function showDeletedUniverses() {
+    UniverseHistoryUI.filename = null;
+    UniverseHistoryUI.universeName = null;
+    document.getElementById('universeHistoryTitle').textContent = 'Deleted Universes';
+    loadSnapshots('/Timeline/Universes/History/Deleted', 'No deleted universes.');
+}
+
+// Fetch a snapshot list and render it in the history panel
+function loadSnapshots(path, emptyMessage) {
+    var section = document.getElementById('universeHistorySection');
+    var list = document.getElementById('universeHistoryList');
+    
+    document.getElementById('universeHistoryStatusMessage').style.display = 'none';
+    list.innerHTML = '<div class="fieldDescription">Loading...</div>';
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth' });
+    
+    fetch(ApiClient.getUrl(path), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(snapshots) {
+        list.innerHTML = '';
+        
+        if (!snapshots || snapshots.length === 0) {
+            list.innerHTML = '<div class="fieldDescription">' + emptyMessage + '</div>';
+            return;
+        }
+        
+        snapshots.forEach(function(snapshot) {
+            list.appendChild(createSnapshotRow(snapshot));
+        });
+    })
+    .catch(function(error) {
+        console.error('Error loading universe history:', error);
+        list.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        list.firstChild.textContent = 'Error loading history: ' + error.message;
+    });
+}
+
+// Create the row of one snapshot with its Compare and Restore buttons
+function createSnapshotRow(snapshot) {
+    var row = document.createElement('div');
+    row.className = 'paperList';
+    row.style.padding = '0.75em 1em';
+    row.style.marginBottom = '0.5em';
+    row.style.border = '1px solid #333';
+    
+    var header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.justifyContent = 'space-between';
+    header.style.alignItems = 'center';
+    header.style.gap = '1em';
+    
+    var info = document.createElement('div');
+    
+    var title = document.createElement('div');
+    title.style.fontWeight = '500';
+    title.textContent = new Date(snapshot.timestamp).toLocaleString() + ' • ' +
+        (SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason);
+    
+    var details = document.createElement('div');
+    details.className = 'fieldDescription';
+    details.textContent = (snapshot.universeName || '(unreadable file)') +
+        (snapshot.itemCount !== null && snapshot.itemCount !== undefined ? ' • ' + snapshot.itemCount + ' items' : '') +
+        (UniverseHistoryUI.filename ? '' : ' • File: ' + snapshot.filename);
+    
+    info.appendChild(title);
+    info.appendChild(details);
+    
+    var buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '0.5em';
+    
+    var diffContainer = document.createElement('div');
+    diffContainer.style.display = 'none';
+    diffContainer.style.marginTop = '0.75em';
+    
+    var diffBtn = document.createElement('button');
+    diffBtn.type = 'button';
+    diffBtn.className = 'emby-button raised';
+    diffBtn.textContent = 'Compare';
+    diffBtn.onclick = function() {
+        toggleSnapshotDiff(snapshot, diffContainer);
+    };
+    
+    var restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'emby-button raised';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.onclick = function() {
+        restoreSnapshot(snapshot);
+    };
+    
+    buttons.appendChild(diffBtn);
+    buttons.appendChild(restoreBtn);
+    
+    header.appendChild(info);
+    header.appendChild(buttons);
+    row.appendChild(header);
+    row.appendChild(diffContainer);
+    return row;
+}
+
+// Show or hide the differences between a snapshot and the current file
+function toggleSnapshotDiff(snapshot, container) {
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        return;
+    }
+    
+    container.innerHTML = '<div class="fieldDescription">Comparing...</div>';
+    container.style.display = 'block';
+    
+    var url = '/Timeline/Universes/' + encodeURIComponent(snapshot.filename) +
+        '/History/' + encodeURIComponent(snapshot.id) + '/Diff';
+    
+    fetch(ApiClient.getUrl(url), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        return response.json().then(function(data) {
+            if (!response.ok) {
+                throw new Error(data.error || ('HTTP ' + response.status));
+            }
+            return data;
+        });
+    })
+    .then(function(diff) {
+        renderSnapshotDiff(diff, container);
+    })
+    .catch(function(error) {
+        console.error('Error comparing snapshot:', error);
+        container.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        container.firstChild.textContent = 'Error comparing snapshot: ' + error.message;
+    });
+}
+
+// Render a snapshot diff: what changed in the current file since the snapshot was taken
+function renderSnapshotDiff(diff, container) {
+    container.innerHTML = '';
+    
+    if (!diff.currentExists) {
+        var deletedNote = document.createElement('div');
+        deletedNote.className = 'fieldDescription';
+        deletedNote.textContent = 'The universe file no longer exists. Restoring recreates it with the ' +
+            diff.removedItems.length + ' items below.';
+        container.appendChild(deletedNote);
+    }
+    
+    var groups = [
+        { label: 'Added since this snapshot', items: diff.addedItems, color: '#4caf50', prefix: '+ ' },
+        { label: diff.currentExists ? 'Removed since this snapshot' : 'Items in this snapshot', items: diff.removedItems, color: '#ff6b6b', prefix: '− ' },
+        { label: 'Moved since this snapshot', items: diff.movedItems, color: '#ffb74d', prefix: '↕ ' },
+        { label: 'Other changes', items: diff.otherChanges, color: '#e0e0e0', prefix: '' }
+    ];
+    
+    var hasChanges = false;
+    groups.forEach(function(group) {
+        if (!group.items || group.items.length === 0) {
+            return;
+        }
+        
+        hasChanges = true;
+        var heading = document.createElement('div');
+        heading.style.fontWeight = '500';
+        heading.style.marginTop = '0.5em';
+        heading.textContent = group.label + ' (' + group.items.length + ')';
+        container.appendChild(heading);
+        
+        var list = document.createElement('div');
+        list.style.fontFamily = 'monospace';
+        list.style.fontSize = '0.9em';
+        list.style.color = group.color;
+        group.items.forEach(function(item) {
+            var line = document.createElement('div');
+            line.textContent = group.prefix + item;
+            list.appendChild(line);
+        });
+        container.appendChild(list);
+    });
+    
+    if (!hasChanges) {
+        var unchanged = document.createElement('div');
+        unchanged.className = 'fieldDescription';
+        unchanged.textContent = 'No differences in items, name, key, access or orderings.';
+        container.appendChild(unchanged);
+    }
+}
+
+// Restore a snapshot over the current file (or recreate a deleted universe)
+function restoreSnapshot(snapshot) {
+    var when = new Date(snapshot.timestamp).toLocaleString();
+    var message = UniverseHistoryUI.filename
+        ? 'Restore "' + snapshot.filename + '" to the version from ' + when + '?\n\nThe current version is kept in the history.'
+        : 'Restore the deleted universe "' + (snapshot.universeName || snapshot.filename) + '"?';
+    if (!confirm(message)) {
+        return;
+    }
+    
+    var url = '/Timeline/Universes/' + encodeURIComponent(snapshot.filename) +
+        '/History/' + encodeURIComponent(snapshot.id) + '/Restore';
+    
+    fetch(ApiClient.getUrl(url), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        return response.json();
+    })
+    .then(function(result) {
+        if (!result.success) {
+            showHistoryStatus('Failed to restore: ' + (result.errors || []).join(', '), true);
+            return;
+        }
+        
+        loadUniverses();
+        
+        if (UniverseHistoryUI.filename) {
+            showUniverseHistory(UniverseHistoryUI.filename, UniverseHistoryUI.universeName);
+        } else {
+            showDeletedUniverses();
+        }
+        
+        showHistoryStatus('Restored ' + snapshot.filename + ' from ' + when, false);
+    })
+    .catch(function(error) {
+        console.error('Error restoring snapshot:', error);
+        showHistoryStatus('Error restoring snapshot: ' + error.message, true);
+    });
+}
+
+// Show a success or error message in the history panel
+function showHistoryStatus(message, isError) {
+    var statusDiv = document.getElementById('universeHistoryStatusMessage');
+    statusDiv.textContent = message;
+    statusDiv.style.background = isError ? '#5a1a1a' : '#1e5631';
+    statusDiv.style.color = isError ? '#ff6b6b' : '#fff';
+    statusDiv.style.display = 'block';
+}
+
+// Hide the history panel
+function closeUniverseHistory() {
+    UniverseHistoryUI.filename = null;
+    UniverseHistoryUI.universeName = null;
+    document.getElementById('universeHistorySection').style.display = 'none';
+    document.getElementById('universeHistoryList').innerHTML = '';
+    document.getElementById('universeHistoryStatusMessage').style.display = 'none';
+}
+
+setTimeout(function() {
+    var showDeletedBtn = document.getElementById('showDeletedUniversesBtn');
+    if (showDeletedBtn) {
+        showDeletedBtn.addEventListener('click', showDeletedUniverses);
+    }
+    
+    var closeHistoryBtn = document.getElementById('closeUniverseHistoryBtn');
+    if (closeHistoryBtn) {
+        closeHistoryBtn.addEventListener('click', closeUniverseHistory);
+    }
+}, 500);
+
+// ===== SCHEDULING =====
+
+var REFRESH_FREQUENCIES = [
+    { value: 'off', label: 'Off' },
+    { value: 'daily', label: 'Daily' },
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'library-scan', label: 'After library scan' }
+];
+
+var RUN_TRIGGER_LABELS = {
+    'scheduled': 'scheduled',
+    'library-scan': 'after library scan',
+    'library-change': 'new library items'
+};
+
+// Load the refresh schedule and show one frequency picker per universe
+function loadSchedule(universes) {
+    var scheduleList = document.getElementById('scheduleUniverseList');
+    if (!scheduleList) {
+        return;
+    }
+    
+    fetch(ApiClient.getUrl('/Timeline/Schedule'), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(schedule) {
+        document.getElementById('scheduleWeeklyDay').value = schedule.weeklyDay || 'Sunday';
+        
+        var namesByFilename = {};
+        (universes || []).forEach(function(universe) {
+            namesByFilename[universe.filename] = universe.name;
+        });
+        
+        scheduleList.innerHTML = '';
+        if (schedule.universes.length === 0) {
+            scheduleList.innerHTML = '<div class="fieldDescription">No universes to schedule.</div>';
+            return;
+        }
+        
+        schedule.universes.forEach(function(entry) {
+            var row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.justifyContent = 'space-between';
+            row.style.alignItems = 'center';
+            row.style.padding = '0.4em 0';
+            row.style.borderBottom = '1px solid #333';
+            
+            var name = document.createElement('span');
+            name.textContent = namesByFilename[entry.filename] || entry.filename;
+            
+            var select = document.createElement('select');
+            select.className = 'emby-select schedule-frequency';
+            select.dataset.filename = entry.filename;
+            REFRESH_FREQUENCIES.forEach(function(frequency) {
+                var option = document.createElement('option');
+                option.value = frequency.value;
+                option.textContent = frequency.label;
+                select.appendChild(option);
+            });
+            select.value = entry.frequency;
+            
+            row.appendChild(name);
+            row.appendChild(select);
+            scheduleList.appendChild(row);
+        });
+    })
+    .catch(function(error) {
+        console.error('Error loading schedule:', error);
+        scheduleList.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        scheduleList.firstChild.textContent = 'Error loading schedule: ' + error.message;
+    });
+}
+
+// Show a scheduling status message
+function showScheduleStatus(message, isError) {
+    var statusMessage = document.getElementById('scheduleStatusMessage');
+    statusMessage.style.display = 'block';
+    statusMessage.style.background = isError ? '#5a1a1a' : '#1e5631';
+    statusMessage.style.color = isError ? '#ff6b6b' : '#fff';
+    statusMessage.textContent = message;
+}
+
+// Save the refresh schedule
+function saveSchedule() {
+    var saveBtn = document.getElementById('saveScheduleBtn');
+    var schedule = {
+        weeklyDay: document.getElementById('scheduleWeeklyDay').value,
+        universes: []
+    };
+    
+    document.querySelectorAll('.schedule-frequency').forEach(function(select) {
+        schedule.universes.push({ filename: select.dataset.filename, frequency: select.value });
+    });
+    
+    saveBtn.disabled = true;
+    
+    fetch(ApiClient.getUrl('/Timeline/Schedule'), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken(),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(schedule)
+    })
+    .then(function(response) {
+        return response.json().then(function(data) {
+            if (!response.ok) {
+                throw new Error(data.error || ('HTTP ' + response.status));
+            }
+            return data;
+        });
+    })
+    .then(function() {
+        saveBtn.disabled = false;
+        showScheduleStatus('Schedule saved', false);
+        setTimeout(function() {
+            document.getElementById('scheduleStatusMessage').style.display = 'none';
+        }, 3000);
+    })
+    .catch(function(error) {
+        console.error('Error saving schedule:', error);
+        saveBtn.disabled = false;
+        showScheduleStatus('Error saving schedule: ' + error.message, true);
+    });
+}
+
+// Load and show the automatic refresh history
+function loadRunHistory() {
+    var historyContainer = document.getElementById('runHistory');
+    if (!historyContainer) {
+        return;
+    }
+    
+    historyContainer.innerHTML = '<div class="fieldDescription">Loading run history...</div>';
+    
+    fetch(ApiClient.getUrl('/Timeline/Schedule/History'), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(runs) {
+        historyContainer.innerHTML = '';
+        if (runs.length === 0) {
+            historyContainer.innerHTML = '<div class="fieldDescription">No automatic refreshes have run yet.</div>';
+            return;
+        }
+        
+        runs.forEach(function(run) {
+            var card = document.createElement('div');
+            card.style.padding = '0.6em 0.8em';
+            card.style.marginBottom = '0.5em';
+            card.style.border = '1px solid #333';
+            card.style.borderLeft = '4px solid ' + (run.failures.length > 0 ? '#ff6b6b' : '#1e5631');
+            card.style.borderRadius = '4px';
+            
+            var header = document.createElement('div');
+            header.style.fontWeight = '500';
+            header.textContent = new Date(run.startedAt).toLocaleString() + ' • ' +
+                (RUN_TRIGGER_LABELS[run.trigger] || run.trigger) + ' • ' +
+                run.universesProcessed + ' universe(s)';
+            
+            var summary = document.createElement('div');
+            summary.className = 'fieldDescription';
+            summary.textContent = run.changedPlaylists.length + ' playlist(s) changed' +
+                (run.changedPlaylists.length > 0 ? ' (' + run.changedPlaylists.join(', ') + ')' : '') +
+                ' • +' + run.itemsAdded + ' / -' + run.itemsRemoved + ' items' +
+                ' • ' + run.failures.length + ' failure(s)';
+            
+            card.appendChild(header);
+            card.appendChild(summary);
+            
+            if (run.failures.length > 0) {
+                var failures = document.createElement('div');
+                failures.style.color = '#ff6b6b';
+                failures.style.whiteSpace = 'pre-wrap';
+                failures.style.fontSize = '0.9em';
+                failures.textContent = run.failures.join('\n');
+                card.appendChild(failures);
+            }
+            
+            historyContainer.appendChild(card);
+        });
+    })
+    .catch(function(error) {
+        console.error('Error loading run history:', error);
+        historyContainer.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        historyContainer.firstChild.textContent = 'Error loading run history: ' + error.message;
+    });
+}
+
+// Load and show new library items that were added to universe playlists
+function loadLibraryActivity() {
+    var activityContainer = document.getElementById('libraryActivity');
+    if (!activityContainer) {
+        return;
+    }
+    
+    fetch(ApiClient.getUrl('/Timeline/Schedule/Activity'), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(entries) {
+        activityContainer.innerHTML = '';
+        if (entries.length === 0) {
+            activityContainer.innerHTML = '<div class="fieldDescription">No new library items have been added to playlists yet.</div>';
+            return;
+        }
+        
+        entries.forEach(function(entry) {
+            var line = document.createElement('div');
+            line.style.padding = '0.3em 0';
+            line.style.borderBottom = '1px solid #333';
+            
+            var text = new Date(entry.timestamp).toLocaleString() + ' • ' + entry.itemName + ' → ' + entry.universeName;
+            if (entry.status === 'added') {
+                line.textContent = '✓ ' + text;
+            } else {
+                line.style.color = '#ff6b6b';
+                line.textContent = '✗ ' + text + (entry.message ? ' (' + entry.message + ')' : '');
+            }
+            
+            activityContainer.appendChild(line);
+        });
+    })
+    .catch(function(error) {
+        console.error('Error loading library activity:', error);
+        activityContainer.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+        activityContainer.firstChild.textContent = 'Error loading library activity: ' + error.message;
+    });
+}
+
+setTimeout(function() {
+    var saveScheduleBtn = document.getElementById('saveScheduleBtn');
+    if (saveScheduleBtn) {
+        saveScheduleBtn.addEventListener('click', saveSchedule);
+    }
+    
+    var refreshHistoryBtn = document.getElementById('refreshHistoryBtn');
+    if (refreshHistoryBtn) {
+        refreshHistoryBtn.addEventListener('click', function() {
+            loadRunHistory();
+            loadLibraryActivity();
+        });
+    }
+    
+    loadRunHistory();
+    loadLibraryActivity();
+}, 500);
+
+// ===== PLAYLIST CREATOR =====
+
+var PlaylistCreatorUI = {
+    currentPlaylist: {
+        key: '',
+        name: '',
+        items: [], // Items in the order of the active ordering
+        orderings: [] // { key, name, items } per ordering, the universe's own items order first
+    },
+    activeOrderingKey: 'default',
+    isEditing: false,
+    originalFilename: null,
+    searchTimeout: null,
+    currentSearchSource: 'jellyfin', // Default to Jellyfin Library
+    undoStack: [], // Snapshots of currentPlaylist.items before each edit
+    redoStack: [],
+    lastSelectedIndex: null, // Anchor for Shift-click range selection
+    dragIndex: null,
+    users: [], // Jellyfin users for the owner and share pickers
+    importedRows: [], // Rows of the last list import, in file order
+    pendingImportFix: null, // Imported row being fixed through the search
+    searchState: null, // Query, filters, loaded results and paging position of the current search
+    episodePicker: null, // TMDB series being drilled into: { series, season, episodes, lastCheckedIndex }
+    tmdbSettings: null, // Whether a TMDB key is saved, its masked value and the TMDB base URL
+    tmdbCacheStatus: null // Size of the local TMDB cache and whether TMDB is offline
+};
+
+// Maximum number of item edits kept for undo
+var MAX_UNDO_STEPS = 100;
+
+// Number of library results loaded per page (TMDB pages are fixed at 20)
+var SEARCH_PAGE_SIZE = 20;
+
+// Key of the universe's own items order, next to the alternate orderings
+var DEFAULT_ORDERING_KEY = 'default';
+
+// Set search source (jellyfin or tmdb)
+function setSearchSource(source) {
+    console.log('Setting search source to:', source);
+    
+    PlaylistCreatorUI.currentSearchSource = source;
+    
+    // Update button styles
+    var buttons = document.querySelectorAll('.search-source-toggle');
+    buttons.forEach(function(button) {
+        if (button.dataset.source === source) {
+            button.classList.add('active');
+            button.style.background = source === 'jellyfin' ? '#00a4dc' : '#01b4e4';
+        } else {
+            button.classList.remove('active');
+            button.style.background = '#2a2a2a';
+        }
+    });
+    
+    // Update indicator text
+    var indicator = document.getElementById('searchSourceIndicator');
+    if (indicator) {
+        indicator.innerHTML = 'Searching in: <strong>' + (source === 'jellyfin' ? 'Jellyfin Library' : 'TMDB') + '</strong>';
+    }
+    
+    // The library filter only applies to the Jellyfin library
+    var libraryFilter = document.getElementById('searchLibraryFilter');
+    if (libraryFilter) {
+        libraryFilter.style.display = source === 'jellyfin' ? '' : 'none';
+    }
+    
+    // Clear search results when source changes
+    PlaylistCreatorUI.searchState = null;
+    var searchResults = document.getElementById('searchResults');
+    if (searchResults) {
+        searchResults.style.display = 'none';
+        searchResults.innerHTML = '';
+    }
+    
+    // Clear search input
+    var searchInput = document.getElementById('contentSearchInput');
+    if (searchInput) {
+        searchInput.value = '';
+    }
+}
+
+// Search TMDB for movies (one TMDB page)
+function searchTmdbMovies(query, page, filters) {
+    var apiKey = ApiClient.accessToken();
+    
+    return fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Movies?query=' + encodeURIComponent(query) + '&page=' + page + buildSearchFilterQuery(filters)), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('TMDB movie search failed: ' + response.statusText);
+        }
+        return response.json();
+    });
+}
+
+// Search TMDB for TV shows (one TMDB page)
+function searchTmdbTvShows(query, page, filters) {
+    var apiKey = ApiClient.accessToken();
+    
+    return fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Tv?query=' + encodeURIComponent(query) + '&page=' + page + buildSearchFilterQuery(filters)), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('TMDB TV search failed: ' + response.statusText);
+        }
+        return response.json();
+    });
+}
+
+// List the seasons of a TMDB series
+function loadTmdbSeasons(seriesId) {
+    var apiKey = ApiClient.accessToken();
+    
+    return fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Tv/' + encodeURIComponent(seriesId) + '/Seasons'), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('Loading seasons failed: ' + response.statusText);
+        }
+        return response.json();
+    });
+}
+
+// List the episodes of one season of a TMDB series
+function loadTmdbEpisodes(seriesId, seasonNumber) {
+    var apiKey = ApiClient.accessToken();
+    
+    return fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Tv/' + encodeURIComponent(seriesId) + '/Seasons/' + seasonNumber + '/Episodes'), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('Loading episodes failed: ' + response.statusText);
+        }
+        return response.json();
+    });
+}
+
+// Search TMDB for movie collections (one TMDB page)
+function searchTmdbCollections(query, page) {
+    var apiKey = ApiClient.accessToken();
+    
+    return fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Collections?query=' + encodeURIComponent(query) + '&page=' + page), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('TMDB collection search failed: ' + response.statusText);
+        }
+        return response.json();
+    });
+}
+
+// Search the next page of collections: TMDB collections or library box sets, depending on the source
+function searchCollectionContent(state) {
+    var apiKey = ApiClient.accessToken();
+    var searchPromise;
+    
+    if (state.source === 'tmdb') {
+        searchPromise = searchTmdbCollections(state.query, state.tmdbPage);
+    } else {
+        var url = '/Timeline/Search/Collections?query=' + encodeURIComponent(state.query) +
+            '&limit=' + SEARCH_PAGE_SIZE +
+            '&startIndex=' + state.libraryStartIndex;
+        
+        searchPromise = fetch(ApiClient.getUrl(url), {
+            headers: {
+                'X-Emby-Token': apiKey
+            }
+        })
+        .then(function(response) {
+            return response.json().then(function(data) {
+                if (!response.ok) {
+                    throw new Error(data.error || ('HTTP ' + response.status));
+                }
+                return data;
+            });
+        });
+    }
+    
+    return searchPromise.then(function(data) {
+        var results = data.results || [];
+        results.forEach(function(result) {
+            result.source = state.source;
+        });
+        
+        state.tmdbPage += 1;
+        state.libraryStartIndex += results.length;
+        state.hasMore = !!data.hasMore;
+        state.offline = !!data.offline;
+        return results;
+    });
+}
+
+// Load the movies of a TMDB collection or library box set, in release order
+function loadCollectionMovies(result) {
+    var apiKey = ApiClient.accessToken();
+    var url = result.source === 'tmdb'
+        ? '/Timeline/Search/Tmdb/Collections/' + encodeURIComponent(result.providerIds.tmdb) + '/Movies'
+        : '/Timeline/Search/Collections/' + encodeURIComponent(result.id) + '/Movies';
+    
+    return fetch(ApiClient.getUrl(url), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('Loading the collection failed: ' + response.statusText);
+        }
+        return response.json();
+    })
+    .then(function(data) {
+        return data.results || [];
+    });
+}
+
+// Search the next TMDB page of movies and/or TV shows, skipping whichever has run out of pages
+function searchTmdbContent(state) {
+    var wantMovies = state.filters.type !== 'tv' && state.tmdbMoviesHasMore;
+    var wantTv = state.filters.type !== 'movie' && state.tmdbTvHasMore;
+    var page = state.tmdbPage;
+    
+    return Promise.all([
+        wantMovies ? searchTmdbMovies(state.query, page, state.filters) : null,
+        wantTv ? searchTmdbTvShows(state.query, page, state.filters) : null
+    ])
+    .then(function(responses) {
+        var movies = responses[0];
+        var tvShows = responses[1];
+        
+        state.tmdbPage = page + 1;
+        state.tmdbMoviesHasMore = !!(movies && movies.hasMore);
+        state.tmdbTvHasMore = !!(tvShows && tvShows.hasMore);
+        state.hasMore = state.tmdbMoviesHasMore || state.tmdbTvHasMore;
+        state.offline = !!((movies && movies.offline) || (tvShows && tvShows.offline));
+        
+        // Tag all results with source: 'tmdb'
+        var allResults = [];
+        
+        (movies ? movies.results : []).forEach(function(movie) {
+            movie.source = 'tmdb';
+            allResults.push(movie);
+        });
+        
+        (tvShows ? tvShows.results : []).forEach(function(tvShow) {
+            tvShow.source = 'tmdb';
+            allResults.push(tvShow);
+        });
+        
+        return allResults;
+    });
+}
+
+// Search the next page of the Jellyfin library
+function searchLibraryContent(state) {
+    var apiKey = ApiClient.accessToken();
+    var url = '/Timeline/Search?query=' + encodeURIComponent(state.query) +
+        '&limit=' + SEARCH_PAGE_SIZE +
+        '&startIndex=' + state.libraryStartIndex +
+        buildSearchFilterQuery(state.filters);
+    
+    return fetch(ApiClient.getUrl(url), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        return response.json().then(function(data) {
+            if (!response.ok) {
+                throw new Error(data.error || ('HTTP ' + response.status));
+            }
+            return data;
+        });
+    })
+    .then(function(data) {
+        // Tag Jellyfin results with source: 'jellyfin'
+        var results = data.results || [];
+        results.forEach(function(result) {
+            result.source = 'jellyfin';
+        });
+        
+        state.libraryStartIndex += results.length;
+        state.hasMore = !!data.hasMore;
+        return results;
+    });
+}
+
+// Read the filter controls under the search box
+function getSearchFilters() {
+    var yearFrom = parseInt(document.getElementById('searchYearFrom').value, 10);
+    var yearTo = parseInt(document.getElementById('searchYearTo').value, 10);
+    
+    return {
+        type: document.getElementById('searchTypeFilter').value,
+        yearFrom: isNaN(yearFrom) ? null : yearFrom,
+        yearTo: isNaN(yearTo) ? null : yearTo,
+        libraryId: PlaylistCreatorUI.currentSearchSource === 'jellyfin' ? document.getElementById('searchLibraryFilter').value : ''
+    };
+}
+
+// Turn search filters into query string parameters (each starting with '&')
+function buildSearchFilterQuery(filters) {
+    var query = '';
+    if (filters.type) {
+        query += '&type=' + encodeURIComponent(filters.type);
+    }
+    if (filters.yearFrom !== null) {
+        query += '&yearFrom=' + filters.yearFrom;
+    }
+    if (filters.yearTo !== null) {
+        query += '&yearTo=' + filters.yearTo;
+    }
+    if (filters.libraryId) {
+        query += '&libraryId=' + encodeURIComponent(filters.libraryId);
+    }
+    return query;
+}
+
+// Fill the library filter with the server's movie, TV and mixed libraries
+function loadSearchLibraries() {
+    var apiKey = ApiClient.accessToken();
+    
+    fetch(ApiClient.getUrl('/Library/VirtualFolders'), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(folders) {
+        var select = document.getElementById('searchLibraryFilter');
+        folders.forEach(function(folder) {
+            if (folder.CollectionType && folder.CollectionType !== 'movies' && folder.CollectionType !== 'tvshows') {
+                return;
+            }
+            var option = document.createElement('option');
+            option.value = folder.ItemId;
+            option.textContent = folder.Name;
+            select.appendChild(option);
+        });
+    })
+    .catch(function(error) {
+        console.error('Error loading libraries:', error);
+    });
+}
+
+// Initialize new playlist
+function initializeNewPlaylist() {
+    var items = [];
+    PlaylistCreatorUI.currentPlaylist = {
+        key: '',
+        name: '',
+        items: items,
+        orderings: [createDefaultOrdering(items)]
+    };
+    PlaylistCreatorUI.activeOrderingKey = DEFAULT_ORDERING_KEY;
+    PlaylistCreatorUI.isEditing = false;
+    PlaylistCreatorUI.originalFilename = null;
+    resetItemsHistory();
+    resetListImport();
+    setPlaylistOwnership(null);
+    document.getElementById('playlistSkipOptional').checked = false;
+    
+    document.getElementById('playlistKey').value = '';
+    document.getElementById('playlistName').value = '';
+    document.getElementById('playlistKey').disabled = false;
+    document.getElementById('contentSearchInput').value = '';
+    document.getElementById('keyValidationError').style.display = 'none';
+    document.getElementById('nameValidationError').style.display = 'none';
+    document.getElementById('playlistStatusMessage').style.display = 'none';
+    document.getElementById('searchResults').style.display = 'none';
+    document.getElementById('createJellyfinPlaylistBtn').disabled = true;
+    
+    renderOrderingSwitcher();
+    renderItemsList();
+    
+    document.getElementById('playlistCreatorForm').style.display = 'block';
+    document.getElementById('playlistCreatorForm').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Validate playlist key
+function validatePlaylistKey(key) {
+    if (!key || key.trim() === '') {
+        return 'Playlist key is required';
+    }
+    if (/\s/.test(key)) {
+        return 'Playlist key cannot contain spaces';
+    }
+    if (!/^[a-zA-Z0-9-_]+$/.test(key)) {
+        return 'Playlist key can only contain letters, numbers, hyphens, and underscores';
+    }
+    return null;
+}
+
+// Validate playlist name
+function validatePlaylistName(name) {
+    if (!name || name.trim() === '') {
+        return 'Playlist name is required';
+    }
+    return null;
+}
+
+// Perform search with debouncing
+function performSearch() {
+    var query = document.getElementById('contentSearchInput').value.trim();
+    var searchResults = document.getElementById('searchResults');
+    
+    if (PlaylistCreatorUI.searchTimeout) {
+        clearTimeout(PlaylistCreatorUI.searchTimeout);
+    }
+    
+    if (!query) {
+        PlaylistCreatorUI.searchState = null;
+        searchResults.style.display = 'none';
+        return;
+    }
+    
+    PlaylistCreatorUI.searchTimeout = setTimeout(function() {
+        var filters = getSearchFilters();
+        if (filters.yearFrom !== null && filters.yearTo !== null && filters.yearFrom > filters.yearTo) {
+            searchResults.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;">The first year must not be after the last year</div>';
+            searchResults.style.display = 'block';
+            return;
+        }
+        
+        PlaylistCreatorUI.searchState = {
+            query: query,
+            filters: filters,
+            source: PlaylistCreatorUI.currentSearchSource,
+            results: [],
+            hasMore: false,
+            loading: false,
+            libraryStartIndex: 0,
+            tmdbPage: 1,
+            tmdbMoviesHasMore: true,
+            tmdbTvHasMore: true
+        };
+        
+        searchResults.innerHTML = '<div class="fieldDescription">Searching...</div>';
+        searchResults.style.display = 'block';
+        loadMoreSearchResults();
+    }, 300);
+}
+
+// Load the next page of the current search and show everything loaded so far
+function loadMoreSearchResults() {
+    var state = PlaylistCreatorUI.searchState;
+    var searchResults = document.getElementById('searchResults');
+    
+    if (!state || state.loading) {
+        return;
+    }
+    
+    state.loading = true;
+    var searchPromise;
+    if (state.filters.type === 'collection') {
+        searchPromise = searchCollectionContent(state);
+    } else {
+        searchPromise = state.source === 'tmdb' ? searchTmdbContent(state) : searchLibraryContent(state);
+    }
+    
+    searchPromise
+        .then(function(results) {
+            if (PlaylistCreatorUI.searchState !== state) {
+                return; // A newer search has started
+            }
+            state.loading = false;
+            state.results = state.results.concat(results);
+            renderSearchResults();
+        })
+        .catch(function(error) {
+            state.loading = false;
+            console.error('Search error:', error);
+            if (PlaylistCreatorUI.searchState === state) {
+                searchResults.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+                searchResults.firstChild.textContent = 'Error searching: ' + error.message;
+            }
+        });
+}
+
+// Check whether a search result is already one of the playlist's items
+function isResultInPlaylist(result) {
+    if (isCollectionResult(result)) {
+        return false; // Collections are never items themselves
+    }
+    
+    var ids = result.providerIds || {};
+    
+    return PlaylistCreatorUI.currentPlaylist.items.some(function(item) {
+        var id = ids[item.providerName];
+        return !!id && (item.providerId === id || item.seriesId === id);
+    });
+}
+
+// Check whether a search result is a TMDB collection or library box set
+function isCollectionResult(result) {
+    return result.type === 'Collection' || result.type === 'BoxSet';
+}
+
+// Create the card for one search result: poster, title, details and overview
+function createSearchResultCard(result) {
+    var card = document.createElement('div');
+    card.className = 'paperList';
+    card.style.padding = '0.75em';
+    card.style.cursor = 'pointer';
+    card.style.border = '1px solid #444';
+    card.style.borderRadius = '4px';
+    card.style.display = 'flex';
+    card.style.gap = '0.75em';
+    
+    card.onmouseover = function() {
+        this.style.background = '#2a2a2a';
+    };
+    card.onmouseout = function() {
+        this.style.background = '';
+    };
+    
+    var poster = document.createElement('img');
+    poster.alt = '';
+    poster.loading = 'lazy';
+    poster.style.width = '46px';
+    poster.style.height = '69px';
+    poster.style.flexShrink = '0';
+    poster.style.objectFit = 'cover';
+    poster.style.background = '#333';
+    poster.style.borderRadius = '2px';
+    poster.onerror = function() {
+        poster.style.visibility = 'hidden';
+    };
+    if (result.posterUrl) {
+        poster.src = result.posterUrl;
+    } else if (result.source === 'jellyfin' && result.id) {
+        poster.src = ApiClient.getUrl('/Items/' + result.id + '/Images/Primary?maxHeight=140');
+    } else {
+        poster.style.visibility = 'hidden';
+    }
+    
+    var info = document.createElement('div');
+    info.style.flex = '1';
+    info.style.minWidth = '0';
+    
+    // Add source badge
+    var sourceBadge = document.createElement('span');
+    sourceBadge.style.display = 'inline-block';
+    sourceBadge.style.padding = '0.2em 0.5em';
+    sourceBadge.style.borderRadius = '3px';
+    sourceBadge.style.fontSize = '0.85em';
+    sourceBadge.style.fontWeight = 'bold';
+    sourceBadge.style.marginRight = '0.5em';
+    
+    if (result.source === 'tmdb') {
+        sourceBadge.style.background = '#01b4e4';
+        sourceBadge.style.color = 'white';
+        sourceBadge.textContent = '🎬 TMDB';
+    } else {
+        sourceBadge.style.background = '#00a4dc';
+        sourceBadge.style.color = 'white';
+        sourceBadge.textContent = '📁 Jellyfin';
+    }
+    
+    var title = document.createElement('div');
+    title.style.fontWeight = '500';
+    title.appendChild(sourceBadge);
+    
+    var titleText = document.createElement('span');
+    titleText.textContent = result.title + (result.year ? ' (' + result.year + ')' : '');
+    title.appendChild(titleText);
+    
+    if (result.source === 'tmdb' && result.inLibrary) {
+        var libraryBadge = document.createElement('span');
+        libraryBadge.style.display = 'inline-block';
+        libraryBadge.style.padding = '0.2em 0.5em';
+        libraryBadge.style.borderRadius = '3px';
+        libraryBadge.style.fontSize = '0.85em';
+        libraryBadge.style.marginLeft = '0.5em';
+        libraryBadge.style.background = '#1e5631';
+        libraryBadge.style.color = '#fff';
+        libraryBadge.textContent = '✔ In library';
+        title.appendChild(libraryBadge);
+    }
+    
+    var details = document.createElement('div');
+    details.className = 'fieldDescription';
+    var detailsText = result.type;
+    if (result.type === 'Episode' && result.seriesName) {
+        detailsText += ' - ' + result.seriesName;
+        if (result.seasonNumber) {
+            detailsText += ' S' + result.seasonNumber;
+        }
+    }
+    if (result.providerIds) {
+        UNIVERSE_PROVIDER_DETAILS.forEach(function(provider) {
+            if (result.providerIds[provider.name]) {
+                detailsText += ' • ' + provider.displayName + ': ' + result.providerIds[provider.name];
+            }
+        });
+    }
+    if (isResultInPlaylist(result)) {
+        detailsText += ' • already in playlist';
+    }
+    details.textContent = detailsText;
+    
+    info.appendChild(title);
+    info.appendChild(details);
+    
+    if (result.overview) {
+        var overview = document.createElement('div');
+        overview.className = 'fieldDescription';
+        overview.style.marginTop = '0.3em';
+        overview.textContent = result.overview.length > 220 ? result.overview.substring(0, 220) + '…' : result.overview;
+        info.appendChild(overview);
+    }
+    
+    card.appendChild(poster);
+    card.appendChild(info);
+    
+    card.onclick = function() {
+        // TMDB series open the season/episode picker, collections add all their movies; everything else is added directly
+        if (result.source === 'tmdb' && result.type === 'Series') {
+            openEpisodePicker(result);
+        } else if (isCollectionResult(result)) {
+            addCollectionToPlaylist(result);
+        } else {
+            selectSearchResult(result);
+        }
+    };
+    
+    return card;
+}
+
+// Render the results loaded so far for the current search, with a "Load more" button if there are more pages
+function renderSearchResults() {
+    var searchResults = document.getElementById('searchResults');
+    var state = PlaylistCreatorUI.searchState;
+    PlaylistCreatorUI.episodePicker = null;
+    
+    if (!state) {
+        searchResults.style.display = 'none';
+        return;
+    }
+    
+    if (state.loading && state.results.length === 0) {
+        return; // Still showing "Searching..."
+    }
+    
+    var hideAdded = document.getElementById('searchHideAdded').checked;
+    var results = state.results.filter(function(result) {
+        return !hideAdded || !isResultInPlaylist(result);
+    });
+    
+    searchResults.innerHTML = '';
+    searchResults.style.display = 'block';
+    
+    // Offline TMDB searches are answered from the local TMDB cache, so only queries searched before find anything
+    if (state.offline) {
+        var offlineNote = document.createElement('div');
+        offlineNote.className = 'fieldDescription';
+        offlineNote.style.color = '#ffb74d';
+        offlineNote.style.marginBottom = '0.5em';
+        offlineNote.textContent = 'TMDB is offline - showing cached results only.';
+        searchResults.appendChild(offlineNote);
+    }
+    
+    if (results.length === 0 && !state.hasMore) {
+        var noResults = document.createElement('div');
+        noResults.className = 'fieldDescription';
+        noResults.textContent = state.offline ? 'No cached results for this search' : 'No results found';
+        searchResults.appendChild(noResults);
+        return;
+    }
+    
+    var container = document.createElement('div');
+    container.style.display = 'grid';
+    container.style.gap = '0.5em';
+    container.style.maxHeight = '400px';
+    container.style.overflowY = 'auto';
+    container.style.border = '1px solid #333';
+    container.style.borderRadius = '4px';
+    container.style.padding = '0.5em';
+    
+    results.forEach(function(result) {
+        container.appendChild(createSearchResultCard(result));
+    });
+    
+    if (results.length === 0) {
+        var hiddenNote = document.createElement('div');
+        hiddenNote.className = 'fieldDescription';
+        hiddenNote.textContent = 'All results so far are already in the playlist.';
+        container.appendChild(hiddenNote);
+    }
+    
+    if (state.hasMore) {
+        var loadMoreBtn = document.createElement('button');
+        loadMoreBtn.type = 'button';
+        loadMoreBtn.className = 'emby-button raised';
+        loadMoreBtn.textContent = 'Load more';
+        loadMoreBtn.onclick = function() {
+            loadMoreBtn.disabled = true;
+            loadMoreBtn.textContent = 'Loading...';
+            loadMoreSearchResults();
+        };
+        container.appendChild(loadMoreBtn);
+    }
+    
+    searchResults.appendChild(container);
+}
+
+// Select search result and add to playlist
+function selectSearchResult(result) {
+    var season = null;
+    var providerId = null;
+    var providerName = null;
+    var alternateIds = null;
+    var itemType = null;
+    
+    // Handle TMDB items
+    if (result.source === 'tmdb') {
+        // For TMDB items, the providerId is directly in the result
+        providerId = result.providerIds && result.providerIds.tmdb ? result.providerIds.tmdb : null;
+        providerName = 'tmdb';
+        
+        // Determine type based on result.type
+        if (result.type === 'Movie') {
+            itemType = 'movie';
+        } else if (result.type === 'Series' || result.type === 'Episode') {
+            // Seasons and episodes are picked in the episode picker; a plain TMDB show is the whole series
+            itemType = 'series';
+        }
+        
+        if (!providerId) {
+            alert('This TMDB item has no ID and cannot be added to the playlist');
+            return;
+        }
+    } else {
+        // Handle Jellyfin items (existing logic)
+        if (result.type === 'Episode') {
+            var seasonInput = prompt('Enter season number for this episode:', result.seasonNumber || '1');
+            if (seasonInput === null) {
+                return; // User cancelled
+            }
+            season = parseInt(seasonInput);
+            if (isNaN(season) || season < 1) {
+                alert('Invalid season number');
+                return;
+            }
+        }
+        
+        // Use the first provider in order of preference; the other IDs help match libraries without it
+        itemType = result.type.toLowerCase();
+        UNIVERSE_PROVIDER_DETAILS.forEach(function(provider) {
+            var id = result.providerIds[provider.name];
+            if (!id || !providerSupportsType(provider, itemType)) {
+                return;
+            }
+            if (!providerId) {
+                providerId = id;
+                providerName = provider.name;
+            } else {
+                alternateIds = alternateIds || {};
+                alternateIds[provider.name] = id;
+            }
+        });
+        
+        if (!providerId) {
+            alert('This item has no provider ID and cannot be added to the playlist');
+            return;
+        }
+    }
+    
+    var item = {
+        providerId: providerId,
+        providerName: providerName,
+        type: itemType,
+        title: result.title,
+        year: result.year,
+        _displaySource: result.source || 'jellyfin' // Store source for display
+    };
+    
+    if (season !== null) {
+        item.season = season;
+    }
+    if (alternateIds) {
+        item.alternateIds = alternateIds;
+    }
+    
+    addItemsToPlaylist([item]);
+}
+
+// Append all movies of a collection in release order, skipping movies already in the playlist
+function addCollectionToPlaylist(result) {
+    var statusMessage = document.getElementById('playlistStatusMessage');
+    var searchResults = document.getElementById('searchResults');
+    
+    var loading = document.createElement('div');
+    loading.className = 'fieldDescription';
+    loading.textContent = 'Loading ' + result.title + '...';
+    searchResults.innerHTML = '';
+    searchResults.appendChild(loading);
+    
+    loadCollectionMovies(result)
+        .then(function(movies) {
+            var existing = {};
+            PlaylistCreatorUI.currentPlaylist.items.forEach(function(item) {
+                existing[item.providerName + ':' + item.providerId] = true;
+            });
+            
+            var newItems = [];
+            var skipped = 0;
+            movies.forEach(function(movie) {
+                var ids = movie.providerIds || {};
+                var providerId = ids.tmdb || ids.imdb;
+                var providerName = ids.tmdb ? 'tmdb' : 'imdb';
+                
+                // Movies without IDs can't be added; movies already in the playlist (or twice in the collection) are skipped
+                if (!providerId || existing[providerName + ':' + providerId] ||
+                    (ids.tmdb && ids.imdb && existing['imdb:' + ids.imdb])) {
+                    skipped++;
+                    return;
+                }
+                existing[providerName + ':' + providerId] = true;
+                
+                newItems.push({
+                    providerId: providerId,
+                    providerName: providerName,
+                    type: 'movie',
+                    title: movie.title,
+                    year: movie.year,
+                    _displaySource: result.source
+                });
+            });
+            
+            if (newItems.length > 0) {
+                addItemsToPlaylist(newItems);
+            } else {
+                renderSearchResults();
+            }
+            
+            statusMessage.style.display = 'block';
+            statusMessage.style.background = newItems.length > 0 ? '#1e5631' : '#5a1a1a';
+            statusMessage.style.color = newItems.length > 0 ? '#fff' : '#ff6b6b';
+            statusMessage.textContent = 'Added ' + newItems.length + ' movie(s) from ' + result.title +
+                (skipped > 0 ? ' (' + skipped + ' skipped: already in the playlist or without an ID)' : '');
+            
+            setTimeout(function() {
+                statusMessage.style.display = 'none';
+            }, 5000);
+        })
+        .catch(function(error) {
+            console.error('Error loading collection:', error);
+            renderSearchResults();
+            statusMessage.style.display = 'block';
+            statusMessage.style.background = '#5a1a1a';
+            statusMessage.style.color = '#ff6b6b';
+            statusMessage.textContent = 'Error loading collection: ' + error.message;
+        });
+}
+
+// Add new items at the end of the playlist, or in place of the imported row being fixed
+function addItemsToPlaylist(newItems) {
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    
+    recordItemsChange();
+    if (PlaylistCreatorUI.pendingImportFix) {
+        insertFixedImportItem(newItems[0]);
+        var insertIndex = items.indexOf(newItems[0]) + 1;
+        newItems.slice(1).forEach(function(item, offset) {
+            items.splice(insertIndex + offset, 0, item);
+        });
+    } else {
+        newItems.forEach(function(item) {
+            items.push(item);
+        });
+    }
+    
+    // Clear search
+    PlaylistCreatorUI.searchState = null;
+    PlaylistCreatorUI.episodePicker = null;
+    document.getElementById('contentSearchInput').value = '';
+    document.getElementById('searchResults').style.display = 'none';
+    
+    renderItemsList();
+    updateCreateButtonState();
+    refreshItemExpansion();
+}
+
+// Format the season/episode scope of an item (e.g. "S2", "S2E1-E8"), matching the server's ScopeLabel
+function formatEpisodeScope(item) {
+    if (item.season === null || item.season === undefined) {
+        return '';
+    }
+    
+    var hasStart = item.episodeStart !== null && item.episodeStart !== undefined;
+    var hasEnd = item.episodeEnd !== null && item.episodeEnd !== undefined;
+    
+    if (!hasStart && !hasEnd) {
+        return 'S' + item.season;
+    }
+    
+    if (hasStart && hasEnd && item.episodeStart === item.episodeEnd) {
+        return 'S' + item.season + 'E' + item.episodeStart;
+    }
+    
+    return 'S' + item.season + (hasStart ? 'E' + item.episodeStart : 'E1') + '-' + (hasEnd ? 'E' + item.episodeEnd : 'end');
+}
+
+// Title shown for a playlist item; items saved without a title show their ID instead
+function getItemDisplayTitle(item) {
+    if (!item.title) {
+        return item.providerName.toUpperCase() + ' ' + item.providerId;
+    }
+    return item.title + (item.year ? ' (' + item.year + ')' : '');
+}
+
+// Convert an editor item to a timeline item (display-only fields removed)
+function toTimelineItem(item) {
+    var cleanItem = {
+        providerId: item.providerId,
+        providerName: item.providerName,
+        type: item.type
+    };
+    if (item.season !== null && item.season !== undefined) {
+        cleanItem.season = item.season;
+    }
+    if (item.episodeStart !== null && item.episodeStart !== undefined) {
+        cleanItem.episodeStart = item.episodeStart;
+    }
+    if (item.episodeEnd !== null && item.episodeEnd !== undefined) {
+        cleanItem.episodeEnd = item.episodeEnd;
+    }
+    if (item.seriesId) {
+        cleanItem.seriesId = item.seriesId;
+    }
+    if (item.alternateIds && Object.keys(item.alternateIds).length > 0) {
+        cleanItem.alternateIds = item.alternateIds;
+    }
+    // Title, year and runtime let the server match files Jellyfin never identified
+    if (item.title) {
+        cleanItem.title = item.title;
+    }
+    if (item.year) {
+        cleanItem.year = item.year;
+    }
+    if (item.runtime) {
+        cleanItem.runtime = item.runtime;
+    }
+    if (item.comment) {
+        cleanItem.comment = item.comment;
+    }
+    if (item.tags && item.tags.length > 0) {
+        cleanItem.tags = item.tags;
+    }
+    if (item.optional) {
+        cleanItem.optional = true;
+    }
+    // Don't include _displaySource, _expandedCount, _titleMatchConfidence - they're only for UI
+    return cleanItem;
+}
+
+// Ask the server how many library items each playlist item resolves to (series and seasons expand into episodes)
+function refreshItemExpansion() {
+    var items = PlaylistCreatorUI.currentPlaylist.items.slice();
+    if (items.length === 0) {
+        return;
+    }
+    
+    var apiKey = ApiClient.accessToken();
+    
+    fetch(ApiClient.getUrl('/Timeline/Matching/Expand'), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': apiKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(items.map(toTimelineItem))
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(results) {
+        // Results are applied to the items captured above, so reordering in the meantime is harmless
+        results.forEach(function(result) {
+            var item = items[result.index];
+            if (item) {
+                item._expandedCount = result.matched ? result.itemCount : 0;
+                item._titleMatchConfidence = result.titleMatchConfidence;
+            }
+        });
+        renderItemsList();
+    })
+    .catch(function(error) {
+        console.error('Error resolving playlist items:', error);
+    });
+}
+
+// Render playlist items list
+function renderItemsList() {
+    var itemsList = document.getElementById('playlistItemsList');
+    var emptyState = document.getElementById('emptyStateMessage');
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    
+    if (items.length === 0) {
+        emptyState.style.display = 'block';
+        // Remove any existing item cards
+        var existingCards = itemsList.querySelectorAll('.playlist-item-card');
+        existingCards.forEach(function(card) {
+            card.remove();
+        });
+        updateItemsToolbar();
+        return;
+    }
+    
+    emptyState.style.display = 'none';
+    
+    // Clear existing items
+    var existingCards = itemsList.querySelectorAll('.playlist-item-card');
+    existingCards.forEach(function(card) {
+        card.remove();
+    });
+    
+    items.forEach(function(item, index) {
+        var card = document.createElement('div');
+        card.className = 'playlist-item-card paperList';
+        card.style.padding = '0.75em';
+        card.style.display = 'flex';
+        card.style.justifyContent = 'space-between';
+        card.style.alignItems = 'center';
+        card.style.border = '1px solid #444';
+        card.style.borderRadius = '4px';
+        card.style.marginBottom = '0.5em';
+        card.style.cursor = 'move';
+        card.style.background = item._selected ? 'rgba(0, 164, 220, 0.2)' : '';
+        card.draggable = true;
+        attachItemDragHandlers(card, index);
+        
+        var checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !!item._selected;
+        checkbox.style.marginRight = '0.75em';
+        checkbox.title = 'Select (Shift-click to select a range)';
+        checkbox.onclick = function(event) {
+            toggleItemSelection(index, event.shiftKey);
+        };
+        
+        var info = document.createElement('div');
+        info.style.flex = '1';
+        
+        var position = document.createElement('span');
+        position.style.fontWeight = 'bold';
+        position.style.marginRight = '0.5em';
+        position.textContent = (index + 1) + '.';
+        
+        // Add source badge
+        var sourceBadge = document.createElement('span');
+        sourceBadge.style.display = 'inline-block';
+        sourceBadge.style.padding = '0.2em 0.5em';
+        sourceBadge.style.borderRadius = '3px';
+        sourceBadge.style.fontSize = '0.75em';
+        sourceBadge.style.fontWeight = 'bold';
+        sourceBadge.style.marginRight = '0.5em';
+        
+        if (item._displaySource === 'tmdb') {
+            sourceBadge.style.background = '#01b4e4';
+            sourceBadge.style.color = 'white';
+            sourceBadge.textContent = '🎬 TMDB';
+        } else if (item._displaySource === 'import') {
+            sourceBadge.style.background = '#6a4c93';
+            sourceBadge.style.color = 'white';
+            sourceBadge.textContent = '📄 Import';
+        } else {
+            sourceBadge.style.background = '#00a4dc';
+            sourceBadge.style.color = 'white';
+            sourceBadge.textContent = '📁 Jellyfin';
+        }
+        
+        var title = document.createElement('span');
+        title.textContent = getItemDisplayTitle(item);
+        
+        var details = document.createElement('div');
+        details.className = 'fieldDescription';
+        var detailsText = item.type;
+        var scopeLabel = formatEpisodeScope(item);
+        if (scopeLabel) {
+            detailsText += ' ' + scopeLabel;
+        }
+        detailsText += ' • ' + item.providerName.toUpperCase() + ': ' + item.providerId;
+        if (item._expandedCount === 0) {
+            detailsText += ' • not in library';
+        } else if (item._expandedCount !== undefined && (item.type === 'series' || item.type === 'season' || item._expandedCount > 1)) {
+            detailsText += ' • ' + item._expandedCount + ' episode' + (item._expandedCount === 1 ? '' : 's');
+        }
+        if (item._titleMatchConfidence) {
+            detailsText += ' • matched by title (' + item._titleMatchConfidence + '%) - check it';
+        }
+        details.textContent = detailsText;
+        
+        info.appendChild(position);
+        info.appendChild(sourceBadge);
+        info.appendChild(title);
+        
+        if (item.optional) {
+            var optionalBadge = document.createElement('span');
+            optionalBadge.style.marginLeft = '0.5em';
+            optionalBadge.style.padding = '0.1em 0.4em';
+            optionalBadge.style.borderRadius = '3px';
+            optionalBadge.style.fontSize = '0.75em';
+            optionalBadge.style.border = '1px solid #888';
+            optionalBadge.style.color = '#bbb';
+            optionalBadge.textContent = 'Optional';
+            info.appendChild(optionalBadge);
+        }
+        
+        info.appendChild(document.createElement('br'));
+        info.appendChild(details);
+        
+        if (item.comment || (item.tags && item.tags.length > 0)) {
+            var notes = document.createElement('div');
+            notes.className = 'fieldDescription';
+            notes.style.fontStyle = 'italic';
+            notes.textContent = (item.comment ? '📝 ' + item.comment : '') +
+                (item.tags && item.tags.length > 0 ? (item.comment ? ' • ' : '') + '🏷 ' + item.tags.join(', ') : '');
+            info.appendChild(notes);
+        }
+        
+        var buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.gap = '0.25em';
+        
+        var upBtn = document.createElement('button');
+        upBtn.type = 'button';
+        upBtn.className = 'emby-button raised';
+        upBtn.textContent = '↑';
+        upBtn.disabled = index === 0;
+        upBtn.onclick = function() {
+            moveItemUp(index);
+        };
+        
+        var downBtn = document.createElement('button');
+        downBtn.type = 'button';
+        downBtn.className = 'emby-button raised';
+        downBtn.textContent = '↓';
+        downBtn.disabled = index === items.length - 1;
+        downBtn.onclick = function() {
+            moveItemDown(index);
+        };
+        
+        var positionBtn = document.createElement('button');
+        positionBtn.type = 'button';
+        positionBtn.className = 'emby-button raised';
+        positionBtn.textContent = '#';
+        positionBtn.title = 'Move to position...';
+        positionBtn.onclick = function() {
+            promptMoveItemToPosition(index);
+        };
+        
+        var notesBtn = document.createElement('button');
+        notesBtn.type = 'button';
+        notesBtn.className = 'emby-button raised';
+        notesBtn.textContent = '✎';
+        notesBtn.title = 'Edit note and tags...';
+        notesBtn.onclick = function() {
+            editItemNotes(index);
+        };
+        
+        var optionalBtn = document.createElement('button');
+        optionalBtn.type = 'button';
+        optionalBtn.className = 'emby-button raised';
+        optionalBtn.textContent = '◐';
+        optionalBtn.title = item.optional ? 'Mark as required' : 'Mark as optional';
+        optionalBtn.style.background = item.optional ? '#555' : '';
+        optionalBtn.onclick = function() {
+            toggleItemOptional(index);
+        };
+        
+        var removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'emby-button raised';
+        removeBtn.textContent = '✕';
+        removeBtn.style.background = '#f44336';
+        removeBtn.style.color = 'white';
+        removeBtn.onclick = function() {
+            removeItemFromPlaylist(index);
+        };
+        
+        buttons.appendChild(upBtn);
+        buttons.appendChild(downBtn);
+        buttons.appendChild(positionBtn);
+        buttons.appendChild(notesBtn);
+        buttons.appendChild(optionalBtn);
+        buttons.appendChild(removeBtn);
+        
+        card.appendChild(checkbox);
+        card.appendChild(info);
+        card.appendChild(buttons);
+        
+        itemsList.appendChild(card);
+    });
+    
+    updateItemsToolbar();
+}
+
+// Ask for an item's note and tags; cancelling either prompt leaves that field unchanged
+function editItemNotes(index) {
+    var item = PlaylistCreatorUI.currentPlaylist.items[index];
+    
+    var comment = prompt('Note for "' + getItemDisplayTitle(item) + '" (leave empty to remove):', item.comment || '');
+    var tags = prompt('Tags for "' + getItemDisplayTitle(item) + '", comma-separated (leave empty to remove):', (item.tags || []).join(', '));
+    if (comment === null && tags === null) {
+        return;
+    }
+    
+    // Undo snapshots share item objects, so edit a copy instead of the item itself
+    var edited = copyPlaylistItem(item);
+    if (comment !== null) {
+        setItemAnnotation(edited, 'comment', comment);
+    }
+    if (tags !== null) {
+        setItemAnnotation(edited, 'tags', tags);
+    }
+    
+    recordItemsChange();
+    PlaylistCreatorUI.currentPlaylist.items[index] = edited;
+    renderItemsList();
+}
+
+// Mark an item optional or required
+function toggleItemOptional(index) {
+    var edited = copyPlaylistItem(PlaylistCreatorUI.currentPlaylist.items[index]);
+    setItemAnnotation(edited, 'optional', !edited.optional);
+    
+    recordItemsChange();
+    PlaylistCreatorUI.currentPlaylist.items[index] = edited;
+    renderItemsList();
+}
+
+// Move item up
+function moveItemUp(index) {
+    if (index === 0) return;
+    
+    moveItemsToIndex([index], index - 1);
+}
+
+// Move item down
+function moveItemDown(index) {
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    if (index === items.length - 1) return;
+    
+    moveItemsToIndex([index], index + 1);
+}
+
+// Remove item from playlist
+function removeItemFromPlaylist(index) {
+    recordItemsChange();
+    PlaylistCreatorUI.currentPlaylist.items.splice(index, 1);
+    PlaylistCreatorUI.lastSelectedIndex = null;
+    renderItemsList();
+    updateCreateButtonState();
+}
+
+// Move the items at the given indices so the first of them ends up at targetIndex (0-based, in the resulting list).
+// The moved items keep their relative order.
+function moveItemsToIndex(indices, targetIndex) {
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    var sorted = indices.slice().sort(function(a, b) { return a - b; });
+    var moving = sorted.map(function(i) { return items[i]; });
+    var remaining = items.filter(function(item, i) { return sorted.indexOf(i) === -1; });
+    
+    targetIndex = Math.max(0, Math.min(targetIndex, remaining.length));
+    
+    var reordered = remaining.slice(0, targetIndex).concat(moving, remaining.slice(targetIndex));
+    var changed = reordered.some(function(item, i) { return item !== items[i]; });
+    if (!changed) {
+        return;
+    }
+    
+    recordItemsChange();
+    PlaylistCreatorUI.currentPlaylist.items = reordered;
+    PlaylistCreatorUI.lastSelectedIndex = null;
+    renderItemsList();
+}
+
+// Prompt for a new position for a single item
+function promptMoveItemToPosition(index) {
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    var input = prompt('Move to position (1-' + items.length + '):', String(index + 1));
+    if (input === null) {
+        return; // User cancelled
+    }
+    
+    var position = parseInt(input, 10);
+    if (isNaN(position) || position < 1 || position > items.length) {
+        alert('Enter a position between 1 and ' + items.length);
+        return;
+    }
+    
+    moveItemsToIndex([index], position - 1);
+}
+
+// ===== ITEM SELECTION =====
+
+// Get the indices of the selected items
+function getSelectedItemIndices() {
+    var indices = [];
+    PlaylistCreatorUI.currentPlaylist.items.forEach(function(item, index) {
+        if (item._selected) {
+            indices.push(index);
+        }
+    });
+    return indices;
+}
+
+// Toggle selection of an item; with shift, select the range from the last clicked item
+function toggleItemSelection(index, extendRange) {
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    var anchor = PlaylistCreatorUI.lastSelectedIndex;
+    
+    if (extendRange && anchor !== null && anchor < items.length) {
+        var start = Math.min(anchor, index);
+        var end = Math.max(anchor, index);
+        for (var i = start; i <= end; i++) {
+            items[i]._selected = true;
+        }
+    } else {
+        items[index]._selected = !items[index]._selected;
+    }
+    
+    PlaylistCreatorUI.lastSelectedIndex = index;
+    renderItemsList();
+}
+
+// Select all items, or clear the selection if everything is already selected
+function toggleSelectAllItems() {
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    var selectAll = getSelectedItemIndices().length < items.length;
+    
+    items.forEach(function(item) {
+        item._selected = selectAll;
+    });
+    
+    PlaylistCreatorUI.lastSelectedIndex = null;
+    renderItemsList();
+}
+
+// Move the selected items to the position entered in the toolbar
+function moveSelectedItems() {
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    var selected = getSelectedItemIndices();
+    if (selected.length === 0) {
+        return;
+    }
+    
+    var position = parseInt(document.getElementById('moveSelectedPosition').value, 10);
+    var maxPosition = items.length - selected.length + 1;
+    if (isNaN(position) || position < 1 || position > maxPosition) {
+        alert('Enter a position between 1 and ' + maxPosition);
+        return;
+    }
+    
+    moveItemsToIndex(selected, position - 1);
+}
+
+// Delete the selected items
+function deleteSelectedItems() {
+    var selected = getSelectedItemIndices();
+    if (selected.length === 0) {
+        return;
+    }
+    
+    // No confirmation needed; the deletion can be undone
+    recordItemsChange();
+    PlaylistCreatorUI.currentPlaylist.items = PlaylistCreatorUI.currentPlaylist.items.filter(function(item) {
+        return !item._selected;
+    });
+    PlaylistCreatorUI.lastSelectedIndex = null;
+    
+    renderItemsList();
+    updateCreateButtonState();
+}
+
+// Refresh the toolbar buttons and selection count
+function updateItemsToolbar() {
+    var undoBtn = document.getElementById('undoItemsBtn');
+    if (!undoBtn) {
+        return;
+    }
+    
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    var selectedCount = getSelectedItemIndices().length;
+    
+    undoBtn.disabled = PlaylistCreatorUI.undoStack.length === 0;
+    document.getElementById('redoItemsBtn').disabled = PlaylistCreatorUI.redoStack.length === 0;
+    document.getElementById('toggleSelectAllItemsBtn').disabled = items.length === 0;
+    document.getElementById('toggleSelectAllItemsBtn').textContent =
+        items.length > 0 && selectedCount === items.length ? 'Select None' : 'Select All';
+    document.getElementById('selectedItemsCount').textContent = selectedCount + ' selected';
+    document.getElementById('moveSelectedItemsBtn').disabled = selectedCount === 0;
+    document.getElementById('deleteSelectedItemsBtn').disabled = selectedCount === 0;
+}
+
+// ===== DRAG AND DROP =====
+
+// Wire up drag-and-drop reordering for an item card.
+// Dragging a selected item moves the whole selection.
+function attachItemDragHandlers(card, index) {
+    card.addEventListener('dragstart', function(event) {
+        PlaylistCreatorUI.dragIndex = index;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', String(index)); // Required for Firefox
+        card.style.opacity = '0.5';
+    });
+    
+    card.addEventListener('dragend', function() {
+        PlaylistCreatorUI.dragIndex = null;
+        card.style.opacity = '';
+        clearDropIndicators();
+    });
+    
+    card.addEventListener('dragover', function(event) {
+        if (PlaylistCreatorUI.dragIndex === null) {
+            return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        
+        clearDropIndicators();
+        if (isDropAfter(card, event)) {
+            card.style.borderBottom = '3px solid #00a4dc';
+        } else {
+            card.style.borderTop = '3px solid #00a4dc';
+        }
+    });
+    
+    card.addEventListener('drop', function(event) {
+        if (PlaylistCreatorUI.dragIndex === null) {
+            return;
+        }
+        event.preventDefault();
+        
+        var items = PlaylistCreatorUI.currentPlaylist.items;
+        var dragIndex = PlaylistCreatorUI.dragIndex;
+        var indices = items[dragIndex]._selected ? getSelectedItemIndices() : [dragIndex];
+        
+        // Drop position as an index in the current list, converted to an index in the list without the moved items
+        var insertBefore = isDropAfter(card, event) ? index + 1 : index;
+        var movedBefore = indices.filter(function(i) { return i < insertBefore; }).length;
+        
+        PlaylistCreatorUI.dragIndex = null;
+        clearDropIndicators();
+        moveItemsToIndex(indices, insertBefore - movedBefore);
+    });
+}
+
+// Whether the pointer is over the lower half of a card
+function isDropAfter(card, event) {
+    var rect = card.getBoundingClientRect();
+    return event.clientY > rect.top + rect.height / 2;
+}
+
+// Remove drop position highlights from all item cards
+function clearDropIndicators() {
+    var cards = document.querySelectorAll('#playlistItemsList .playlist-item-card');
+    cards.forEach(function(card) {
+        card.style.borderTop = '1px solid #444';
+        card.style.borderBottom = '1px solid #444';
+    });
+}
+
+// ===== UNDO / REDO =====
+
+// Snapshot the item list before an edit so it can be undone
+function recordItemsChange() {
+    PlaylistCreatorUI.undoStack.push(PlaylistCreatorUI.currentPlaylist.items.slice());
+    if (PlaylistCreatorUI.undoStack.length > MAX_UNDO_STEPS) {
+        PlaylistCreatorUI.undoStack.shift();
+    }
+    PlaylistCreatorUI.redoStack = [];
+}
+
+// Shallow copy of a playlist item, for edits that must not change the item in earlier undo snapshots
+function copyPlaylistItem(item) {
+    var copy = {};
+    Object.keys(item).forEach(function(key) {
+        copy[key] = item[key];
+    });
+    return copy;
+}
+
+// Forget undo history (new or freshly loaded playlist)
+function resetItemsHistory() {
+    PlaylistCreatorUI.undoStack = [];
+    PlaylistCreatorUI.redoStack = [];
+    PlaylistCreatorUI.lastSelectedIndex = null;
+    PlaylistCreatorUI.dragIndex = null;
+}
+
+// Undo the last item edit
+function undoItemsChange() {
+    if (PlaylistCreatorUI.undoStack.length === 0) {
+        return;
+    }
+    
+    PlaylistCreatorUI.redoStack.push(PlaylistCreatorUI.currentPlaylist.items.slice());
+    PlaylistCreatorUI.currentPlaylist.items = PlaylistCreatorUI.undoStack.pop();
+    PlaylistCreatorUI.lastSelectedIndex = null;
+    
+    renderItemsList();
+    updateCreateButtonState();
+}
+
+// Redo the last undone item edit
+function redoItemsChange() {
+    if (PlaylistCreatorUI.redoStack.length === 0) {
+        return;
+    }
+    
+    PlaylistCreatorUI.undoStack.push(PlaylistCreatorUI.currentPlaylist.items.slice());
+    PlaylistCreatorUI.currentPlaylist.items = PlaylistCreatorUI.redoStack.pop();
+    PlaylistCreatorUI.lastSelectedIndex = null;
+    
+    renderItemsList();
+    updateCreateButtonState();
+}
+
+// Handle Ctrl+Z / Ctrl+Y (and Ctrl+Shift+Z) while the Playlist Creator is open
+function handleItemsHistoryShortcut(event) {
+    var form = document.getElementById('playlistCreatorForm');
+    if (!form || form.style.display === 'none' || !(event.ctrlKey || event.metaKey)) {
+        return;
+    }
+    
+    // Leave text fields with their own undo behaviour
+    var target = event.target;
+    if (target && ((target.tagName === 'INPUT' && target.type !== 'checkbox') || target.tagName === 'TEXTAREA')) {
+        return;
+    }
+    
+    var key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoItemsChange();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redoItemsChange();
+    }
+}
+
+// Update create button state
+function updateCreateButtonState() {
+    var createBtn = document.getElementById('createJellyfinPlaylistBtn');
+    var hasValidKey = validatePlaylistKey(PlaylistCreatorUI.currentPlaylist.key) === null;
+    var hasValidName = validatePlaylistName(PlaylistCreatorUI.currentPlaylist.name) === null;
+    
+    createBtn.disabled = !(hasValidKey && hasValidName && PlaylistCreatorUI.currentPlaylist.items.length > 0);
+}
+
+// Save playlist
+function savePlaylist() {
+    var key = document.getElementById('playlistKey').value.trim();
+    var name = document.getElementById('playlistName').value.trim();
+    
+    var keyError = validatePlaylistKey(key);
+    var nameError = validatePlaylistName(name);
+    
+    var keyValidationError = document.getElementById('keyValidationError');
+    var nameValidationError = document.getElementById('nameValidationError');
+    
+    if (keyError) {
+        keyValidationError.textContent = keyError;
+        keyValidationError.style.display = 'block';
+    } else {
+        keyValidationError.style.display = 'none';
+    }
+    
+    if (nameError) {
+        nameValidationError.textContent = nameError;
+        nameValidationError.style.display = 'block';
+    } else {
+        nameValidationError.style.display = 'none';
+    }
+    
+    if (keyError || nameError) {
+        return;
+    }
+    
+    PlaylistCreatorUI.currentPlaylist.key = key;
+    PlaylistCreatorUI.currentPlaylist.name = name;
+    
+    var saveBtn = document.getElementById('savePlaylistBtn');
+    var statusMessage = document.getElementById('playlistStatusMessage');
+    
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+    
+    // Prepare universe object (remove display-only fields); alternate orderings are stored as item keys
+    syncOrderings();
+    var orderings = PlaylistCreatorUI.currentPlaylist.orderings;
+    var universe = {
+        key: PlaylistCreatorUI.currentPlaylist.key,
+        name: PlaylistCreatorUI.currentPlaylist.name,
+        items: orderings[0].items.map(toTimelineItem)
+    };
+    
+    if (orderings.length > 1) {
+        universe.orderings = orderings.slice(1).map(function(ordering) {
+            return {
+                key: ordering.key,
+                name: ordering.name,
+                order: ordering.items.map(getItemOrderKey)
+            };
+        });
+    }
+    
+    var ownership = getPlaylistOwnership();
+    if (ownership) {
+        universe.ownership = ownership;
+    }
+    
+    if (document.getElementById('playlistSkipOptional').checked) {
+        universe.skipOptionalItems = true;
+    }
+    
+    var filename = PlaylistCreatorUI.isEditing ? PlaylistCreatorUI.originalFilename : (key + '.json');
+    var apiKey = ApiClient.accessToken();
+    
+    fetch(ApiClient.getUrl('/Timeline/Universes/' + filename), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': apiKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(universe)
+    })
+    .then(function(response) {
+        return response.json();
+    })
+    .then(function(result) {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save Playlist';
+        
+        if (result.success) {
+            statusMessage.style.display = 'block';
+            statusMessage.style.background = '#1e5631';
+            statusMessage.style.color = '#fff';
+            statusMessage.textContent = 'Playlist saved successfully!';
+            
+            updateCreateButtonState();
+            loadUniverses(); // Refresh universe list
+            
+            setTimeout(function() {
+                statusMessage.style.display = 'none';
+            }, 3000);
+        } else {
+            statusMessage.style.display = 'block';
+            statusMessage.style.background = '#5a1a1a';
+            statusMessage.style.color = '#ff6b6b';
+            statusMessage.textContent = 'Failed to save playlist: ' + (result.errors ? result.errors.join(', ') : 'Unknown error');
+        }
+    })
+    .catch(function(error) {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save Playlist';
+        
+        statusMessage.style.display = 'block';
+        statusMessage.style.background = '#5a1a1a';
+        statusMessage.style.color = '#ff6b6b';
+        statusMessage.textContent = 'Error saving playlist: ' + error.message;
+    });
+}
+
+// Create Jellyfin playlist
+function createJellyfinPlaylist() {
+    var createBtn = document.getElementById('createJellyfinPlaylistBtn');
+    var statusMessage = document.getElementById('playlistStatusMessage');
+    
+    createBtn.disabled = true;
+    createBtn.textContent = 'Creating...';
+    
+    var apiKey = ApiClient.accessToken();
+    var userId = ApiClient.getCurrentUserId();
+    var filename = PlaylistCreatorUI.isEditing ? PlaylistCreatorUI.originalFilename : (PlaylistCreatorUI.currentPlaylist.key + '.json');
+    
+    var requestBody = {
+        selectedUniverseFilenames: [filename]
+    };
+    
+    fetch(ApiClient.getUrl('/Timeline/CreatePlaylists?userId=' + userId), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': apiKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody)
+    })
+    .then(function(response) {
+        return response.json();
+    })
+    .then(function(data) {
+        createBtn.disabled = false;
+        createBtn.textContent = 'Create Jellyfin Playlist';
+        
+        if (data.success) {
+            var playlistResult = data.playlists && data.playlists.length > 0 ? data.playlists[0] : null;
+            
+            statusMessage.style.display = 'block';
+            statusMessage.style.background = '#1e5631';
+            statusMessage.style.color = '#fff';
+            statusMessage.textContent = playlistResult
+                ? 'Jellyfin playlist ' + formatPlaylistResults([playlistResult])
+                : 'Jellyfin playlist created successfully!';
+            
+            setTimeout(function() {
+                loadPlaylists();
+                statusMessage.style.display = 'none';
+            }, 2000);
+        } else {
+            statusMessage.style.display = 'block';
+            statusMessage.style.background = '#5a1a1a';
+            statusMessage.style.color = '#ff6b6b';
+            statusMessage.textContent = 'Failed to create playlist: ' + (data.message || 'Unknown error');
+        }
+    })
+    .catch(function(error) {
+        createBtn.disabled = false;
+        createBtn.textContent = 'Create Jellyfin Playlist';
+        
+        statusMessage.style.display = 'block';
+        statusMessage.style.background = '#5a1a1a';
+        statusMessage.style.color = '#ff6b6b';
+        statusMessage.textContent = 'Error creating playlist: ' + error.message;
+    });
+}
+
+// Cancel playlist creation/editing
+function cancelPlaylistCreation() {
+    document.getElementById('playlistCreatorForm').style.display = 'none';
+    initializeNewPlaylist();
+}
+
+// Load playlist for editing
+function loadPlaylistForEditing(filename) {
+    var apiKey = ApiClient.accessToken();
+    
+    fetch(ApiClient.getUrl('/Timeline/Universes/' + filename), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        return response.json();
+    })
+    .then(function(universe) {
+        PlaylistCreatorUI.isEditing = true;
+        PlaylistCreatorUI.originalFilename = filename;
+        resetItemsHistory();
+        resetListImport();
+        var items = universe.items.map(function(item) {
+            return {
+                providerId: item.providerId,
+                providerName: item.providerName,
+                type: item.type,
+                season: item.season,
+                episodeStart: item.episodeStart,
+                episodeEnd: item.episodeEnd,
+                seriesId: item.seriesId,
+                alternateIds: item.alternateIds,
+                comment: item.comment,
+                tags: item.tags,
+                optional: item.optional,
+                title: item.title,
+                year: item.year,
+                runtime: item.runtime
+            };
+        });
+        
+        // Every ordering shares the same item objects, so edits to an item show up in all of them
+        var orderings = [createDefaultOrdering(items)];
+        (universe.orderings || []).forEach(function(ordering) {
+            orderings.push({
+                key: ordering.key,
+                name: ordering.name,
+                items: resolveOrderingItems(items, ordering.order)
+            });
+        });
+        
+        PlaylistCreatorUI.currentPlaylist = {
+            key: universe.key,
+            name: universe.name,
+            items: items,
+            orderings: orderings
+        };
+        PlaylistCreatorUI.activeOrderingKey = DEFAULT_ORDERING_KEY;
+        
+        document.getElementById('playlistKey').value = universe.key;
+        document.getElementById('playlistName').value = universe.name;
+        document.getElementById('playlistKey').disabled = true; // Read-only when editing
+        setPlaylistOwnership(universe.ownership);
+        document.getElementById('playlistSkipOptional').checked = !!universe.skipOptionalItems;
+        document.getElementById('keyValidationError').style.display = 'none';
+        document.getElementById('nameValidationError').style.display = 'none';
+        document.getElementById('playlistStatusMessage').style.display = 'none';
+        
+        renderOrderingSwitcher();
+        renderItemsList();
+        updateCreateButtonState();
+        refreshItemExpansion();
+        
+        document.getElementById('playlistCreatorForm').style.display = 'block';
+        document.getElementById('playlistCreatorForm').scrollIntoView({ behavior: 'smooth' });
+    })
+    .catch(function(error) {
+        alert('Error loading playlist: ' + error.message);
+    });
+}
+
+// Initialize Playlist Creator event listeners
+setTimeout(function() {
+    var createNewBtn = document.getElementById('createNewPlaylistBtn');
+    if (createNewBtn) {
+        createNewBtn.addEventListener('click', initializeNewPlaylist);
+    }
+    
+    // Search source toggle buttons
+    var searchSourceButtons = document.querySelectorAll('.search-source-toggle');
+    searchSourceButtons.forEach(function(button) {
+        button.addEventListener('click', function() {
+            var source = this.dataset.source;
+            setSearchSource(source);
+        });
+    });
+    
+    var searchInput = document.getElementById('contentSearchInput');
+    if (searchInput) {
+        searchInput.addEventListener('input', performSearch);
+    }
+    
+    // Search filters start a new search; hiding added items only re-renders the loaded results
+    ['searchTypeFilter', 'searchYearFrom', 'searchYearTo', 'searchLibraryFilter'].forEach(function(id) {
+        var filter = document.getElementById(id);
+        if (filter) {
+            filter.addEventListener('change', performSearch);
+        }
+    });
+    
+    var hideAddedCheckbox = document.getElementById('searchHideAdded');
+    if (hideAddedCheckbox) {
+        hideAddedCheckbox.addEventListener('change', renderSearchResults);
+    }
+    
+    loadSearchLibraries();
+    
+    var playlistKeyInput = document.getElementById('playlistKey');
+    if (playlistKeyInput) {
+        playlistKeyInput.addEventListener('input', function() {
+            PlaylistCreatorUI.currentPlaylist.key = this.value.trim();
+            updateCreateButtonState();
+        });
+    }
+    
+    var playlistNameInput = document.getElementById('playlistName');
+    if (playlistNameInput) {
+        playlistNameInput.addEventListener('input', function() {
+            PlaylistCreatorUI.currentPlaylist.name = this.value.trim();
+            updateCreateButtonState();
+        });
+    }
+    
+    var saveBtn = document.getElementById('savePlaylistBtn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', savePlaylist);
+    }
+    
+    var createJellyfinBtn = document.getElementById('createJellyfinPlaylistBtn');
+    if (createJellyfinBtn) {
+        createJellyfinBtn.addEventListener('click', createJellyfinPlaylist);
+    }
+    
+    var cancelBtn = document.getElementById('cancelPlaylistBtn');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', cancelPlaylistCreation);
+    }
+    
+    // Item list toolbar
+    var itemToolbarActions = {
+        undoItemsBtn: undoItemsChange,
+        redoItemsBtn: redoItemsChange,
+        toggleSelectAllItemsBtn: toggleSelectAllItems,
+        moveSelectedItemsBtn: moveSelectedItems,
+        deleteSelectedItemsBtn: deleteSelectedItems
+    };
+    Object.keys(itemToolbarActions).forEach(function(id) {
+        var button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', itemToolbarActions[id]);
+        }
+    });
+    
+    document.addEventListener('keydown', handleItemsHistoryShortcut);
+    updateItemsToolbar();
+}, 500);
+
+// ===== ORDERINGS =====
+
+// Create the ordering that stands for the universe's own items order
+function createDefaultOrdering(items) {
+    return {
+        key: DEFAULT_ORDERING_KEY,
+        name: 'Default order',
+        items: items
+    };
+}
+
+// Build the key that identifies an item in an ordering (e.g. "season:tmdb:1399:S2"), matching the server's TimelineItem.OrderKey
+function getItemOrderKey(item) {
+    var key = String(item.type).toLowerCase() + ':' + String(item.providerName).toLowerCase() + ':' + item.providerId;
+    var scope = formatEpisodeScope(item);
+    return scope ? key + ':' + scope : key;
+}
+
+// Put items in the order of a saved ordering; items it doesn't list follow in items order, as on the server
+function resolveOrderingItems(items, order) {
+    var remaining = items.slice();
+    var ordered = [];
+    
+    (order || []).forEach(function(orderKey) {
+        var wanted = String(orderKey).toLowerCase();
+        for (var i = 0; i < remaining.length; i++) {
+            if (getItemOrderKey(remaining[i]).toLowerCase() === wanted) {
+                ordered.push(remaining.splice(i, 1)[0]);
+                return;
+            }
+        }
+    });
+    
+    return ordered.concat(remaining);
+}
+
+// Find an ordering of the current playlist by key
+function findOrdering(key) {
+    var orderings = PlaylistCreatorUI.currentPlaylist.orderings;
+    for (var i = 0; i < orderings.length; i++) {
+        if (orderings[i].key === key) {
+            return orderings[i];
+        }
+    }
+    return null;
+}
+
+// Get the ordering whose items are being edited
+function getActiveOrdering() {
+    return findOrdering(PlaylistCreatorUI.activeOrderingKey) || PlaylistCreatorUI.currentPlaylist.orderings[0];
+}
+
+// Store the edited item list in the active ordering and carry added and removed items over to the other orderings
+function syncOrderings() {
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    var active = getActiveOrdering();
+    active.items = items;
+    
+    PlaylistCreatorUI.currentPlaylist.orderings.forEach(function(ordering) {
+        if (ordering === active) {
+            return;
+        }
+        var kept = ordering.items.filter(function(item) {
+            return items.indexOf(item) !== -1;
+        });
+        var added = items.filter(function(item) {
+            return kept.indexOf(item) === -1;
+        });
+        ordering.items = kept.concat(added);
+    });
+}
+
+// Show the items of another ordering
+function switchOrdering(key) {
+    syncOrderings();
+    PlaylistCreatorUI.activeOrderingKey = key;
+    PlaylistCreatorUI.currentPlaylist.items = getActiveOrdering().items;
+    
+    // Undo steps only make sense in the ordering they were made in
+    resetItemsHistory();
+    renderOrderingSwitcher();
+    renderItemsList();
+}
+
+// Fill the ordering dropdown; the default order can't be renamed or deleted
+function renderOrderingSwitcher() {
+    var select = document.getElementById('playlistOrderingSelect');
+    if (!select) {
+        return;
+    }
+    
+    select.innerHTML = '';
+    PlaylistCreatorUI.currentPlaylist.orderings.forEach(function(ordering) {
+        var option = document.createElement('option');
+        option.value = ordering.key;
+        option.textContent = ordering.name;
+        select.appendChild(option);
+    });
+    select.value = getActiveOrdering().key;
+    
+    var isDefault = getActiveOrdering().key === DEFAULT_ORDERING_KEY;
+    document.getElementById('renameOrderingBtn').disabled = isDefault;
+    document.getElementById('deleteOrderingBtn').disabled = isDefault;
+}
+
+// Check whether another ordering already uses a name (playlist names must stay unique)
+function isOrderingNameTaken(name, except) {
+    return PlaylistCreatorUI.currentPlaylist.orderings.some(function(ordering) {
+        return ordering !== except && ordering.name.toLowerCase() === name.toLowerCase();
+    });
+}
+
+// Derive a unique ordering key from its name (e.g. "Release Order" -> "release-order")
+function createOrderingKey(name) {
+    var base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'ordering';
+    if (base === DEFAULT_ORDERING_KEY) {
+        base = 'ordering';
+    }
+    
+    var key = base;
+    var suffix = 2;
+    while (findOrdering(key)) {
+        key = base + '-' + suffix;
+        suffix++;
+    }
+    return key;
+}
+
+// Ask for an ordering name; returns null if cancelled or invalid
+function promptOrderingName(message, currentName, ordering) {
+    var input = prompt(message, currentName);
+    if (input === null) {
+        return null; // User cancelled
+    }
+    
+    var name = input.trim();
+    if (!name) {
+        alert('Enter a name for the ordering');
+        return null;
+    }
+    if (isOrderingNameTaken(name, ordering)) {
+        alert('An ordering named "' + name + '" already exists');
+        return null;
+    }
+    return name;
+}
+
+// Add an ordering that starts as a copy of the current order
+function addOrdering() {
+    var name = promptOrderingName('Name of the new ordering (e.g. Release Order). It starts as a copy of the current order:', '', null);
+    if (name === null) {
+        return;
+    }
+    
+    syncOrderings();
+    var ordering = {
+        key: createOrderingKey(name),
+        name: name,
+        items: PlaylistCreatorUI.currentPlaylist.items.slice()
+    };
+    PlaylistCreatorUI.currentPlaylist.orderings.push(ordering);
+    switchOrdering(ordering.key);
+}
+
+// Rename the active ordering; its key stays the same so its playlist keeps being updated
+function renameOrdering() {
+    var ordering = getActiveOrdering();
+    if (ordering.key === DEFAULT_ORDERING_KEY) {
+        return;
+    }
+    
+    var name = promptOrderingName('New name for the ordering:', ordering.name, ordering);
+    if (name === null) {
+        return;
+    }
+    
+    ordering.name = name;
+    renderOrderingSwitcher();
+}
+
+// Delete the active ordering and go back to the default order
+function deleteOrdering() {
+    var ordering = getActiveOrdering();
+    if (ordering.key === DEFAULT_ORDERING_KEY) {
+        return;
+    }
+    
+    if (!confirm('Delete the ordering "' + ordering.name + '"?\n\nIts Jellyfin playlist is kept but no longer updated.')) {
+        return;
+    }
+    
+    syncOrderings();
+    var orderings = PlaylistCreatorUI.currentPlaylist.orderings;
+    orderings.splice(orderings.indexOf(ordering), 1);
+    
+    PlaylistCreatorUI.activeOrderingKey = DEFAULT_ORDERING_KEY;
+    PlaylistCreatorUI.currentPlaylist.items = orderings[0].items;
+    resetItemsHistory();
+    renderOrderingSwitcher();
+    renderItemsList();
+}
+
+// Initialize ordering controls
+setTimeout(function() {
+    var orderingSelect = document.getElementById('playlistOrderingSelect');
+    if (orderingSelect) {
+        orderingSelect.addEventListener('change', function() {
+            switchOrdering(this.value);
+        });
+    }
+    
+    var orderingActions = {
+        addOrderingBtn: addOrdering,
+        renameOrderingBtn: renameOrdering,
+        deleteOrderingBtn: deleteOrdering
+    };
+    Object.keys(orderingActions).forEach(function(id) {
+        var button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', orderingActions[id]);
+        }
+    });
+}, 500);
+
+// ===== EPISODE PICKER =====
+
+// Create a small button for the picker
+function createPickerButton(text, onClick) {
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'emby-button raised';
+    button.style.margin = '0';
+    button.textContent = text;
+    button.onclick = onClick;
+    return button;
+}
+
+// Build a playlist item for (part of) the series open in the picker
+function createPickerItem(type, extra) {
+    var series = PlaylistCreatorUI.episodePicker.series;
+    var item = {
+        providerId: series.providerIds.tmdb,
+        providerName: 'tmdb',
+        type: type,
+        title: series.title,
+        year: series.year,
+        _displaySource: 'tmdb'
+    };
+    Object.keys(extra || {}).forEach(function(key) {
+        item[key] = extra[key];
+    });
+    return item;
+}
+
+// Replace the search results with the seasons of a TMDB series
+function openEpisodePicker(series) {
+    var searchResults = document.getElementById('searchResults');
+    
+    if (!series.providerIds || !series.providerIds.tmdb) {
+        alert('This TMDB item has no ID and cannot be added to the playlist');
+        return;
+    }
+    
+    PlaylistCreatorUI.episodePicker = { series: series, season: null, episodes: [], lastCheckedIndex: null };
+    
+    searchResults.innerHTML = '';
+    
+    var header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.alignItems = 'center';
+    header.style.gap = '0.5em';
+    header.style.marginBottom = '0.5em';
+    
+    var backBtn = createPickerButton('← Back', function() {
+        renderSearchResults();
+    });
+    
+    var title = document.createElement('strong');
+    title.style.flex = '1';
+    title.textContent = series.title + (series.year ? ' (' + series.year + ')' : '');
+    
+    var wholeSeriesBtn = createPickerButton('Add whole series', function() {
+        addItemsToPlaylist([createPickerItem('series')]);
+    });
+    
+    header.appendChild(backBtn);
+    header.appendChild(title);
+    header.appendChild(wholeSeriesBtn);
+    
+    var seasonsList = document.createElement('div');
+    seasonsList.id = 'episodePickerSeasons';
+    seasonsList.style.display = 'flex';
+    seasonsList.style.flexWrap = 'wrap';
+    seasonsList.style.gap = '0.5em';
+    seasonsList.style.marginBottom = '0.5em';
+    seasonsList.innerHTML = '<div class="fieldDescription">Loading seasons...</div>';
+    
+    var episodesPanel = document.createElement('div');
+    episodesPanel.id = 'episodePickerEpisodes';
+    
+    searchResults.appendChild(header);
+    searchResults.appendChild(seasonsList);
+    searchResults.appendChild(episodesPanel);
+    
+    loadTmdbSeasons(series.providerIds.tmdb)
+        .then(function(seasons) {
+            if (PlaylistCreatorUI.episodePicker === null || PlaylistCreatorUI.episodePicker.series !== series) {
+                return; // The picker was closed or another series was opened
+            }
+            
+            seasonsList.innerHTML = '';
+            if (seasons.length === 0) {
+                seasonsList.innerHTML = '<div class="fieldDescription">No seasons found on TMDB. You can still add the whole series.</div>';
+                return;
+            }
+            
+            seasons.forEach(function(season) {
+                var label = season.name || ('Season ' + season.seasonNumber);
+                label += ' · ' + season.episodeCount + ' ep.';
+                if (season.year) {
+                    label += ' · ' + season.year;
+                }
+                seasonsList.appendChild(createPickerButton(label, function() {
+                    openPickerSeason(season);
+                }));
+            });
+        })
+        .catch(function(error) {
+            seasonsList.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+            seasonsList.firstChild.textContent = error.message;
+        });
+}
+
+// Show the episodes of one season in the picker
+function openPickerSeason(season) {
+    var picker = PlaylistCreatorUI.episodePicker;
+    var panel = document.getElementById('episodePickerEpisodes');
+    
+    picker.season = season;
+    picker.episodes = [];
+    picker.lastCheckedIndex = null;
+    panel.innerHTML = '<div class="fieldDescription">Loading episodes...</div>';
+    
+    loadTmdbEpisodes(picker.series.providerIds.tmdb, season.seasonNumber)
+        .then(function(episodes) {
+            if (PlaylistCreatorUI.episodePicker !== picker || picker.season !== season) {
+                return; // Another season was opened in the meantime
+            }
+            picker.episodes = episodes.map(function(episode) {
+                return { episode: episode, selected: false };
+            });
+            renderPickerEpisodes();
+        })
+        .catch(function(error) {
+            panel.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+            panel.firstChild.textContent = error.message;
+        });
+}
+
+// Render the episode checklist and the season/range/episode buttons
+function renderPickerEpisodes() {
+    var picker = PlaylistCreatorUI.episodePicker;
+    var season = picker.season;
+    var panel = document.getElementById('episodePickerEpisodes');
+    panel.innerHTML = '';
+    
+    var toolbar = document.createElement('div');
+    toolbar.style.display = 'flex';
+    toolbar.style.flexWrap = 'wrap';
+    toolbar.style.alignItems = 'center';
+    toolbar.style.gap = '0.5em';
+    toolbar.style.marginBottom = '0.5em';
+    
+    var heading = document.createElement('strong');
+    heading.textContent = season.name || ('Season ' + season.seasonNumber);
+    
+    var wholeSeasonBtn = createPickerButton('Add whole season', function() {
+        addItemsToPlaylist([createPickerItem('season', { season: season.seasonNumber })]);
+    });
+    
+    var rangeBtn = createPickerButton('Add selection as range', addPickerRange);
+    var episodesBtn = createPickerButton('Add selected episodes', addPickerEpisodes);
+    
+    toolbar.appendChild(heading);
+    toolbar.appendChild(wholeSeasonBtn);
+    toolbar.appendChild(rangeBtn);
+    toolbar.appendChild(episodesBtn);
+    panel.appendChild(toolbar);
+    
+    if (picker.episodes.length === 0) {
+        var empty = document.createElement('div');
+        empty.className = 'fieldDescription';
+        empty.textContent = 'No episodes found on TMDB for this season.';
+        panel.appendChild(empty);
+        rangeBtn.disabled = true;
+        episodesBtn.disabled = true;
+        return;
+    }
+    
+    var list = document.createElement('div');
+    list.style.maxHeight = '300px';
+    list.style.overflowY = 'auto';
+    list.style.border = '1px solid #333';
+    list.style.borderRadius = '4px';
+    list.style.padding = '0.5em';
+    
+    picker.episodes.forEach(function(entry, index) {
+        var row = document.createElement('label');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '0.5em';
+        row.style.padding = '0.2em 0';
+        
+        var checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = entry.selected;
+        checkbox.title = 'Select (Shift-click to select a range)';
+        checkbox.onclick = function(event) {
+            togglePickerEpisode(index, checkbox.checked, event.shiftKey);
         };
         
-        buttons.appendChild(upBtn);
-        buttons.appendChild(downBtn);
-        buttons.appendChild(removeBtn);
+        var text = document.createElement('span');
+        text.textContent = 'E' + entry.episode.episodeNumber + ' · ' + entry.episode.name;
         
-        card.appendChild(info);
-        card.appendChild(buttons);
+        var airDate = document.createElement('span');
+        airDate.className = 'fieldDescription';
+        airDate.textContent = entry.episode.airDate || '';
         
-        itemsList.appendChild(card);
+        row.appendChild(checkbox);
+        row.appendChild(text);
+        row.appendChild(airDate);
+        list.appendChild(row);
     });
+    
+    panel.appendChild(list);
 }
 
-// Move item up
-function moveItemUp(index) {
-    if (index === 0) return;
+// Select or clear an episode; Shift-click applies the same state to the range from the last click
+function togglePickerEpisode(index, selected, extendRange) {
+    var picker = PlaylistCreatorUI.episodePicker;
     
-    var items = PlaylistCreatorUI.currentPlaylist.items;
-    var temp = items[index];
-    items[index] = items[index - 1];
-    items[index - 1] = temp;
+    if (extendRange && picker.lastCheckedIndex !== null) {
+        var from = Math.min(picker.lastCheckedIndex, index);
+        var to = Math.max(picker.lastCheckedIndex, index);
+        for (var i = from; i <= to; i++) {
+            picker.episodes[i].selected = selected;
+        }
+        renderPickerEpisodes();
+    } else {
+        picker.episodes[index].selected = selected;
+    }
     
-    renderItemsList();
+    picker.lastCheckedIndex = index;
 }
 
-// Move item down
-function moveItemDown(index) {
-    var items = PlaylistCreatorUI.currentPlaylist.items;
-    if (index === items.length - 1) return;
+// The selected episodes of the open season, in episode order
+function getSelectedPickerEpisodes() {
+    return PlaylistCreatorUI.episodePicker.episodes
+        .filter(function(entry) {
+            return entry.selected;
+        })
+        .map(function(entry) {
+            return entry.episode;
+        });
+}
+
+// Add one season item covering the first to the last selected episode
+function addPickerRange() {
+    var selected = getSelectedPickerEpisodes();
+    if (selected.length === 0) {
+        alert('Select the first and last episode of the range');
+        return;
+    }
     
-    var temp = items[index];
-    items[index] = items[index + 1];
-    items[index + 1] = temp;
+    addItemsToPlaylist([createPickerItem('season', {
+        season: PlaylistCreatorUI.episodePicker.season.seasonNumber,
+        episodeStart: selected[0].episodeNumber,
+        episodeEnd: selected[selected.length - 1].episodeNumber
+    })]);
+}
+
+// Add each selected episode as its own item, stored with its TMDB episode ID
+function addPickerEpisodes() {
+    var picker = PlaylistCreatorUI.episodePicker;
+    var selected = getSelectedPickerEpisodes();
+    if (selected.length === 0) {
+        alert('Select at least one episode');
+        return;
+    }
     
-    renderItemsList();
+    addItemsToPlaylist(selected.map(function(episode) {
+        var item = createPickerItem('episode', {
+            providerId: episode.id,
+            seriesId: picker.series.providerIds.tmdb,
+            season: episode.seasonNumber,
+            episodeStart: episode.episodeNumber,
+            episodeEnd: episode.episodeNumber
+        });
+        item.title = picker.series.title + ' - ' + episode.name;
+        return item;
+    }));
 }
 
-// Remove item from playlist
-function removeItemFromPlaylist(index) {
-    PlaylistCreatorUI.currentPlaylist.items.splice(index, 1);
-    renderItemsList();
-    updateCreateButtonState();
+// ===== PLAYLIST ACCESS =====
+
+// Load Jellyfin users for the owner and share pickers
+function loadPlaylistUsers() {
+    fetch(ApiClient.getUrl('/Users'), {
+        headers: {
+            'X-Emby-Token': ApiClient.accessToken()
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(users) {
+        PlaylistCreatorUI.users = users.map(function(user) {
+            return { id: user.Id, name: user.Name };
+        });
+        renderPlaylistAccess(getPlaylistOwnership());
+    })
+    .catch(function(error) {
+        console.error('Error loading users:', error);
+    });
 }
 
-// Update create button state
-function updateCreateButtonState() {
-    var createBtn = document.getElementById('createJellyfinPlaylistBtn');
-    var hasValidKey = validatePlaylistKey(PlaylistCreatorUI.currentPlaylist.key) === null;
-    var hasValidName = validatePlaylistName(PlaylistCreatorUI.currentPlaylist.name) === null;
-    
-    createBtn.disabled = !(hasValidKey && hasValidName && PlaylistCreatorUI.currentPlaylist.items.length > 0);
+// Show a universe's ownership settings in the form (null means public and owned by whoever creates it)
+function setPlaylistOwnership(ownership) {
+    renderPlaylistAccess(ownership || null);
 }
 
-// Save playlist
-function savePlaylist() {
-    var key = document.getElementById('playlistKey').value.trim();
-    var name = document.getElementById('playlistName').value.trim();
+// Render the owner picker and share list
+function renderPlaylistAccess(ownership) {
+    var ownerSelect = document.getElementById('playlistOwner');
+    var privateCheckbox = document.getElementById('playlistPrivate');
+    var sharesList = document.getElementById('playlistSharesList');
+    if (!ownerSelect || !privateCheckbox || !sharesList) {
+        return;
+    }
     
-    var keyError = validatePlaylistKey(key);
-    var nameError = validatePlaylistName(name);
+    var ownerUserId = normalizeUserId(ownership && ownership.ownerUserId);
+    var sharedUserIds = ((ownership && ownership.sharedUserIds) || []).map(normalizeUserId);
+    var users = PlaylistCreatorUI.users.slice();
     
-    var keyValidationError = document.getElementById('keyValidationError');
-    var nameValidationError = document.getElementById('nameValidationError');
+    // Keep users referenced by the universe even if they no longer exist, so saving doesn't silently drop them
+    sharedUserIds.concat(ownerUserId ? [ownerUserId] : []).forEach(function(userId) {
+        if (!users.some(function(user) { return normalizeUserId(user.id) === userId; })) {
+            users.push({ id: userId, name: 'Unknown user (' + userId + ')' });
+        }
+    });
     
-    if (keyError) {
-        keyValidationError.textContent = keyError;
-        keyValidationError.style.display = 'block';
-    } else {
-        keyValidationError.style.display = 'none';
-    }
+    ownerSelect.innerHTML = '';
+    var defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'User who creates the playlist';
+    ownerSelect.appendChild(defaultOption);
     
-    if (nameError) {
-        nameValidationError.textContent = nameError;
-        nameValidationError.style.display = 'block';
-    } else {
-        nameValidationError.style.display = 'none';
+    users.forEach(function(user) {
+        var option = document.createElement('option');
+        option.value = normalizeUserId(user.id);
+        option.textContent = user.name;
+        ownerSelect.appendChild(option);
+    });
+    ownerSelect.value = ownerUserId || '';
+    
+    privateCheckbox.checked = !!ownership && ownership.isPublic === false;
+    
+    sharesList.innerHTML = '';
+    users.forEach(function(user) {
+        var label = document.createElement('label');
+        label.style.display = 'flex';
+        label.style.alignItems = 'center';
+        label.style.gap = '0.5em';
+        label.style.padding = '0.2em 0';
+        
+        var checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'playlist-share-checkbox';
+        checkbox.value = normalizeUserId(user.id);
+        checkbox.checked = sharedUserIds.indexOf(checkbox.value) !== -1;
+        
+        var name = document.createElement('span');
+        name.textContent = user.name;
+        
+        label.appendChild(checkbox);
+        label.appendChild(name);
+        sharesList.appendChild(label);
+    });
+    
+    updatePlaylistSharesVisibility();
+}
+
+// The share list only matters for private playlists
+function updatePlaylistSharesVisibility() {
+    var privateCheckbox = document.getElementById('playlistPrivate');
+    document.getElementById('playlistSharesContainer').style.display = privateCheckbox.checked ? 'block' : 'none';
+}
+
+// Read the ownership settings from the form; null if the defaults (public, owned by whoever creates it) are kept
+function getPlaylistOwnership() {
+    var ownerSelect = document.getElementById('playlistOwner');
+    var privateCheckbox = document.getElementById('playlistPrivate');
+    if (!ownerSelect || !privateCheckbox) {
+        return null;
     }
     
-    if (keyError || nameError) {
-        return;
+    var isPublic = !privateCheckbox.checked;
+    var sharedUserIds = [];
+    if (!isPublic) {
+        document.querySelectorAll('.playlist-share-checkbox').forEach(function(checkbox) {
+            if (checkbox.checked && checkbox.value !== ownerSelect.value) {
+                sharedUserIds.push(checkbox.value);
+            }
+        });
     }
     
-    PlaylistCreatorUI.currentPlaylist.key = key;
-    PlaylistCreatorUI.currentPlaylist.name = name;
+    if (!ownerSelect.value && isPublic) {
+        return null;
+    }
     
-    var saveBtn = document.getElementById('savePlaylistBtn');
-    var statusMessage = document.getElementById('playlistStatusMessage');
+    return {
+        ownerUserId: ownerSelect.value || null,
+        isPublic: isPublic,
+        sharedUserIds: sharedUserIds
+    };
+}
+
+// Jellyfin returns user IDs without dashes, universe files store them with dashes
+function normalizeUserId(userId) {
+    var hex = userId ? String(userId).replace(/-/g, '').toLowerCase() : '';
+    if (hex.length !== 32) {
+        return hex;
+    }
+    return hex.substr(0, 8) + '-' + hex.substr(8, 4) + '-' + hex.substr(12, 4) + '-' + hex.substr(16, 4) + '-' + hex.substr(20);
+}
+
+setTimeout(function() {
+    var privateCheckbox = document.getElementById('playlistPrivate');
+    if (privateCheckbox) {
+        privateCheckbox.addEventListener('change', updatePlaylistSharesVisibility);
+        loadPlaylistUsers();
+    }
+}, 500);
+
+// ===== LIST IMPORT =====
+
+// Forget the last list import (new or freshly loaded playlist)
+function resetListImport() {
+    PlaylistCreatorUI.importedRows = [];
+    PlaylistCreatorUI.pendingImportFix = null;
     
-    saveBtn.disabled = true;
-    saveBtn.textContent = 'Saving...';
+    var statusMessage = document.getElementById('listImportStatusMessage');
+    if (statusMessage) {
+        statusMessage.style.display = 'none';
+    }
+    renderUnmappedImportRows();
+}
+
+// Show a list import status message
+function showListImportStatus(message, background, color) {
+    var statusMessage = document.getElementById('listImportStatusMessage');
+    statusMessage.style.display = 'block';
+    statusMessage.style.background = background;
+    statusMessage.style.color = color || '#fff';
+    statusMessage.textContent = message;
+}
+
+// Read the chosen list export and send it to the server
+function readListImportFile(event) {
+    var input = event.target;
+    var file = input.files && input.files[0];
+    if (!file) {
+        return;
+    }
     
-    // Prepare universe object (remove display-only fields)
-    var universe = {
-        key: PlaylistCreatorUI.currentPlaylist.key,
-        name: PlaylistCreatorUI.currentPlaylist.name,
-        items: PlaylistCreatorUI.currentPlaylist.items.map(function(item) {
-            var cleanItem = {
-                providerId: item.providerId,
-                providerName: item.providerName,
-                type: item.type
-            };
-            if (item.season) {
-                cleanItem.season = item.season;
-            }
-            // Don't include _displaySource, title, year - they're only for UI
-            return cleanItem;
-        })
+    var reader = new FileReader();
+    reader.onload = function() {
+        importListFile(file.name, reader.result);
     };
+    reader.readAsText(file);
     
-    var filename = PlaylistCreatorUI.isEditing ? PlaylistCreatorUI.originalFilename : (key + '.json');
-    var apiKey = ApiClient.accessToken();
+    // Allow picking the same file again
+    input.value = '';
+}
+
+// Map the rows of a list export and append the mapped items in file order
+function importListFile(filename, content) {
+    var importBtn = document.getElementById('importListBtn');
+    importBtn.disabled = true;
+    showListImportStatus('Importing ' + filename + '...', '#1c4966');
     
-    fetch(ApiClient.getUrl('/Timeline/Universes/' + filename), {
+    fetch(ApiClient.getUrl('/Timeline/ListImport'), {
         method: 'POST',
         headers: {
-            'X-Emby-Token': apiKey,
+            'X-Emby-Token': ApiClient.accessToken(),
             'Content-Type': 'application/json'
         },
-        body: JSON.stringify(universe)
+        body: JSON.stringify({ filename: filename, content: content })
     })
     .then(function(response) {
-        return response.json();
+        return response.json().then(function(data) {
+            if (!response.ok) {
+                throw new Error(data.error || ('HTTP ' + response.status));
+            }
+            return data;
+        });
     })
     .then(function(result) {
-        saveBtn.disabled = false;
-        saveBtn.textContent = 'Save Playlist';
+        importBtn.disabled = false;
         
-        if (result.success) {
-            statusMessage.style.display = 'block';
-            statusMessage.style.background = '#1e5631';
-            statusMessage.style.color = '#fff';
-            statusMessage.textContent = 'Playlist saved successfully!';
-            
+        var mappedItems = [];
+        PlaylistCreatorUI.importedRows = result.rows.map(function(row) {
+            var item = null;
+            if (row.item) {
+                item = row.item;
+                item.title = row.title;
+                item.year = row.year;
+                item._displaySource = 'import';
+                mappedItems.push(item);
+            }
+            return { row: row.row, title: row.title, year: row.year, reason: row.reason, item: item };
+        });
+        PlaylistCreatorUI.pendingImportFix = null;
+        
+        if (mappedItems.length > 0) {
+            recordItemsChange();
+            PlaylistCreatorUI.currentPlaylist.items = PlaylistCreatorUI.currentPlaylist.items.concat(mappedItems);
+            renderItemsList();
             updateCreateButtonState();
-            loadUniverses(); // Refresh universe list
-            
-            setTimeout(function() {
-                statusMessage.style.display = 'none';
-            }, 3000);
-        } else {
-            statusMessage.style.display = 'block';
-            statusMessage.style.background = '#5a1a1a';
-            statusMessage.style.color = '#ff6b6b';
-            statusMessage.textContent = 'Failed to save playlist: ' + (result.errors ? result.errors.join(', ') : 'Unknown error');
+            refreshItemExpansion();
         }
+        
+        var message = 'Imported ' + result.mappedCount + ' of ' + result.rows.length + ' rows (' + result.format + ')';
+        if (result.unmappedCount > 0) {
+            message += '. ' + result.unmappedCount + ' row(s) could not be mapped - use Search below to add them.';
+        }
+        showListImportStatus(message, result.unmappedCount > 0 ? '#1c4966' : '#1e5631');
+        renderUnmappedImportRows();
     })
     .catch(function(error) {
-        saveBtn.disabled = false;
-        saveBtn.textContent = 'Save Playlist';
-        
-        statusMessage.style.display = 'block';
-        statusMessage.style.background = '#5a1a1a';
-        statusMessage.style.color = '#ff6b6b';
-        statusMessage.textContent = 'Error saving playlist: ' + error.message;
+        importBtn.disabled = false;
+        console.error('Error importing list:', error);
+        showListImportStatus('Error importing list: ' + error.message, '#5a1a1a', '#ff6b6b');
     });
 }
 
-// Create Jellyfin playlist
-function createJellyfinPlaylist() {
-    var createBtn = document.getElementById('createJellyfinPlaylistBtn');
-    var statusMessage = document.getElementById('playlistStatusMessage');
+// List imported rows that still need to be fixed through the search
+function renderUnmappedImportRows() {
+    var container = document.getElementById('listImportUnmapped');
+    if (!container) {
+        return;
+    }
     
-    createBtn.disabled = true;
-    createBtn.textContent = 'Creating...';
+    var unmappedRows = PlaylistCreatorUI.importedRows.filter(function(row) {
+        return !row.item;
+    });
     
-    var apiKey = ApiClient.accessToken();
-    var userId = ApiClient.getCurrentUserId();
-    var filename = PlaylistCreatorUI.isEditing ? PlaylistCreatorUI.originalFilename : (PlaylistCreatorUI.currentPlaylist.key + '.json');
+    container.innerHTML = '';
+    if (unmappedRows.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
     
-    var requestBody = {
-        selectedUniverseFilenames: [filename]
-    };
+    var heading = document.createElement('div');
+    heading.style.fontWeight = 'bold';
+    heading.style.marginBottom = '0.5em';
+    heading.textContent = 'Unmapped rows (' + unmappedRows.length + ')';
+    container.appendChild(heading);
     
-    fetch(ApiClient.getUrl('/Timeline/CreatePlaylists?userId=' + userId), {
-        method: 'POST',
-        headers: {
-            'X-Emby-Token': apiKey,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-    })
-    .then(function(response) {
-        return response.json();
-    })
-    .then(function(data) {
-        createBtn.disabled = false;
-        createBtn.textContent = 'Create Jellyfin Playlist';
+    unmappedRows.forEach(function(row) {
+        var line = document.createElement('div');
+        line.style.display = 'flex';
+        line.style.alignItems = 'center';
+        line.style.gap = '0.5em';
+        line.style.padding = '0.3em 0';
         
-        if (data.success) {
-            statusMessage.style.display = 'block';
-            statusMessage.style.background = '#1e5631';
-            statusMessage.style.color = '#fff';
-            statusMessage.textContent = 'Jellyfin playlist created successfully!';
-            
-            setTimeout(function() {
-                loadPlaylists();
-                statusMessage.style.display = 'none';
-            }, 2000);
-        } else {
-            statusMessage.style.display = 'block';
-            statusMessage.style.background = '#5a1a1a';
-            statusMessage.style.color = '#ff6b6b';
-            statusMessage.textContent = 'Failed to create playlist: ' + (data.message || 'Unknown error');
+        var isPending = PlaylistCreatorUI.pendingImportFix === row;
+        if (isPending) {
+            line.style.background = '#1c4966';
         }
-    })
-    .catch(function(error) {
-        createBtn.disabled = false;
-        createBtn.textContent = 'Create Jellyfin Playlist';
         
-        statusMessage.style.display = 'block';
-        statusMessage.style.background = '#5a1a1a';
-        statusMessage.style.color = '#ff6b6b';
-        statusMessage.textContent = 'Error creating playlist: ' + error.message;
+        var label = document.createElement('span');
+        label.style.flex = '1';
+        label.textContent = '#' + row.row + ' ' + (row.title || '(no title)') + (row.year ? ' (' + row.year + ')' : '') +
+            (row.reason ? ' — ' + row.reason : '');
+        
+        var searchBtn = document.createElement('button');
+        searchBtn.type = 'button';
+        searchBtn.className = 'emby-button raised';
+        searchBtn.textContent = isPending ? 'Cancel' : 'Search';
+        searchBtn.addEventListener('click', function() {
+            if (isPending) {
+                PlaylistCreatorUI.pendingImportFix = null;
+                renderUnmappedImportRows();
+            } else {
+                fixImportRow(row);
+            }
+        });
+        
+        line.appendChild(label);
+        line.appendChild(searchBtn);
+        container.appendChild(line);
     });
+    
+    container.style.display = 'block';
 }
 
-// Cancel playlist creation/editing
-function cancelPlaylistCreation() {
-    document.getElementById('playlistCreatorForm').style.display = 'none';
-    initializeNewPlaylist();
+// Search for an unmapped row; the selected result is inserted at the row's place in the file order
+function fixImportRow(row) {
+    PlaylistCreatorUI.pendingImportFix = row;
+    renderUnmappedImportRows();
+    
+    var searchInput = document.getElementById('contentSearchInput');
+    searchInput.value = row.title || '';
+    searchInput.focus();
+    searchInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    performSearch();
+}
+
+// Insert the item chosen for the pending row before the next imported row still in the list
+function insertFixedImportItem(item) {
+    var row = PlaylistCreatorUI.pendingImportFix;
+    var items = PlaylistCreatorUI.currentPlaylist.items;
+    var rows = PlaylistCreatorUI.importedRows;
+    var insertIndex = -1;
+    
+    for (var i = rows.indexOf(row) + 1; i < rows.length && insertIndex === -1; i++) {
+        if (rows[i].item) {
+            insertIndex = items.indexOf(rows[i].item);
+        }
+    }
+    
+    if (insertIndex === -1) {
+        items.push(item);
+    } else {
+        items.splice(insertIndex, 0, item);
+    }
+    
+    row.item = item;
+    PlaylistCreatorUI.pendingImportFix = null;
+    renderUnmappedImportRows();
 }
 
-// Load playlist for editing
-function loadPlaylistForEditing(filename) {
+setTimeout(function() {
+    var importListBtn = document.getElementById('importListBtn');
+    var listImportFileInput = document.getElementById('listImportFileInput');
+    if (importListBtn && listImportFileInput) {
+        importListBtn.addEventListener('click', function() {
+            listImportFileInput.click();
+        });
+        listImportFileInput.addEventListener('change', readListImportFile);
+    }
+}, 500);
+
+// ===== TMDB SETTINGS =====
+
+// Load TMDB settings; the server only ever returns the stored credential masked
+function loadTmdbSettings() {
     var apiKey = ApiClient.accessToken();
     
-    fetch(ApiClient.getUrl('/Timeline/Universes/' + filename), {
+    fetch(ApiClient.getUrl('/Timeline/Settings/Tmdb'), {
         headers: {
             'X-Emby-Token': apiKey
         }
     })
     .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
         return response.json();
     })
-    .then(function(universe) {
-        PlaylistCreatorUI.isEditing = true;
-        PlaylistCreatorUI.originalFilename = filename;
-        PlaylistCreatorUI.currentPlaylist = {
-            key: universe.key,
-            name: universe.name,
-            items: universe.items.map(function(item) {
-                return {
-                    providerId: item.providerId,
-                    providerName: item.providerName,
-                    type: item.type,
-                    season: item.season,
-                    title: 'Item', // Will be displayed as position number
-                    year: null
-                };
-            })
-        };
-        
-        document.getElementById('playlistKey').value = universe.key;
-        document.getElementById('playlistName').value = universe.name;
-        document.getElementById('playlistKey').disabled = true; // Read-only when editing
-        document.getElementById('keyValidationError').style.display = 'none';
-        document.getElementById('nameValidationError').style.display = 'none';
-        document.getElementById('playlistStatusMessage').style.display = 'none';
-        
-        renderItemsList();
-        updateCreateButtonState();
-        
-        document.getElementById('playlistCreatorForm').style.display = 'block';
-        document.getElementById('playlistCreatorForm').scrollIntoView({ behavior: 'smooth' });
+    .then(function(settings) {
+        applyTmdbSettings(settings);
     })
     .catch(function(error) {
-        alert('Error loading playlist: ' + error.message);
+        console.error('Error loading TMDB settings:', error);
+        applyTmdbSettings({ isConfigured: false });
     });
 }
 
-// Initialize Playlist Creator event listeners
-setTimeout(function() {
-    var createNewBtn = document.getElementById('createNewPlaylistBtn');
-    if (createNewBtn) {
-        createNewBtn.addEventListener('click', initializeNewPlaylist);
-    }
-    
-    // Search source toggle buttons
-    var searchSourceButtons = document.querySelectorAll('.search-source-toggle');
-    searchSourceButtons.forEach(function(button) {
-        button.addEventListener('click', function() {
-            var source = this.dataset.source;
-            setSearchSource(source);
-        });
-    });
+// Show the masked credential and base URL, and the TMDB search toggle if it can be used
+function applyTmdbSettings(settings) {
+    PlaylistCreatorUI.tmdbSettings = settings;
     
-    var searchInput = document.getElementById('contentSearchInput');
-    if (searchInput) {
-        searchInput.addEventListener('input', performSearch);
-    }
+    var tmdbApiKeyInput = document.getElementById('tmdbApiKey');
+    var keyStatus = document.getElementById('tmdbApiKeyStatus');
+    var baseUrlInput = document.getElementById('tmdbBaseUrl');
+    var removeBtn = document.getElementById('removeTmdbApiKeyBtn');
     
-    var playlistKeyInput = document.getElementById('playlistKey');
-    if (playlistKeyInput) {
-        playlistKeyInput.addEventListener('input', function() {
-            PlaylistCreatorUI.currentPlaylist.key = this.value.trim();
-            updateCreateButtonState();
-        });
+    if (tmdbApiKeyInput) {
+        tmdbApiKeyInput.value = '';
+        tmdbApiKeyInput.placeholder = settings.isConfigured
+            ? 'Enter a new key to replace the saved one'
+            : 'Enter your TMDB API key or read access token';
     }
     
-    var playlistNameInput = document.getElementById('playlistName');
-    if (playlistNameInput) {
-        playlistNameInput.addEventListener('input', function() {
-            PlaylistCreatorUI.currentPlaylist.name = this.value.trim();
-            updateCreateButtonState();
-        });
+    if (keyStatus) {
+        keyStatus.textContent = settings.isConfigured
+            ? 'Saved ' + (settings.credentialType === 'bearerToken' ? 'read access token' : 'API key') + ': ' + settings.maskedTmdbApiKey
+            : 'No key saved.';
     }
     
-    var saveBtn = document.getElementById('savePlaylistBtn');
-    if (saveBtn) {
-        saveBtn.addEventListener('click', savePlaylist);
+    if (baseUrlInput) {
+        baseUrlInput.value = settings.tmdbBaseUrl && settings.tmdbBaseUrl !== 'https://api.themoviedb.org/3' ? settings.tmdbBaseUrl : '';
     }
     
-    var createJellyfinBtn = document.getElementById('createJellyfinPlaylistBtn');
-    if (createJellyfinBtn) {
-        createJellyfinBtn.addEventListener('click', createJellyfinPlaylist);
+    if (removeBtn) {
+        removeBtn.style.display = settings.isConfigured ? 'inline-block' : 'none';
     }
     
-    var cancelBtn = document.getElementById('cancelPlaylistBtn');
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', cancelPlaylistCreation);
-    }
-}, 500);
-
-// ===== TMDB SETTINGS =====
+    updateTmdbToggleVisibility();
+}
 
-// Load TMDB settings
-function loadTmdbSettings() {
-    console.log('Loading TMDB settings');
+// Show a message under the TMDB settings; success messages hide after a few seconds
+function showTmdbSettingsMessage(text, success) {
+    var statusMessage = document.getElementById('tmdbSettingsMessage');
     
-    try {
-        // Use ApiClient's getPluginConfiguration method with the plugin's GUID
-        var pluginId = '12345678-1234-5678-9abc-123456789012';
-        
-        ApiClient.getPluginConfiguration(pluginId)
-            .then(function(config) {
-                console.log('TMDB settings loaded:', config);
-                
-                var tmdbApiKeyInput = document.getElementById('tmdbApiKey');
-                if (tmdbApiKeyInput && config.TmdbApiKey) {
-                    tmdbApiKeyInput.value = config.TmdbApiKey;
-                }
-                
-                // Update TMDB toggle visibility based on API key
-                updateTmdbToggleVisibility(config.TmdbApiKey);
-            })
-            .catch(function(error) {
-                console.error('Error loading TMDB settings:', error);
-                // If plugin config doesn't exist yet, that's okay - just use defaults
-                updateTmdbToggleVisibility('');
-            });
-    } catch (error) {
-        console.error('Exception loading TMDB settings:', error);
+    statusMessage.style.display = 'block';
+    statusMessage.style.background = success ? '#1e5631' : '#5a1a1a';
+    statusMessage.style.color = success ? '#fff' : '#ff6b6b';
+    statusMessage.textContent = text;
+    
+    if (success) {
+        setTimeout(function() {
+            statusMessage.style.display = 'none';
+        }, 3000);
     }
 }
 
-// Save TMDB settings
-function saveTmdbSettings() {
-    console.log('Saving TMDB settings');
-    
+// Save TMDB settings. An empty key field keeps the saved key
+function saveTmdbSettings(clearApiKey) {
     var tmdbApiKeyInput = document.getElementById('tmdbApiKey');
+    var baseUrlInput = document.getElementById('tmdbBaseUrl');
     var saveBtn = document.getElementById('saveTmdbSettingsBtn');
-    var statusMessage = document.getElementById('tmdbSettingsMessage');
+    var apiKey = ApiClient.accessToken();
     
     if (!tmdbApiKeyInput) {
         return;
     }
     
-    var tmdbApiKey = tmdbApiKeyInput.value.trim();
-    var pluginId = '12345678-1234-5678-9abc-123456789012';
-    
     saveBtn.disabled = true;
     saveBtn.textContent = 'Saving...';
     
-    try {
-        // Get current configuration first
-        ApiClient.getPluginConfiguration(pluginId)
-            .then(function(config) {
-                // Update TMDB API key
-                config.TmdbApiKey = tmdbApiKey;
-                
-                // Save configuration using ApiClient
-                return ApiClient.updatePluginConfiguration(pluginId, config);
-            })
-            .then(function() {
-                saveBtn.disabled = false;
-                saveBtn.textContent = 'Save TMDB Settings';
-                
-                statusMessage.style.display = 'block';
-                statusMessage.style.background = '#1e5631';
-                statusMessage.style.color = '#fff';
-                statusMessage.textContent = 'TMDB settings saved successfully!';
-                
-                // Update TMDB toggle visibility
-                updateTmdbToggleVisibility(tmdbApiKey);
-                
-                setTimeout(function() {
-                    statusMessage.style.display = 'none';
-                }, 3000);
-            })
-            .catch(function(error) {
-                console.error('Error saving TMDB settings:', error);
-                
-                saveBtn.disabled = false;
-                saveBtn.textContent = 'Save TMDB Settings';
-                
-                statusMessage.style.display = 'block';
-                statusMessage.style.background = '#5a1a1a';
-                statusMessage.style.color = '#ff6b6b';
-                statusMessage.textContent = 'Error saving TMDB settings: ' + error.message;
-            });
-    } catch (error) {
-        console.error('Exception saving TMDB settings:', error);
-        
+    fetch(ApiClient.getUrl('/Timeline/Settings/Tmdb'), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Emby-Token': apiKey
+        },
+        body: JSON.stringify({
+            tmdbApiKey: clearApiKey ? null : tmdbApiKeyInput.value.trim(),
+            clearTmdbApiKey: !!clearApiKey,
+            tmdbBaseUrl: baseUrlInput ? baseUrlInput.value.trim() : null
+        })
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(result) {
         saveBtn.disabled = false;
         saveBtn.textContent = 'Save TMDB Settings';
         
-        statusMessage.style.display = 'block';
-        statusMessage.style.background = '#5a1a1a';
-        statusMessage.style.color = '#ff6b6b';
-        statusMessage.textContent = 'Error: ' + error.message;
-    }
+        if (!result.success) {
+            showTmdbSettingsMessage('Error saving TMDB settings: ' + result.message, false);
+            return;
+        }
+        
+        showTmdbSettingsMessage(clearApiKey ? 'TMDB key removed.' : 'TMDB settings saved successfully!', true);
+        applyTmdbSettings(result.settings);
+        
+        // The offline state depends on the key
+        loadTmdbCacheStatus();
+    })
+    .catch(function(error) {
+        console.error('Error saving TMDB settings:', error);
+        
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save TMDB Settings';
+        showTmdbSettingsMessage('Error saving TMDB settings: ' + error.message, false);
+    });
+}
+
+// Check the entered key (or the saved one if the field is empty) against the entered base URL, without saving
+function testTmdbConnection() {
+    var tmdbApiKeyInput = document.getElementById('tmdbApiKey');
+    var baseUrlInput = document.getElementById('tmdbBaseUrl');
+    var testBtn = document.getElementById('testTmdbConnectionBtn');
+    var apiKey = ApiClient.accessToken();
+    
+    testBtn.disabled = true;
+    testBtn.textContent = 'Testing...';
+    
+    fetch(ApiClient.getUrl('/Timeline/Settings/Tmdb/Test'), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Emby-Token': apiKey
+        },
+        body: JSON.stringify({
+            tmdbApiKey: tmdbApiKeyInput.value.trim() || null,
+            tmdbBaseUrl: baseUrlInput.value.trim() || null
+        })
+    })
+    .then(function(response) {
+        return response.json().then(function(data) {
+            if (!response.ok) {
+                throw new Error(data.error || ('HTTP ' + response.status));
+            }
+            return data;
+        });
+    })
+    .then(function(result) {
+        testBtn.disabled = false;
+        testBtn.textContent = 'Test Connection';
+        showTmdbSettingsMessage((result.success ? '✓ ' : '✗ ') + result.message + ' (' + result.baseUrl + ')', result.success);
+    })
+    .catch(function(error) {
+        console.error('Error testing TMDB connection:', error);
+        testBtn.disabled = false;
+        testBtn.textContent = 'Test Connection';
+        showTmdbSettingsMessage('Error testing TMDB connection: ' + error.message, false);
+    });
 }
 
-// Update TMDB toggle visibility based on API key
-function updateTmdbToggleVisibility(tmdbApiKey) {
+// Show the TMDB search toggle if a key is saved or cached responses can be searched offline
+function updateTmdbToggleVisibility() {
     var tmdbToggleButton = document.getElementById('searchSourceTmdb');
-    var searchSourceIndicator = document.getElementById('searchSourceIndicator');
     
     if (!tmdbToggleButton) {
         return;
     }
     
-    if (!tmdbApiKey || tmdbApiKey.trim() === '') {
-        // Hide TMDB toggle if no API key
+    var settings = PlaylistCreatorUI.tmdbSettings;
+    var cacheStatus = PlaylistCreatorUI.tmdbCacheStatus;
+    var hasCachedResponses = !!(cacheStatus && cacheStatus.entryCount > 0);
+    tmdbToggleButton.textContent = cacheStatus && cacheStatus.offline ? 'TMDB (offline)' : 'TMDB';
+    
+    if (!(settings && settings.isConfigured) && !hasCachedResponses) {
+        // Hide TMDB toggle if no API key and nothing cached to search offline
         tmdbToggleButton.style.display = 'none';
         
         // If TMDB was selected, switch back to Jellyfin
@@ -1754,17 +6751,200 @@ function updateTmdbToggleVisibility(tmdbApiKey) {
             setSearchSource('jellyfin');
         }
     } else {
-        // Show TMDB toggle if API key is configured
         tmdbToggleButton.style.display = 'inline-block';
     }
 }
 
+// Load the local TMDB cache status and show it under the TMDB settings
+function loadTmdbCacheStatus() {
+    var apiKey = ApiClient.accessToken();
+    
+    return fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Cache'), {
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(status) {
+        PlaylistCreatorUI.tmdbCacheStatus = status;
+        renderTmdbCacheStatus(status);
+        updateTmdbToggleVisibility();
+    })
+    .catch(function(error) {
+        console.error('Error loading TMDB cache status:', error);
+        var container = document.getElementById('tmdbCacheStatus');
+        if (container) {
+            container.innerHTML = '<div class="fieldDescription" style="color: #ff6b6b;"></div>';
+            container.firstChild.textContent = 'Error loading TMDB cache status: ' + error.message;
+        }
+    });
+}
+
+// Show the number, size and age of the cached TMDB responses and the offline state
+function renderTmdbCacheStatus(status) {
+    var container = document.getElementById('tmdbCacheStatus');
+    if (!container) {
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    if (status.offline) {
+        var offline = document.createElement('div');
+        offline.className = 'fieldDescription';
+        offline.style.color = '#ffb74d';
+        offline.style.marginBottom = '0.5em';
+        offline.textContent = 'Offline: ' + status.offlineReason + '. TMDB search, titles and posters are served from the cache only.';
+        container.appendChild(offline);
+    }
+    
+    var summary = document.createElement('div');
+    summary.className = 'fieldDescription';
+    if (status.entryCount === 0) {
+        summary.textContent = 'Nothing cached yet.';
+    } else {
+        summary.textContent = status.entryCount + ' cached response(s), ' + (status.sizeBytes / 1024 / 1024).toFixed(1) + ' MB' +
+            ' • oldest ' + new Date(status.oldestEntry).toLocaleString() +
+            ' • newest ' + new Date(status.newestEntry).toLocaleString();
+    }
+    container.appendChild(summary);
+}
+
+// Load the TMDB details of every universe item into the cache
+function prewarmTmdbCache() {
+    var apiKey = ApiClient.accessToken();
+    var prewarmBtn = document.getElementById('prewarmTmdbCacheBtn');
+    var statusMessage = document.getElementById('tmdbSettingsMessage');
+    
+    prewarmBtn.disabled = true;
+    prewarmBtn.textContent = 'Pre-warming...';
+    
+    fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Cache/Prewarm'), {
+        method: 'POST',
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(result) {
+        prewarmBtn.disabled = false;
+        prewarmBtn.textContent = 'Pre-warm Cache';
+        
+        var text = 'Cached ' + result.cachedCount + ' of ' + result.itemCount + ' universe titles.';
+        if (result.skippedCount > 0) {
+            text += ' ' + result.skippedCount + ' skipped (TMDB can\'t look up their provider).';
+        }
+        if (result.failedItems.length > 0) {
+            text += ' Not found: ' + result.failedItems.join(', ') + '.';
+        }
+        if (result.offline) {
+            text += ' TMDB is offline, so only titles that were already cached count.';
+        }
+        
+        statusMessage.style.display = 'block';
+        statusMessage.style.background = '#1e5631';
+        statusMessage.style.color = '#fff';
+        statusMessage.textContent = text;
+        
+        loadTmdbCacheStatus();
+    })
+    .catch(function(error) {
+        console.error('Error pre-warming TMDB cache:', error);
+        prewarmBtn.disabled = false;
+        prewarmBtn.textContent = 'Pre-warm Cache';
+        
+        statusMessage.style.display = 'block';
+        statusMessage.style.background = '#5a1a1a';
+        statusMessage.style.color = '#ff6b6b';
+        statusMessage.textContent = 'Error pre-warming TMDB cache: ' + error.message;
+    });
+}
+
+// Delete every cached TMDB response
+function clearTmdbCache() {
+    if (!confirm('Delete all cached TMDB responses? While TMDB is offline, nothing can be looked up until they are cached again.')) {
+        return;
+    }
+    
+    var apiKey = ApiClient.accessToken();
+    var statusMessage = document.getElementById('tmdbSettingsMessage');
+    
+    fetch(ApiClient.getUrl('/Timeline/Search/Tmdb/Cache'), {
+        method: 'DELETE',
+        headers: {
+            'X-Emby-Token': apiKey
+        }
+    })
+    .then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    })
+    .then(function(result) {
+        statusMessage.style.display = 'block';
+        statusMessage.style.background = '#1e5631';
+        statusMessage.style.color = '#fff';
+        statusMessage.textContent = 'Deleted ' + result.deleted + ' cached TMDB response(s).';
+        
+        setTimeout(function() {
+            statusMessage.style.display = 'none';
+        }, 3000);
+        
+        loadTmdbCacheStatus();
+    })
+    .catch(function(error) {
+        console.error('Error clearing TMDB cache:', error);
+        statusMessage.style.display = 'block';
+        statusMessage.style.background = '#5a1a1a';
+        statusMessage.style.color = '#ff6b6b';
+        statusMessage.textContent = 'Error clearing TMDB cache: ' + error.message;
+    });
+}
+
 // Initialize TMDB settings on page load
 setTimeout(function() {
     loadTmdbSettings();
+    loadTmdbCacheStatus();
     
     var saveTmdbBtn = document.getElementById('saveTmdbSettingsBtn');
     if (saveTmdbBtn) {
-        saveTmdbBtn.addEventListener('click', saveTmdbSettings);
+        saveTmdbBtn.addEventListener('click', function() {
+            saveTmdbSettings(false);
+        });
+    }
+    
+    var testTmdbBtn = document.getElementById('testTmdbConnectionBtn');
+    if (testTmdbBtn) {
+        testTmdbBtn.addEventListener('click', testTmdbConnection);
+    }
+    
+    var removeTmdbKeyBtn = document.getElementById('removeTmdbApiKeyBtn');
+    if (removeTmdbKeyBtn) {
+        removeTmdbKeyBtn.addEventListener('click', function() {
+            if (confirm('Remove the saved TMDB key? TMDB search, titles and posters will only use the TMDB cache.')) {
+                saveTmdbSettings(true);
+            }
+        });
+    }
+    
+    var prewarmTmdbBtn = document.getElementById('prewarmTmdbCacheBtn');
+    if (prewarmTmdbBtn) {
+        prewarmTmdbBtn.addEventListener('click', prewarmTmdbCache);
+    }
+    
+    var clearTmdbBtn = document.getElementById('clearTmdbCacheBtn');
+    if (clearTmdbBtn) {
+        clearTmdbBtn.addEventListener('click', clearTmdbCache);
     }
 }, 500);
@@ -0,0 +1,27 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// How to handle one universe when importing a bundle.
+/// </summary>
+public class BundleImportDecision
+{
+    /// <summary>
+    /// Gets or sets the position of the universe in the bundle.
+    /// </summary>
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Gets or sets the action: "import" (no conflict), "overwrite", "rename" or "skip".
+    /// </summary>
+    [JsonPropertyName("action")]
+    public string Action { get; set; } = "import";
+
+    /// <summary>
+    /// Gets or sets the new key when the action is "rename".
+    /// </summary>
+    [JsonPropertyName("newKey")]
+    public string? NewKey { get; set; }
+}
@@ -0,0 +1,71 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Describes what importing one universe from a bundle would do.
+/// </summary>
+public class BundleImportPreviewItem
+{
+    /// <summary>
+    /// Gets or sets the position of the universe in the bundle.
+    /// </summary>
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Gets or sets the universe key.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the universe name.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of timeline items in the universe.
+    /// </summary>
+    [JsonPropertyName("itemCount")]
+    public int ItemCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the file the universe would be written to (e.g., "mcu.json").
+    /// </summary>
+    [JsonPropertyName("filename")]
+    public string Filename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the key collides with an existing universe or an earlier bundle entry.
+    /// </summary>
+    [JsonPropertyName("hasConflict")]
+    public bool HasConflict { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the universe the key collides with, if any.
+    /// </summary>
+    [JsonPropertyName("conflictsWith")]
+    public string? ConflictsWith { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the conflict can be resolved by overwriting an existing file.
+    /// False when the collision is with another entry in the same bundle.
+    /// </summary>
+    [JsonPropertyName("canOverwrite")]
+    public bool CanOverwrite { get; set; }
+
+    /// <summary>
+    /// Gets or sets a free key to use if the universe is renamed.
+    /// </summary>
+    [JsonPropertyName("suggestedKey")]
+    public string? SuggestedKey { get; set; }
+
+    /// <summary>
+    /// Gets or sets the validation errors; a universe with errors cannot be imported.
+    /// </summary>
+    [JsonPropertyName("validationErrors")]
+    public List<string> ValidationErrors { get; set; } = new();
+}
@@ -0,0 +1,22 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Request to import a universe bundle with per-universe conflict decisions.
+/// </summary>
+public class BundleImportRequest
+{
+    /// <summary>
+    /// Gets or sets the bundle to import.
+    /// </summary>
+    [JsonPropertyName("bundle")]
+    public UniverseBundle Bundle { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the decisions, one per bundle entry. Entries without a decision are imported only if they have no conflict.
+    /// </summary>
+    [JsonPropertyName("decisions")]
+    public List<BundleImportDecision> Decisions { get; set; } = new();
+}
@@ -0,0 +1,34 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Result of importing a universe bundle.
+/// </summary>
+public class BundleImportResult
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether every universe was imported or skipped without errors.
+    /// </summary>
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Gets or sets the filenames that were written.
+    /// </summary>
+    [JsonPropertyName("imported")]
+    public List<string> Imported { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the keys of universes that were skipped.
+    /// </summary>
+    [JsonPropertyName("skipped")]
+    public List<string> Skipped { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the errors for universes that could not be imported.
+    /// </summary>
+    [JsonPropertyName("errors")]
+    public List<string> Errors { get; set; } = new();
+}
@@ -14,4 +14,11 @@ public class CreatePlaylistsRequest
     /// </summary>
     [JsonPropertyName("selectedUniverseFilenames")]
     public List<string>? SelectedUniverseFilenames { get; set; }
+
+    /// <summary>
+    /// Gets or sets the orderings to create playlists for, by universe filename.
+    /// Values are ordering keys, with "default" for the items order. Universes not listed get a playlist for every ordering.
+    /// </summary>
+    [JsonPropertyName("selectedOrderings")]
+    public Dictionary<string, List<string>>? SelectedOrderings { get; set; }
 }
@@ -0,0 +1,65 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// A metadata provider whose IDs can identify timeline items (e.g., TMDB, TVDB).
+/// </summary>
+public class ExternalProvider
+{
+    /// <summary>
+    /// Gets or sets the provider name used in universe files (e.g., "tvdb").
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the display name (e.g., "TVDB").
+    /// </summary>
+    [JsonPropertyName("displayName")]
+    public string DisplayName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the key Jellyfin stores the provider's IDs under in an item's provider IDs (e.g., "Tvdb").
+    /// </summary>
+    [JsonIgnore]
+    public string JellyfinKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the provider has IDs for movies.
+    /// </summary>
+    [JsonPropertyName("movies")]
+    public bool SupportsMovies { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the provider has IDs for series (used by series and season items).
+    /// </summary>
+    [JsonPropertyName("series")]
+    public bool SupportsSeries { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the provider has IDs for episodes.
+    /// </summary>
+    [JsonPropertyName("episodes")]
+    public bool SupportsEpisodes { get; set; }
+
+    /// <summary>
+    /// Gets or sets a regular expression provider IDs must match, or null to accept any ID.
+    /// </summary>
+    [JsonPropertyName("idPattern")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? IdPattern { get; set; }
+
+    /// <summary>
+    /// Gets or sets an example ID, shown when an ID doesn't match <see cref="IdPattern"/>.
+    /// </summary>
+    [JsonPropertyName("exampleId")]
+    public string ExampleId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the external source name of the TMDB find endpoint for this provider (e.g., "tvdb_id"),
+    /// or null if TMDB can't look up its IDs.
+    /// </summary>
+    [JsonIgnore]
+    public string? TmdbFindSource { get; set; }
+}
@@ -0,0 +1,40 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// An accepted provider ID fix for one timeline item. The current provider name and ID guard
+/// against the universe having been edited since the health check ran.
+/// </summary>
+public class HealthFix
+{
+    /// <summary>
+    /// Gets or sets the position of the item in the universe's timeline (0-based).
+    /// </summary>
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Gets or sets the item's current provider name.
+    /// </summary>
+    [JsonPropertyName("providerName")]
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the item's current provider ID.
+    /// </summary>
+    [JsonPropertyName("providerId")]
+    public string ProviderId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the new provider name.
+    /// </summary>
+    [JsonPropertyName("newProviderName")]
+    public string NewProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the new provider ID.
+    /// </summary>
+    [JsonPropertyName("newProviderId")]
+    public string NewProviderId { get; set; } = string.Empty;
+}
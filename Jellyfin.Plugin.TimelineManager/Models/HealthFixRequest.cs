@@ -0,0 +1,22 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Request to apply accepted health check fixes to a universe file.
+/// </summary>
+public class HealthFixRequest
+{
+    /// <summary>
+    /// Gets or sets the universe filename (e.g., "mcu.json").
+    /// </summary>
+    [JsonPropertyName("filename")]
+    public string Filename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the accepted fixes.
+    /// </summary>
+    [JsonPropertyName("fixes")]
+    public List<HealthFix> Fixes { get; set; } = new();
+}
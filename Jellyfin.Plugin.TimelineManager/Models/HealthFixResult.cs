@@ -0,0 +1,28 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Result of applying health check fixes to a universe file.
+/// </summary>
+public class HealthFixResult
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether the fixes were saved.
+    /// </summary>
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of items that were updated.
+    /// </summary>
+    [JsonPropertyName("applied")]
+    public int Applied { get; set; }
+
+    /// <summary>
+    /// Gets or sets errors for fixes that were not applied, or why the file could not be saved.
+    /// </summary>
+    [JsonPropertyName("errors")]
+    public List<string> Errors { get; set; } = new();
+}
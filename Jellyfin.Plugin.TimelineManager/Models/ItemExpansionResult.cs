@@ -0,0 +1,53 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Describes how a single timeline item resolved against the library.
+/// </summary>
+public class ItemExpansionResult
+{
+    /// <summary>
+    /// Gets or sets the index of the timeline item in the request.
+    /// </summary>
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the item matched anything in the library.
+    /// </summary>
+    [JsonPropertyName("matched")]
+    public bool Matched { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of library items the timeline item expands to (episodes for series and seasons).
+    /// </summary>
+    [JsonPropertyName("itemCount")]
+    public int ItemCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the confidence (0-100) of a match made by title instead of provider ID, or null if the ID matched.
+    /// </summary>
+    [JsonPropertyName("titleMatchConfidence")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public int? TitleMatchConfidence { get; set; }
+
+    /// <summary>
+    /// Gets or sets the display title of the item (only filled in when details are requested).
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// Gets or sets the library item whose primary image can be used as the poster (the movie or the series).
+    /// </summary>
+    [JsonPropertyName("imageItemId")]
+    public Guid? ImageItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the TMDB poster URL for items that are not in the library.
+    /// </summary>
+    [JsonPropertyName("posterUrl")]
+    public string? PosterUrl { get; set; }
+}
@@ -0,0 +1,49 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Records what happened when a new or updated library item matched a universe.
+/// </summary>
+public class LibraryActivityEntry
+{
+    /// <summary>
+    /// Gets or sets the UTC timestamp of the playlist update.
+    /// </summary>
+    [JsonPropertyName("timestamp")]
+    public DateTime Timestamp { get; set; }
+
+    /// <summary>
+    /// Gets or sets the Jellyfin item ID of the library item.
+    /// </summary>
+    [JsonPropertyName("itemId")]
+    public Guid ItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the display name of the library item (e.g., "Loki S02E01 - Ouroboros").
+    /// </summary>
+    [JsonPropertyName("itemName")]
+    public string ItemName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the universe playlist the item matched (e.g., "Star Wars (Release Order)").
+    /// </summary>
+    [JsonPropertyName("universeName")]
+    public string UniverseName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the outcome.
+    /// </summary>
+    /// <remarks>
+    /// Valid values: "added" (the item is now in the playlist) or "failed".
+    /// </remarks>
+    [JsonPropertyName("status")]
+    public string Status { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets details about a failure.
+    /// </summary>
+    [JsonPropertyName("message")]
+    public string? Message { get; set; }
+}
@@ -0,0 +1,86 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// What the library lookup index holds for one library movie, series or episode.
+/// </summary>
+public class LibraryIndexEntry
+{
+    /// <summary>
+    /// Gets or sets the library item ID.
+    /// </summary>
+    [JsonPropertyName("itemId")]
+    public Guid ItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the lookup kind ("movie", "show" or "episode").
+    /// </summary>
+    [JsonPropertyName("kind")]
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the provider IDs the item is indexed under, keyed by provider name (e.g., "tmdb").
+    /// </summary>
+    [JsonPropertyName("providerIds")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public Dictionary<string, string>? ProviderIds { get; set; }
+
+    /// <summary>
+    /// Gets or sets the library series of an episode.
+    /// </summary>
+    [JsonPropertyName("seriesId")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public Guid? SeriesId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the season number of an episode.
+    /// </summary>
+    [JsonPropertyName("season")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public int? Season { get; set; }
+
+    /// <summary>
+    /// Gets or sets the episode number of an episode within its season.
+    /// </summary>
+    [JsonPropertyName("episode")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public int? Episode { get; set; }
+
+    /// <summary>
+    /// Gets or sets the original air date of an episode.
+    /// </summary>
+    [JsonPropertyName("premiereDate")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public DateTime? PremiereDate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the title of an unidentified movie or series, which is matched by title.
+    /// </summary>
+    [JsonPropertyName("title")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// Gets or sets the original title of an unidentified movie or series, if it differs.
+    /// </summary>
+    [JsonPropertyName("originalTitle")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? OriginalTitle { get; set; }
+
+    /// <summary>
+    /// Gets or sets the production year of an unidentified movie or series.
+    /// </summary>
+    [JsonPropertyName("year")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public int? Year { get; set; }
+
+    /// <summary>
+    /// Gets or sets the runtime of an unidentified movie or series.
+    /// </summary>
+    [JsonPropertyName("runTimeTicks")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public long? RunTimeTicks { get; set; }
+}
@@ -0,0 +1,65 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// The library lookup index as saved to disk, so it can be loaded after a restart instead of being rebuilt.
+/// </summary>
+public class LibraryIndexSnapshot
+{
+    /// <summary>
+    /// The format version written by this plugin version. Snapshots of another version are rebuilt.
+    /// </summary>
+    public const int CurrentVersion = 2;
+
+    /// <summary>
+    /// Gets or sets the format version of the snapshot.
+    /// </summary>
+    [JsonPropertyName("version")]
+    public int Version { get; set; }
+
+    /// <summary>
+    /// Gets or sets the UTC timestamp when the snapshot was taken. Library items Jellyfin saved after it
+    /// are re-indexed when the snapshot is loaded.
+    /// </summary>
+    [JsonPropertyName("capturedAt")]
+    public DateTime CapturedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the UTC timestamp when the index was last built from the whole library.
+    /// </summary>
+    [JsonPropertyName("lastBuilt")]
+    public DateTime LastBuilt { get; set; }
+
+    /// <summary>
+    /// Gets or sets how long that build took, in seconds.
+    /// </summary>
+    [JsonPropertyName("lastBuildSeconds")]
+    public double LastBuildSeconds { get; set; }
+
+    /// <summary>
+    /// Gets or sets the UTC timestamp when changed library items were last applied to the index.
+    /// </summary>
+    [JsonPropertyName("lastUpdated")]
+    public DateTime LastUpdated { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of library items updated since the build.
+    /// </summary>
+    [JsonPropertyName("incrementalUpdates")]
+    public int IncrementalUpdates { get; set; }
+
+    /// <summary>
+    /// Gets or sets every movie, series and episode in the index.
+    /// </summary>
+    [JsonPropertyName("items")]
+    public List<LibraryIndexEntry> Items { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the library items that changed but weren't applied yet (value: whether the item was removed).
+    /// </summary>
+    [JsonPropertyName("pendingChanges")]
+    public Dictionary<Guid, bool> PendingChanges { get; set; } = new();
+}
@@ -0,0 +1,27 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Request to convert an exported list file (IMDb CSV, Letterboxd CSV or Trakt JSON) into timeline items.
+/// </summary>
+public class ListImportRequest
+{
+    /// <summary>
+    /// Gets or sets the original filename, used to help detect the format.
+    /// </summary>
+    [JsonPropertyName("filename")]
+    public string? Filename { get; set; }
+
+    /// <summary>
+    /// Gets or sets the format ("imdb", "letterboxd", "trakt"), or null/"auto" to detect it from the content.
+    /// </summary>
+    [JsonPropertyName("format")]
+    public string? Format { get; set; }
+
+    /// <summary>
+    /// Gets or sets the file content.
+    /// </summary>
+    [JsonPropertyName("content")]
+    public string Content { get; set; } = string.Empty;
+}
@@ -0,0 +1,34 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Result of converting an exported list file into timeline items.
+/// </summary>
+public class ListImportResponse
+{
+    /// <summary>
+    /// Gets or sets the detected or requested format ("imdb", "letterboxd" or "trakt").
+    /// </summary>
+    [JsonPropertyName("format")]
+    public string Format { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets all rows in file order, mapped or not.
+    /// </summary>
+    [JsonPropertyName("rows")]
+    public List<ListImportRow> Rows { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the number of rows mapped to timeline items.
+    /// </summary>
+    [JsonPropertyName("mappedCount")]
+    public int MappedCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of rows that could not be mapped.
+    /// </summary>
+    [JsonPropertyName("unmappedCount")]
+    public int UnmappedCount { get; set; }
+}
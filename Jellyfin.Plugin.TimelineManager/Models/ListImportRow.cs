@@ -0,0 +1,45 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// One row of an imported list file and the timeline item it was mapped to.
+/// </summary>
+public class ListImportRow
+{
+    /// <summary>
+    /// Gets or sets the 1-based position of the entry in the file.
+    /// </summary>
+    [JsonPropertyName("row")]
+    public int Row { get; set; }
+
+    /// <summary>
+    /// Gets or sets the title given in the file.
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the year given in the file, if any.
+    /// </summary>
+    [JsonPropertyName("year")]
+    public int? Year { get; set; }
+
+    /// <summary>
+    /// Gets or sets the mapped timeline item, or null if the row could not be mapped.
+    /// </summary>
+    [JsonPropertyName("item")]
+    public TimelineItem? Item { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the row had no usable ID and was matched by title and year instead.
+    /// </summary>
+    [JsonPropertyName("matchedByTitle")]
+    public bool MatchedByTitle { get; set; }
+
+    /// <summary>
+    /// Gets or sets why the row could not be mapped.
+    /// </summary>
+    [JsonPropertyName("reason")]
+    public string? Reason { get; set; }
+}
@@ -0,0 +1,52 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Describes a timeline item that could not be found in the Jellyfin library.
+/// </summary>
+public class MissingItemInfo
+{
+    /// <summary>
+    /// Gets or sets the position of the item in the universe's timeline (0-based).
+    /// </summary>
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Gets or sets the external provider ID.
+    /// </summary>
+    [JsonPropertyName("providerId")]
+    public string ProviderId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the provider name (e.g., "tmdb", "imdb").
+    /// </summary>
+    [JsonPropertyName("providerName")]
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the content type.
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the provider ID of the series, for episodes stored with their own ID.
+    /// </summary>
+    [JsonPropertyName("seriesId")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? SeriesId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the season/episode range label (e.g., "S2", "S2E1-E8"), empty if not applicable.
+    /// </summary>
+    [JsonPropertyName("scope")]
+    public string Scope { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the title stored on the item or fetched from TMDB, or null if it could not be resolved.
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string? Title { get; set; }
+}
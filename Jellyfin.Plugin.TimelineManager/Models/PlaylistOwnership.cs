@@ -0,0 +1,31 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Ownership and visibility settings for the playlist generated from a universe.
+/// </summary>
+public class PlaylistOwnership
+{
+    /// <summary>
+    /// Gets or sets the Jellyfin user who owns the playlist.
+    /// If not set, the user who triggered the playlist run owns it.
+    /// </summary>
+    [JsonPropertyName("ownerUserId")]
+    public Guid? OwnerUserId { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether every user can see the playlist.
+    /// Private playlists are only visible to the owner and the users in <see cref="SharedUserIds"/>.
+    /// </summary>
+    [JsonPropertyName("isPublic")]
+    public bool IsPublic { get; set; } = true;
+
+    /// <summary>
+    /// Gets or sets the users the playlist is shared with (read-only access).
+    /// </summary>
+    [JsonPropertyName("sharedUserIds")]
+    public List<Guid> SharedUserIds { get; set; } = new();
+}
@@ -1,3 +1,4 @@
+using System;
 using System.Collections.Generic;
 using System.Text.Json.Serialization;
 
@@ -18,17 +19,35 @@ public class PlaylistResult
     /// Gets or sets the action performed on the playlist.
     /// </summary>
     /// <remarks>
-    /// Valid values: "created" or "updated".
+    /// Valid values: "created", "updated" or "unchanged".
     /// </remarks>
     [JsonPropertyName("action")]
     public string Action { get; set; } = string.Empty;
 
+    /// <summary>
+    /// Gets or sets the Jellyfin item ID of the playlist that was created or updated.
+    /// </summary>
+    [JsonPropertyName("playlistId")]
+    public Guid PlaylistId { get; set; }
+
     /// <summary>
     /// Gets or sets the number of items successfully added to the playlist.
     /// </summary>
     [JsonPropertyName("itemsAdded")]
     public int ItemsAdded { get; set; }
 
+    /// <summary>
+    /// Gets or sets the number of library items that were not in the playlist before this run.
+    /// </summary>
+    [JsonPropertyName("addedCount")]
+    public int AddedCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of library items that were removed from the playlist by this run.
+    /// </summary>
+    [JsonPropertyName("removedCount")]
+    public int RemovedCount { get; set; }
+
     /// <summary>
     /// Gets or sets the number of items that were missing from the library.
     /// </summary>
@@ -40,4 +59,10 @@ public class PlaylistResult
     /// </summary>
     [JsonPropertyName("missingItems")]
     public List<string> MissingItems { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the items that were added by title instead of provider ID and should be reviewed.
+    /// </summary>
+    [JsonPropertyName("titleMatches")]
+    public List<TitleMatchInfo> TitleMatches { get; set; } = new();
 }
@@ -0,0 +1,34 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// A library item that was added to a playlist but is not in its universe.
+/// </summary>
+public class PlaylistSyncAddition
+{
+    /// <summary>
+    /// Gets or sets the Jellyfin item ID.
+    /// </summary>
+    [JsonPropertyName("libraryItemId")]
+    public Guid LibraryItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the title of the library item.
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the position of the item in the playlist (1-based).
+    /// </summary>
+    [JsonPropertyName("position")]
+    public int Position { get; set; }
+
+    /// <summary>
+    /// Gets or sets the timeline item that would be written to the universe.
+    /// </summary>
+    [JsonPropertyName("item")]
+    public TimelineItem Item { get; set; } = new();
+}
@@ -0,0 +1,34 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// A universe item that was removed from, moved in or trimmed in its playlist.
+/// </summary>
+public class PlaylistSyncItem
+{
+    /// <summary>
+    /// Gets or sets the position of the item in the universe's items list (0-based).
+    /// </summary>
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Gets or sets the ordering key of the item (e.g., "movie:tmdb:1771").
+    /// </summary>
+    [JsonPropertyName("orderKey")]
+    public string OrderKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the title of the matching library item.
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets additional information (e.g., how many episodes of a season are left in the playlist).
+    /// </summary>
+    [JsonPropertyName("detail")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Detail { get; set; }
+}
@@ -0,0 +1,87 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Differences between a timeline playlist, as edited in Jellyfin, and the universe that produced it.
+/// </summary>
+public class PlaylistSyncPreview
+{
+    /// <summary>
+    /// Gets or sets the Jellyfin item ID of the playlist.
+    /// </summary>
+    [JsonPropertyName("playlistId")]
+    public Guid PlaylistId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the playlist name.
+    /// </summary>
+    [JsonPropertyName("playlistName")]
+    public string PlaylistName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the filename of the universe the playlist was generated from.
+    /// </summary>
+    [JsonPropertyName("filename")]
+    public string Filename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the universe name.
+    /// </summary>
+    [JsonPropertyName("universeName")]
+    public string UniverseName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the ordering the playlist follows, or null for the items order.
+    /// </summary>
+    [JsonPropertyName("orderingName")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? OrderingName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the library items that are in the playlist but not in the universe.
+    /// </summary>
+    [JsonPropertyName("added")]
+    public List<PlaylistSyncAddition> Added { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the universe items that are in the library but no longer in the playlist.
+    /// </summary>
+    [JsonPropertyName("removed")]
+    public List<PlaylistSyncItem> Removed { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the universe items that changed position in the playlist.
+    /// </summary>
+    [JsonPropertyName("moved")]
+    public List<PlaylistSyncItem> Moved { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets series and season items that lost some, but not all, of their episodes in the playlist.
+    /// These can't be written back and are listed for information only.
+    /// </summary>
+    [JsonPropertyName("partiallyRemoved")]
+    public List<PlaylistSyncItem> PartiallyRemoved { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets titles of playlist items that have no ID from a supported provider (for episodes, none their series
+    /// also has) and can't be written to the universe.
+    /// </summary>
+    [JsonPropertyName("unmapped")]
+    public List<string> Unmapped { get; set; } = new();
+
+    /// <summary>
+    /// Gets a value indicating whether any difference can be written back to the universe.
+    /// </summary>
+    [JsonPropertyName("hasChanges")]
+    public bool HasChanges => Added.Count > 0 || Removed.Count > 0 || Moved.Count > 0;
+
+    /// <summary>
+    /// Gets or sets the error that prevented the comparison, if any.
+    /// </summary>
+    [JsonPropertyName("error")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Error { get; set; }
+}
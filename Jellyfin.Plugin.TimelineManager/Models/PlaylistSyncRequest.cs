@@ -0,0 +1,29 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Request to write accepted playlist changes back to the universe.
+/// </summary>
+public class PlaylistSyncRequest
+{
+    /// <summary>
+    /// Gets or sets the library item IDs of the accepted additions.
+    /// </summary>
+    [JsonPropertyName("addLibraryItemIds")]
+    public List<Guid> AddLibraryItemIds { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the accepted removals, identified by item index and ordering key.
+    /// </summary>
+    [JsonPropertyName("remove")]
+    public List<PlaylistSyncItem> Remove { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the playlist order should be written back.
+    /// </summary>
+    [JsonPropertyName("applyOrder")]
+    public bool ApplyOrder { get; set; }
+}
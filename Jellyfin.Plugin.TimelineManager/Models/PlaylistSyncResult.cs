@@ -0,0 +1,40 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Result of writing playlist changes back to a universe file.
+/// </summary>
+public class PlaylistSyncResult
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether the changes were saved.
+    /// </summary>
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of items added to the universe.
+    /// </summary>
+    [JsonPropertyName("added")]
+    public int Added { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of items removed from the universe.
+    /// </summary>
+    [JsonPropertyName("removed")]
+    public int Removed { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the playlist order was written back.
+    /// </summary>
+    [JsonPropertyName("reordered")]
+    public bool Reordered { get; set; }
+
+    /// <summary>
+    /// Gets or sets errors for changes that were not applied, or why the file could not be saved.
+    /// </summary>
+    [JsonPropertyName("errors")]
+    public List<string> Errors { get; set; } = new();
+}
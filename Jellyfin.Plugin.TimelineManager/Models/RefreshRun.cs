@@ -0,0 +1,66 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// A record of one automatic playlist refresh run.
+/// </summary>
+public class RefreshRun
+{
+    /// <summary>
+    /// Gets or sets the UTC timestamp when the run started.
+    /// </summary>
+    [JsonPropertyName("startedAt")]
+    public DateTime StartedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the UTC timestamp when the run finished.
+    /// </summary>
+    [JsonPropertyName("finishedAt")]
+    public DateTime FinishedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets what started the run ("scheduled", "library-scan" or "library-change").
+    /// </summary>
+    [JsonPropertyName("trigger")]
+    public string Trigger { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of universes the run processed.
+    /// </summary>
+    [JsonPropertyName("universesProcessed")]
+    public int UniversesProcessed { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of universes whose playlists could not be updated at all.
+    /// Universes where only some orderings failed don't count.
+    /// </summary>
+    [JsonPropertyName("universesFailed")]
+    public int UniversesFailed { get; set; }
+
+    /// <summary>
+    /// Gets or sets the names of the playlists that were created or changed.
+    /// </summary>
+    [JsonPropertyName("changedPlaylists")]
+    public List<string> ChangedPlaylists { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the total number of items added to playlists.
+    /// </summary>
+    [JsonPropertyName("itemsAdded")]
+    public int ItemsAdded { get; set; }
+
+    /// <summary>
+    /// Gets or sets the total number of items removed from playlists.
+    /// </summary>
+    [JsonPropertyName("itemsRemoved")]
+    public int ItemsRemoved { get; set; }
+
+    /// <summary>
+    /// Gets or sets the failure messages: one per universe that could not be refreshed, or whose orderings partly failed.
+    /// </summary>
+    [JsonPropertyName("failures")]
+    public List<string> Failures { get; set; } = new();
+}
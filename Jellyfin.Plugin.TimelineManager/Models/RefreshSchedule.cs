@@ -0,0 +1,50 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Controls which universes the plugin refreshes automatically, and how often.
+/// </summary>
+public class RefreshSchedule
+{
+    /// <summary>
+    /// The universe is never refreshed automatically.
+    /// </summary>
+    public const string Off = "off";
+
+    /// <summary>
+    /// The universe is refreshed every time the scheduled task runs (daily by default).
+    /// </summary>
+    public const string Daily = "daily";
+
+    /// <summary>
+    /// The universe is refreshed when the scheduled task runs on <see cref="WeeklyDay"/>.
+    /// </summary>
+    public const string Weekly = "weekly";
+
+    /// <summary>
+    /// The universe is refreshed after every library scan.
+    /// </summary>
+    public const string LibraryScan = "library-scan";
+
+    /// <summary>
+    /// Gets the valid refresh frequencies.
+    /// </summary>
+    public static IReadOnlyList<string> Frequencies { get; } = new[] { Off, Daily, Weekly, LibraryScan };
+
+    /// <summary>
+    /// Gets or sets the day of the week on which weekly universes are refreshed.
+    /// </summary>
+    [JsonPropertyName("weeklyDay")]
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public DayOfWeek WeeklyDay { get; set; } = DayOfWeek.Sunday;
+
+    /// <summary>
+    /// Gets or sets the refresh frequency of each universe.
+    /// Universes without an entry are refreshed daily.
+    /// </summary>
+    [JsonPropertyName("universes")]
+    public List<UniverseRefreshSchedule> Universes { get; set; } = new();
+}
@@ -0,0 +1,67 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Optional filters for the Playlist Creator's library and TMDB searches.
+/// </summary>
+public class SearchFilters
+{
+    /// <summary>
+    /// Type filter value for movies only.
+    /// </summary>
+    public const string Movie = "movie";
+
+    /// <summary>
+    /// Type filter value for TV content only (episodes in the library, shows on TMDB).
+    /// </summary>
+    public const string Tv = "tv";
+
+    /// <summary>
+    /// Gets or sets the content type to include ("movie" or "tv"), or null for both.
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string? Type { get; set; }
+
+    /// <summary>
+    /// Gets or sets the first release year to include (inclusive).
+    /// </summary>
+    [JsonPropertyName("yearFrom")]
+    public int? YearFrom { get; set; }
+
+    /// <summary>
+    /// Gets or sets the last release year to include (inclusive).
+    /// </summary>
+    [JsonPropertyName("yearTo")]
+    public int? YearTo { get; set; }
+
+    /// <summary>
+    /// Gets or sets the Jellyfin library to search in (library searches only).
+    /// </summary>
+    [JsonPropertyName("libraryId")]
+    public Guid? LibraryId { get; set; }
+
+    /// <summary>
+    /// Gets a value indicating whether any year bound is set.
+    /// </summary>
+    [JsonIgnore]
+    public bool HasYearRange => YearFrom.HasValue || YearTo.HasValue;
+
+    /// <summary>
+    /// Checks whether a release year falls within the year range. Unknown years only pass when no range is set.
+    /// </summary>
+    /// <param name="year">The release year.</param>
+    /// <returns>True if the year is within the range.</returns>
+    public bool MatchesYear(int? year)
+    {
+        if (!HasYearRange)
+        {
+            return true;
+        }
+
+        return year.HasValue
+            && (!YearFrom.HasValue || year.Value >= YearFrom.Value)
+            && (!YearTo.HasValue || year.Value <= YearTo.Value);
+    }
+}
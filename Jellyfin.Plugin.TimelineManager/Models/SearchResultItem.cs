@@ -50,4 +50,22 @@ public class SearchResultItem
     /// </summary>
     [JsonPropertyName("seriesName")]
     public string SeriesName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a short plot summary (optional).
+    /// </summary>
+    [JsonPropertyName("overview")]
+    public string Overview { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the full URL of a small poster image for TMDB results (library results use their item image).
+    /// </summary>
+    [JsonPropertyName("posterUrl")]
+    public string? PosterUrl { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether a TMDB result is already in the Jellyfin library (TMDB results only).
+    /// </summary>
+    [JsonPropertyName("inLibrary")]
+    public bool? InLibrary { get; set; }
 }
@@ -19,4 +19,17 @@ public class SearchResultsResponse
     /// </summary>
     [JsonPropertyName("totalCount")]
     public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether another page of results is available.
+    /// </summary>
+    [JsonPropertyName("hasMore")]
+    public bool HasMore { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether TMDB was offline, so the results come from the local TMDB cache only.
+    /// </summary>
+    [JsonPropertyName("offline")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingDefault)]
+    public bool Offline { get; set; }
 }
@@ -0,0 +1,39 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// An episode of a TMDB series, as offered by the Playlist Creator's episode picker.
+/// </summary>
+public class SeriesEpisodeInfo
+{
+    /// <summary>
+    /// Gets or sets the TMDB episode ID.
+    /// </summary>
+    [JsonPropertyName("id")]
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the season number.
+    /// </summary>
+    [JsonPropertyName("seasonNumber")]
+    public int SeasonNumber { get; set; }
+
+    /// <summary>
+    /// Gets or sets the episode number within the season.
+    /// </summary>
+    [JsonPropertyName("episodeNumber")]
+    public int EpisodeNumber { get; set; }
+
+    /// <summary>
+    /// Gets or sets the episode name.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the air date ("YYYY-MM-DD"), if known.
+    /// </summary>
+    [JsonPropertyName("airDate")]
+    public string? AirDate { get; set; }
+}
@@ -0,0 +1,33 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// A season of a TMDB series, as offered by the Playlist Creator's episode picker.
+/// </summary>
+public class SeriesSeasonInfo
+{
+    /// <summary>
+    /// Gets or sets the season number (0 for specials).
+    /// </summary>
+    [JsonPropertyName("seasonNumber")]
+    public int SeasonNumber { get; set; }
+
+    /// <summary>
+    /// Gets or sets the season name (e.g., "Season 1" or "Specials").
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of episodes in the season.
+    /// </summary>
+    [JsonPropertyName("episodeCount")]
+    public int EpisodeCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the year the season started airing.
+    /// </summary>
+    [JsonPropertyName("year")]
+    public int? Year { get; set; }
+}
@@ -0,0 +1,89 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// A proposed provider ID fix for a timeline item that no longer matches the library,
+/// based on a library item with the same title and year.
+/// </summary>
+public class StaleItemProposal
+{
+    /// <summary>
+    /// Gets or sets the position of the item in the universe's timeline (0-based).
+    /// </summary>
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Gets or sets the content type of the item ("movie", "series" or "season").
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the season and episode range of the item (e.g., "S2"), empty for movies and whole series.
+    /// </summary>
+    [JsonPropertyName("scope")]
+    public string Scope { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the item's current provider name (e.g., "tmdb").
+    /// </summary>
+    [JsonPropertyName("providerName")]
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the item's current, stale provider ID.
+    /// </summary>
+    [JsonPropertyName("providerId")]
+    public string ProviderId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the title the item was matched by, e.g. "Iron Man (2008)".
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets where the title came from ("tmdb", "item" for the title stored on the item, or "comment").
+    /// </summary>
+    [JsonPropertyName("titleSource")]
+    public string TitleSource { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the Jellyfin ID of the library movie or series that matches the title.
+    /// </summary>
+    [JsonPropertyName("libraryItemId")]
+    public Guid LibraryItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the matching library item.
+    /// </summary>
+    [JsonPropertyName("libraryTitle")]
+    public string LibraryTitle { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the production year of the matching library item.
+    /// </summary>
+    [JsonPropertyName("libraryYear")]
+    public int? LibraryYear { get; set; }
+
+    /// <summary>
+    /// Gets or sets the proposed provider name (the current one if the library item has an ID for it).
+    /// </summary>
+    [JsonPropertyName("newProviderName")]
+    public string NewProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the proposed provider ID, taken from the library item.
+    /// </summary>
+    [JsonPropertyName("newProviderId")]
+    public string NewProviderId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets how closely the title and year match, from 0 to 100.
+    /// </summary>
+    [JsonPropertyName("confidence")]
+    public int Confidence { get; set; }
+}
@@ -1,3 +1,4 @@
+using System.Collections.Generic;
 using System.ComponentModel.DataAnnotations;
 using System.Text.Json.Serialization;
 
@@ -9,35 +10,162 @@ namespace Jellyfin.Plugin.TimelineManager.Models;
 public class TimelineItem
 {
     /// <summary>
-    /// Gets or sets the external provider ID (e.g., "1771" for TMDB, "tt0371746" for IMDB).
+    /// Gets or sets the external provider ID (e.g., "1771" for TMDB, "tt0371746" for IMDB, "81189" for TVDB).
     /// </summary>
     [Required]
     [JsonPropertyName("providerId")]
     public string ProviderId { get; set; } = string.Empty;
 
     /// <summary>
-    /// Gets or sets the provider name (e.g., "tmdb", "imdb").
+    /// Gets or sets the provider name (e.g., "tmdb", "imdb", "tvdb", "tvmaze", "anidb").
     /// </summary>
     [Required]
     [JsonPropertyName("providerName")]
     public string ProviderName { get; set; } = string.Empty;
 
     /// <summary>
-    /// Gets or sets the content type (e.g., "movie", "episode").
+    /// Gets or sets the content type ("movie", "episode", "series" or "season").
     /// </summary>
+    /// <remarks>
+    /// "series" and "season" items reference a TV series by its provider ID and are expanded
+    /// into the library's episodes in aired order when a playlist is built.
+    /// </remarks>
     [Required]
     [JsonPropertyName("type")]
     public string Type { get; set; } = string.Empty;
 
     /// <summary>
-    /// Gets or sets the season number for TV series (optional, only for episodes).
+    /// Gets or sets the season number for TV series (required for seasons, optional for episodes).
     /// </summary>
     [JsonPropertyName("season")]
     public int? Season { get; set; }
 
+    /// <summary>
+    /// Gets or sets the first episode number to include from the season (optional, inclusive).
+    /// </summary>
+    [JsonPropertyName("episodeStart")]
+    public int? EpisodeStart { get; set; }
+
+    /// <summary>
+    /// Gets or sets the last episode number to include from the season (optional, inclusive).
+    /// </summary>
+    [JsonPropertyName("episodeEnd")]
+    public int? EpisodeEnd { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider ID of the series an episode belongs to (optional, episodes only).
+    /// </summary>
+    /// <remarks>
+    /// Episodes are stored with their own provider ID. When the library episode doesn't carry that ID,
+    /// the episode is found through this series ID with <see cref="Season"/> and <see cref="EpisodeStart"/> instead.
+    /// </remarks>
+    [JsonPropertyName("seriesId")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? SeriesId { get; set; }
+
+    /// <summary>
+    /// Gets or sets IDs of the same item from other providers, keyed by provider name (e.g., {"tvdb": "81189"}).
+    /// </summary>
+    /// <remarks>
+    /// Used to find the item when the library doesn't carry <see cref="ProviderId"/>, e.g. an anime series
+    /// identified by AniDB in one library and by TVDB in another.
+    /// </remarks>
+    [JsonPropertyName("alternateIds")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public Dictionary<string, string>? AlternateIds { get; set; }
+
+    /// <summary>
+    /// Gets or sets the title of the item (optional; for episodes, the series title).
+    /// </summary>
+    /// <remarks>
+    /// When no library item carries the item's provider IDs (e.g., files Jellyfin never identified),
+    /// the item is matched by <see cref="Title"/>, <see cref="Year"/> and <see cref="Runtime"/> instead.
+    /// </remarks>
+    [JsonPropertyName("title")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// Gets or sets the release year of the item (optional; for series, seasons and episodes, the year the series started).
+    /// </summary>
+    [JsonPropertyName("year")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public int? Year { get; set; }
+
+    /// <summary>
+    /// Gets or sets the runtime of a movie in minutes (optional), used to tell apart movies with the same title.
+    /// </summary>
+    [JsonPropertyName("runtime")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public int? Runtime { get; set; }
+
+    /// <summary>
+    /// Gets or sets a free-form note about the item (e.g., "watch after the Endgame post-credits scene").
+    /// </summary>
+    [JsonPropertyName("comment")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Comment { get; set; }
+
+    /// <summary>
+    /// Gets or sets free-form tags for the item (e.g., "one-shot", "animated").
+    /// </summary>
+    [JsonPropertyName("tags")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public List<string>? Tags { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the item is optional viewing.
+    /// Optional items are left out of the playlists of universes that set <see cref="Universe.SkipOptionalItems"/>.
+    /// </summary>
+    [JsonPropertyName("optional")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingDefault)]
+    public bool Optional { get; set; }
+
     /// <summary>
     /// Gets the formatted provider key for lookup operations (e.g., "tmdb_1771").
     /// </summary>
     [JsonIgnore]
     public string ProviderKey => $"{ProviderName.ToLowerInvariant()}_{ProviderId}";
+
+    /// <summary>
+    /// Gets the key that identifies this item in a <see cref="UniverseOrdering"/> (e.g., "movie:tmdb:1771", "season:tmdb:1399:S2").
+    /// </summary>
+    [JsonIgnore]
+    public string OrderKey
+    {
+        get
+        {
+            var key = $"{Type.ToLowerInvariant()}:{ProviderName.ToLowerInvariant()}:{ProviderId}";
+            return string.IsNullOrEmpty(ScopeLabel) ? key : $"{key}:{ScopeLabel}";
+        }
+    }
+
+    /// <summary>
+    /// Gets a short description of the season and episode range this item covers (e.g., "S2", "S2E5", "S2E1-E8").
+    /// </summary>
+    [JsonIgnore]
+    public string ScopeLabel
+    {
+        get
+        {
+            if (!Season.HasValue)
+            {
+                return string.Empty;
+            }
+
+            if (!EpisodeStart.HasValue && !EpisodeEnd.HasValue)
+            {
+                return $"S{Season.Value}";
+            }
+
+            if (EpisodeStart.HasValue && EpisodeStart == EpisodeEnd)
+            {
+                return $"S{Season.Value}E{EpisodeStart.Value}";
+            }
+
+            var start = EpisodeStart.HasValue ? $"E{EpisodeStart.Value}" : "E1";
+            var end = EpisodeEnd.HasValue ? $"E{EpisodeEnd.Value}" : "end";
+            return $"S{Season.Value}{start}-{end}";
+        }
+    }
 }
\ No newline at end of file
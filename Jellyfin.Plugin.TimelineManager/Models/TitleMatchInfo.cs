@@ -0,0 +1,65 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Describes a timeline item that was not found by provider ID but matched a library item by title,
+/// so the match should be reviewed.
+/// </summary>
+public class TitleMatchInfo
+{
+    /// <summary>
+    /// Gets or sets the position of the item in the universe's timeline, or in the playlist's ordering (0-based).
+    /// </summary>
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Gets or sets the external provider ID of the item.
+    /// </summary>
+    [JsonPropertyName("providerId")]
+    public string ProviderId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the provider name of the item.
+    /// </summary>
+    [JsonPropertyName("providerName")]
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the content type.
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the season/episode range label (e.g., "S2", "S2E1-E8"), empty if not applicable.
+    /// </summary>
+    [JsonPropertyName("scope")]
+    public string Scope { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the title stored on the item, with its year if known (e.g., "Iron Man (2008)").
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the ID of the library movie or series the item matched.
+    /// </summary>
+    [JsonPropertyName("libraryItemId")]
+    public Guid LibraryItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the title of the library item, with its year if known.
+    /// </summary>
+    [JsonPropertyName("libraryTitle")]
+    public string LibraryTitle { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets how confident the match is (0-100).
+    /// </summary>
+    [JsonPropertyName("confidence")]
+    public int Confidence { get; set; }
+}
@@ -0,0 +1,28 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// A TMDB response kept in the local TMDB cache.
+/// </summary>
+public class TmdbCacheEntry
+{
+    /// <summary>
+    /// Gets or sets the cache key: the TMDB request path and query without the API key (e.g., "movie/1771").
+    /// </summary>
+    [JsonPropertyName("key")]
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets when the response was fetched from TMDB (UTC).
+    /// </summary>
+    [JsonPropertyName("cachedAt")]
+    public DateTime CachedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the raw JSON response body.
+    /// </summary>
+    [JsonPropertyName("content")]
+    public string Content { get; set; } = string.Empty;
+}
@@ -0,0 +1,40 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Result of loading the TMDB details of every universe item into the local TMDB cache.
+/// </summary>
+public class TmdbCachePrewarmResult
+{
+    /// <summary>
+    /// Gets or sets the number of distinct titles referenced by the universe files.
+    /// </summary>
+    [JsonPropertyName("itemCount")]
+    public int ItemCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of titles whose details are now in the cache.
+    /// </summary>
+    [JsonPropertyName("cachedCount")]
+    public int CachedCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of titles skipped because TMDB can't look up their provider (e.g., TVmaze, AniDB).
+    /// </summary>
+    [JsonPropertyName("skippedCount")]
+    public int SkippedCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the titles TMDB returned nothing for, as "provider:id" (e.g., "tmdb:1771").
+    /// </summary>
+    [JsonPropertyName("failedItems")]
+    public List<string> FailedItems { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets a value indicating whether TMDB was offline, so only already cached titles count as cached.
+    /// </summary>
+    [JsonPropertyName("offline")]
+    public bool Offline { get; set; }
+}
@@ -0,0 +1,53 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Size of the local TMDB cache and whether TMDB-backed features are running offline.
+/// </summary>
+public class TmdbCacheStatus
+{
+    /// <summary>
+    /// Gets or sets the number of cached TMDB responses.
+    /// </summary>
+    [JsonPropertyName("entryCount")]
+    public int EntryCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the total size of the cached responses in bytes.
+    /// </summary>
+    [JsonPropertyName("sizeBytes")]
+    public long SizeBytes { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the oldest cached response was fetched (UTC), if any.
+    /// </summary>
+    [JsonPropertyName("oldestEntry")]
+    public DateTime? OldestEntry { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the newest cached response was fetched (UTC), if any.
+    /// </summary>
+    [JsonPropertyName("newestEntry")]
+    public DateTime? NewestEntry { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether a TMDB API key is configured.
+    /// </summary>
+    [JsonPropertyName("apiKeyConfigured")]
+    public bool ApiKeyConfigured { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether TMDB-backed features only serve cached responses right now.
+    /// </summary>
+    [JsonPropertyName("offline")]
+    public bool Offline { get; set; }
+
+    /// <summary>
+    /// Gets or sets why TMDB is offline (e.g., "No TMDB API key is configured"), if it is.
+    /// </summary>
+    [JsonPropertyName("offlineReason")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? OfflineReason { get; set; }
+}
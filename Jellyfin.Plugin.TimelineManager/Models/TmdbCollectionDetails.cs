@@ -0,0 +1,16 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Represents the TMDB details of a collection, including its movies.
+/// </summary>
+public class TmdbCollectionDetails : TmdbCollectionSearchResult
+{
+    /// <summary>
+    /// Gets or sets the movies of the collection.
+    /// </summary>
+    [JsonPropertyName("parts")]
+    public List<TmdbMovieSearchResult> Parts { get; set; } = new();
+}
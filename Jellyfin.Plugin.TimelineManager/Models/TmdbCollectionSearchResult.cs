@@ -0,0 +1,33 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Represents a collection result from the TMDB collection search API.
+/// </summary>
+public class TmdbCollectionSearchResult
+{
+    /// <summary>
+    /// Gets or sets the TMDB collection ID.
+    /// </summary>
+    [JsonPropertyName("id")]
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the collection name.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the overview.
+    /// </summary>
+    [JsonPropertyName("overview")]
+    public string? Overview { get; set; }
+
+    /// <summary>
+    /// Gets or sets the poster path.
+    /// </summary>
+    [JsonPropertyName("poster_path")]
+    public string? PosterPath { get; set; }
+}
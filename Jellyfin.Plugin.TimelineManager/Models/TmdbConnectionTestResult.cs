@@ -0,0 +1,41 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Result of checking a TMDB credential against the TMDB API.
+/// </summary>
+public class TmdbConnectionTestResult
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether TMDB accepted the credential.
+    /// </summary>
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Gets or sets a description of the outcome (e.g., "TMDB rejected the credential").
+    /// </summary>
+    [JsonPropertyName("message")]
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the kind of credential that was tested ("apiKey" or "bearerToken").
+    /// </summary>
+    [JsonPropertyName("credentialType")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? CredentialType { get; set; }
+
+    /// <summary>
+    /// Gets or sets the base URL that was tested.
+    /// </summary>
+    [JsonPropertyName("baseUrl")]
+    public string BaseUrl { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the HTTP status TMDB answered with, if it answered.
+    /// </summary>
+    [JsonPropertyName("statusCode")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public int? StatusCode { get; set; }
+}
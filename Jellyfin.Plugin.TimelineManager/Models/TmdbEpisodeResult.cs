@@ -0,0 +1,39 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Represents an episode in the TMDB details of a season.
+/// </summary>
+public class TmdbEpisodeResult
+{
+    /// <summary>
+    /// Gets or sets the TMDB episode ID.
+    /// </summary>
+    [JsonPropertyName("id")]
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the season number.
+    /// </summary>
+    [JsonPropertyName("season_number")]
+    public int SeasonNumber { get; set; }
+
+    /// <summary>
+    /// Gets or sets the episode number within the season.
+    /// </summary>
+    [JsonPropertyName("episode_number")]
+    public int EpisodeNumber { get; set; }
+
+    /// <summary>
+    /// Gets or sets the episode name.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the air date.
+    /// </summary>
+    [JsonPropertyName("air_date")]
+    public string? AirDate { get; set; }
+}
@@ -0,0 +1,22 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Response from the TMDB find endpoint, which looks up items by an external ID such as an IMDB ID.
+/// </summary>
+public class TmdbFindResponse
+{
+    /// <summary>
+    /// Gets or sets the matching movies.
+    /// </summary>
+    [JsonPropertyName("movie_results")]
+    public List<TmdbMovieSearchResult> MovieResults { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the matching TV shows.
+    /// </summary>
+    [JsonPropertyName("tv_results")]
+    public List<TmdbTvSearchResult> TvResults { get; set; } = new();
+}
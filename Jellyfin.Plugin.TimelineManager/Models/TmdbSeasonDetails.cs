@@ -0,0 +1,22 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Represents the TMDB details of a single season, including its episodes.
+/// </summary>
+public class TmdbSeasonDetails
+{
+    /// <summary>
+    /// Gets or sets the season number.
+    /// </summary>
+    [JsonPropertyName("season_number")]
+    public int SeasonNumber { get; set; }
+
+    /// <summary>
+    /// Gets or sets the episodes of the season.
+    /// </summary>
+    [JsonPropertyName("episodes")]
+    public List<TmdbEpisodeResult> Episodes { get; set; } = new();
+}
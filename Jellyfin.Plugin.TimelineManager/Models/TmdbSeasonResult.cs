@@ -0,0 +1,39 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Represents a season as listed in the TMDB details of a TV show.
+/// </summary>
+public class TmdbSeasonResult
+{
+    /// <summary>
+    /// Gets or sets the TMDB season ID.
+    /// </summary>
+    [JsonPropertyName("id")]
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the season number (0 for specials).
+    /// </summary>
+    [JsonPropertyName("season_number")]
+    public int SeasonNumber { get; set; }
+
+    /// <summary>
+    /// Gets or sets the season name.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of episodes in the season.
+    /// </summary>
+    [JsonPropertyName("episode_count")]
+    public int EpisodeCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the air date of the first episode.
+    /// </summary>
+    [JsonPropertyName("air_date")]
+    public string? AirDate { get; set; }
+}
@@ -0,0 +1,33 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Display details of a movie or TV show looked up on TMDB.
+/// </summary>
+public class TmdbTitleDetails
+{
+    /// <summary>
+    /// Gets or sets the title with year, e.g. "Iron Man (2008)".
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the title without year, e.g. "Iron Man".
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the release or first air year, if known.
+    /// </summary>
+    [JsonPropertyName("year")]
+    public int? Year { get; set; }
+
+    /// <summary>
+    /// Gets or sets the full URL of a small poster image, if TMDB has one.
+    /// </summary>
+    [JsonPropertyName("posterUrl")]
+    public string? PosterUrl { get; set; }
+}
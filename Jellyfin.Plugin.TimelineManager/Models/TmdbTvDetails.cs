@@ -0,0 +1,16 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Represents the TMDB details of a TV show, including its seasons.
+/// </summary>
+public class TmdbTvDetails : TmdbTvSearchResult
+{
+    /// <summary>
+    /// Gets or sets the seasons of the show.
+    /// </summary>
+    [JsonPropertyName("seasons")]
+    public List<TmdbSeasonResult> Seasons { get; set; } = new();
+}
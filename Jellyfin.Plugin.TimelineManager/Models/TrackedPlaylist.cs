@@ -0,0 +1,53 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Links a universe to the Jellyfin playlist that was generated from it.
+/// </summary>
+public class TrackedPlaylist
+{
+    /// <summary>
+    /// Gets or sets the key of the universe that produced the playlist (e.g., "mcu").
+    /// </summary>
+    [JsonPropertyName("universeKey")]
+    public string UniverseKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the filename of the universe that produced the playlist (e.g., "mcu.json").
+    /// </summary>
+    [JsonPropertyName("universeFilename")]
+    public string UniverseFilename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the key of the universe ordering the playlist follows, or null for the items order.
+    /// </summary>
+    [JsonPropertyName("orderingKey")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? OrderingKey { get; set; }
+
+    /// <summary>
+    /// Gets or sets the Jellyfin item ID of the playlist.
+    /// </summary>
+    [JsonPropertyName("playlistId")]
+    public Guid PlaylistId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the playlist name at the time of the last sync.
+    /// </summary>
+    [JsonPropertyName("playlistName")]
+    public string PlaylistName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of items written to the playlist at the last sync.
+    /// </summary>
+    [JsonPropertyName("itemCount")]
+    public int ItemCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the UTC timestamp of the last sync.
+    /// </summary>
+    [JsonPropertyName("lastSynced")]
+    public DateTime LastSynced { get; set; }
+}
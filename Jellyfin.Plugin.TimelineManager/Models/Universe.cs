@@ -1,5 +1,7 @@
+using System;
 using System.Collections.Generic;
 using System.ComponentModel.DataAnnotations;
+using System.Linq;
 using System.Text.Json.Serialization;
 
 namespace Jellyfin.Plugin.TimelineManager.Models;
@@ -29,4 +31,99 @@ public class Universe
     [Required]
     [JsonPropertyName("items")]
     public List<TimelineItem> Items { get; set; } = new();
-}
\ No newline at end of file
+
+    /// <summary>
+    /// Gets or sets alternate orderings of the items (e.g., release order). Each ordering gets a playlist of its own.
+    /// </summary>
+    [JsonPropertyName("orderings")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public List<UniverseOrdering>? Orderings { get; set; }
+
+    /// <summary>
+    /// Gets or sets who owns and who can see the generated playlist.
+    /// If not set, the playlist is public and owned by the user who triggered the playlist run.
+    /// </summary>
+    [JsonPropertyName("ownership")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public PlaylistOwnership? Ownership { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether items marked <see cref="TimelineItem.Optional"/> are left out of the playlists.
+    /// </summary>
+    [JsonPropertyName("skipOptionalItems")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingDefault)]
+    public bool SkipOptionalItems { get; set; }
+
+    /// <summary>
+    /// Gets or sets the filename this universe was loaded from (e.g., "mcu.json").
+    /// Not persisted; populated by <see cref="Services.UniverseManagementService"/> when reading a file.
+    /// </summary>
+    [JsonIgnore]
+    public string? Filename { get; set; }
+
+    /// <summary>
+    /// Finds an alternate ordering by key.
+    /// </summary>
+    /// <param name="orderingKey">The ordering key; null or <see cref="UniverseOrdering.DefaultKey"/> selects the items order.</param>
+    /// <returns>The ordering, or null for the items order or an unknown key.</returns>
+    public UniverseOrdering? FindOrdering(string? orderingKey)
+    {
+        if (string.IsNullOrEmpty(orderingKey) || string.Equals(orderingKey, UniverseOrdering.DefaultKey, StringComparison.OrdinalIgnoreCase))
+        {
+            return null;
+        }
+
+        return Orderings?.FirstOrDefault(o => string.Equals(o.Key, orderingKey, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Gets the items in the given ordering. Items the ordering doesn't list follow at the end in items order.
+    /// </summary>
+    /// <param name="ordering">The alternate ordering, or null for the items order.</param>
+    /// <returns>The ordered items.</returns>
+    public List<TimelineItem> GetOrderedItems(UniverseOrdering? ordering)
+    {
+        if (ordering == null)
+        {
+            return Items;
+        }
+
+        // Each key claims the first unclaimed item with that key, so repeated items keep their own positions
+        var remaining = Items.ToList();
+        var ordered = new List<TimelineItem>(remaining.Count);
+        foreach (var orderKey in ordering.Order ?? new List<string>())
+        {
+            var index = remaining.FindIndex(i => string.Equals(i.OrderKey, orderKey, StringComparison.OrdinalIgnoreCase));
+            if (index >= 0)
+            {
+                ordered.Add(remaining[index]);
+                remaining.RemoveAt(index);
+            }
+        }
+
+        ordered.AddRange(remaining);
+        return ordered;
+    }
+
+    /// <summary>
+    /// Gets the items that go into the playlist of an ordering: the ordered items, without optional
+    /// items if <see cref="SkipOptionalItems"/> is set.
+    /// </summary>
+    /// <param name="ordering">The alternate ordering, or null for the items order.</param>
+    /// <returns>The playlist items in order.</returns>
+    public List<TimelineItem> GetPlaylistItems(UniverseOrdering? ordering)
+    {
+        var items = GetOrderedItems(ordering);
+        return SkipOptionalItems ? items.Where(i => !i.Optional).ToList() : items;
+    }
+
+    /// <summary>
+    /// Gets the name of the playlist generated for an ordering (e.g., "Star Wars (Release Order)").
+    /// </summary>
+    /// <param name="ordering">The alternate ordering, or null for the items order.</param>
+    /// <returns>The playlist name.</returns>
+    public string GetPlaylistName(UniverseOrdering? ordering)
+    {
+        return ordering == null ? Name : $"{Name} ({ordering.Name})";
+    }
+}
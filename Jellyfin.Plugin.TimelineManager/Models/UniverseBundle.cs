@@ -0,0 +1,40 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// A set of universes exported into a single shareable JSON document.
+/// </summary>
+public class UniverseBundle
+{
+    /// <summary>
+    /// The format identifier written into exported bundles.
+    /// </summary>
+    public const string BundleFormat = "timeline-manager-bundle";
+
+    /// <summary>
+    /// Gets or sets the format identifier (see <see cref="BundleFormat"/>).
+    /// </summary>
+    [JsonPropertyName("format")]
+    public string Format { get; set; } = BundleFormat;
+
+    /// <summary>
+    /// Gets or sets the bundle format version.
+    /// </summary>
+    [JsonPropertyName("version")]
+    public int Version { get; set; } = 1;
+
+    /// <summary>
+    /// Gets or sets the UTC timestamp when the bundle was exported.
+    /// </summary>
+    [JsonPropertyName("exportedAt")]
+    public DateTime ExportedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the universes in the bundle.
+    /// </summary>
+    [JsonPropertyName("universes")]
+    public List<Universe> Universes { get; set; } = new();
+}
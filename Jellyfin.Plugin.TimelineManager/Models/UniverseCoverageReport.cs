@@ -0,0 +1,77 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Summarizes how much of a universe's timeline is present in the Jellyfin library.
+/// </summary>
+public class UniverseCoverageReport
+{
+    /// <summary>
+    /// Gets or sets the universe filename (e.g., "mcu.json").
+    /// </summary>
+    [JsonPropertyName("filename")]
+    public string Filename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the universe key.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the universe name.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of timeline items in the universe.
+    /// </summary>
+    [JsonPropertyName("totalItems")]
+    public int TotalItems { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of timeline items found in the library.
+    /// </summary>
+    [JsonPropertyName("foundItems")]
+    public int FoundItems { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of timeline items missing from the library.
+    /// </summary>
+    [JsonPropertyName("missingItems")]
+    public int MissingItems { get; set; }
+
+    /// <summary>
+    /// Gets or sets the percentage of timeline items found (0 to 100).
+    /// </summary>
+    [JsonPropertyName("coveragePercent")]
+    public double CoveragePercent { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of library items the playlist would contain (series and seasons count each episode).
+    /// </summary>
+    [JsonPropertyName("playlistItemCount")]
+    public int PlaylistItemCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the missing items in timeline order.
+    /// </summary>
+    [JsonPropertyName("missing")]
+    public List<MissingItemInfo> Missing { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the items that were found by title instead of provider ID, in timeline order.
+    /// They count as found but should be reviewed.
+    /// </summary>
+    [JsonPropertyName("titleMatches")]
+    public List<TitleMatchInfo> TitleMatches { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets an error message if the universe could not be loaded.
+    /// </summary>
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+}
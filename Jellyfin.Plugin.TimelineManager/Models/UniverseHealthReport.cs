@@ -0,0 +1,54 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Result of a health check of one universe: missing items with a proposed provider ID fix,
+/// and missing items no library item could be found for.
+/// </summary>
+public class UniverseHealthReport
+{
+    /// <summary>
+    /// Gets or sets the universe filename (e.g., "mcu.json").
+    /// </summary>
+    [JsonPropertyName("filename")]
+    public string Filename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the universe key.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the universe name.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of items that don't match the library.
+    /// </summary>
+    [JsonPropertyName("missingItems")]
+    public int MissingItems { get; set; }
+
+    /// <summary>
+    /// Gets or sets the proposed fixes, in timeline order.
+    /// </summary>
+    [JsonPropertyName("proposals")]
+    public List<StaleItemProposal> Proposals { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the missing items without a proposal (not in the library, or no title to search for).
+    /// </summary>
+    [JsonPropertyName("unresolved")]
+    public List<MissingItemInfo> Unresolved { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets an error message if the universe could not be checked.
+    /// </summary>
+    [JsonPropertyName("error")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Error { get; set; }
+}
@@ -1,3 +1,4 @@
+using System.Collections.Generic;
 using System.Text.Json.Serialization;
 
 namespace Jellyfin.Plugin.TimelineManager.Models;
@@ -24,4 +25,16 @@ public class UniverseMetadata
     /// </summary>
     [JsonPropertyName("filename")]
     public string Filename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the universe's playlist is visible to all users.
+    /// </summary>
+    [JsonPropertyName("isPublic")]
+    public bool IsPublic { get; set; } = true;
+
+    /// <summary>
+    /// Gets or sets the alternate orderings of the universe, in addition to its items order.
+    /// </summary>
+    [JsonPropertyName("orderings")]
+    public List<UniverseOrderingInfo> Orderings { get; set; } = new();
 }
@@ -0,0 +1,40 @@
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Represents an alternate ordering of a universe's items (e.g., release order next to the chronological order).
+/// </summary>
+public class UniverseOrdering
+{
+    /// <summary>
+    /// The key that selects the universe's own <c>items</c> order. Not allowed as the key of an alternate ordering.
+    /// </summary>
+    public const string DefaultKey = "default";
+
+    /// <summary>
+    /// Gets or sets the key of the ordering, unique within the universe (e.g., "release").
+    /// </summary>
+    [Required]
+    [JsonPropertyName("key")]
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the display name of the ordering (e.g., "Release Order"), appended to the playlist name.
+    /// </summary>
+    [Required]
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the items in this ordering, as <see cref="TimelineItem.OrderKey"/> values (e.g., "movie:tmdb:1771").
+    /// </summary>
+    /// <remarks>
+    /// Keys that match no item are ignored. Items the list doesn't mention follow at the end in <c>items</c> order,
+    /// so items added to the universe later are never lost from an ordering.
+    /// </remarks>
+    [JsonPropertyName("order")]
+    public List<string> Order { get; set; } = new();
+}
@@ -0,0 +1,21 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Key and name of a universe ordering, used for listing available universes.
+/// </summary>
+public class UniverseOrderingInfo
+{
+    /// <summary>
+    /// Gets or sets the key of the ordering (e.g., "release").
+    /// </summary>
+    [JsonPropertyName("key")]
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the display name of the ordering (e.g., "Release Order").
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+}
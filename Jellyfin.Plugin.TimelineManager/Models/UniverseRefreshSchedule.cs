@@ -0,0 +1,24 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// The automatic refresh frequency of a single universe.
+/// </summary>
+public class UniverseRefreshSchedule
+{
+    /// <summary>
+    /// Gets or sets the universe filename (e.g., "mcu.json").
+    /// </summary>
+    [JsonPropertyName("filename")]
+    public string Filename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets how often the universe is refreshed.
+    /// </summary>
+    /// <remarks>
+    /// Valid values: "off", "daily", "weekly" or "library-scan" (see <see cref="RefreshSchedule"/>).
+    /// </remarks>
+    [JsonPropertyName("frequency")]
+    public string Frequency { get; set; } = RefreshSchedule.Daily;
+}
@@ -0,0 +1,61 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// A saved copy of a universe file, taken just before the file was overwritten or deleted.
+/// </summary>
+public class UniverseSnapshot
+{
+    /// <summary>
+    /// Reason for a snapshot taken before a save overwrote the file.
+    /// </summary>
+    public const string SaveReason = "save";
+
+    /// <summary>
+    /// Reason for a snapshot taken before the file was deleted.
+    /// </summary>
+    public const string DeleteReason = "delete";
+
+    /// <summary>
+    /// Reason for a snapshot taken before an older snapshot was restored over the file.
+    /// </summary>
+    public const string RestoreReason = "restore";
+
+    /// <summary>
+    /// Gets or sets the snapshot ID (e.g., "20260301T101500123Z-save").
+    /// </summary>
+    [JsonPropertyName("id")]
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the filename of the universe (e.g., "mcu.json").
+    /// </summary>
+    [JsonPropertyName("filename")]
+    public string Filename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets why the snapshot was taken ("save", "delete" or "restore").
+    /// </summary>
+    [JsonPropertyName("reason")]
+    public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the UTC timestamp when the snapshot was taken.
+    /// </summary>
+    [JsonPropertyName("timestamp")]
+    public DateTime Timestamp { get; set; }
+
+    /// <summary>
+    /// Gets or sets the universe name in the snapshot, or null if the snapshot isn't valid JSON.
+    /// </summary>
+    [JsonPropertyName("universeName")]
+    public string? UniverseName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of items in the snapshot, or null if the snapshot isn't valid JSON.
+    /// </summary>
+    [JsonPropertyName("itemCount")]
+    public int? ItemCount { get; set; }
+}
@@ -0,0 +1,42 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Differences between a universe snapshot and the current universe file. Items are identified by
+/// their <see cref="TimelineItem.OrderKey"/> (e.g., "movie:tmdb:1771").
+/// </summary>
+public class UniverseSnapshotDiff
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether the universe file still exists.
+    /// If not, every item of the snapshot is listed as removed.
+    /// </summary>
+    [JsonPropertyName("currentExists")]
+    public bool CurrentExists { get; set; }
+
+    /// <summary>
+    /// Gets or sets the items in the current file that the snapshot doesn't have.
+    /// </summary>
+    [JsonPropertyName("addedItems")]
+    public List<string> AddedItems { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the items in the snapshot that the current file no longer has.
+    /// </summary>
+    [JsonPropertyName("removedItems")]
+    public List<string> RemovedItems { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the items that are in both but at a different position relative to the others.
+    /// </summary>
+    [JsonPropertyName("movedItems")]
+    public List<string> MovedItems { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets descriptions of other changes (name, key, ownership, orderings).
+    /// </summary>
+    [JsonPropertyName("otherChanges")]
+    public List<string> OtherChanges { get; set; } = new();
+}
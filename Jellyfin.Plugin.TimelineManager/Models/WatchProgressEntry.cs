@@ -0,0 +1,71 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Watch progress of one timeline entry (a movie, series, season or episode range) for one user.
+/// </summary>
+public class WatchProgressEntry
+{
+    /// <summary>
+    /// Status of an entry whose library items were all played.
+    /// </summary>
+    public const string WatchedStatus = "watched";
+
+    /// <summary>
+    /// Status of an entry with some library items played or partly played.
+    /// </summary>
+    public const string InProgressStatus = "inProgress";
+
+    /// <summary>
+    /// Status of an entry with no library item played.
+    /// </summary>
+    public const string UnwatchedStatus = "unwatched";
+
+    /// <summary>
+    /// Status of an entry that is not in the library.
+    /// </summary>
+    public const string MissingStatus = "missing";
+
+    /// <summary>
+    /// Gets or sets the position of the entry in the playlist order (0-based).
+    /// </summary>
+    [JsonPropertyName("position")]
+    public int Position { get; set; }
+
+    /// <summary>
+    /// Gets or sets the ordering key of the entry (e.g., "movie:tmdb:1771").
+    /// </summary>
+    [JsonPropertyName("orderKey")]
+    public string OrderKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the title of the entry.
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the entry type ("movie", "series", "season" or "episode").
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the status: "watched", "inProgress", "unwatched" or "missing".
+    /// </summary>
+    [JsonPropertyName("status")]
+    public string Status { get; set; } = UnwatchedStatus;
+
+    /// <summary>
+    /// Gets or sets the number of library items (movies or episodes) the entry stands for.
+    /// </summary>
+    [JsonPropertyName("totalItems")]
+    public int TotalItems { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of those library items the user has played.
+    /// </summary>
+    [JsonPropertyName("watchedItems")]
+    public int WatchedItems { get; set; }
+}
@@ -0,0 +1,41 @@
+using System;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// The library item to watch next in a timeline.
+/// </summary>
+public class WatchProgressNextUp
+{
+    /// <summary>
+    /// Gets or sets the position of the timeline entry the item belongs to (0-based).
+    /// </summary>
+    [JsonPropertyName("position")]
+    public int Position { get; set; }
+
+    /// <summary>
+    /// Gets or sets the Jellyfin item ID of the movie or episode.
+    /// </summary>
+    [JsonPropertyName("libraryItemId")]
+    public Guid LibraryItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the title of the movie or episode.
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the resume position in ticks, 0 if the item wasn't started.
+    /// </summary>
+    [JsonPropertyName("playbackPositionTicks")]
+    public long PlaybackPositionTicks { get; set; }
+
+    /// <summary>
+    /// Gets or sets the runtime of the item in ticks, if known.
+    /// </summary>
+    [JsonPropertyName("runTimeTicks")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public long? RunTimeTicks { get; set; }
+}
@@ -0,0 +1,104 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.TimelineManager.Models;
+
+/// <summary>
+/// Watch progress of one user through the playlist order of a universe.
+/// </summary>
+public class WatchProgressReport
+{
+    /// <summary>
+    /// Gets or sets the universe filename.
+    /// </summary>
+    [JsonPropertyName("filename")]
+    public string Filename { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the universe key.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the universe name.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the key of the ordering the progress follows, or null for the items order.
+    /// </summary>
+    [JsonPropertyName("orderingKey")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? OrderingKey { get; set; }
+
+    /// <summary>
+    /// Gets or sets the alternate orderings of the universe, so clients can offer them.
+    /// </summary>
+    [JsonPropertyName("orderings")]
+    public List<UniverseOrderingInfo> Orderings { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the ID of the user the progress belongs to.
+    /// </summary>
+    [JsonPropertyName("userId")]
+    public Guid UserId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of entries in the playlist order.
+    /// </summary>
+    [JsonPropertyName("totalEntries")]
+    public int TotalEntries { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of entries fully watched.
+    /// </summary>
+    [JsonPropertyName("watchedEntries")]
+    public int WatchedEntries { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of entries partly watched.
+    /// </summary>
+    [JsonPropertyName("inProgressEntries")]
+    public int InProgressEntries { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of entries not started.
+    /// </summary>
+    [JsonPropertyName("unwatchedEntries")]
+    public int UnwatchedEntries { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of entries that are not in the library.
+    /// </summary>
+    [JsonPropertyName("missingEntries")]
+    public int MissingEntries { get; set; }
+
+    /// <summary>
+    /// Gets or sets the share of the library items (movies and episodes) the user has played, from 0 to 100.
+    /// </summary>
+    [JsonPropertyName("percentComplete")]
+    public int PercentComplete { get; set; }
+
+    /// <summary>
+    /// Gets or sets the item to watch next, or null if everything in the library was watched.
+    /// </summary>
+    [JsonPropertyName("nextUp")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public WatchProgressNextUp? NextUp { get; set; }
+
+    /// <summary>
+    /// Gets or sets the entries in playlist order.
+    /// </summary>
+    [JsonPropertyName("entries")]
+    public List<WatchProgressEntry> Entries { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the error that prevented the report, if any.
+    /// </summary>
+    [JsonPropertyName("error")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Error { get; set; }
+}
@@ -194,6 +194,21 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
     /// </summary>
     public static Plugin? Instance { get; private set; }
 
+    /// <inheritdoc />
+    /// <remarks>
+    /// The TMDB credential isn't part of the configuration Jellyfin's plugin configuration API receives,
+    /// so the stored credential is kept when the configuration is saved through it.
+    /// </remarks>
+    public override void UpdateConfiguration(BasePluginConfiguration configuration)
+    {
+        if (configuration is PluginConfiguration pluginConfiguration && string.IsNullOrEmpty(pluginConfiguration.TmdbApiKey))
+        {
+            pluginConfiguration.TmdbApiKey = Configuration.TmdbApiKey;
+        }
+
+        base.UpdateConfiguration(configuration);
+    }
+
     /// <inheritdoc />
     public IEnumerable<PluginPageInfo> GetPages()
     {
@@ -0,0 +1,457 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Jellyfin.Plugin.TimelineManager.Services;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.Movies;
+using MediaBrowser.Controller.Entities.TV;
+using MediaBrowser.Controller.Library;
+using MediaBrowser.Controller.Playlists;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.ScheduledTasks;
+
+/// <summary>
+/// Inserts newly added (or newly identified) movies and episodes into the playlists of the universes that reference them.
+/// Library events are collected and processed in one batch once the library has been quiet for <see cref="DebounceDelay"/>.
+/// Every added, updated or removed item is also passed on to the shared <see cref="ContentLookupService"/> index right away.
+/// </summary>
+public sealed class LibraryChangeListener : IHostedService, IDisposable
+{
+    /// <summary>
+    /// The trigger name recorded in the refresh history for these updates.
+    /// </summary>
+    public const string Trigger = "library-change";
+
+    // A library scan raises many events in a row; wait until it has been quiet for a while
+    private static readonly TimeSpan DebounceDelay = TimeSpan.FromSeconds(30);
+
+    private readonly ILogger<LibraryChangeListener> _logger;
+    private readonly ILibraryManager _libraryManager;
+    private readonly UniverseManagementService _universeManagementService;
+    private readonly RefreshScheduleService _refreshScheduleService;
+    private readonly PlaylistTrackingService _playlistTrackingService;
+    private readonly PlaylistRefreshService _playlistRefreshService;
+    private readonly LibraryActivityService _libraryActivityService;
+    private readonly ContentLookupService _contentLookupService;
+    private readonly ConcurrentDictionary<Guid, byte> _pendingItemIds = new();
+    private readonly SemaphoreSlim _processLock = new(1, 1);
+    private readonly CancellationTokenSource _stopping = new();
+    private Timer? _debounceTimer;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="LibraryChangeListener"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="libraryManager">The library manager.</param>
+    /// <param name="universeManagementService">The universe management service.</param>
+    /// <param name="refreshScheduleService">The refresh schedule service.</param>
+    /// <param name="playlistTrackingService">The playlist tracking service.</param>
+    /// <param name="playlistRefreshService">The playlist refresh service.</param>
+    /// <param name="libraryActivityService">The library activity service.</param>
+    /// <param name="contentLookupService">The shared library lookup index, kept up to date from library events.</param>
+    public LibraryChangeListener(
+        ILogger<LibraryChangeListener> logger,
+        ILibraryManager libraryManager,
+        UniverseManagementService universeManagementService,
+        RefreshScheduleService refreshScheduleService,
+        PlaylistTrackingService playlistTrackingService,
+        PlaylistRefreshService playlistRefreshService,
+        LibraryActivityService libraryActivityService,
+        ContentLookupService contentLookupService)
+    {
+        _logger = logger;
+        _libraryManager = libraryManager;
+        _universeManagementService = universeManagementService;
+        _refreshScheduleService = refreshScheduleService;
+        _playlistTrackingService = playlistTrackingService;
+        _playlistRefreshService = playlistRefreshService;
+        _libraryActivityService = libraryActivityService;
+        _contentLookupService = contentLookupService;
+    }
+
+    /// <inheritdoc />
+    public Task StartAsync(CancellationToken cancellationToken)
+    {
+        _debounceTimer = new Timer(OnDebounceElapsed, null, Timeout.InfiniteTimeSpan, Timeout.InfiniteTimeSpan);
+        _libraryManager.ItemAdded += OnItemChanged;
+        _libraryManager.ItemUpdated += OnItemChanged;
+        _libraryManager.ItemRemoved += OnItemRemoved;
+        return Task.CompletedTask;
+    }
+
+    /// <inheritdoc />
+    public Task StopAsync(CancellationToken cancellationToken)
+    {
+        _libraryManager.ItemAdded -= OnItemChanged;
+        _libraryManager.ItemUpdated -= OnItemChanged;
+        _libraryManager.ItemRemoved -= OnItemRemoved;
+        _debounceTimer?.Change(Timeout.InfiniteTimeSpan, Timeout.InfiniteTimeSpan);
+        _stopping.Cancel();
+        return Task.CompletedTask;
+    }
+
+    /// <inheritdoc />
+    public void Dispose()
+    {
+        _debounceTimer?.Dispose();
+        _processLock.Dispose();
+        _stopping.Dispose();
+    }
+
+    /// <summary>
+    /// Marks the item as changed in the lookup index, then queues added or updated movies and episodes and restarts the debounce timer.
+    /// </summary>
+    /// <param name="sender">The library manager.</param>
+    /// <param name="e">The item change details.</param>
+    private void OnItemChanged(object? sender, ItemChangeEventArgs e)
+    {
+        _contentLookupService.InvalidateItem(e.Item);
+
+        if (e.Item is not (Movie or Episode) || e.Item.IsVirtualItem)
+        {
+            return;
+        }
+
+        _pendingItemIds.TryAdd(e.Item.Id, 0);
+        _debounceTimer?.Change(DebounceDelay, Timeout.InfiniteTimeSpan);
+    }
+
+    /// <summary>
+    /// Drops removed items from the lookup index.
+    /// </summary>
+    /// <param name="sender">The library manager.</param>
+    /// <param name="e">The item change details.</param>
+    private void OnItemRemoved(object? sender, ItemChangeEventArgs e)
+    {
+        _contentLookupService.InvalidateItem(e.Item, removed: true);
+    }
+
+    /// <summary>
+    /// Starts processing the queued items in the background.
+    /// </summary>
+    /// <param name="state">Unused timer state.</param>
+    private void OnDebounceElapsed(object? state)
+    {
+        _ = Task.Run(ProcessPendingItemsAsync);
+    }
+
+    /// <summary>
+    /// Finds the universes that reference the queued items and inserts the items into their playlists.
+    /// Only universes that already have a playlist and are not set to "off" are touched, and the rest of
+    /// those playlists (including edits made in Jellyfin) is kept.
+    /// </summary>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    private async Task ProcessPendingItemsAsync()
+    {
+        try
+        {
+            await _processLock.WaitAsync(_stopping.Token);
+        }
+        catch (OperationCanceledException)
+        {
+            return;
+        }
+
+        try
+        {
+            var items = new List<BaseItem>();
+            foreach (var itemId in _pendingItemIds.Keys)
+            {
+                if (_pendingItemIds.TryRemove(itemId, out _) && _libraryManager.GetItemById(itemId) is BaseItem item)
+                {
+                    items.Add(item);
+                }
+            }
+
+            if (items.Count == 0)
+            {
+                return;
+            }
+
+            var matches = await FindMatchesAsync(items);
+            if (matches.Count == 0)
+            {
+                _logger.LogDebug("[LibraryChange] None of {Count} changed item(s) belong to a universe playlist", items.Count);
+                return;
+            }
+
+            var filenames = matches.Select(m => m.Universe.Filename!).Distinct().ToList();
+            _logger.LogInformation("[LibraryChange] {ItemCount} new item(s) match {UniverseCount} universe(s), updating playlists",
+                matches.Select(m => m.Item.Id).Distinct().Count(), filenames.Count);
+
+            var insertions = matches
+                .GroupBy(m => m.TrackedPlaylist)
+                .Select(g => new PlaylistInsertion(g.First().Universe, g.Key, g.Select(m => m.Item.Id).ToList()))
+                .ToList();
+            var run = await _playlistRefreshService.InsertItemsAsync(insertions, Trigger, _stopping.Token);
+            RecordActivity(matches, run);
+        }
+        catch (OperationCanceledException)
+        {
+            _logger.LogInformation("[LibraryChange] Playlist update was cancelled");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "[LibraryChange] Error updating playlists for new library items");
+        }
+        finally
+        {
+            _processLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Pairs changed items with the universe playlists (one per ordering) that should contain them but don't yet.
+    /// </summary>
+    /// <param name="items">The changed library items.</param>
+    /// <returns>The matches.</returns>
+    private async Task<List<LibraryMatch>> FindMatchesAsync(List<BaseItem> items)
+    {
+        var matches = new List<LibraryMatch>();
+        var schedule = await _refreshScheduleService.GetScheduleAsync();
+
+        // Title matches are looked up in the index, which has to include the changed items first
+        _contentLookupService.EnsureLookupTables();
+
+        foreach (var metadata in await _universeManagementService.GetAllUniversesAsync())
+        {
+            if (RefreshScheduleService.GetFrequency(schedule, metadata.Filename) == RefreshSchedule.Off)
+            {
+                continue;
+            }
+
+            // New playlists are only created on request; this only keeps existing ones up to date
+            var trackedPlaylists = await _playlistTrackingService.GetAllByUniverseKeyAsync(metadata.Key);
+            if (trackedPlaylists.Count == 0)
+            {
+                continue;
+            }
+
+            var universe = await _universeManagementService.GetUniverseAsync(metadata.Filename);
+            if (universe == null)
+            {
+                continue;
+            }
+
+            foreach (var trackedPlaylist in trackedPlaylists)
+            {
+                // Playlists of orderings that were removed from the universe are no longer refreshed
+                var isCurrentOrdering = trackedPlaylist.OrderingKey == null || universe.FindOrdering(trackedPlaylist.OrderingKey) != null;
+                if (!isCurrentOrdering || _libraryManager.GetItemById(trackedPlaylist.PlaylistId) is not Playlist playlist)
+                {
+                    continue;
+                }
+
+                var playlistItemIds = playlist.LinkedChildren
+                    .Where(lc => lc.ItemId.HasValue)
+                    .Select(lc => lc.ItemId!.Value)
+                    .ToHashSet();
+
+                foreach (var item in items)
+                {
+                    if (!playlistItemIds.Contains(item.Id) && UniverseReferences(universe, item))
+                    {
+                        matches.Add(new LibraryMatch(item, universe, trackedPlaylist));
+                    }
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    /// <summary>
+    /// Checks whether any timeline item of a universe refers to a library item by provider ID.
+    /// Movies match movie items; episodes match series, season and episode items through their series' IDs,
+    /// within the item's season and episode range. Alternate IDs count like the item's own ID.
+    /// Unidentified movies and episodes of unidentified series are matched by title instead (see <see cref="UniverseReferencesByTitle"/>).
+    /// Optional items the universe skips don't count.
+    /// </summary>
+    /// <param name="universe">The universe.</param>
+    /// <param name="item">The library item.</param>
+    /// <returns>True if the universe references the item.</returns>
+    private bool UniverseReferences(Universe universe, BaseItem item)
+    {
+        return UniverseReferencesByProviderId(universe, item) || UniverseReferencesByTitle(universe, item);
+    }
+
+    /// <summary>
+    /// Checks whether any timeline item of a universe refers to a library item by provider ID.
+    /// </summary>
+    /// <param name="universe">The universe.</param>
+    /// <param name="item">The library item.</param>
+    /// <returns>True if the universe references the item by one of its own or its series' provider IDs.</returns>
+    private bool UniverseReferencesByProviderId(Universe universe, BaseItem item)
+    {
+        if (item is Movie)
+        {
+            var movieIds = GetProviderKeys(item);
+            return universe.GetPlaylistItems(null).Any(i =>
+                string.Equals(i.Type, "movie", StringComparison.OrdinalIgnoreCase) &&
+                movieIds.Overlaps(GetProviderKeys(i)));
+        }
+
+        if (item is Episode episode)
+        {
+            var episodeIds = GetProviderKeys(episode);
+            var seriesIds = _libraryManager.GetItemById(episode.SeriesId) is BaseItem series
+                ? GetProviderKeys(series)
+                : new HashSet<string>();
+
+            return universe.GetPlaylistItems(null).Any(i =>
+            {
+                var key = GetProviderKey(i.ProviderName, i.ProviderId);
+                var keys = GetProviderKeys(i);
+                return i.Type.ToLowerInvariant() switch
+                {
+                    "series" => seriesIds.Overlaps(keys) && episode.ParentIndexNumber != 0,
+                    "season" => seriesIds.Overlaps(keys) &&
+                        i.Season == episode.ParentIndexNumber &&
+                        (!i.EpisodeStart.HasValue || episode.IndexNumber >= i.EpisodeStart) &&
+                        (!i.EpisodeEnd.HasValue || episode.IndexNumber <= i.EpisodeEnd),
+                    "episode" when !string.IsNullOrWhiteSpace(i.SeriesId) => episodeIds.Overlaps(keys) ||
+                        (seriesIds.Contains(GetProviderKey(i.ProviderName, i.SeriesId)) &&
+                        i.Season == episode.ParentIndexNumber &&
+                        episode.IndexNumber >= i.EpisodeStart &&
+                        episode.IndexNumber <= (i.EpisodeEnd ?? i.EpisodeStart)),
+                    // Only the legacy shape (series ID and season, no episode numbers) stands for a season
+                    "episode" => episodeIds.Overlaps(keys) ||
+                        (seriesIds.Contains(key) && i.Season.HasValue && !i.EpisodeStart.HasValue && !i.EpisodeEnd.HasValue &&
+                        i.Season == episode.ParentIndexNumber),
+                    _ => false
+                };
+            });
+        }
+
+        return false;
+    }
+
+    /// <summary>
+    /// Checks whether a titled timeline item of a universe resolves to a library item through a title match,
+    /// the same way playlists are built. Only unidentified movies and episodes of unidentified series are
+    /// matched by title, so identified items are skipped.
+    /// </summary>
+    /// <param name="universe">The universe.</param>
+    /// <param name="item">The library item.</param>
+    /// <returns>True if a timeline item of the universe resolves to the item.</returns>
+    private bool UniverseReferencesByTitle(Universe universe, BaseItem item)
+    {
+        var titledItem = item is Episode episode ? _libraryManager.GetItemById(episode.SeriesId) : item;
+        if (titledItem == null || ProviderRegistry.GetProviderIds(titledItem).Count > 0)
+        {
+            return false;
+        }
+
+        return universe.GetPlaylistItems(null).Any(i =>
+            !string.IsNullOrWhiteSpace(i.Title) &&
+            _contentLookupService.ResolveTimelineItem(i).Contains(item.Id));
+    }
+
+    /// <summary>
+    /// Records the outcome of each match after the items were inserted.
+    /// </summary>
+    /// <param name="matches">The matches that were inserted.</param>
+    /// <param name="run">The refresh run.</param>
+    private void RecordActivity(List<LibraryMatch> matches, RefreshRun run)
+    {
+        foreach (var match in matches)
+        {
+            var playlist = _libraryManager.GetItemById(match.TrackedPlaylist.PlaylistId) as Playlist;
+            var added = playlist != null && playlist.LinkedChildren.Any(lc => lc.ItemId == match.Item.Id);
+            var failure = run.Failures.FirstOrDefault(f =>
+                f.StartsWith(match.Universe.Name + ":", StringComparison.Ordinal) ||
+                f.StartsWith(match.Universe.Filename + ":", StringComparison.Ordinal));
+
+            _libraryActivityService.Add(new LibraryActivityEntry
+            {
+                Timestamp = DateTime.UtcNow,
+                ItemId = match.Item.Id,
+                ItemName = GetDisplayName(match.Item),
+                UniverseName = match.TrackedPlaylist.PlaylistName,
+                Status = added ? "added" : "failed",
+                Message = added ? null : failure ?? "The item matched the universe but could not be placed in the playlist"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Gets a display name for a movie or episode.
+    /// </summary>
+    /// <param name="item">The library item.</param>
+    /// <returns>The display name.</returns>
+    private static string GetDisplayName(BaseItem item)
+    {
+        if (item is Episode episode)
+        {
+            return $"{episode.SeriesName} S{episode.ParentIndexNumber:00}E{episode.IndexNumber:00} - {episode.Name}";
+        }
+
+        return item.ProductionYear.HasValue ? $"{item.Name} ({item.ProductionYear})" : item.Name;
+    }
+
+    /// <summary>
+    /// Gets the keys of a library item for every supported provider.
+    /// </summary>
+    /// <param name="item">The library item.</param>
+    /// <returns>Keys in the form "tmdb:123".</returns>
+    private static HashSet<string> GetProviderKeys(BaseItem item)
+    {
+        var keys = new HashSet<string>();
+        foreach (var provider in ProviderRegistry.Providers)
+        {
+            if (item.ProviderIds.TryGetValue(provider.JellyfinKey, out var providerId) && !string.IsNullOrWhiteSpace(providerId))
+            {
+                keys.Add(GetProviderKey(provider.Name, providerId));
+            }
+        }
+
+        return keys;
+    }
+
+    /// <summary>
+    /// Gets the keys of a timeline item: its own provider ID and its alternate IDs.
+    /// </summary>
+    /// <param name="item">The timeline item.</param>
+    /// <returns>Keys in the form "tmdb:123".</returns>
+    private static HashSet<string> GetProviderKeys(TimelineItem item)
+    {
+        var keys = new HashSet<string> { GetProviderKey(item.ProviderName, item.ProviderId) };
+        if (item.AlternateIds != null)
+        {
+            foreach (var (providerName, providerId) in item.AlternateIds)
+            {
+                if (!string.IsNullOrWhiteSpace(providerId))
+                {
+                    keys.Add(GetProviderKey(providerName, providerId));
+                }
+            }
+        }
+
+        return keys;
+    }
+
+    /// <summary>
+    /// Builds a case-insensitive provider key.
+    /// </summary>
+    /// <param name="providerName">The provider name.</param>
+    /// <param name="providerId">The provider ID.</param>
+    /// <returns>The key in the form "tmdb:123".</returns>
+    private static string GetProviderKey(string providerName, string providerId)
+    {
+        return $"{providerName.Trim().ToLowerInvariant()}:{providerId.Trim().ToLowerInvariant()}";
+    }
+
+    /// <summary>
+    /// A changed library item and a universe whose playlist should contain it.
+    /// </summary>
+    /// <param name="Item">The library item.</param>
+    /// <param name="Universe">The universe that references the item.</param>
+    /// <param name="TrackedPlaylist">The playlist of one of the universe's orderings.</param>
+    private readonly record struct LibraryMatch(BaseItem Item, Universe Universe, TrackedPlaylist TrackedPlaylist);
+}
@@ -0,0 +1,114 @@
+using System;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Jellyfin.Plugin.TimelineManager.Services;
+using MediaBrowser.Model.Tasks;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.ScheduledTasks;
+
+/// <summary>
+/// Refreshes universes set to "after library scan" whenever Jellyfin's library scan task completes.
+/// </summary>
+public sealed class LibraryScanRefreshListener : IHostedService, IDisposable
+{
+    // Key of Jellyfin's built-in "Scan Media Library" task
+    private const string LibraryScanTaskKey = "RefreshLibrary";
+
+    private readonly ILogger<LibraryScanRefreshListener> _logger;
+    private readonly ITaskManager _taskManager;
+    private readonly UniverseManagementService _universeManagementService;
+    private readonly RefreshScheduleService _refreshScheduleService;
+    private readonly PlaylistRefreshService _playlistRefreshService;
+    private readonly CancellationTokenSource _stopping = new();
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="LibraryScanRefreshListener"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="taskManager">The task manager.</param>
+    /// <param name="universeManagementService">The universe management service.</param>
+    /// <param name="refreshScheduleService">The refresh schedule service.</param>
+    /// <param name="playlistRefreshService">The playlist refresh service.</param>
+    public LibraryScanRefreshListener(
+        ILogger<LibraryScanRefreshListener> logger,
+        ITaskManager taskManager,
+        UniverseManagementService universeManagementService,
+        RefreshScheduleService refreshScheduleService,
+        PlaylistRefreshService playlistRefreshService)
+    {
+        _logger = logger;
+        _taskManager = taskManager;
+        _universeManagementService = universeManagementService;
+        _refreshScheduleService = refreshScheduleService;
+        _playlistRefreshService = playlistRefreshService;
+    }
+
+    /// <inheritdoc />
+    public Task StartAsync(CancellationToken cancellationToken)
+    {
+        _taskManager.TaskCompleted += OnTaskCompleted;
+        return Task.CompletedTask;
+    }
+
+    /// <inheritdoc />
+    public Task StopAsync(CancellationToken cancellationToken)
+    {
+        _taskManager.TaskCompleted -= OnTaskCompleted;
+        _stopping.Cancel();
+        return Task.CompletedTask;
+    }
+
+    /// <inheritdoc />
+    public void Dispose()
+    {
+        _stopping.Dispose();
+    }
+
+    /// <summary>
+    /// Starts a refresh in the background when a library scan completes successfully.
+    /// </summary>
+    /// <param name="sender">The task manager.</param>
+    /// <param name="e">The task completion details.</param>
+    private void OnTaskCompleted(object? sender, TaskCompletionEventArgs e)
+    {
+        if (e.Result.Key != LibraryScanTaskKey || e.Result.Status != TaskCompletionStatus.Completed)
+        {
+            return;
+        }
+
+        _ = Task.Run(RefreshAfterLibraryScanAsync);
+    }
+
+    /// <summary>
+    /// Refreshes the universes set to refresh after library scans.
+    /// </summary>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    private async Task RefreshAfterLibraryScanAsync()
+    {
+        try
+        {
+            var universes = await _universeManagementService.GetAllUniversesAsync();
+            var schedule = await _refreshScheduleService.GetScheduleAsync();
+            var filenames = RefreshScheduleService.GetLibraryScanUniverses(schedule, universes);
+
+            if (filenames.Count == 0)
+            {
+                return;
+            }
+
+            _logger.LogInformation("[PlaylistRefresh] Library scan completed, refreshing {Count} universe(s)", filenames.Count);
+            await _playlistRefreshService.RefreshUniversesAsync(filenames, RefreshSchedule.LibraryScan, null, _stopping.Token);
+        }
+        catch (OperationCanceledException)
+        {
+            _logger.LogInformation("[PlaylistRefresh] Refresh after library scan was cancelled");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "[PlaylistRefresh] Error refreshing playlists after library scan");
+        }
+    }
+}
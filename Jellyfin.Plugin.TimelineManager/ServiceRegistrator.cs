@@ -19,6 +19,9 @@ public sealed class ServiceRegistrator : IPluginServiceRegistrator
     /// <param name="applicationHost">The application host.</param>
     public void RegisterServices(IServiceCollection serviceCollection, IServerApplicationHost applicationHost)
     {
+        // Register UniverseHistoryService as singleton
+        serviceCollection.AddSingleton<UniverseHistoryService>();
+        
         // Register UniverseManagementService as singleton
         serviceCollection.AddSingleton<UniverseManagementService>();
         
@@ -28,16 +31,61 @@ public sealed class ServiceRegistrator : IPluginServiceRegistrator
         // Register ConfigurationService as singleton
         serviceCollection.AddSingleton<ConfigurationService>();
         
+        // Register ContentLookupService as singleton so the lookup index is shared and updated incrementally
+        serviceCollection.AddSingleton<ContentLookupService>();
+        
         // Register ContentSearchService as singleton
         serviceCollection.AddSingleton<ContentSearchService>();
         
+        // Register TmdbCacheService as singleton
+        serviceCollection.AddSingleton<TmdbCacheService>();
+        
         // Register TmdbSearchService as singleton
         serviceCollection.AddSingleton<TmdbSearchService>();
         
+        // Register PlaylistTrackingService as singleton
+        serviceCollection.AddSingleton<PlaylistTrackingService>();
+        
+        // Register UniverseBundleService as singleton
+        serviceCollection.AddSingleton<UniverseBundleService>();
+        
+        // Register LibraryCoverageService as singleton
+        serviceCollection.AddSingleton<LibraryCoverageService>();
+        
+        // Register UniverseHealthService as singleton
+        serviceCollection.AddSingleton<UniverseHealthService>();
+        
+        // Register PlaylistSyncService as singleton
+        serviceCollection.AddSingleton<PlaylistSyncService>();
+        
+        // Register WatchProgressService as singleton
+        serviceCollection.AddSingleton<WatchProgressService>();
+        
+        // Register ListImportService as singleton
+        serviceCollection.AddSingleton<ListImportService>();
+        
+        // Register RefreshScheduleService as singleton
+        serviceCollection.AddSingleton<RefreshScheduleService>();
+        
+        // Register RefreshHistoryService as singleton
+        serviceCollection.AddSingleton<RefreshHistoryService>();
+        
+        // Register PlaylistRefreshService as singleton
+        serviceCollection.AddSingleton<PlaylistRefreshService>();
+        
+        // Register LibraryActivityService as singleton
+        serviceCollection.AddSingleton<LibraryActivityService>();
+        
         // Register HttpClientFactory if not already registered
         serviceCollection.AddHttpClient();
         
         // Register scheduled task for automatic playlist updates
         serviceCollection.AddSingleton<MediaBrowser.Model.Tasks.IScheduledTask, UpdateTimelinePlaylistsTask>();
+        
+        // Refresh universes set to "after library scan" when the library scan task completes
+        serviceCollection.AddHostedService<LibraryScanRefreshListener>();
+        
+        // Insert new library items into the playlists of the universes that reference them
+        serviceCollection.AddHostedService<LibraryChangeListener>();
     }
 }
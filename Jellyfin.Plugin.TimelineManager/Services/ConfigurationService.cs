@@ -292,12 +292,12 @@ public class ConfigurationService
         
         if (errors.Any(e => e.Contains("provider", StringComparison.OrdinalIgnoreCase)))
         {
-            _logger.LogInformation("- Valid providers: 'tmdb', 'imdb'");
+            _logger.LogInformation("- Valid providers: {Providers}", ProviderRegistry.SupportedNames);
         }
         
         if (errors.Any(e => e.Contains("type", StringComparison.OrdinalIgnoreCase)))
         {
-            _logger.LogInformation("- Valid content types: 'movie', 'episode'");
+            _logger.LogInformation("- Valid content types: 'movie', 'episode', 'series', 'season'");
         }
         
         _logger.LogInformation("- Check the sample configuration format in the logs above");
@@ -500,6 +500,8 @@ public class ConfigurationService
             }
         }
 
+        errors.AddRange(UniverseManagementService.ValidateOrderings(universe).Select(e => $"{prefix}: {e}"));
+
         return errors;
     }
 
@@ -542,7 +544,26 @@ public class ConfigurationService
         }
         else if (!IsValidProviderName(item.ProviderName))
         {
-            errors.Add($"{prefix}: ProviderName '{item.ProviderName}' is not supported. Valid values: tmdb, imdb");
+            errors.Add($"{prefix}: ProviderName '{item.ProviderName}' is not supported. Valid values: {ProviderRegistry.SupportedNames}");
+        }
+        else if (IsValidContentType(item.Type ?? string.Empty) && !ProviderRegistry.SupportsContentType(item.ProviderName, item.Type))
+        {
+            errors.Add($"{prefix}: {ProviderRegistry.Find(item.ProviderName)!.DisplayName} IDs can't be used for items of type '{item.Type}'");
+        }
+
+        if (item.AlternateIds != null)
+        {
+            foreach (var (providerName, providerId) in item.AlternateIds)
+            {
+                if (!IsValidProviderName(providerName))
+                {
+                    errors.Add($"{prefix}: AlternateIds provider '{providerName}' is not supported. Valid values: {ProviderRegistry.SupportedNames}");
+                }
+                else if (string.IsNullOrWhiteSpace(providerId))
+                {
+                    errors.Add($"{prefix}: AlternateIds '{providerName}' ID cannot be empty");
+                }
+            }
         }
 
         if (string.IsNullOrWhiteSpace(item.Type))
@@ -551,7 +572,44 @@ public class ConfigurationService
         }
         else if (!IsValidContentType(item.Type))
         {
-            errors.Add($"{prefix}: Type '{item.Type}' is not supported. Valid values: movie, episode");
+            errors.Add($"{prefix}: Type '{item.Type}' is not supported. Valid values: movie, episode, series, season");
+        }
+        else if (item.Type.Equals("season", StringComparison.OrdinalIgnoreCase) && !item.Season.HasValue)
+        {
+            errors.Add($"{prefix}: Season is required for items of type 'season'");
+        }
+
+        if (item.Season.HasValue && item.Season.Value < 0)
+        {
+            errors.Add($"{prefix}: Season cannot be negative");
+        }
+
+        if (item.EpisodeStart.HasValue || item.EpisodeEnd.HasValue)
+        {
+            if (!item.Season.HasValue)
+            {
+                errors.Add($"{prefix}: EpisodeStart/EpisodeEnd require a Season");
+            }
+
+            if (item.EpisodeStart.HasValue && item.EpisodeStart.Value < 1)
+            {
+                errors.Add($"{prefix}: EpisodeStart must be 1 or greater");
+            }
+
+            if (item.EpisodeStart.HasValue && item.EpisodeEnd.HasValue && item.EpisodeEnd.Value < item.EpisodeStart.Value)
+            {
+                errors.Add($"{prefix}: EpisodeEnd ({item.EpisodeEnd.Value}) cannot be before EpisodeStart ({item.EpisodeStart.Value})");
+            }
+        }
+
+        if (item.Year.HasValue && (item.Year.Value < 1800 || item.Year.Value > 2200))
+        {
+            errors.Add($"{prefix}: Year {item.Year.Value} is not a valid release year");
+        }
+
+        if (item.Runtime.HasValue && item.Runtime.Value < 1)
+        {
+            errors.Add($"{prefix}: Runtime must be 1 minute or more");
         }
 
         return errors;
@@ -564,8 +622,7 @@ public class ConfigurationService
     /// <returns>True if the provider name is valid, false otherwise.</returns>
     private static bool IsValidProviderName(string providerName)
     {
-        var validProviders = new[] { "tmdb", "imdb" };
-        return validProviders.Contains(providerName.ToLowerInvariant());
+        return ProviderRegistry.Find(providerName) != null;
     }
 
     /// <summary>
@@ -575,7 +632,7 @@ public class ConfigurationService
     /// <returns>True if the content type is valid, false otherwise.</returns>
     private static bool IsValidContentType(string contentType)
     {
-        var validTypes = new[] { "movie", "episode" };
+        var validTypes = new[] { "movie", "episode", "series", "season" };
         return validTypes.Contains(contentType.ToLowerInvariant());
     }
 
@@ -1,6 +1,13 @@
 using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
+using System.Diagnostics;
+using System.IO;
 using System.Linq;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
 using MediaBrowser.Controller.Entities;
 using MediaBrowser.Controller.Entities.Movies;
 using MediaBrowser.Controller.Entities.TV;
@@ -13,31 +20,90 @@ namespace Jellyfin.Plugin.TimelineManager.Services;
 /// Service for efficient content lookup using Provider_ID-based dictionary indexing.
 /// Provides O(1) lookup performance for large media libraries.
 /// </summary>
+/// <remarks>
+/// Registered as a singleton: the index is built once and then kept up to date item by item
+/// from library change events (see <see cref="InvalidateItem"/>) instead of being rebuilt for every run.
+/// It is saved to disk after every build and update, and loaded from there after a restart; items Jellyfin saved
+/// since the snapshot are re-indexed, and it is only built from the whole library again if no usable saved index
+/// exists or the library's item count changed while the server was down. All lookups and updates are serialized, so the service can be shared between
+/// concurrent requests.
+/// </remarks>
 public class ContentLookupService
 {
+    /// <summary>
+    /// Minimum confidence (0-100) for a library item to be matched by title when no provider ID matches.
+    /// </summary>
+    public const int TitleMatchThreshold = 80;
+
+    // A title match must beat the next best library item by this much, or it's too ambiguous to use
+    private const int TitleMatchMargin = 5;
+
+    // Titles are only compared with library titles that start with the same letters (see GetTitleBucketKey)
+    private const int TitleBucketLength = 3;
+
+    // Items saved shortly before a snapshot may have had their change event after it; re-check those too
+    private static readonly TimeSpan SnapshotChangeMargin = TimeSpan.FromMinutes(1);
+
+    // Shared across instances because services are also constructed ad hoc outside of DI
+    private static readonly SemaphoreSlim FileLock = new(1, 1);
+
     private readonly ILogger<ContentLookupService> _logger;
     private readonly ILibraryManager _libraryManager;
+    private readonly string _indexFilePath;
+
+    // Lookup kinds: series and season items share the show dictionaries
+    private const string MovieKind = "movie";
+    private const string ShowKind = "show";
+    private const string EpisodeKind = "episode";
 
-    // Separate dictionaries for different provider types and content types
-    private readonly Dictionary<string, Guid> _tmdbMovieLookup = new();
-    private readonly Dictionary<string, Guid> _tmdbShowLookup = new();
-    private readonly Dictionary<string, Guid> _tmdbEpisodeLookup = new();
-    private readonly Dictionary<string, Guid> _imdbMovieLookup = new();
-    private readonly Dictionary<string, Guid> _imdbShowLookup = new();
-    private readonly Dictionary<string, Guid> _imdbEpisodeLookup = new();
+    // Separate dictionaries for each provider (see ProviderRegistry) and kind
+    private readonly Dictionary<(string Provider, string Kind), Dictionary<string, Guid>> _lookups = new();
+
+    // Episodes grouped by their series, used to expand series- and season-level timeline items
+    private readonly Dictionary<Guid, List<EpisodeEntry>> _seriesEpisodes = new();
+
+    // Movies and series Jellyfin couldn't identify (no provider IDs), matched by title instead
+    private readonly Dictionary<Guid, TitleEntry> _titleEntries = new();
+
+    // The same titles grouped by kind and first letters, so a lookup only scores a few candidates
+    private readonly Dictionary<string, HashSet<Guid>> _titleBuckets = new();
+
+    // Every library item in the index and its kind; compared with the library's item count when loading
+    private readonly Dictionary<Guid, string> _itemKinds = new();
+
+    // What each library item contributed to the index, so a single item can be taken out again
+    private readonly Dictionary<Guid, List<LookupKey>> _itemKeys = new();
+    private readonly Dictionary<Guid, Guid> _episodeSeries = new();
+
+    // Items changed since the index was last brought up to date (value: whether the item was removed)
+    private readonly ConcurrentDictionary<Guid, bool> _pendingChanges = new();
+
+    private readonly object _syncRoot = new();
 
     private DateTime _lastBuilt = DateTime.MinValue;
-    private int _totalItemsIndexed = 0;
+    private DateTime _lastUpdated = DateTime.MinValue;
+    private TimeSpan _lastBuildDuration = TimeSpan.Zero;
+    private int _incrementalUpdates = 0;
+    private DateTime? _loadedAt;
+
+    // Written by background saves while holding the file lock
+    private DateTime? _lastSaved;
+    private DateTime _lastSavedUpdate = DateTime.MinValue;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="ContentLookupService"/> class.
     /// </summary>
     /// <param name="logger">The logger instance.</param>
     /// <param name="libraryManager">The Jellyfin library manager.</param>
-    public ContentLookupService(ILogger<ContentLookupService> logger, ILibraryManager libraryManager)
+    /// <param name="indexFilePath">The path to the saved library index.</param>
+    public ContentLookupService(
+        ILogger<ContentLookupService> logger,
+        ILibraryManager libraryManager,
+        string indexFilePath = "/config/timeline_manager_library_index.json")
     {
         _logger = logger;
         _libraryManager = libraryManager;
+        _indexFilePath = indexFilePath;
     }
 
     /// <summary>
@@ -46,29 +112,92 @@ public class ContentLookupService
     public DateTime LastBuilt => _lastBuilt;
 
     /// <summary>
-    /// Gets the total number of items indexed in the lookup tables.
+    /// Gets the total number of items indexed by provider ID in the lookup tables.
     /// </summary>
-    public int TotalItemsIndexed => _totalItemsIndexed;
+    public int TotalItemsIndexed
+    {
+        get
+        {
+            lock (_syncRoot)
+            {
+                return _itemKeys.Count;
+            }
+        }
+    }
 
     /// <summary>
-    /// Builds the lookup dictionaries from all available library items.
+    /// Gets a value indicating whether the lookup tables have been built.
+    /// </summary>
+    public bool IsBuilt => _lastBuilt != DateTime.MinValue;
+
+    /// <summary>
+    /// Makes the lookup tables ready for use: loads the saved index (or builds it, if there is none) on first use,
+    /// and afterwards re-indexes only the library items that changed since the last call.
     /// This method should be called before performing any lookups.
     /// </summary>
+    public void EnsureLookupTables()
+    {
+        lock (_syncRoot)
+        {
+            if (!IsBuilt)
+            {
+                if (!LoadLookupTablesCore())
+                {
+                    BuildLookupTablesCore();
+                }
+
+                return;
+            }
+
+            if (ApplyPendingChanges() > 0)
+            {
+                SaveLookupTables();
+            }
+        }
+    }
+
+    /// <summary>
+    /// Marks a library item as changed, so it is re-indexed (or dropped, if removed) the next time
+    /// <see cref="EnsureLookupTables"/> is called. Only movies, series and episodes are tracked.
+    /// </summary>
+    /// <param name="item">The added, updated or removed library item.</param>
+    /// <param name="removed">Whether the item was removed from the library.</param>
+    public void InvalidateItem(BaseItem item, bool removed = false)
+    {
+        if (item is not (Movie or Series or Episode))
+        {
+            return;
+        }
+
+        _pendingChanges[item.Id] = removed;
+    }
+
+    /// <summary>
+    /// Builds the lookup dictionaries from all available library items, replacing the current ones.
+    /// </summary>
     public void BuildLookupTables()
+    {
+        lock (_syncRoot)
+        {
+            BuildLookupTablesCore();
+        }
+    }
+
+    /// <summary>
+    /// Builds the lookup dictionaries from all available library items. Callers hold the lock.
+    /// </summary>
+    private void BuildLookupTablesCore()
     {
         try
         {
             _logger.LogInformation("Building content lookup tables from library");
+            var stopwatch = Stopwatch.StartNew();
 
-            // Clear existing lookup tables
+            // Clear existing lookup tables; changes queued so far are covered by reading the whole library
             ClearLookupTables();
 
             // Get all media items from the library
-            var queryResult = _libraryManager.GetItemsResult(new InternalItemsQuery
-            {
-                IncludeItemTypes = new[] { Jellyfin.Data.Enums.BaseItemKind.Movie, Jellyfin.Data.Enums.BaseItemKind.Series, Jellyfin.Data.Enums.BaseItemKind.Episode },
-                Recursive = true
-            });
+            var queryResult = _libraryManager.GetItemsResult(CreateLibraryQuery());
 
             var libraryItems = queryResult.Items;
             _logger.LogDebug("Found {ItemCount} total items in library", libraryItems.Count);
@@ -77,25 +206,31 @@ public class ContentLookupService
 
             foreach (var item in libraryItems)
             {
-                if (IndexItem(item))
+                if (IndexLibraryItem(item))
                 {
                     indexedCount++;
                 }
             }
 
-            _totalItemsIndexed = indexedCount;
             _lastBuilt = DateTime.UtcNow;
+            _lastUpdated = _lastBuilt;
+            _lastBuildDuration = stopwatch.Elapsed;
+            _incrementalUpdates = 0;
+
+            var providerCounts = ProviderRegistry.Providers
+                .Select(p => $"{p.DisplayName} Movies: {CountLookup(p.Name, MovieKind)}, " +
+                             $"{p.DisplayName} Shows: {CountLookup(p.Name, ShowKind)}, " +
+                             $"{p.DisplayName} Episodes: {CountLookup(p.Name, EpisodeKind)}");
 
-            _logger.LogInformation("Successfully built lookup tables with {IndexedCount} items. " +
-                                 "TMDB Movies: {TmdbMovies}, TMDB Shows: {TmdbShows}, TMDB Episodes: {TmdbEpisodes}, " +
-                                 "IMDB Movies: {ImdbMovies}, IMDB Shows: {ImdbShows}, IMDB Episodes: {ImdbEpisodes}",
+            _logger.LogInformation("Successfully built lookup tables with {IndexedCount} items in {Elapsed:F1}s. {ProviderCounts}, " +
+                                 "Series with episodes: {SeriesCount}, Titles: {TitleCount}",
                 indexedCount,
-                _tmdbMovieLookup.Count,
-                _tmdbShowLookup.Count,
-                _tmdbEpisodeLookup.Count,
-                _imdbMovieLookup.Count,
-                _imdbShowLookup.Count,
-                _imdbEpisodeLookup.Count);
+                _lastBuildDuration.TotalSeconds,
+                string.Join(", ", providerCounts),
+                _seriesEpisodes.Count,
+                _titleEntries.Count);
+
+            SaveLookupTables();
         }
         catch (Exception ex)
         {
@@ -104,49 +239,441 @@ public class ContentLookupService
         }
     }
 
+    /// <summary>
+    /// Loads the saved index and applies the changes that were pending when it was saved. Callers hold the lock.
+    /// </summary>
+    /// <returns>True if the saved index was loaded; false if it is missing, unreadable or out of date and has to be rebuilt.</returns>
+    private bool LoadLookupTablesCore()
+    {
+        LibraryIndexSnapshot? snapshot;
+        try
+        {
+            if (!File.Exists(_indexFilePath))
+            {
+                return false;
+            }
+
+            snapshot = JsonSerializer.Deserialize<LibraryIndexSnapshot>(File.ReadAllText(_indexFilePath));
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogWarning(ex, "Saved library index {FilePath} is corrupt, rebuilding it", _indexFilePath);
+            return false;
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "I/O error reading saved library index {FilePath}, rebuilding it", _indexFilePath);
+            return false;
+        }
+
+        if (snapshot == null || snapshot.Version != LibraryIndexSnapshot.CurrentVersion)
+        {
+            _logger.LogInformation("Saved library index {FilePath} has an old format, rebuilding it", _indexFilePath);
+            return false;
+        }
+
+        var stopwatch = Stopwatch.StartNew();
+        foreach (var entry in snapshot.Items)
+        {
+            _itemKinds[entry.ItemId] = entry.Kind;
+
+            if (entry.ProviderIds != null && entry.ProviderIds.Count > 0)
+            {
+                var keys = new List<LookupKey>();
+                foreach (var (providerName, providerId) in entry.ProviderIds)
+                {
+                    GetOrCreateLookup(providerName, entry.Kind)[providerId] = entry.ItemId;
+                    keys.Add(new LookupKey(providerName, entry.Kind, providerId));
+                }
+
+                _itemKeys[entry.ItemId] = keys;
+            }
+
+            if (entry.SeriesId.HasValue)
+            {
+                AddEpisodeEntry(entry.SeriesId.Value, new EpisodeEntry(entry.ItemId, entry.Season, entry.Episode, entry.PremiereDate));
+            }
+
+            if (entry.Title != null)
+            {
+                AddTitleEntry(new TitleEntry(entry.ItemId, entry.Kind, entry.Title, entry.OriginalTitle, entry.Year, entry.RunTimeTicks));
+            }
+        }
+
+        // Changes that arrived since startup are newer than the ones saved with the index
+        foreach (var (itemId, removed) in snapshot.PendingChanges)
+        {
+            _pendingChanges.TryAdd(itemId, removed);
+        }
+
+        // Items re-identified or edited while the server was down (or just before it stopped) raised no events
+        // the index saw, but Jellyfin recorded when it saved them
+        var changedQuery = CreateLibraryQuery();
+        changedQuery.MinDateLastSaved = snapshot.CapturedAt - SnapshotChangeMargin;
+        foreach (var itemId in _libraryManager.GetItemIds(changedQuery))
+        {
+            _pendingChanges.TryAdd(itemId, false);
+        }
+
+        _lastBuilt = snapshot.LastBuilt;
+        _lastBuildDuration = TimeSpan.FromSeconds(snapshot.LastBuildSeconds);
+        _lastUpdated = snapshot.LastUpdated;
+        _incrementalUpdates = snapshot.IncrementalUpdates;
+        _loadedAt = DateTime.UtcNow;
+
+        var appliedCount = ApplyPendingChanges();
+
+        // Items added or removed while the server was down raised no events, so the index would miss them
+        var libraryCount = _libraryManager.GetCount(CreateLibraryQuery());
+        if (libraryCount != _itemKinds.Count)
+        {
+            _logger.LogInformation("Saved library index holds {IndexedCount} items but the library has {LibraryCount}, rebuilding it",
+                _itemKinds.Count, libraryCount);
+            return false;
+        }
+
+        _logger.LogInformation("Loaded library index with {ItemCount} items from {FilePath} in {Elapsed:F1}s, applied {AppliedCount} pending change(s)",
+            _itemKinds.Count, _indexFilePath, stopwatch.Elapsed.TotalSeconds, appliedCount);
+
+        if (appliedCount > 0)
+        {
+            SaveLookupTables();
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Saves the index in the background, so it can be loaded after a restart. Callers hold the lock.
+    /// </summary>
+    private void SaveLookupTables()
+    {
+        var snapshot = CreateSnapshot();
+        _ = Task.Run(() => WriteIndexFileAsync(snapshot));
+    }
+
+    /// <summary>
+    /// Captures the lookup tables for saving. Callers hold the lock.
+    /// </summary>
+    /// <returns>The snapshot.</returns>
+    private LibraryIndexSnapshot CreateSnapshot()
+    {
+        var entries = new Dictionary<Guid, LibraryIndexEntry>();
+        foreach (var (itemId, kind) in _itemKinds)
+        {
+            entries[itemId] = new LibraryIndexEntry { ItemId = itemId, Kind = kind };
+        }
+
+        foreach (var (itemId, keys) in _itemKeys)
+        {
+            if (entries.TryGetValue(itemId, out var entry))
+            {
+                entry.ProviderIds = new Dictionary<string, string>();
+                foreach (var key in keys)
+                {
+                    entry.ProviderIds[key.Provider] = key.ProviderId;
+                }
+            }
+        }
+
+        foreach (var (seriesId, episodes) in _seriesEpisodes)
+        {
+            foreach (var episode in episodes)
+            {
+                if (entries.TryGetValue(episode.ItemId, out var entry))
+                {
+                    entry.SeriesId = seriesId;
+                    entry.Season = episode.SeasonNumber;
+                    entry.Episode = episode.EpisodeNumber;
+                    entry.PremiereDate = episode.PremiereDate;
+                }
+            }
+        }
+
+        foreach (var titleEntry in _titleEntries.Values)
+        {
+            if (entries.TryGetValue(titleEntry.ItemId, out var entry))
+            {
+                entry.Title = titleEntry.Name;
+                entry.OriginalTitle = titleEntry.OriginalTitle;
+                entry.Year = titleEntry.Year;
+                entry.RunTimeTicks = titleEntry.RunTimeTicks;
+            }
+        }
+
+        return new LibraryIndexSnapshot
+        {
+            Version = LibraryIndexSnapshot.CurrentVersion,
+            CapturedAt = DateTime.UtcNow,
+            LastBuilt = _lastBuilt,
+            LastBuildSeconds = Math.Round(_lastBuildDuration.TotalSeconds, 1),
+            LastUpdated = _lastUpdated,
+            IncrementalUpdates = _incrementalUpdates,
+            Items = entries.Values.ToList(),
+            PendingChanges = new Dictionary<Guid, bool>(_pendingChanges)
+        };
+    }
+
+    /// <summary>
+    /// Writes a snapshot of the index atomically, unless a newer one was written already.
+    /// </summary>
+    /// <param name="snapshot">The snapshot.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    private async Task WriteIndexFileAsync(LibraryIndexSnapshot snapshot)
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            // Saves run in the background and may finish out of order
+            if (snapshot.LastUpdated < _lastSavedUpdate)
+            {
+                return;
+            }
+
+            var directory = Path.GetDirectoryName(_indexFilePath);
+            if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+            {
+                Directory.CreateDirectory(directory);
+            }
+
+            // Atomic write: write to temp file, then rename
+            var tempFilePath = _indexFilePath + ".tmp";
+            await File.WriteAllTextAsync(tempFilePath, JsonSerializer.Serialize(snapshot));
+            File.Move(tempFilePath, _indexFilePath, true);
+
+            _lastSavedUpdate = snapshot.LastUpdated;
+            _lastSaved = DateTime.UtcNow;
+            _logger.LogDebug("Saved library index with {ItemCount} items to {FilePath}", snapshot.Items.Count, _indexFilePath);
+        }
+        catch (Exception ex) when (ex is IOException || ex is UnauthorizedAccessException)
+        {
+            // The saved index only saves a rebuild after a restart; never fail a lookup because it could not be written
+            _logger.LogWarning(ex, "Could not save library index to {FilePath}", _indexFilePath);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
     /// <summary>
     /// Finds a media item by its Provider_ID and provider name.
     /// </summary>
     /// <param name="providerId">The external provider ID (e.g., "1771", "tt0371746").</param>
-    /// <param name="providerName">The provider name ("tmdb" or "imdb").</param>
-    /// <param name="contentType">The content type ("movie" or "episode").</param>
+    /// <param name="providerName">The provider name (e.g., "tmdb", "imdb", "tvdb").</param>
+    /// <param name="contentType">The content type ("movie", "episode", or "series"/"season" to find the series itself).</param>
     /// <returns>The internal Jellyfin item ID if found, null otherwise.</returns>
     public Guid? FindItemByProviderId(string providerId, string providerName, string contentType)
     {
-        if (string.IsNullOrWhiteSpace(providerId) || string.IsNullOrWhiteSpace(providerName) || string.IsNullOrWhiteSpace(contentType))
+        lock (_syncRoot)
         {
-            return null;
+            if (string.IsNullOrWhiteSpace(providerId) || string.IsNullOrWhiteSpace(providerName) || string.IsNullOrWhiteSpace(contentType))
+            {
+                return null;
+            }
+
+            var normalizedProvider = providerName.ToLowerInvariant();
+            var normalizedType = contentType.ToLowerInvariant();
+
+            try
+            {
+                // Select the appropriate lookup dictionary based on provider and content type
+                var lookupDictionary = GetLookupDictionary(normalizedProvider, normalizedType);
+            
+                if (lookupDictionary == null)
+                {
+                    _logger.LogWarning("Unsupported provider/type combination: {Provider}/{Type}", providerName, contentType);
+                    return null;
+                }
+
+                // Perform O(1) lookup
+                if (lookupDictionary.TryGetValue(providerId, out var itemId))
+                {
+                    _logger.LogDebug("Found item {ItemId} for {Provider}:{ProviderId} ({Type})", itemId, providerName, providerId, contentType);
+                    return itemId;
+                }
+
+                _logger.LogDebug("Item not found for {Provider}:{ProviderId} ({Type})", providerName, providerId, contentType);
+                return null;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error during lookup for {Provider}:{ProviderId} ({Type}): {Message}", 
+                    providerName, providerId, contentType, ex.Message);
+                return null;
+            }
         }
+    }
 
-        var normalizedProvider = providerName.ToLowerInvariant();
-        var normalizedType = contentType.ToLowerInvariant();
+    /// <summary>
+    /// Resolves a timeline item to the library items it stands for.
+    /// Movies and episodes resolve to a single item; series and seasons expand into their episodes in aired order.
+    /// When nothing matches the item's own provider ID, its alternate IDs are tried in turn, then its title.
+    /// </summary>
+    /// <param name="timelineItem">The timeline item to resolve.</param>
+    /// <returns>The matching library item IDs in playback order, or an empty list if nothing matched.</returns>
+    public List<Guid> ResolveTimelineItem(TimelineItem timelineItem)
+    {
+        return ResolveTimelineItem(timelineItem, out _);
+    }
 
-        try
+    /// <summary>
+    /// Resolves a timeline item to the library items it stands for, reporting whether it was only found by title.
+    /// </summary>
+    /// <param name="timelineItem">The timeline item to resolve.</param>
+    /// <param name="titleMatch">The library item matched by title, or null if a provider ID matched (or nothing did).</param>
+    /// <returns>The matching library item IDs in playback order, or an empty list if nothing matched.</returns>
+    public List<Guid> ResolveTimelineItem(TimelineItem timelineItem, out TitleMatch? titleMatch)
+    {
+        lock (_syncRoot)
         {
-            // Select the appropriate lookup dictionary based on provider and content type
-            var lookupDictionary = GetLookupDictionary(normalizedProvider, normalizedType);
-            
-            if (lookupDictionary == null)
+            titleMatch = null;
+            if (timelineItem == null || string.IsNullOrWhiteSpace(timelineItem.Type))
+            {
+                return new List<Guid>();
+            }
+
+            var itemIds = ResolveTimelineItem(timelineItem, timelineItem.ProviderId, timelineItem.ProviderName, true);
+            if (itemIds.Count > 0)
+            {
+                return itemIds;
+            }
+
+            foreach (var (providerName, providerId) in timelineItem.AlternateIds ?? new Dictionary<string, string>())
+            {
+                if (string.IsNullOrWhiteSpace(providerId) || ProviderRegistry.Find(providerName) == null)
+                {
+                    continue;
+                }
+
+                itemIds = ResolveTimelineItem(timelineItem, providerId, providerName, false);
+                if (itemIds.Count > 0)
+                {
+                    _logger.LogDebug("Item {ProviderKey} matched through its {Provider} ID {ProviderId}",
+                        timelineItem.ProviderKey, providerName, providerId);
+                    return itemIds;
+                }
+            }
+
+            var match = FindItemByTitle(timelineItem);
+            if (match == null)
+            {
+                return itemIds;
+            }
+
+            itemIds = ResolveTitleMatch(timelineItem, match.ItemId);
+            if (itemIds.Count > 0)
+            {
+                titleMatch = match;
+                _logger.LogInformation("Item {ProviderKey} not found by ID, matched '{Title}' by title ({Confidence}%)",
+                    timelineItem.ProviderKey, match.Title, match.Confidence);
+            }
+
+            return itemIds;
+        }
+    }
+
+    /// <summary>
+    /// Finds the unidentified library movie or series that best matches a timeline item's title, year and runtime.
+    /// Episodes, seasons and series are matched against series titles. Only library titles that start
+    /// with the same letters are scored, so a lookup stays cheap however many unidentified titles there are.
+    /// </summary>
+    /// <param name="timelineItem">The timeline item.</param>
+    /// <returns>The match, or null if the item has no title or no library item is a close and unambiguous match.</returns>
+    public TitleMatch? FindItemByTitle(TimelineItem timelineItem)
+    {
+        lock (_syncRoot)
+        {
+            if (timelineItem == null || string.IsNullOrWhiteSpace(timelineItem.Title) || string.IsNullOrWhiteSpace(timelineItem.Type))
             {
-                _logger.LogWarning("Unsupported provider/type combination: {Provider}/{Type}", providerName, contentType);
                 return null;
             }
 
-            // Perform O(1) lookup
-            if (lookupDictionary.TryGetValue(providerId, out var itemId))
+            var isMovie = string.Equals(timelineItem.Type, "movie", StringComparison.OrdinalIgnoreCase);
+            var kind = isMovie ? MovieKind : ShowKind;
+            var titles = new List<string> { timelineItem.Title };
+
+            // Episodes added from the episode picker are titled "Series - Episode name"
+            var separator = timelineItem.Title.IndexOf(" - ", StringComparison.Ordinal);
+            if (!isMovie && separator > 0)
             {
-                _logger.LogDebug("Found item {ItemId} for {Provider}:{ProviderId} ({Type})", itemId, providerName, providerId, contentType);
-                return itemId;
+                titles.Add(timelineItem.Title.Substring(0, separator));
             }
 
-            _logger.LogDebug("Item not found for {Provider}:{ProviderId} ({Type})", providerName, providerId, contentType);
-            return null;
+            var candidateIds = new HashSet<Guid>();
+            foreach (var title in titles)
+            {
+                var bucketKey = GetTitleBucketKey(kind, title);
+                if (bucketKey != null && _titleBuckets.TryGetValue(bucketKey, out var bucket))
+                {
+                    candidateIds.UnionWith(bucket);
+                }
+            }
+
+            TitleEntry? best = null;
+            var bestScore = 0;
+            var runnerUpScore = 0;
+            foreach (var entry in candidateIds.Select(id => _titleEntries[id]))
+            {
+                var score = titles.Max(t => Math.Max(
+                    TitleMatcher.Score(t, timelineItem.Year, entry.Name, entry.Year),
+                    entry.OriginalTitle == null ? 0 : TitleMatcher.Score(t, timelineItem.Year, entry.OriginalTitle, entry.Year)));
+                if (isMovie)
+                {
+                    score = AdjustForRuntime(score, timelineItem.Runtime, entry.RunTimeTicks);
+                }
+
+                if (score > bestScore)
+                {
+                    runnerUpScore = bestScore;
+                    bestScore = score;
+                    best = entry;
+                }
+                else if (score > runnerUpScore)
+                {
+                    runnerUpScore = score;
+                }
+            }
+
+            if (best == null || bestScore < TitleMatchThreshold)
+            {
+                return null;
+            }
+
+            if (bestScore - runnerUpScore < TitleMatchMargin)
+            {
+                _logger.LogDebug("Title '{Title}' of item {ProviderKey} matches several library items, not using a title match",
+                    timelineItem.Title, timelineItem.ProviderKey);
+                return null;
+            }
+
+            var entryTitle = best.Value.Year.HasValue ? $"{best.Value.Name} ({best.Value.Year.Value})" : best.Value.Name;
+            return new TitleMatch(best.Value.ItemId, entryTitle, bestScore);
         }
-        catch (Exception ex)
+    }
+
+    /// <summary>
+    /// Finds the episodes of a series in aired order (season number, then episode number, then premiere date).
+    /// </summary>
+    /// <param name="providerId">The series provider ID.</param>
+    /// <param name="providerName">The provider name (e.g., "tmdb", "imdb", "tvdb").</param>
+    /// <param name="season">Optional season number. When omitted, all seasons except specials (season 0) are included.</param>
+    /// <param name="episodeStart">Optional first episode number to include (inclusive).</param>
+    /// <param name="episodeEnd">Optional last episode number to include (inclusive).</param>
+    /// <returns>The episode item IDs in aired order, or an empty list if the series is not in the library.</returns>
+    public List<Guid> FindEpisodesForSeries(
+        string providerId,
+        string providerName,
+        int? season = null,
+        int? episodeStart = null,
+        int? episodeEnd = null)
+    {
+        lock (_syncRoot)
         {
-            _logger.LogError(ex, "Error during lookup for {Provider}:{ProviderId} ({Type}): {Message}", 
-                providerName, providerId, contentType, ex.Message);
-            return null;
+            var seriesId = FindItemByProviderId(providerId, providerName, "series");
+            return seriesId.HasValue
+                ? GetSeriesEpisodes(seriesId.Value, season, episodeStart, episodeEnd)
+                : new List<Guid>();
         }
     }
 
@@ -172,22 +699,69 @@ public class ContentLookupService
         return results;
     }
 
+    /// <summary>
+    /// Gets a display title for a universe item from the first library item it matched.
+    /// </summary>
+    /// <param name="item">The universe item.</param>
+    /// <param name="itemIds">The library items it matched.</param>
+    /// <returns>The title (e.g., "Iron Man (2008)", "Loki S2").</returns>
+    public string GetTimelineItemTitle(TimelineItem item, List<Guid> itemIds)
+    {
+        var libraryItem = itemIds.Count > 0 ? _libraryManager.GetItemById(itemIds[0]) : null;
+        if (libraryItem == null)
+        {
+            return item.OrderKey;
+        }
+
+        if (libraryItem is Episode episode && itemIds.Count > 1)
+        {
+            return $"{episode.SeriesName} {item.ScopeLabel}".Trim();
+        }
+
+        return GetDisplayTitle(libraryItem);
+    }
+
+    /// <summary>
+    /// Gets a display title for a library item.
+    /// </summary>
+    /// <param name="libraryItem">The library item.</param>
+    /// <returns>The title with year for movies, or series and episode name for episodes.</returns>
+    public static string GetDisplayTitle(BaseItem libraryItem)
+    {
+        if (libraryItem is Episode episode)
+        {
+            var number = episode.ParentIndexNumber.HasValue && episode.IndexNumber.HasValue
+                ? $" S{episode.ParentIndexNumber.Value}E{episode.IndexNumber.Value}"
+                : string.Empty;
+            return $"{episode.SeriesName}{number} - {episode.Name}";
+        }
+
+        return libraryItem.ProductionYear.HasValue ? $"{libraryItem.Name} ({libraryItem.ProductionYear.Value})" : libraryItem.Name;
+    }
+
     /// <summary>
     /// Clears all lookup tables and resets statistics.
     /// </summary>
     public void ClearLookupTables()
     {
-        _tmdbMovieLookup.Clear();
-        _tmdbShowLookup.Clear();
-        _tmdbEpisodeLookup.Clear();
-        _imdbMovieLookup.Clear();
-        _imdbShowLookup.Clear();
-        _imdbEpisodeLookup.Clear();
+        lock (_syncRoot)
+        {
+            _lookups.Clear();
+            _seriesEpisodes.Clear();
+            _titleEntries.Clear();
+            _titleBuckets.Clear();
+            _itemKinds.Clear();
+            _itemKeys.Clear();
+            _episodeSeries.Clear();
+            _pendingChanges.Clear();
 
-        _totalItemsIndexed = 0;
-        _lastBuilt = DateTime.MinValue;
+            _lastBuilt = DateTime.MinValue;
+            _lastUpdated = DateTime.MinValue;
+            _incrementalUpdates = 0;
+            _loadedAt = null;
 
-        _logger.LogDebug("Cleared all lookup tables");
+            _logger.LogDebug("Cleared all lookup tables");
+        }
     }
 
     /// <summary>
@@ -196,17 +770,221 @@ public class ContentLookupService
     /// <returns>A dictionary containing lookup table statistics.</returns>
     public Dictionary<string, object> GetLookupStatistics()
     {
-        return new Dictionary<string, object>
+        lock (_syncRoot)
         {
-            ["LastBuilt"] = _lastBuilt,
-            ["TotalItemsIndexed"] = _totalItemsIndexed,
-            ["TmdbMovieCount"] = _tmdbMovieLookup.Count,
-            ["TmdbShowCount"] = _tmdbShowLookup.Count,
-            ["TmdbEpisodeCount"] = _tmdbEpisodeLookup.Count,
-            ["ImdbMovieCount"] = _imdbMovieLookup.Count,
-            ["ImdbShowCount"] = _imdbShowLookup.Count,
-            ["ImdbEpisodeCount"] = _imdbEpisodeLookup.Count
-        };
+            var statistics = new Dictionary<string, object>
+            {
+                ["IsBuilt"] = IsBuilt,
+                ["LastBuilt"] = _lastBuilt,
+                ["LastBuildSeconds"] = Math.Round(_lastBuildDuration.TotalSeconds, 1),
+                ["LastUpdated"] = _lastUpdated,
+                ["IncrementalUpdates"] = _incrementalUpdates,
+                ["PendingChanges"] = _pendingChanges.Count,
+                ["TotalItemsIndexed"] = _itemKeys.Count,
+                ["LoadedFromDisk"] = _loadedAt.HasValue
+            };
+
+            // Left out until the index was first loaded from or saved to disk
+            if (_loadedAt.HasValue)
+            {
+                statistics["LoadedAt"] = _loadedAt.Value;
+            }
+
+            if (_lastSaved.HasValue)
+            {
+                statistics["LastSaved"] = _lastSaved.Value;
+            }
+
+            // e.g. TmdbMovieCount, TvdbShowCount, AniDBEpisodeCount
+            foreach (var provider in ProviderRegistry.Providers)
+            {
+                statistics[$"{provider.JellyfinKey}MovieCount"] = CountLookup(provider.Name, MovieKind);
+                statistics[$"{provider.JellyfinKey}ShowCount"] = CountLookup(provider.Name, ShowKind);
+                statistics[$"{provider.JellyfinKey}EpisodeCount"] = CountLookup(provider.Name, EpisodeKind);
+            }
+
+            statistics["SeriesWithEpisodesCount"] = _seriesEpisodes.Count;
+            statistics["TitleCount"] = _titleEntries.Count;
+            return statistics;
+        }
+    }
+
+    /// <summary>
+    /// Resolves a timeline item through one of its provider IDs.
+    /// </summary>
+    /// <param name="timelineItem">The timeline item to resolve.</param>
+    /// <param name="providerId">The provider ID to look up.</param>
+    /// <param name="providerName">The provider of <paramref name="providerId"/>.</param>
+    /// <param name="isPrimaryId">Whether this is the item's own provider ID. The series ID and legacy episode
+    /// fallbacks only apply to the item's own provider.</param>
+    /// <returns>The matching library item IDs in playback order, or an empty list if nothing matched.</returns>
+    private List<Guid> ResolveTimelineItem(TimelineItem timelineItem, string providerId, string providerName, bool isPrimaryId)
+    {
+        var normalizedType = timelineItem.Type.ToLowerInvariant();
+
+        switch (normalizedType)
+        {
+            case "series":
+                return FindEpisodesForSeries(providerId, providerName);
+
+            case "season":
+                return FindEpisodesForSeries(
+                    providerId,
+                    providerName,
+                    timelineItem.Season,
+                    timelineItem.EpisodeStart,
+                    timelineItem.EpisodeEnd);
+
+            case "episode":
+                var episodeId = FindItemByProviderId(providerId, providerName, normalizedType);
+                if (episodeId.HasValue)
+                {
+                    return new List<Guid> { episodeId.Value };
+                }
+
+                if (!isPrimaryId)
+                {
+                    return new List<Guid>();
+                }
+
+                // Episodes picked from TMDB remember their series, so they can still be found by number
+                if (!string.IsNullOrWhiteSpace(timelineItem.SeriesId))
+                {
+                    if (!timelineItem.Season.HasValue || !timelineItem.EpisodeStart.HasValue)
+                    {
+                        return new List<Guid>();
+                    }
+
+                    return FindEpisodesForSeries(
+                        timelineItem.SeriesId,
+                        providerName,
+                        timelineItem.Season,
+                        timelineItem.EpisodeStart,
+                        timelineItem.EpisodeEnd ?? timelineItem.EpisodeStart);
+                }
+
+                // Older universe files (and the Playlist Creator before series support) stored a series ID
+                // and season number with type "episode"; treat only that shape as a season reference.
+                // Anything else is an episode ID, which must never be looked up as a series ID
+                if (!timelineItem.Season.HasValue || timelineItem.EpisodeStart.HasValue || timelineItem.EpisodeEnd.HasValue)
+                {
+                    return new List<Guid>();
+                }
+
+                var legacyEpisodes = FindEpisodesForSeries(
+                    providerId,
+                    providerName,
+                    timelineItem.Season,
+                    timelineItem.EpisodeStart,
+                    timelineItem.EpisodeEnd);
+
+                if (legacyEpisodes.Count > 0)
+                {
+                    _logger.LogDebug("Episode item {ProviderKey} matched a series, expanded to {Count} episodes",
+                        timelineItem.ProviderKey, legacyEpisodes.Count);
+                }
+
+                return legacyEpisodes;
+
+            default:
+                var itemId = FindItemByProviderId(providerId, providerName, normalizedType);
+                return itemId.HasValue ? new List<Guid> { itemId.Value } : new List<Guid>();
+        }
+    }
+
+    /// <summary>
+    /// Re-indexes the library items that changed since the index was last brought up to date. Callers hold the lock.
+    /// </summary>
+    /// <returns>The number of library items re-indexed or dropped.</returns>
+    private int ApplyPendingChanges()
+    {
+        var updatedCount = 0;
+        foreach (var itemId in _pendingChanges.Keys)
+        {
+            if (!_pendingChanges.TryRemove(itemId, out var removed))
+            {
+                continue;
+            }
+
+            RemoveFromIndex(itemId);
+            if (!removed && _libraryManager.GetItemById(itemId) is BaseItem item)
+            {
+                IndexLibraryItem(item);
+            }
+
+            updatedCount++;
+        }
+
+        if (updatedCount > 0)
+        {
+            _incrementalUpdates += updatedCount;
+            _lastUpdated = DateTime.UtcNow;
+            _logger.LogDebug("Updated {Count} changed library item(s) in the lookup tables", updatedCount);
+        }
+
+        return updatedCount;
+    }
+
+    /// <summary>
+    /// Adds a library item to every lookup it belongs in: provider IDs, its series' episodes and unidentified titles.
+    /// </summary>
+    /// <param name="item">The library item.</param>
+    /// <returns>True if the item was indexed by at least one provider ID.</returns>
+    private bool IndexLibraryItem(BaseItem item)
+    {
+        var kind = GetLookupKind(item);
+        if (kind != null)
+        {
+            _itemKinds[item.Id] = kind;
+        }
+
+        var indexed = IndexItem(item);
+        IndexEpisodeForSeries(item);
+        IndexTitle(item);
+        return indexed;
+    }
+
+    /// <summary>
+    /// Takes a library item out of every lookup it was added to.
+    /// Provider IDs that another item has taken over since are left alone.
+    /// </summary>
+    /// <param name="itemId">The library item ID.</param>
+    private void RemoveFromIndex(Guid itemId)
+    {
+        _itemKinds.Remove(itemId);
+
+        if (_itemKeys.Remove(itemId, out var keys))
+        {
+            foreach (var key in keys)
+            {
+                if (_lookups.TryGetValue((key.Provider, key.Kind), out var lookup) &&
+                    lookup.TryGetValue(key.ProviderId, out var indexedId) &&
+                    indexedId == itemId)
+                {
+                    lookup.Remove(key.ProviderId);
+                }
+            }
+        }
+
+        if (_episodeSeries.Remove(itemId, out var seriesId) && _seriesEpisodes.TryGetValue(seriesId, out var episodes))
+        {
+            episodes.RemoveAll(e => e.ItemId == itemId);
+            if (episodes.Count == 0)
+            {
+                _seriesEpisodes.Remove(seriesId);
+            }
+        }
+
+        if (_titleEntries.Remove(itemId, out var titleEntry))
+        {
+            foreach (var bucketKey in GetTitleBucketKeys(titleEntry))
+            {
+                if (_titleBuckets.TryGetValue(bucketKey, out var bucket) && bucket.Remove(itemId) && bucket.Count == 0)
+                {
+                    _titleBuckets.Remove(bucketKey);
+                }
+            }
+        }
     }
 
     /// <summary>
@@ -216,40 +994,230 @@ public class ContentLookupService
     /// <returns>True if the item was successfully indexed, false otherwise.</returns>
     private bool IndexItem(BaseItem item)
     {
-        if (item?.ProviderIds == null || item.ProviderIds.Count == 0)
+        var kind = GetLookupKind(item);
+        if (kind == null || item.ProviderIds == null || item.ProviderIds.Count == 0)
         {
             return false;
         }
 
-        var indexed = false;
+        var keys = new List<LookupKey>();
 
-        // Index TMDB IDs
-        if (item.ProviderIds.TryGetValue("Tmdb", out var tmdbId) && !string.IsNullOrWhiteSpace(tmdbId))
+        foreach (var (provider, providerId) in ProviderRegistry.GetProviderIds(item))
         {
-            var lookupDict = GetLookupDictionaryForItem(item, "tmdb");
-            if (lookupDict != null)
-            {
-                lookupDict[tmdbId] = item.Id;
-                indexed = true;
-                _logger.LogTrace("Indexed {ItemType} '{ItemName}' with TMDB ID {TmdbId}", 
-                    item.GetType().Name, item.Name, tmdbId);
-            }
+            GetOrCreateLookup(provider.Name, kind)[providerId] = item.Id;
+            keys.Add(new LookupKey(provider.Name, kind, providerId));
+            _logger.LogTrace("Indexed {ItemType} '{ItemName}' with {Provider} ID {ProviderId}",
+                item.GetType().Name, item.Name, provider.DisplayName, providerId);
         }
 
-        // Index IMDB IDs
-        if (item.ProviderIds.TryGetValue("Imdb", out var imdbId) && !string.IsNullOrWhiteSpace(imdbId))
+        if (keys.Count == 0)
         {
-            var lookupDict = GetLookupDictionaryForItem(item, "imdb");
-            if (lookupDict != null)
+            return false;
+        }
+
+        _itemKeys[item.Id] = keys;
+        return true;
+    }
+
+    /// <summary>
+    /// Records an episode under its series so series- and season-level items can be expanded.
+    /// </summary>
+    /// <param name="item">The library item; non-episodes are ignored.</param>
+    private void IndexEpisodeForSeries(BaseItem item)
+    {
+        if (item is not Episode episode || episode.SeriesId == Guid.Empty)
+        {
+            return;
+        }
+
+        AddEpisodeEntry(episode.SeriesId, new EpisodeEntry(episode.Id, episode.ParentIndexNumber, episode.IndexNumber, episode.PremiereDate));
+    }
+
+    /// <summary>
+    /// Adds an episode to its series' episodes.
+    /// </summary>
+    /// <param name="seriesId">The library series ID.</param>
+    /// <param name="entry">The episode.</param>
+    private void AddEpisodeEntry(Guid seriesId, EpisodeEntry entry)
+    {
+        if (!_seriesEpisodes.TryGetValue(seriesId, out var episodes))
+        {
+            episodes = new List<EpisodeEntry>();
+            _seriesEpisodes[seriesId] = episodes;
+        }
+
+        episodes.Add(entry);
+        _episodeSeries[entry.ItemId] = seriesId;
+    }
+
+    /// <summary>
+    /// Records the title of a movie or series without provider IDs, so items can be matched to it by title.
+    /// Identified items are left out: a timeline item that refers to them matches by ID.
+    /// </summary>
+    /// <param name="item">The library item; episodes and identified items are ignored.</param>
+    private void IndexTitle(BaseItem item)
+    {
+        var kind = GetLookupKind(item);
+        if (kind == null || kind == EpisodeKind || string.IsNullOrWhiteSpace(item.Name) || ProviderRegistry.GetProviderIds(item).Count > 0)
+        {
+            return;
+        }
+
+        var originalTitle = string.IsNullOrWhiteSpace(item.OriginalTitle) || item.OriginalTitle == item.Name ? null : item.OriginalTitle;
+        AddTitleEntry(new TitleEntry(item.Id, kind, item.Name, originalTitle, item.ProductionYear, item.RunTimeTicks));
+    }
+
+    /// <summary>
+    /// Adds an unidentified title to the title entries and its buckets.
+    /// </summary>
+    /// <param name="entry">The title entry.</param>
+    private void AddTitleEntry(TitleEntry entry)
+    {
+        _titleEntries[entry.ItemId] = entry;
+
+        foreach (var bucketKey in GetTitleBucketKeys(entry))
+        {
+            if (!_titleBuckets.TryGetValue(bucketKey, out var bucket))
             {
-                lookupDict[imdbId] = item.Id;
-                indexed = true;
-                _logger.LogTrace("Indexed {ItemType} '{ItemName}' with IMDB ID {ImdbId}", 
-                    item.GetType().Name, item.Name, imdbId);
+                bucket = new HashSet<Guid>();
+                _titleBuckets[bucketKey] = bucket;
             }
+
+            bucket.Add(entry.ItemId);
         }
+    }
 
-        return indexed;
+    /// <summary>
+    /// Gets the buckets a title entry is filed under: one for its title and one for its original title.
+    /// </summary>
+    /// <param name="entry">The title entry.</param>
+    /// <returns>The distinct bucket keys.</returns>
+    private static IEnumerable<string> GetTitleBucketKeys(TitleEntry entry)
+    {
+        return new[] { entry.Name, entry.OriginalTitle }
+            .Where(t => t != null)
+            .Select(t => GetTitleBucketKey(entry.Kind, t!))
+            .OfType<string>()
+            .Distinct();
+    }
+
+    /// <summary>
+    /// Gets the bucket of a title: its kind and the first letters of its normalized title, ignoring spaces
+    /// (so "Spider-Man" and "Spiderman" share a bucket). Library titles that differ in their first letters
+    /// are rarely close enough to reach <see cref="TitleMatchThreshold"/>, so they aren't compared at all.
+    /// </summary>
+    /// <param name="kind">The lookup kind (movie or show).</param>
+    /// <param name="title">The title.</param>
+    /// <returns>The bucket key (e.g., "movie:spi"), or null if the title has no letters or digits.</returns>
+    private static string? GetTitleBucketKey(string kind, string title)
+    {
+        var normalized = TitleMatcher.NormalizeTitle(title).Replace(" ", string.Empty, StringComparison.Ordinal);
+        return normalized.Length == 0
+            ? null
+            : $"{kind}:{normalized.Substring(0, Math.Min(TitleBucketLength, normalized.Length))}";
+    }
+
+    /// <summary>
+    /// Gets the episodes of a library series in aired order (season number, then episode number, then premiere date).
+    /// </summary>
+    /// <param name="seriesId">The library series ID.</param>
+    /// <param name="season">Optional season number. When omitted, all seasons except specials (season 0) are included.</param>
+    /// <param name="episodeStart">Optional first episode number to include (inclusive).</param>
+    /// <param name="episodeEnd">Optional last episode number to include (inclusive).</param>
+    /// <returns>The episode item IDs in aired order, or an empty list if the series has no episodes.</returns>
+    private List<Guid> GetSeriesEpisodes(Guid seriesId, int? season, int? episodeStart, int? episodeEnd)
+    {
+        if (!_seriesEpisodes.TryGetValue(seriesId, out var episodes))
+        {
+            return new List<Guid>();
+        }
+
+        IEnumerable<EpisodeEntry> filtered = episodes;
+        if (season.HasValue)
+        {
+            filtered = filtered.Where(e => e.SeasonNumber == season.Value);
+        }
+        else
+        {
+            filtered = filtered.Where(e => e.SeasonNumber != 0);
+        }
+
+        if (episodeStart.HasValue)
+        {
+            filtered = filtered.Where(e => e.EpisodeNumber.HasValue && e.EpisodeNumber.Value >= episodeStart.Value);
+        }
+
+        if (episodeEnd.HasValue)
+        {
+            filtered = filtered.Where(e => e.EpisodeNumber.HasValue && e.EpisodeNumber.Value <= episodeEnd.Value);
+        }
+
+        return filtered
+            .OrderBy(e => e.SeasonNumber ?? int.MaxValue)
+            .ThenBy(e => e.EpisodeNumber ?? int.MaxValue)
+            .ThenBy(e => e.PremiereDate ?? DateTime.MaxValue)
+            .Select(e => e.ItemId)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Resolves a timeline item through the library movie or series its title matched.
+    /// </summary>
+    /// <param name="timelineItem">The timeline item.</param>
+    /// <param name="libraryItemId">The matched movie or series.</param>
+    /// <returns>The movie, or the series' episodes within the item's season and episode range.</returns>
+    private List<Guid> ResolveTitleMatch(TimelineItem timelineItem, Guid libraryItemId)
+    {
+        switch (timelineItem.Type.ToLowerInvariant())
+        {
+            case "movie":
+                return new List<Guid> { libraryItemId };
+
+            case "series":
+            case "season":
+                return GetSeriesEpisodes(libraryItemId, timelineItem.Season, timelineItem.EpisodeStart, timelineItem.EpisodeEnd);
+
+            case "episode":
+                // Without its number, an episode can't be told apart from the rest of the series
+                if (!timelineItem.Season.HasValue || !timelineItem.EpisodeStart.HasValue)
+                {
+                    return new List<Guid>();
+                }
+
+                return GetSeriesEpisodes(
+                    libraryItemId,
+                    timelineItem.Season,
+                    timelineItem.EpisodeStart,
+                    timelineItem.EpisodeEnd ?? timelineItem.EpisodeStart);
+
+            default:
+                return new List<Guid>();
+        }
+    }
+
+    /// <summary>
+    /// Lowers a title match score when the library movie's runtime differs from the item's.
+    /// </summary>
+    /// <param name="score">The title and year score.</param>
+    /// <param name="runtimeMinutes">The item's runtime in minutes, if known.</param>
+    /// <param name="runTimeTicks">The library movie's runtime, if known.</param>
+    /// <returns>The adjusted score.</returns>
+    private static int AdjustForRuntime(int score, int? runtimeMinutes, long? runTimeTicks)
+    {
+        if (!runtimeMinutes.HasValue || !runTimeTicks.HasValue || runTimeTicks.Value <= 0)
+        {
+            return score;
+        }
+
+        var difference = Math.Abs(runtimeMinutes.Value - TimeSpan.FromTicks(runTimeTicks.Value).TotalMinutes);
+        var factor = difference switch
+        {
+            <= 5.0 => 1.0,
+            <= 15.0 => 0.95,
+            _ => 0.85
+        };
+
+        return (int)Math.Round(score * factor);
     }
 
     /// <summary>
@@ -260,33 +1228,110 @@ public class ContentLookupService
     /// <returns>The appropriate lookup dictionary, or null if not supported.</returns>
     private Dictionary<string, Guid>? GetLookupDictionary(string providerName, string contentType)
     {
-        return (providerName, contentType) switch
+        if (!ProviderRegistry.SupportsContentType(providerName, contentType))
         {
-            ("tmdb", "movie") => _tmdbMovieLookup,
-            ("tmdb", "episode") => _tmdbEpisodeLookup,
-            ("imdb", "movie") => _imdbMovieLookup,
-            ("imdb", "episode") => _imdbEpisodeLookup,
+            return null;
+        }
+
+        return contentType switch
+        {
+            "movie" => GetOrCreateLookup(providerName, MovieKind),
+            "episode" => GetOrCreateLookup(providerName, EpisodeKind),
+            "series" or "season" => GetOrCreateLookup(providerName, ShowKind),
             _ => null
         };
     }
 
     /// <summary>
-    /// Gets the appropriate lookup dictionary for a library item based on its type and provider.
+    /// Creates the query for every library item the index covers.
+    /// </summary>
+    /// <returns>The query for all movies, series and episodes.</returns>
+    private static InternalItemsQuery CreateLibraryQuery()
+    {
+        return new InternalItemsQuery
+        {
+            IncludeItemTypes = new[] { Jellyfin.Data.Enums.BaseItemKind.Movie, Jellyfin.Data.Enums.BaseItemKind.Series, Jellyfin.Data.Enums.BaseItemKind.Episode },
+            Recursive = true
+        };
+    }
+
+    /// <summary>
+    /// Gets the lookup kind of a library item based on its type.
     /// </summary>
     /// <param name="item">The library item.</param>
-    /// <param name="providerName">The provider name (normalized to lowercase).</param>
-    /// <returns>The appropriate lookup dictionary, or null if not supported.</returns>
-    private Dictionary<string, Guid>? GetLookupDictionaryForItem(BaseItem item, string providerName)
+    /// <returns>The lookup kind (movie, show or episode), or null if the item type is not indexed.</returns>
+    private static string? GetLookupKind(BaseItem item)
     {
-        return (item, providerName) switch
+        return item switch
         {
-            (Movie, "tmdb") => _tmdbMovieLookup,
-            (Movie, "imdb") => _imdbMovieLookup,
-            (Series, "tmdb") => _tmdbShowLookup,
-            (Series, "imdb") => _imdbShowLookup,
-            (Episode, "tmdb") => _tmdbEpisodeLookup,
-            (Episode, "imdb") => _imdbEpisodeLookup,
+            Movie => MovieKind,
+            Series => ShowKind,
+            Episode => EpisodeKind,
             _ => null
         };
     }
-}
\ No newline at end of file
+
+    /// <summary>
+    /// Gets the lookup dictionary for a provider and kind, creating it on first use.
+    /// </summary>
+    /// <param name="providerName">The provider name (normalized to lowercase).</param>
+    /// <param name="kind">The lookup kind (movie, show or episode).</param>
+    /// <returns>The lookup dictionary.</returns>
+    private Dictionary<string, Guid> GetOrCreateLookup(string providerName, string kind)
+    {
+        if (!_lookups.TryGetValue((providerName, kind), out var lookup))
+        {
+            lookup = new Dictionary<string, Guid>();
+            _lookups[(providerName, kind)] = lookup;
+        }
+
+        return lookup;
+    }
+
+    /// <summary>
+    /// Counts the entries of a lookup dictionary.
+    /// </summary>
+    /// <param name="providerName">The provider name.</param>
+    /// <param name="kind">The lookup kind (movie, show or episode).</param>
+    /// <returns>The number of indexed IDs.</returns>
+    private int CountLookup(string providerName, string kind)
+    {
+        return _lookups.TryGetValue((providerName, kind), out var lookup) ? lookup.Count : 0;
+    }
+
+    /// <summary>
+    /// Lightweight record of an episode's position within its series.
+    /// </summary>
+    /// <param name="ItemId">The episode item ID.</param>
+    /// <param name="SeasonNumber">The season number.</param>
+    /// <param name="EpisodeNumber">The episode number within the season.</param>
+    /// <param name="PremiereDate">The original air date.</param>
+    private readonly record struct EpisodeEntry(Guid ItemId, int? SeasonNumber, int? EpisodeNumber, DateTime? PremiereDate);
+
+    /// <summary>
+    /// A provider ID a library item was indexed under.
+    /// </summary>
+    /// <param name="Provider">The provider name.</param>
+    /// <param name="Kind">The lookup kind (movie, show or episode).</param>
+    /// <param name="ProviderId">The provider ID.</param>
+    private readonly record struct LookupKey(string Provider, string Kind, string ProviderId);
+
+    /// <summary>
+    /// Title, year and runtime of a library movie or series.
+    /// </summary>
+    /// <param name="ItemId">The library item ID.</param>
+    /// <param name="Kind">The lookup kind (movie or show).</param>
+    /// <param name="Name">The title.</param>
+    /// <param name="OriginalTitle">The original title, if it differs.</param>
+    /// <param name="Year">The production year.</param>
+    /// <param name="RunTimeTicks">The runtime.</param>
+    private readonly record struct TitleEntry(Guid ItemId, string Kind, string Name, string? OriginalTitle, int? Year, long? RunTimeTicks);
+}
+
+/// <summary>
+/// A library movie or series found by title instead of provider ID.
+/// </summary>
+/// <param name="ItemId">The library item ID.</param>
+/// <param name="Title">The library item's title, with its year if known.</param>
+/// <param name="Confidence">How confident the match is (0-100).</param>
+public record TitleMatch(Guid ItemId, string Title, int Confidence);
@@ -36,8 +36,10 @@ public class ContentSearchService
     /// </summary>
     /// <param name="query">The search query string to match against titles.</param>
     /// <param name="limit">The maximum number of results to return (default 20).</param>
+    /// <param name="startIndex">The number of results to skip, for paging (default 0).</param>
+    /// <param name="filters">Optional type, year and library filters.</param>
     /// <returns>A list of enriched SearchResultItem objects with provider IDs.</returns>
-    public async Task<List<SearchResultItem>> SearchByTitle(string query, int limit = 20)
+    public async Task<List<SearchResultItem>> SearchByTitle(string query, int limit = 20, int startIndex = 0, SearchFilters? filters = null)
     {
         var results = new List<SearchResultItem>();
 
@@ -49,46 +51,44 @@ public class ContentSearchService
 
         try
         {
-            _logger.LogDebug("Searching library for title: {Query} with limit: {Limit}", query, limit);
+            _logger.LogDebug("Searching library for title: {Query} with limit: {Limit}, start index: {StartIndex}", query, limit, startIndex);
 
             // Query Jellyfin library for movies and episodes matching the title
-            var queryResult = _libraryManager.GetItemsResult(new InternalItemsQuery
+            var itemsQuery = new InternalItemsQuery
             {
                 SearchTerm = query,
-                IncludeItemTypes = new[] { Jellyfin.Data.Enums.BaseItemKind.Movie, Jellyfin.Data.Enums.BaseItemKind.Episode },
+                IncludeItemTypes = filters?.Type switch
+                {
+                    SearchFilters.Movie => new[] { Jellyfin.Data.Enums.BaseItemKind.Movie },
+                    SearchFilters.Tv => new[] { Jellyfin.Data.Enums.BaseItemKind.Episode },
+                    _ => new[] { Jellyfin.Data.Enums.BaseItemKind.Movie, Jellyfin.Data.Enums.BaseItemKind.Episode }
+                },
                 Recursive = true,
+                StartIndex = startIndex,
                 Limit = limit
-            });
+            };
+
+            if (filters != null && filters.HasYearRange)
+            {
+                var fromYear = filters.YearFrom ?? 1870;
+                var toYear = filters.YearTo ?? DateTime.UtcNow.Year + 5;
+                itemsQuery.Years = toYear >= fromYear
+                    ? Enumerable.Range(fromYear, toYear - fromYear + 1).ToArray()
+                    : Array.Empty<int>();
+            }
+
+            if (filters?.LibraryId is Guid libraryId)
+            {
+                itemsQuery.AncestorIds = new[] { libraryId };
+            }
+
+            var queryResult = _libraryManager.GetItemsResult(itemsQuery);
 
             var items = queryResult.Items;
             _logger.LogDebug("Found {ItemCount} items matching query: {Query}", items.Count, query);
 
             // Convert each item to SearchResultItem with enriched data
-            foreach (var item in items)
-            {
-                var searchResultItem = new SearchResultItem
-                {
-                    Id = item.Id,
-                    Title = item.Name ?? string.Empty,
-                    Year = item.ProductionYear,
-                    Type = item switch
-                    {
-                        Movie => "Movie",
-                        Episode => "Episode",
-                        _ => item.GetType().Name
-                    },
-                    ProviderIds = ExtractProviderIds(item)
-                };
-
-                // Add episode-specific information
-                if (item is Episode episode)
-                {
-                    searchResultItem.SeasonNumber = episode.ParentIndexNumber;
-                    searchResultItem.SeriesName = episode.SeriesName ?? string.Empty;
-                }
-
-                results.Add(searchResultItem);
-            }
+            results.AddRange(items.Select(CreateSearchResultItem));
 
             _logger.LogInformation("Successfully returned {ResultCount} search results for query: {Query}", results.Count, query);
             return results;
@@ -104,7 +104,7 @@ public class ContentSearchService
     /// Searches for a specific item by provider ID and provider name.
     /// </summary>
     /// <param name="providerId">The external provider ID (e.g., "603" for TMDB, "tt0133093" for IMDB).</param>
-    /// <param name="providerName">The provider name ("tmdb" or "imdb").</param>
+    /// <param name="providerName">The provider name (e.g., "tmdb", "imdb", "tvdb").</param>
     /// <returns>A single SearchResultItem if found, null otherwise.</returns>
     public async Task<SearchResultItem?> SearchByProviderId(string providerId, string providerName)
     {
@@ -116,12 +116,11 @@ public class ContentSearchService
 
         try
         {
-            var normalizedProviderName = providerName.ToLowerInvariant();
-            
             // Validate provider name
-            if (normalizedProviderName != "tmdb" && normalizedProviderName != "imdb")
+            var provider = ProviderRegistry.Find(providerName);
+            if (provider == null)
             {
-                _logger.LogWarning("Unsupported provider name: {ProviderName}. Only 'tmdb' and 'imdb' are supported.", providerName);
+                _logger.LogWarning("Unsupported provider name: {ProviderName}. Supported providers: {Providers}", providerName, ProviderRegistry.SupportedNames);
                 return null;
             }
 
@@ -129,7 +128,7 @@ public class ContentSearchService
 
             // Query Jellyfin library for movies and episodes with the specified provider ID
             // Use the provider name with proper casing for Jellyfin's ProviderIds dictionary
-            var jellyfinProviderKey = normalizedProviderName == "tmdb" ? "Tmdb" : "Imdb";
+            var jellyfinProviderKey = provider.JellyfinKey;
 
             var queryResult = _libraryManager.GetItemsResult(new InternalItemsQuery
             {
@@ -188,10 +187,175 @@ public class ContentSearchService
     }
 
     /// <summary>
-    /// Extracts TMDB and IMDB provider IDs from a Jellyfin BaseItem.
+    /// Searches the library's movies or series by title. Unlike <see cref="SearchByTitle"/>, TV shows are
+    /// returned as series rather than episodes.
+    /// </summary>
+    /// <param name="query">The search query string to match against titles.</param>
+    /// <param name="isSeries">True to search series, false to search movies.</param>
+    /// <param name="limit">The maximum number of results to return (default 20).</param>
+    /// <returns>The matching movies ("Movie") or series ("Series").</returns>
+    public List<SearchResultItem> SearchTitles(string query, bool isSeries, int limit = 20)
+    {
+        var results = new List<SearchResultItem>();
+
+        if (string.IsNullOrWhiteSpace(query))
+        {
+            return results;
+        }
+
+        try
+        {
+            var queryResult = _libraryManager.GetItemsResult(new InternalItemsQuery
+            {
+                SearchTerm = query,
+                IncludeItemTypes = new[] { isSeries ? Jellyfin.Data.Enums.BaseItemKind.Series : Jellyfin.Data.Enums.BaseItemKind.Movie },
+                Recursive = true,
+                Limit = limit
+            });
+
+            results.AddRange(queryResult.Items.Select(CreateSearchResultItem));
+
+            _logger.LogDebug("Found {Count} {Kind} matching query: {Query}", results.Count, isSeries ? "series" : "movies", query);
+            return results;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error searching titles for query: {Query}. Message: {Message}", query, ex.Message);
+            return results;
+        }
+    }
+
+    /// <summary>
+    /// Searches the library's box sets (collections) by name.
+    /// </summary>
+    /// <param name="query">The search query string to match against names.</param>
+    /// <param name="limit">The maximum number of results to return (default 20).</param>
+    /// <param name="startIndex">The number of results to skip, for paging (default 0).</param>
+    /// <returns>The matching box sets as "BoxSet" results.</returns>
+    public List<SearchResultItem> SearchBoxSets(string query, int limit = 20, int startIndex = 0)
+    {
+        var results = new List<SearchResultItem>();
+
+        if (string.IsNullOrWhiteSpace(query))
+        {
+            return results;
+        }
+
+        try
+        {
+            var queryResult = _libraryManager.GetItemsResult(new InternalItemsQuery
+            {
+                SearchTerm = query,
+                IncludeItemTypes = new[] { Jellyfin.Data.Enums.BaseItemKind.BoxSet },
+                Recursive = true,
+                StartIndex = startIndex,
+                Limit = limit
+            });
+
+            results.AddRange(queryResult.Items.Select(CreateSearchResultItem));
+
+            _logger.LogDebug("Found {Count} box sets matching query: {Query}", results.Count, query);
+            return results;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error searching box sets for query: {Query}. Message: {Message}", query, ex.Message);
+            return results;
+        }
+    }
+
+    /// <summary>
+    /// Lists the movies of a library box set in release order.
+    /// </summary>
+    /// <param name="boxSetId">The Jellyfin ID of the box set.</param>
+    /// <returns>The movies sorted by premiere date (then production year), or null if the box set doesn't exist.</returns>
+    public List<SearchResultItem>? GetBoxSetMovies(Guid boxSetId)
+    {
+        if (_libraryManager.GetItemById(boxSetId) is not BoxSet boxSet)
+        {
+            _logger.LogDebug("Box set {BoxSetId} not found", boxSetId);
+            return null;
+        }
+
+        return boxSet.GetLinkedChildren()
+            .OfType<Movie>()
+            .OrderBy(m => m.PremiereDate ?? (m.ProductionYear.HasValue ? new DateTime(m.ProductionYear.Value, 12, 31) : DateTime.MaxValue))
+            .Select(CreateSearchResultItem)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Checks whether a movie or series with the given TMDB ID is in the library.
+    /// </summary>
+    /// <param name="tmdbId">The TMDB ID.</param>
+    /// <param name="isSeries">True to look for a series, false for a movie.</param>
+    /// <returns>True if the library has the item.</returns>
+    public bool IsInLibrary(string tmdbId, bool isSeries)
+    {
+        if (string.IsNullOrWhiteSpace(tmdbId))
+        {
+            return false;
+        }
+
+        try
+        {
+            var queryResult = _libraryManager.GetItemsResult(new InternalItemsQuery
+            {
+                HasAnyProviderId = new Dictionary<string, string>
+                {
+                    { "Tmdb", tmdbId }
+                },
+                IncludeItemTypes = new[] { isSeries ? Jellyfin.Data.Enums.BaseItemKind.Series : Jellyfin.Data.Enums.BaseItemKind.Movie },
+                Recursive = true,
+                Limit = 1
+            });
+
+            return queryResult.Items.Count > 0;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error checking library for TMDB ID: {TmdbId}. Message: {Message}", tmdbId, ex.Message);
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Converts a library item to a search result with its provider IDs and overview.
     /// </summary>
     /// <param name="item">The Jellyfin library item.</param>
-    /// <returns>A dictionary containing available provider IDs with keys "tmdb" and/or "imdb".</returns>
+    /// <returns>The search result.</returns>
+    private SearchResultItem CreateSearchResultItem(BaseItem item)
+    {
+        var searchResultItem = new SearchResultItem
+        {
+            Id = item.Id,
+            Title = item.Name ?? string.Empty,
+            Year = item.ProductionYear,
+            Type = item switch
+            {
+                Movie => "Movie",
+                Episode => "Episode",
+                _ => item.GetType().Name
+            },
+            ProviderIds = ExtractProviderIds(item),
+            Overview = item.Overview ?? string.Empty
+        };
+
+        // Add episode-specific information
+        if (item is Episode episode)
+        {
+            searchResultItem.SeasonNumber = episode.ParentIndexNumber;
+            searchResultItem.SeriesName = episode.SeriesName ?? string.Empty;
+        }
+
+        return searchResultItem;
+    }
+
+    /// <summary>
+    /// Extracts the IDs of the supported providers from a Jellyfin BaseItem.
+    /// </summary>
+    /// <param name="item">The Jellyfin library item.</param>
+    /// <returns>A dictionary containing available provider IDs keyed by provider name (e.g., "tmdb", "tvdb").</returns>
     private Dictionary<string, string> ExtractProviderIds(BaseItem item)
     {
         var providerIds = new Dictionary<string, string>();
@@ -201,16 +365,12 @@ public class ContentSearchService
             return providerIds;
         }
 
-        // Extract TMDB ID
-        if (item.ProviderIds.TryGetValue("Tmdb", out var tmdbId) && !string.IsNullOrWhiteSpace(tmdbId))
+        foreach (var provider in ProviderRegistry.Providers)
         {
-            providerIds["tmdb"] = tmdbId;
-        }
-
-        // Extract IMDB ID
-        if (item.ProviderIds.TryGetValue("Imdb", out var imdbId) && !string.IsNullOrWhiteSpace(imdbId))
-        {
-            providerIds["imdb"] = imdbId;
+            if (item.ProviderIds.TryGetValue(provider.JellyfinKey, out var providerId) && !string.IsNullOrWhiteSpace(providerId))
+            {
+                providerIds[provider.Name] = providerId;
+            }
         }
 
         return providerIds;
@@ -0,0 +1,48 @@
+using System.Collections.Generic;
+using System.Linq;
+using Jellyfin.Plugin.TimelineManager.Models;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Keeps the most recent automatic playlist insertions triggered by library changes, for the activity view.
+/// Entries are kept in memory only and start empty after a server restart.
+/// </summary>
+public class LibraryActivityService
+{
+    /// <summary>
+    /// The maximum number of entries kept.
+    /// </summary>
+    public const int MaxEntries = 100;
+
+    private readonly object _lock = new();
+    private readonly LinkedList<LibraryActivityEntry> _entries = new();
+
+    /// <summary>
+    /// Gets the recorded entries, newest first.
+    /// </summary>
+    /// <returns>The activity entries.</returns>
+    public List<LibraryActivityEntry> GetEntries()
+    {
+        lock (_lock)
+        {
+            return _entries.ToList();
+        }
+    }
+
+    /// <summary>
+    /// Records an entry, dropping the oldest entries beyond <see cref="MaxEntries"/>.
+    /// </summary>
+    /// <param name="entry">The entry to record.</param>
+    public void Add(LibraryActivityEntry entry)
+    {
+        lock (_lock)
+        {
+            _entries.AddFirst(entry);
+            while (_entries.Count > MaxEntries)
+            {
+                _entries.RemoveLast();
+            }
+        }
+    }
+}
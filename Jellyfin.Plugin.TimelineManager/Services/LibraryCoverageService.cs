@@ -0,0 +1,191 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for reporting how much of each universe is present in the Jellyfin library.
+/// Runs the same matching as playlist creation but never touches playlists.
+/// </summary>
+public class LibraryCoverageService
+{
+    // Limit concurrent TMDB requests to avoid rate limiting
+    private const int MaxConcurrentTitleLookups = 3;
+
+    private readonly ILogger<LibraryCoverageService> _logger;
+    private readonly ILibraryManager _libraryManager;
+    private readonly UniverseManagementService _universeManagementService;
+    private readonly TmdbSearchService _tmdbSearchService;
+    private readonly ContentLookupService _contentLookupService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="LibraryCoverageService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="libraryManager">The Jellyfin library manager.</param>
+    /// <param name="universeManagementService">The universe management service.</param>
+    /// <param name="tmdbSearchService">The TMDB service used to resolve titles of missing items.</param>
+    /// <param name="contentLookupService">The shared library lookup index.</param>
+    public LibraryCoverageService(
+        ILogger<LibraryCoverageService> logger,
+        ILibraryManager libraryManager,
+        UniverseManagementService universeManagementService,
+        TmdbSearchService tmdbSearchService,
+        ContentLookupService contentLookupService)
+    {
+        _logger = logger;
+        _libraryManager = libraryManager;
+        _universeManagementService = universeManagementService;
+        _tmdbSearchService = tmdbSearchService;
+        _contentLookupService = contentLookupService;
+    }
+
+    /// <summary>
+    /// Builds coverage reports for the given universe files.
+    /// </summary>
+    /// <param name="filenames">The universe filenames to report on. If null or empty, all universes are included.</param>
+    /// <param name="includeTitles">Whether to look up titles of missing items on TMDB.</param>
+    /// <returns>One coverage report per universe, in the order requested.</returns>
+    public async Task<List<UniverseCoverageReport>> GetCoverageAsync(IEnumerable<string>? filenames, bool includeTitles = true)
+    {
+        var requestedFilenames = filenames?.Where(f => !string.IsNullOrWhiteSpace(f)).ToList() ?? new List<string>();
+        if (requestedFilenames.Count == 0)
+        {
+            var allUniverses = await _universeManagementService.GetAllUniversesAsync();
+            requestedFilenames = allUniverses.Select(u => u.Filename).ToList();
+        }
+
+        var reports = new List<UniverseCoverageReport>();
+        if (requestedFilenames.Count == 0)
+        {
+            return reports;
+        }
+
+        _contentLookupService.EnsureLookupTables();
+        var loggerFactory = LoggerFactory.Create(builder => builder.AddConsole());
+        var matchingService = new ProviderMatchingService(loggerFactory.CreateLogger<ProviderMatchingService>(), _contentLookupService);
+
+        foreach (var filename in requestedFilenames)
+        {
+            var universe = await _universeManagementService.GetUniverseAsync(filename);
+            if (universe == null)
+            {
+                reports.Add(new UniverseCoverageReport
+                {
+                    Filename = filename,
+                    Error = $"Universe file '{filename}' not found or invalid"
+                });
+                continue;
+            }
+
+            reports.Add(BuildReport(filename, universe, matchingService));
+        }
+
+        if (includeTitles)
+        {
+            await ResolveMissingTitlesAsync(reports.SelectMany(r => r.Missing));
+        }
+
+        _logger.LogInformation("Built library coverage reports for {Count} universe(s)", reports.Count);
+        return reports;
+    }
+
+    /// <summary>
+    /// Matches a universe against the library and summarizes the result.
+    /// </summary>
+    /// <param name="filename">The universe filename.</param>
+    /// <param name="universe">The universe.</param>
+    /// <param name="matchingService">The matching service backed by built lookup tables.</param>
+    /// <returns>The coverage report.</returns>
+    private static UniverseCoverageReport BuildReport(string filename, Universe universe, ProviderMatchingService matchingService)
+    {
+        var matchingResult = matchingService.MatchUniverseItems(universe);
+        var statistics = matchingResult.MatchingStatistics;
+
+        var report = new UniverseCoverageReport
+        {
+            Filename = filename,
+            Key = universe.Key,
+            Name = universe.Name,
+            TotalItems = universe.Items.Count,
+            FoundItems = statistics.MatchedItems,
+            MissingItems = statistics.MissingItems,
+            CoveragePercent = Math.Round(statistics.MatchingRate * 100, 1),
+            PlaylistItemCount = matchingResult.MatchedItems.Count,
+            TitleMatches = matchingResult.TitleMatches
+        };
+
+        // MissingTimelineItems are the same instances as in universe.Items, so their timeline position can be recovered
+        foreach (var missingItem in matchingResult.MissingTimelineItems)
+        {
+            report.Missing.Add(new MissingItemInfo
+            {
+                Index = universe.Items.IndexOf(missingItem),
+                ProviderId = missingItem.ProviderId,
+                ProviderName = missingItem.ProviderName,
+                Type = missingItem.Type,
+                SeriesId = missingItem.SeriesId,
+                Scope = missingItem.ScopeLabel,
+                Title = string.IsNullOrWhiteSpace(missingItem.Title) ? null : missingItem.Title
+            });
+        }
+
+        return report;
+    }
+
+    /// <summary>
+    /// Fills in TMDB titles for missing items without a stored title, looking up each distinct provider ID once.
+    /// </summary>
+    /// <param name="missingItems">The missing items to resolve.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    private async Task ResolveMissingTitlesAsync(IEnumerable<MissingItemInfo> missingItems)
+    {
+        var items = missingItems.Where(i => i.Title == null).ToList();
+        if (items.Count == 0)
+        {
+            return;
+        }
+
+        var titleCache = new ConcurrentDictionary<string, Task<string?>>();
+        using var semaphore = new SemaphoreSlim(MaxConcurrentTitleLookups, MaxConcurrentTitleLookups);
+
+        var tasks = items.Select(async item =>
+        {
+            // Series, seasons and episodes all reference the show, so they share a title lookup
+            var isMovie = string.Equals(item.Type, "movie", StringComparison.OrdinalIgnoreCase);
+            var cacheKey = $"{item.ProviderName.ToLowerInvariant()}:{item.ProviderId}:{(isMovie ? "movie" : "tv")}";
+
+            var titleTask = titleCache.GetOrAdd(cacheKey, _ => LookupTitleAsync(item, semaphore));
+            item.Title = await titleTask;
+        });
+
+        await Task.WhenAll(tasks);
+    }
+
+    /// <summary>
+    /// Looks up a single title on TMDB while holding the concurrency limiter.
+    /// </summary>
+    /// <param name="item">The missing item.</param>
+    /// <param name="semaphore">The concurrency limiter.</param>
+    /// <returns>The title, or null if not found.</returns>
+    private async Task<string?> LookupTitleAsync(MissingItemInfo item, SemaphoreSlim semaphore)
+    {
+        await semaphore.WaitAsync();
+        try
+        {
+            // Episodes stored with their own ID are titled after their series
+            return await _tmdbSearchService.GetTitleAsync(item.SeriesId ?? item.ProviderId, item.ProviderName, item.Type);
+        }
+        finally
+        {
+            semaphore.Release();
+        }
+    }
+}
@@ -0,0 +1,563 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Text;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for converting list exports from IMDb (CSV), Letterboxd (CSV) and Trakt (JSON) into timeline items.
+/// Rows are mapped by their IMDB/TMDB IDs and keep the order of the file.
+/// </summary>
+public class ListImportService
+{
+    private readonly ILogger<ListImportService> _logger;
+    private readonly ContentSearchService _contentSearchService;
+    private readonly TmdbSearchService _tmdbSearchService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ListImportService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="contentSearchService">The library search service, used for rows without IDs.</param>
+    /// <param name="tmdbSearchService">The TMDB search service, used for rows without IDs.</param>
+    public ListImportService(
+        ILogger<ListImportService> logger,
+        ContentSearchService contentSearchService,
+        TmdbSearchService tmdbSearchService)
+    {
+        _logger = logger;
+        _contentSearchService = contentSearchService;
+        _tmdbSearchService = tmdbSearchService;
+    }
+
+    /// <summary>
+    /// Parses a list export and maps its rows to timeline items.
+    /// </summary>
+    /// <param name="request">The import request.</param>
+    /// <returns>All rows in file order with their mapped items.</returns>
+    /// <exception cref="FormatException">Thrown when the format is unknown or the content cannot be parsed.</exception>
+    public async Task<ListImportResponse> ImportAsync(ListImportRequest request)
+    {
+        var format = string.IsNullOrWhiteSpace(request.Format) || request.Format.Equals("auto", StringComparison.OrdinalIgnoreCase)
+            ? DetectFormat(request.Content, request.Filename)
+            : request.Format.ToLowerInvariant();
+
+        var rows = format switch
+        {
+            "imdb" => ParseImdbCsv(request.Content),
+            "letterboxd" => ParseLetterboxdCsv(request.Content),
+            "trakt" => ParseTraktJson(request.Content),
+            _ => throw new FormatException("Unrecognised list format. Supported: IMDb list CSV, Letterboxd CSV export, Trakt JSON export.")
+        };
+
+        // Rows without IDs (Letterboxd) are looked up by title and year
+        foreach (var row in rows.Where(r => r.Item == null && r.Reason == null))
+        {
+            await ResolveMovieByTitleAsync(row);
+        }
+
+        var response = new ListImportResponse
+        {
+            Format = format,
+            Rows = rows,
+            MappedCount = rows.Count(r => r.Item != null),
+            UnmappedCount = rows.Count(r => r.Item == null)
+        };
+
+        _logger.LogInformation("Imported {Format} list: {MappedCount} rows mapped, {UnmappedCount} unmapped",
+            format, response.MappedCount, response.UnmappedCount);
+
+        return response;
+    }
+
+    /// <summary>
+    /// Detects the list format from the filename and content.
+    /// </summary>
+    /// <param name="content">The file content.</param>
+    /// <param name="filename">The original filename, if known.</param>
+    /// <returns>"imdb", "letterboxd", "trakt", or "unknown".</returns>
+    private static string DetectFormat(string content, string? filename)
+    {
+        var trimmed = content.TrimStart('﻿', ' ', '\t', '\r', '\n');
+
+        if (trimmed.StartsWith('[') || trimmed.StartsWith('{') ||
+            (filename?.EndsWith(".json", StringComparison.OrdinalIgnoreCase) ?? false))
+        {
+            return "trakt";
+        }
+
+        var firstLine = trimmed.Split('\n', 2)[0];
+        if (firstLine.Contains("Const", StringComparison.OrdinalIgnoreCase))
+        {
+            return "imdb";
+        }
+
+        if (firstLine.Contains("Letterboxd", StringComparison.OrdinalIgnoreCase) ||
+            trimmed.Contains("boxd.it", StringComparison.OrdinalIgnoreCase) ||
+            trimmed.Contains("letterboxd.com", StringComparison.OrdinalIgnoreCase))
+        {
+            return "letterboxd";
+        }
+
+        return "unknown";
+    }
+
+    /// <summary>
+    /// Parses an IMDb list export (columns include Const, Title, Title Type and Year).
+    /// </summary>
+    /// <param name="content">The CSV content.</param>
+    /// <returns>The rows in file order.</returns>
+    private static List<ListImportRow> ParseImdbCsv(string content)
+    {
+        var records = ParseCsv(content);
+        var headerIndex = records.FindIndex(r => r.Any(f => f.Equals("Const", StringComparison.OrdinalIgnoreCase)));
+        if (headerIndex < 0)
+        {
+            throw new FormatException("IMDb CSV is missing the 'Const' column");
+        }
+
+        var columns = GetColumnIndexes(records[headerIndex]);
+        var rows = new List<ListImportRow>();
+
+        foreach (var record in records.Skip(headerIndex + 1).Where(r => !IsBlank(r)))
+        {
+            var row = new ListImportRow
+            {
+                Row = rows.Count + 1,
+                Title = GetField(record, columns, "Title"),
+                Year = ParseYear(GetField(record, columns, "Year"))
+            };
+
+            var imdbId = GetField(record, columns, "Const");
+            if (!imdbId.StartsWith("tt", StringComparison.OrdinalIgnoreCase))
+            {
+                row.Reason = "No IMDb ID in row";
+            }
+            else
+            {
+                var titleType = GetField(record, columns, "Title Type").ToLowerInvariant();
+                row.Item = new TimelineItem
+                {
+                    ProviderId = imdbId,
+                    ProviderName = "imdb",
+                    Type = titleType switch
+                    {
+                        "tvseries" or "tv series" or "tvminiseries" or "tv mini series" => "series",
+                        "tvepisode" or "tv episode" => "episode",
+                        _ => "movie"
+                    }
+                };
+            }
+
+            rows.Add(row);
+        }
+
+        return rows;
+    }
+
+    /// <summary>
+    /// Parses a Letterboxd export (watched, diary, watchlist or list CSV). These contain no IDs,
+    /// so rows are returned unmapped for title/year resolution.
+    /// </summary>
+    /// <param name="content">The CSV content.</param>
+    /// <returns>The rows in file order.</returns>
+    private static List<ListImportRow> ParseLetterboxdCsv(string content)
+    {
+        var records = ParseCsv(content);
+
+        // List exports start with list metadata; the item table is the last header with Name and Year
+        var headerIndex = records.FindLastIndex(r =>
+            r.Any(f => f.Equals("Name", StringComparison.OrdinalIgnoreCase)) &&
+            r.Any(f => f.Equals("Year", StringComparison.OrdinalIgnoreCase)));
+        if (headerIndex < 0)
+        {
+            throw new FormatException("Letterboxd CSV is missing the 'Name' and 'Year' columns");
+        }
+
+        var columns = GetColumnIndexes(records[headerIndex]);
+        var rows = new List<ListImportRow>();
+
+        foreach (var record in records.Skip(headerIndex + 1).Where(r => !IsBlank(r)))
+        {
+            var row = new ListImportRow
+            {
+                Row = rows.Count + 1,
+                Title = GetField(record, columns, "Name"),
+                Year = ParseYear(GetField(record, columns, "Year"))
+            };
+
+            if (string.IsNullOrWhiteSpace(row.Title))
+            {
+                row.Reason = "Row has no title";
+            }
+
+            rows.Add(row);
+        }
+
+        return rows;
+    }
+
+    /// <summary>
+    /// Parses a Trakt JSON export (list items, watchlist, history or watched exports).
+    /// Entries may be movies, shows, seasons or episodes.
+    /// </summary>
+    /// <param name="content">The JSON content.</param>
+    /// <returns>The rows in file order.</returns>
+    private static List<ListImportRow> ParseTraktJson(string content)
+    {
+        JsonDocument document;
+        try
+        {
+            document = JsonDocument.Parse(content, new JsonDocumentOptions { AllowTrailingCommas = true });
+        }
+        catch (JsonException ex)
+        {
+            throw new FormatException($"Invalid Trakt JSON: {ex.Message}", ex);
+        }
+
+        using (document)
+        {
+            var entries = document.RootElement;
+            if (entries.ValueKind == JsonValueKind.Object && entries.TryGetProperty("items", out var itemsElement))
+            {
+                entries = itemsElement;
+            }
+
+            if (entries.ValueKind != JsonValueKind.Array)
+            {
+                throw new FormatException("Trakt JSON must be an array of list entries");
+            }
+
+            var rows = new List<ListImportRow>();
+            foreach (var entry in entries.EnumerateArray())
+            {
+                var row = new ListImportRow { Row = rows.Count + 1 };
+                MapTraktEntry(entry, row);
+                rows.Add(row);
+            }
+
+            return rows;
+        }
+    }
+
+    /// <summary>
+    /// Maps a single Trakt entry to a timeline item.
+    /// </summary>
+    /// <param name="entry">The Trakt entry.</param>
+    /// <param name="row">The row to fill in.</param>
+    private static void MapTraktEntry(JsonElement entry, ListImportRow row)
+    {
+        if (entry.ValueKind != JsonValueKind.Object)
+        {
+            row.Reason = "Entry is not an object";
+            return;
+        }
+
+        entry.TryGetProperty("movie", out var movie);
+        entry.TryGetProperty("show", out var show);
+        entry.TryGetProperty("season", out var season);
+        entry.TryGetProperty("episode", out var episode);
+
+        if (movie.ValueKind == JsonValueKind.Object)
+        {
+            row.Title = GetString(movie, "title");
+            row.Year = GetInt(movie, "year");
+            row.Item = CreateItemFromTraktIds(movie, "movie");
+        }
+        else if (show.ValueKind == JsonValueKind.Object)
+        {
+            row.Title = GetString(show, "title");
+            row.Year = GetInt(show, "year");
+
+            if (episode.ValueKind == JsonValueKind.Object)
+            {
+                var seasonNumber = GetInt(episode, "season");
+                var episodeNumber = GetInt(episode, "number");
+                row.Title += $" S{seasonNumber}E{episodeNumber}";
+
+                // Prefer the show ID with an episode range: it resolves through the series' episodes
+                row.Item = CreateItemFromTraktIds(show, "season");
+                if (row.Item != null && seasonNumber.HasValue && episodeNumber.HasValue)
+                {
+                    row.Item.Season = seasonNumber;
+                    row.Item.EpisodeStart = episodeNumber;
+                    row.Item.EpisodeEnd = episodeNumber;
+                }
+                else
+                {
+                    row.Item = CreateItemFromTraktIds(episode, "episode");
+                }
+            }
+            else if (season.ValueKind == JsonValueKind.Object)
+            {
+                var seasonNumber = GetInt(season, "number");
+                row.Title += $" S{seasonNumber}";
+                row.Item = seasonNumber.HasValue ? CreateItemFromTraktIds(show, "season") : null;
+                if (row.Item != null)
+                {
+                    row.Item.Season = seasonNumber;
+                }
+            }
+            else
+            {
+                row.Item = CreateItemFromTraktIds(show, "series");
+            }
+        }
+        else
+        {
+            var type = GetString(entry, "type");
+            row.Title = string.IsNullOrEmpty(type) ? "(unknown entry)" : $"({type})";
+            row.Reason = string.IsNullOrEmpty(type) ? "Unrecognised entry" : $"Unsupported entry type '{type}'";
+            return;
+        }
+
+        if (row.Item == null)
+        {
+            row.Reason = "No IMDb or TMDB ID in entry";
+        }
+    }
+
+    /// <summary>
+    /// Creates a timeline item from a Trakt object's "ids", preferring TMDB over IMDB.
+    /// </summary>
+    /// <param name="element">The Trakt movie, show or episode object.</param>
+    /// <param name="type">The timeline item type.</param>
+    /// <returns>The timeline item, or null if no usable ID is present.</returns>
+    private static TimelineItem? CreateItemFromTraktIds(JsonElement element, string type)
+    {
+        if (!element.TryGetProperty("ids", out var ids) || ids.ValueKind != JsonValueKind.Object)
+        {
+            return null;
+        }
+
+        var tmdbId = GetString(ids, "tmdb");
+        if (!string.IsNullOrEmpty(tmdbId))
+        {
+            return new TimelineItem { ProviderId = tmdbId, ProviderName = "tmdb", Type = type };
+        }
+
+        var imdbId = GetString(ids, "imdb");
+        if (!string.IsNullOrEmpty(imdbId))
+        {
+            return new TimelineItem { ProviderId = imdbId, ProviderName = "imdb", Type = type };
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Resolves a movie row without IDs by title and year, first in the library, then on TMDB.
+    /// Only unambiguous matches are accepted.
+    /// </summary>
+    /// <param name="row">The row to resolve.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    private async Task ResolveMovieByTitleAsync(ListImportRow row)
+    {
+        var normalizedTitle = NormalizeTitle(row.Title);
+
+        var libraryMatches = (await _contentSearchService.SearchByTitle(row.Title, 10))
+            .Where(r => r.Type == "Movie" && NormalizeTitle(r.Title) == normalizedTitle)
+            .Where(r => !row.Year.HasValue || r.Year == row.Year)
+            .Where(r => r.ProviderIds.ContainsKey("tmdb") || r.ProviderIds.ContainsKey("imdb"))
+            // The same movie can exist in several versions
+            .GroupBy(r => r.ProviderIds.TryGetValue("tmdb", out var tmdbId) ? tmdbId : r.ProviderIds["imdb"])
+            .Select(g => g.First())
+            .ToList();
+
+        var candidates = libraryMatches.Count > 0
+            ? libraryMatches
+            : (await _tmdbSearchService.SearchMovies(row.Title, 10)).Results
+                .Where(r => NormalizeTitle(r.Title) == normalizedTitle)
+                .Where(r => !row.Year.HasValue || r.Year == row.Year)
+                .ToList();
+
+        if (candidates.Count == 0)
+        {
+            row.Reason = "No movie found with this title and year";
+            return;
+        }
+
+        if (candidates.Count > 1)
+        {
+            row.Reason = $"{candidates.Count} movies match this title; pick one with search";
+            return;
+        }
+
+        var match = candidates[0];
+        var providerName = match.ProviderIds.ContainsKey("tmdb") ? "tmdb" : "imdb";
+        row.Item = new TimelineItem
+        {
+            ProviderId = match.ProviderIds[providerName],
+            ProviderName = providerName,
+            Type = "movie"
+        };
+        row.MatchedByTitle = true;
+    }
+
+    /// <summary>
+    /// Parses CSV content (RFC 4180: quoted fields may contain commas, quotes and line breaks).
+    /// </summary>
+    /// <param name="content">The CSV content.</param>
+    /// <returns>The records as lists of fields.</returns>
+    private static List<List<string>> ParseCsv(string content)
+    {
+        var records = new List<List<string>>();
+        var record = new List<string>();
+        var field = new StringBuilder();
+        var inQuotes = false;
+        var text = content.TrimStart('﻿');
+
+        for (int i = 0; i < text.Length; i++)
+        {
+            var c = text[i];
+
+            if (inQuotes)
+            {
+                if (c == '"' && i + 1 < text.Length && text[i + 1] == '"')
+                {
+                    field.Append('"');
+                    i++;
+                }
+                else if (c == '"')
+                {
+                    inQuotes = false;
+                }
+                else
+                {
+                    field.Append(c);
+                }
+            }
+            else if (c == '"')
+            {
+                inQuotes = true;
+            }
+            else if (c == ',')
+            {
+                record.Add(field.ToString());
+                field.Clear();
+            }
+            else if (c == '\n' || c == '\r')
+            {
+                if (c == '\r' && i + 1 < text.Length && text[i + 1] == '\n')
+                {
+                    i++;
+                }
+
+                record.Add(field.ToString());
+                field.Clear();
+                records.Add(record);
+                record = new List<string>();
+            }
+            else
+            {
+                field.Append(c);
+            }
+        }
+
+        if (field.Length > 0 || record.Count > 0)
+        {
+            record.Add(field.ToString());
+            records.Add(record);
+        }
+
+        return records;
+    }
+
+    /// <summary>
+    /// Maps header names to column indexes (case-insensitive).
+    /// </summary>
+    /// <param name="header">The header record.</param>
+    /// <returns>The column index by name.</returns>
+    private static Dictionary<string, int> GetColumnIndexes(List<string> header)
+    {
+        var columns = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+        for (int i = 0; i < header.Count; i++)
+        {
+            columns.TryAdd(header[i].Trim(), i);
+        }
+
+        return columns;
+    }
+
+    /// <summary>
+    /// Gets a trimmed field by column name.
+    /// </summary>
+    /// <param name="record">The record.</param>
+    /// <param name="columns">The column indexes.</param>
+    /// <param name="column">The column name.</param>
+    /// <returns>The field value, or an empty string if the column is missing.</returns>
+    private static string GetField(List<string> record, Dictionary<string, int> columns, string column)
+    {
+        return columns.TryGetValue(column, out var index) && index < record.Count ? record[index].Trim() : string.Empty;
+    }
+
+    /// <summary>
+    /// Checks whether a record has no content.
+    /// </summary>
+    /// <param name="record">The record.</param>
+    /// <returns>True if every field is blank.</returns>
+    private static bool IsBlank(List<string> record)
+    {
+        return record.All(string.IsNullOrWhiteSpace);
+    }
+
+    /// <summary>
+    /// Parses a year field.
+    /// </summary>
+    /// <param name="value">The field value.</param>
+    /// <returns>The year, or null if not a number.</returns>
+    private static int? ParseYear(string value)
+    {
+        return int.TryParse(value, NumberStyles.Integer, CultureInfo.InvariantCulture, out var year) ? year : null;
+    }
+
+    /// <summary>
+    /// Gets a string or number property as a string.
+    /// </summary>
+    /// <param name="element">The JSON object.</param>
+    /// <param name="property">The property name.</param>
+    /// <returns>The value, or an empty string if missing or null.</returns>
+    private static string GetString(JsonElement element, string property)
+    {
+        if (!element.TryGetProperty(property, out var value))
+        {
+            return string.Empty;
+        }
+
+        return value.ValueKind switch
+        {
+            JsonValueKind.String => value.GetString() ?? string.Empty,
+            JsonValueKind.Number => value.GetRawText(),
+            _ => string.Empty
+        };
+    }
+
+    /// <summary>
+    /// Gets an integer property.
+    /// </summary>
+    /// <param name="element">The JSON object.</param>
+    /// <param name="property">The property name.</param>
+    /// <returns>The value, or null if missing or not an integer.</returns>
+    private static int? GetInt(JsonElement element, string property)
+    {
+        return element.TryGetProperty(property, out var value) && value.ValueKind == JsonValueKind.Number && value.TryGetInt32(out var number)
+            ? number
+            : null;
+    }
+
+    /// <summary>
+    /// Normalizes a title for comparison (lowercase letters and digits only).
+    /// </summary>
+    /// <param name="title">The title.</param>
+    /// <returns>The normalized title.</returns>
+    private static string NormalizeTitle(string title)
+    {
+        return new string((title ?? string.Empty).ToLowerInvariant().Where(char.IsLetterOrDigit).ToArray());
+    }
+}
@@ -78,7 +78,7 @@ public class MixedContentService
         _logger.LogInformation("Mixed content processing completed for universe '{UniverseName}': " +
                              "{MovieCount} movies, {EpisodeCount} episodes, {TotalMatched}/{TotalItems} matched",
             universe.Name, result.MovieItems.Count, result.EpisodeItems.Count,
-            matchingResult.MatchedItems.Count, universe.Items.Count);
+            matchingResult.MatchingStatistics.MatchedItems, universe.Items.Count);
 
         return result;
     }
@@ -99,7 +99,7 @@ public class MixedContentService
             return result;
         }
 
-        var supportedTypes = new HashSet<string> { "movie", "episode" };
+        var supportedTypes = new HashSet<string> { "movie", "episode", "series", "season" };
         var foundTypes = new HashSet<string>();
         var invalidItems = new List<string>();
 
@@ -211,22 +211,7 @@ public class MixedContentService
     /// <returns>True if compatible, false otherwise.</returns>
     private static bool IsProviderCompatibleWithContentType(string providerName, string contentType)
     {
-        if (string.IsNullOrWhiteSpace(providerName) || string.IsNullOrWhiteSpace(contentType))
-        {
-            return false;
-        }
-
-        var normalizedProvider = providerName.ToLowerInvariant();
-        var normalizedType = contentType.ToLowerInvariant();
-
-        return (normalizedProvider, normalizedType) switch
-        {
-            ("tmdb", "movie") => true,
-            ("tmdb", "episode") => true,
-            ("imdb", "movie") => true,
-            ("imdb", "episode") => true,
-            _ => false
-        };
+        return ProviderRegistry.SupportsContentType(providerName, contentType);
     }
 
     /// <summary>
@@ -248,6 +233,9 @@ public class MixedContentService
                     result.MovieItems.Add(libraryItemId);
                     break;
                 case "episode":
+                case "series":
+                case "season":
+                    // Series and season items have already been expanded into episodes
                     result.EpisodeItems.Add(libraryItemId);
                     break;
                 default:
@@ -26,6 +26,10 @@ public class PlaylistCreationService
     private readonly Guid? _userId;
     private readonly string? _authToken;
     private readonly List<string>? _selectedUniverseFilenames;
+    private readonly Dictionary<string, List<string>>? _selectedOrderings;
+    private readonly PlaylistTrackingService _playlistTrackingService;
+    private readonly IUserManager? _userManager;
+    private readonly ContentLookupService? _contentLookupService;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="PlaylistCreationService"/> class.
@@ -39,6 +43,10 @@ public class PlaylistCreationService
     /// <param name="userId">Optional user ID for playlist operations.</param>
     /// <param name="authToken">Optional authentication token for HTTP API calls.</param>
     /// <param name="selectedUniverseFilenames">Optional list of universe filenames to process selectively.</param>
+    /// <param name="playlistTrackingService">Optional playlist tracking service used to find previously generated playlists.</param>
+    /// <param name="userManager">Optional user manager used to check the owner and share list of each universe.</param>
+    /// <param name="selectedOrderings">Optional ordering keys to create playlists for, by universe filename. Universes not listed get every ordering.</param>
+    /// <param name="contentLookupService">Optional shared lookup index. Without it, lookup tables are built from scratch for the run.</param>
     public PlaylistCreationService(
         ILogger<PlaylistCreationService> logger,
         MediaBrowser.Controller.Playlists.IPlaylistManager playlistManager,
@@ -48,7 +56,11 @@ public class PlaylistCreationService
         string? apiKey = null,
         Guid? userId = null,
         string? authToken = null,
-        List<string>? selectedUniverseFilenames = null)
+        List<string>? selectedUniverseFilenames = null,
+        PlaylistTrackingService? playlistTrackingService = null,
+        IUserManager? userManager = null,
+        Dictionary<string, List<string>>? selectedOrderings = null,
+        ContentLookupService? contentLookupService = null)
     {
         _logger = logger;
         _playlistManager = playlistManager;
@@ -59,6 +71,11 @@ public class PlaylistCreationService
         _userId = userId;
         _authToken = authToken;
         _selectedUniverseFilenames = selectedUniverseFilenames;
+        _playlistTrackingService = playlistTrackingService ?? new PlaylistTrackingService(
+            LoggerFactory.Create(builder => builder.AddConsole()).CreateLogger<PlaylistTrackingService>());
+        _userManager = userManager;
+        _selectedOrderings = selectedOrderings;
+        _contentLookupService = contentLookupService;
     }
 
     /// <summary>
@@ -124,46 +141,57 @@ public class PlaylistCreationService
                 return response;
             }
 
-            // Build lookup tables
-            var lookupLogger = LoggerFactory.Create(builder => builder.AddConsole()).CreateLogger<ContentLookupService>();
-            var lookupService = new ContentLookupService(lookupLogger, _libraryManager);
-            lookupService.BuildLookupTables();
+            // Bring the lookup tables up to date
+            var lookupService = _contentLookupService ?? new ContentLookupService(
+                LoggerFactory.Create(builder => builder.AddConsole()).CreateLogger<ContentLookupService>(),
+                _libraryManager);
+            lookupService.EnsureLookupTables();
 
             _logger.LogInformation("Processing {UniverseCount} universe(s)", configuration.Universes.Count);
 
-            // Process each universe
+            // Process each universe, one playlist per selected ordering
             var successCount = 0;
             var failureCount = 0;
+            var playlistCount = 0;
 
             foreach (var universe in configuration.Universes)
             {
-                try
+                foreach (var ordering in GetSelectedOrderings(universe))
                 {
-                    var playlistResult = await CreateOrUpdatePlaylistAsync(universe, lookupService);
-                    response.Playlists.Add(playlistResult);
-                    successCount++;
-                    _logger.LogInformation("Successfully {Action} playlist '{PlaylistName}' with {ItemCount} items",
-                        playlistResult.Action, playlistResult.Name, playlistResult.ItemsAdded);
-                }
-                catch (Exception ex)
-                {
-                    failureCount++;
-                    var errorMessage = $"Failed to create playlist '{universe.Name}': {ex.Message}";
-                    response.Errors.Add(errorMessage);
-                    _logger.LogError(ex, "Error creating playlist '{PlaylistName}'", universe.Name);
+                    playlistCount++;
+                    try
+                    {
+                        var playlistResult = await CreateOrUpdatePlaylistAsync(universe, ordering, lookupService);
+                        response.Playlists.Add(playlistResult);
+                        successCount++;
+                        _logger.LogInformation("Successfully {Action} playlist '{PlaylistName}' with {ItemCount} items",
+                            playlistResult.Action, playlistResult.Name, playlistResult.ItemsAdded);
+                    }
+                    catch (Exception ex)
+                    {
+                        failureCount++;
+                        var playlistName = universe.GetPlaylistName(ordering);
+                        var errorMessage = $"Failed to create playlist '{playlistName}': {ex.Message}";
+                        response.Errors.Add(errorMessage);
+                        _logger.LogError(ex, "Error creating playlist '{PlaylistName}'", playlistName);
+                    }
                 }
             }
 
             // Set response status
             response.Success = successCount > 0;
             
-            if (successCount == configuration.Universes.Count)
+            var actionSummary = string.Join(", ", response.Playlists
+                .GroupBy(p => p.Action)
+                .Select(g => $"{g.Count()} {g.Key}"));
+
+            if (successCount == playlistCount)
             {
-                response.Message = $"Created {successCount} playlist(s) successfully";
+                response.Message = $"Processed {successCount} playlist(s) successfully ({actionSummary})";
             }
             else if (successCount > 0)
             {
-                response.Message = $"Created {successCount} of {configuration.Universes.Count} playlist(s). {failureCount} failed.";
+                response.Message = $"Processed {successCount} of {playlistCount} playlist(s) ({actionSummary}). {failureCount} failed.";
             }
             else
             {
@@ -185,47 +213,151 @@ public class PlaylistCreationService
     }
 
     /// <summary>
-    /// Creates or updates a single playlist for a universe.
+    /// Gets the orderings of a universe to create playlists for.
+    /// Without a selection for the universe, every ordering is used.
+    /// </summary>
+    /// <param name="universe">The universe configuration.</param>
+    /// <returns>The selected orderings; null stands for the items order.</returns>
+    private List<UniverseOrdering?> GetSelectedOrderings(Universe universe)
+    {
+        var allOrderings = new List<UniverseOrdering?> { null };
+        allOrderings.AddRange(universe.Orderings ?? new List<UniverseOrdering>());
+
+        List<string>? selectedKeys = null;
+        if (_selectedOrderings != null && universe.Filename != null)
+        {
+            _selectedOrderings.TryGetValue(universe.Filename, out selectedKeys);
+        }
+
+        if (selectedKeys == null)
+        {
+            return allOrderings;
+        }
+
+        foreach (var unknownKey in selectedKeys.Where(k =>
+            !string.Equals(k, UniverseOrdering.DefaultKey, StringComparison.OrdinalIgnoreCase) && universe.FindOrdering(k) == null))
+        {
+            _logger.LogWarning("Universe '{UniverseKey}' has no ordering '{OrderingKey}', skipping it", universe.Key, unknownKey);
+        }
+
+        return allOrderings
+            .Where(o => selectedKeys.Contains(o?.Key ?? UniverseOrdering.DefaultKey, StringComparer.OrdinalIgnoreCase))
+            .ToList();
+    }
+
+    /// <summary>
+    /// Creates or updates the playlist of one ordering of a universe.
+    /// If the ordering already produced a playlist that still exists, that playlist is rewritten in place.
     /// </summary>
     /// <param name="universe">The universe configuration.</param>
+    /// <param name="ordering">The alternate ordering, or null for the items order.</param>
     /// <param name="lookupService">The content lookup service.</param>
     /// <returns>The result of the playlist creation or update.</returns>
-    private async Task<PlaylistResult> CreateOrUpdatePlaylistAsync(Universe universe, ContentLookupService lookupService)
+    private async Task<PlaylistResult> CreateOrUpdatePlaylistAsync(Universe universe, UniverseOrdering? ordering, ContentLookupService lookupService)
     {
-        _logger.LogInformation("Processing playlist '{PlaylistName}'", universe.Name);
+        var playlistName = universe.GetPlaylistName(ordering);
+        var items = universe.GetPlaylistItems(ordering);
+        _logger.LogInformation("Processing playlist '{PlaylistName}'", playlistName);
+
+        if (items.Count < universe.Items.Count)
+        {
+            _logger.LogInformation("Skipping {SkippedCount} optional item(s) of playlist '{PlaylistName}'",
+                universe.Items.Count - items.Count, playlistName);
+        }
 
         // Find items in library
-        var (foundItemIds, missingItems) = FindPlaylistItems(universe, lookupService);
+        var (foundItemIds, missingItems, titleMatches) = FindPlaylistItems(items, lookupService);
+
+        _logger.LogInformation("Found {FoundCount} playlist entries for playlist '{PlaylistName}' ({MissingCount}/{TotalCount} timeline items missing)",
+            foundItemIds.Count, playlistName, missingItems.Count, items.Count);
+
+        // Look up the playlist this ordering produced on a previous run
+        MediaBrowser.Controller.Playlists.Playlist? existingPlaylist = null;
+        var trackedPlaylist = await _playlistTrackingService.GetByUniverseKeyAsync(universe.Key, ordering?.Key);
+        if (trackedPlaylist != null)
+        {
+            existingPlaylist = _libraryManager.GetItemById(trackedPlaylist.PlaylistId) as MediaBrowser.Controller.Playlists.Playlist;
+            if (existingPlaylist == null)
+            {
+                _logger.LogInformation("Tracked playlist {PlaylistId} for universe '{UniverseKey}' ({OrderingKey}) no longer exists, creating a new one",
+                    trackedPlaylist.PlaylistId, universe.Key, ordering?.Key ?? UniverseOrdering.DefaultKey);
+            }
+        }
 
-        _logger.LogInformation("Found {FoundCount}/{TotalCount} items for playlist '{PlaylistName}'",
-            foundItemIds.Count, universe.Items.Count, universe.Name);
+        var access = ResolvePlaylistAccess(universe);
+
+        Guid playlistId;
+        string action;
+        int addedCount;
+        int removedCount;
 
-        // For now, always create a new playlist
-        // TODO: In future, implement playlist ID tracking to enable updates
-        _logger.LogInformation("Creating new playlist '{PlaylistName}' with {ItemCount} items", 
-            universe.Name, foundItemIds.Count);
-        
         try
         {
-            // Create playlist using the LinkedChildren approach (SmartLists method)
-            await CreatePlaylistWithItemsAsync(universe.Name, foundItemIds);
-            
-            _logger.LogInformation("Successfully created playlist '{PlaylistName}' with {ItemCount} items", 
-                universe.Name, foundItemIds.Count);
+            if (existingPlaylist != null)
+            {
+                playlistId = existingPlaylist.Id;
+
+                var previousItemIds = existingPlaylist.LinkedChildren
+                    .Where(lc => lc.ItemId.HasValue)
+                    .Select(lc => lc.ItemId!.Value)
+                    .ToList();
+                addedCount = foundItemIds.Except(previousItemIds).Count();
+                removedCount = previousItemIds.Except(foundItemIds).Count();
+
+                // Universes without ownership settings keep whatever owner and visibility the playlist has
+                var changed = await UpdatePlaylistWithItemsAsync(
+                    existingPlaylist,
+                    playlistName,
+                    foundItemIds,
+                    universe.Ownership != null ? access : null);
+                action = changed ? "updated" : "unchanged";
+
+                _logger.LogInformation("Playlist '{PlaylistName}' {Action} with {ItemCount} items",
+                    playlistName, action, foundItemIds.Count);
+            }
+            else
+            {
+                _logger.LogInformation("Creating new playlist '{PlaylistName}' with {ItemCount} items",
+                    playlistName, foundItemIds.Count);
+
+                // Create playlist using the LinkedChildren approach (SmartLists method)
+                playlistId = await CreatePlaylistWithItemsAsync(playlistName, foundItemIds, access);
+                action = "created";
+                addedCount = foundItemIds.Count;
+                removedCount = 0;
+
+                _logger.LogInformation("Successfully created playlist '{PlaylistName}' with {ItemCount} items",
+                    playlistName, foundItemIds.Count);
+            }
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Failed to create playlist '{PlaylistName}'", universe.Name);
+            _logger.LogError(ex, "Failed to create or update playlist '{PlaylistName}'", playlistName);
             throw;
         }
 
+        await _playlistTrackingService.SaveAsync(new TrackedPlaylist
+        {
+            UniverseKey = universe.Key,
+            UniverseFilename = universe.Filename ?? string.Empty,
+            OrderingKey = ordering?.Key,
+            PlaylistId = playlistId,
+            PlaylistName = playlistName,
+            ItemCount = foundItemIds.Count,
+            LastSynced = DateTime.UtcNow
+        });
+
         return new PlaylistResult
         {
-            Name = universe.Name,
-            Action = "created",
+            Name = playlistName,
+            Action = action,
+            PlaylistId = playlistId,
             ItemsAdded = foundItemIds.Count,
+            AddedCount = addedCount,
+            RemovedCount = removedCount,
             ItemsMissing = missingItems.Count,
-            MissingItems = missingItems
+            MissingItems = missingItems,
+            TitleMatches = titleMatches
         };
     }
 
@@ -235,14 +367,15 @@ public class PlaylistCreationService
     /// </summary>
     /// <param name="playlistName">The name of the playlist.</param>
     /// <param name="itemIds">The list of item IDs to add to the playlist.</param>
-    private async Task CreatePlaylistWithItemsAsync(string playlistName, List<Guid> itemIds)
+    /// <param name="access">The owner, visibility and share list of the playlist.</param>
+    /// <returns>The ID of the newly created playlist.</returns>
+    private async Task<Guid> CreatePlaylistWithItemsAsync(string playlistName, List<Guid> itemIds, PlaylistAccess access)
     {
         _logger.LogDebug("Creating playlist '{PlaylistName}' with {ItemCount} items using LinkedChildren approach",
             playlistName, itemIds.Count);
 
         // Ensure we have a valid user ID
-        var userId = _userId ?? Guid.Empty;
-        if (userId == Guid.Empty)
+        if (access.OwnerUserId == Guid.Empty)
         {
             _logger.LogWarning("No user ID provided, using empty GUID. Playlist may not be visible to users.");
         }
@@ -251,8 +384,9 @@ public class PlaylistCreationService
         var result = await _playlistManager.CreatePlaylist(new MediaBrowser.Model.Playlists.PlaylistCreationRequest
         {
             Name = playlistName,
-            UserId = userId,
-            Public = true, // Make it public so all users can see it
+            UserId = access.OwnerUserId,
+            Public = access.IsPublic,
+            Users = access.Shares
         });
 
         _logger.LogDebug("Playlist creation result: ID = {PlaylistId}", result.Id);
@@ -264,23 +398,7 @@ public class PlaylistCreationService
                 newPlaylist.Name, newPlaylist.Id);
 
             // Step 3: Build LinkedChildren array with both ItemId and Path
-            var linkedChildren = itemIds
-                .Select(itemId =>
-                {
-                    var item = _libraryManager.GetItemById(itemId);
-                    if (item == null)
-                    {
-                        _logger.LogWarning("Item with ID {ItemId} not found when building LinkedChildren", itemId);
-                        return null;
-                    }
-                    return new LinkedChild
-                    {
-                        ItemId = itemId,
-                        Path = item.Path ?? string.Empty
-                    };
-                })
-                .Where(lc => lc != null)
-                .ToArray()!;
+            var linkedChildren = BuildLinkedChildren(itemIds);
 
             _logger.LogDebug("Built {Count} LinkedChildren for playlist '{PlaylistName}'",
                 linkedChildren.Length, playlistName);
@@ -293,6 +411,8 @@ public class PlaylistCreationService
 
             _logger.LogInformation("Successfully created playlist '{PlaylistName}' with {ItemCount} items",
                 playlistName, linkedChildren.Length);
+
+            return newPlaylist.Id;
         }
         else
         {
@@ -302,34 +422,203 @@ public class PlaylistCreationService
     }
 
     /// <summary>
-    /// Finds all items for a universe in the library.
+    /// Rewrites the LinkedChildren of an existing playlist if its contents or name differ from the universe.
+    /// </summary>
+    /// <param name="playlist">The existing playlist.</param>
+    /// <param name="playlistName">The desired playlist name.</param>
+    /// <param name="itemIds">The desired item IDs in chronological order.</param>
+    /// <param name="access">The desired owner, visibility and share list, or null to leave them unchanged.</param>
+    /// <returns>True if the playlist was changed, false if it already matched.</returns>
+    private async Task<bool> UpdatePlaylistWithItemsAsync(
+        MediaBrowser.Controller.Playlists.Playlist playlist,
+        string playlistName,
+        List<Guid> itemIds,
+        PlaylistAccess? access)
+    {
+        var currentItemIds = playlist.LinkedChildren
+            .Where(lc => lc.ItemId.HasValue)
+            .Select(lc => lc.ItemId!.Value)
+            .ToList();
+
+        var itemsChanged = !currentItemIds.SequenceEqual(itemIds);
+        var nameChanged = !string.Equals(playlist.Name, playlistName, StringComparison.Ordinal);
+        var accessChanged = access.HasValue && !AccessMatches(playlist, access.Value);
+
+        if (!itemsChanged && !nameChanged && !accessChanged)
+        {
+            _logger.LogDebug("Playlist '{PlaylistName}' already matches its universe, nothing to update", playlistName);
+            return false;
+        }
+
+        if (itemsChanged)
+        {
+            var addedCount = itemIds.Except(currentItemIds).Count();
+            var removedCount = currentItemIds.Except(itemIds).Count();
+            _logger.LogDebug("Updating playlist '{PlaylistName}': {Added} added, {Removed} removed, order may have changed",
+                playlistName, addedCount, removedCount);
+
+            playlist.LinkedChildren = BuildLinkedChildren(itemIds);
+        }
+
+        if (nameChanged)
+        {
+            _logger.LogDebug("Renaming playlist '{OldName}' to '{NewName}'", playlist.Name, playlistName);
+            playlist.Name = playlistName;
+        }
+
+        if (accessChanged && access is PlaylistAccess desiredAccess)
+        {
+            _logger.LogDebug("Updating access of playlist '{PlaylistName}': owner {OwnerUserId}, public {IsPublic}, shared with {ShareCount} user(s)",
+                playlistName, desiredAccess.OwnerUserId, desiredAccess.IsPublic, desiredAccess.Shares.Length);
+
+            if (desiredAccess.OwnerUserId != Guid.Empty)
+            {
+                playlist.OwnerUserId = desiredAccess.OwnerUserId;
+            }
+
+            playlist.OpenAccess = desiredAccess.IsPublic;
+            playlist.Shares = desiredAccess.Shares;
+        }
+
+        await playlist.UpdateToRepositoryAsync(ItemUpdateType.MetadataEdit, CancellationToken.None);
+        return true;
+    }
+
+    /// <summary>
+    /// Resolves the owner, visibility and share list of a universe's playlist.
+    /// Unknown users are ignored; without an owner setting the user who triggered the run owns the playlist.
     /// </summary>
     /// <param name="universe">The universe configuration.</param>
+    /// <returns>The playlist access settings.</returns>
+    private PlaylistAccess ResolvePlaylistAccess(Universe universe)
+    {
+        var ownership = universe.Ownership;
+        var ownerUserId = _userId ?? Guid.Empty;
+
+        if (ownership?.OwnerUserId is Guid configuredOwner && configuredOwner != Guid.Empty)
+        {
+            if (UserExists(configuredOwner))
+            {
+                ownerUserId = configuredOwner;
+            }
+            else
+            {
+                _logger.LogWarning("Owner {OwnerUserId} of universe '{UniverseKey}' does not exist, using {FallbackUserId} instead",
+                    configuredOwner, universe.Key, ownerUserId);
+            }
+        }
+
+        var shares = new List<PlaylistUserPermissions>();
+        foreach (var sharedUserId in (ownership?.SharedUserIds ?? new List<Guid>()).Distinct())
+        {
+            if (sharedUserId == Guid.Empty || sharedUserId == ownerUserId)
+            {
+                continue;
+            }
+
+            if (!UserExists(sharedUserId))
+            {
+                _logger.LogWarning("User {UserId} in the share list of universe '{UniverseKey}' does not exist, skipping",
+                    sharedUserId, universe.Key);
+                continue;
+            }
+
+            shares.Add(new PlaylistUserPermissions(sharedUserId));
+        }
+
+        return new PlaylistAccess(ownerUserId, ownership?.IsPublic ?? true, shares.ToArray());
+    }
+
+    /// <summary>
+    /// Checks whether a playlist already has the desired owner, visibility and share list.
+    /// </summary>
+    /// <param name="playlist">The playlist.</param>
+    /// <param name="access">The desired access settings.</param>
+    /// <returns>True if nothing needs to change.</returns>
+    private static bool AccessMatches(MediaBrowser.Controller.Playlists.Playlist playlist, PlaylistAccess access)
+    {
+        var ownerMatches = access.OwnerUserId == Guid.Empty || playlist.OwnerUserId == access.OwnerUserId;
+        var currentShares = (playlist.Shares ?? Array.Empty<PlaylistUserPermissions>()).Select(s => s.UserId).OrderBy(id => id);
+        var desiredShares = access.Shares.Select(s => s.UserId).OrderBy(id => id);
+
+        return ownerMatches && playlist.OpenAccess == access.IsPublic && currentShares.SequenceEqual(desiredShares);
+    }
+
+    /// <summary>
+    /// Checks whether a Jellyfin user exists. Always true when no user manager is available.
+    /// </summary>
+    /// <param name="userId">The user ID.</param>
+    /// <returns>True if the user exists or cannot be checked.</returns>
+    private bool UserExists(Guid userId)
+    {
+        return _userManager == null || _userManager.GetUserById(userId) != null;
+    }
+
+    /// <summary>
+    /// Builds the LinkedChildren array for a playlist, skipping items that no longer exist.
+    /// </summary>
+    /// <param name="itemIds">The item IDs in playlist order.</param>
+    /// <returns>The LinkedChildren array with both ItemId and Path set.</returns>
+    private LinkedChild[] BuildLinkedChildren(List<Guid> itemIds)
+    {
+        return itemIds
+            .Select(itemId =>
+            {
+                var item = _libraryManager.GetItemById(itemId);
+                if (item == null)
+                {
+                    _logger.LogWarning("Item with ID {ItemId} not found when building LinkedChildren", itemId);
+                    return null;
+                }
+                return new LinkedChild
+                {
+                    ItemId = itemId,
+                    Path = item.Path ?? string.Empty
+                };
+            })
+            .Where(lc => lc != null)
+            .ToArray()!;
+    }
+
+    /// <summary>
+    /// Finds the library items for a universe's timeline items, in the given order.
+    /// </summary>
+    /// <param name="items">The timeline items in playlist order.</param>
     /// <param name="lookupService">The content lookup service.</param>
-    /// <returns>A tuple containing found item IDs and missing item descriptions.</returns>
-    private (List<Guid> foundItemIds, List<string> missingItems) FindPlaylistItems(
-        Universe universe,
+    /// <returns>A tuple containing found item IDs, missing item descriptions and the items found by title only.</returns>
+    private (List<Guid> foundItemIds, List<string> missingItems, List<TitleMatchInfo> titleMatches) FindPlaylistItems(
+        List<TimelineItem> items,
         ContentLookupService lookupService)
     {
         var foundItemIds = new List<Guid>();
         var missingItems = new List<string>();
+        var titleMatches = new List<TitleMatchInfo>();
 
-        foreach (var item in universe.Items)
+        for (int index = 0; index < items.Count; index++)
         {
-            var itemId = lookupService.FindItemByProviderId(item.ProviderId, item.ProviderName, item.Type);
+            var item = items[index];
+
+            // Series and season items expand into several episodes
+            var itemIds = lookupService.ResolveTimelineItem(item, out var titleMatch);
 
-            if (itemId.HasValue)
+            if (itemIds.Count > 0)
             {
-                foundItemIds.Add(itemId.Value);
-                _logger.LogDebug("Found item: {Provider}:{ProviderId} ({Type})",
-                    item.ProviderName, item.ProviderId, item.Type);
+                foundItemIds.AddRange(itemIds);
+                if (titleMatch != null)
+                {
+                    titleMatches.Add(ProviderMatchingService.CreateTitleMatchInfo(index, item, titleMatch));
+                }
+
+                _logger.LogDebug("Found {Count} item(s) for: {Provider}:{ProviderId} ({Type})",
+                    itemIds.Count, item.ProviderName, item.ProviderId, item.Type);
             }
             else
             {
                 // For missing items, create a descriptive string
                 // In a future enhancement, we could fetch the name from TMDB here
-                var seasonSuffix = item.Season.HasValue ? $" S{item.Season.Value}" : "";
-                var missingDescription = $"{item.Type} - {item.ProviderName}:{item.ProviderId}{seasonSuffix}";
+                var scopeSuffix = string.IsNullOrEmpty(item.ScopeLabel) ? "" : $" {item.ScopeLabel}";
+                var titleSuffix = string.IsNullOrWhiteSpace(item.Title) ? "" : $" ({item.Title})";
+                var missingDescription = $"{item.Type} - {item.ProviderName}:{item.ProviderId}{scopeSuffix}{titleSuffix}";
                 missingItems.Add(missingDescription);
                 
                 _logger.LogDebug("Item not found: {Provider}:{ProviderId} ({Type})",
@@ -337,6 +626,14 @@ public class PlaylistCreationService
             }
         }
 
-        return (foundItemIds, missingItems);
+        return (foundItemIds, missingItems, titleMatches);
     }
+
+    /// <summary>
+    /// Owner, visibility and share list of a generated playlist.
+    /// </summary>
+    /// <param name="OwnerUserId">The owning user, or <see cref="Guid.Empty"/> if unknown.</param>
+    /// <param name="IsPublic">Whether every user can see the playlist.</param>
+    /// <param name="Shares">The users the playlist is shared with.</param>
+    private readonly record struct PlaylistAccess(Guid OwnerUserId, bool IsPublic, PlaylistUserPermissions[] Shares);
 }
@@ -0,0 +1,393 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Data.Enums;
+using Jellyfin.Plugin.TimelineManager.Models;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Library;
+using MediaBrowser.Controller.Playlists;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service that refreshes universe playlists automatically (scheduled task, library scans and new library items)
+/// and records each run in the refresh history.
+/// </summary>
+public class PlaylistRefreshService
+{
+    // Scheduled runs and library-scan runs must not rewrite the same playlists concurrently
+    private static readonly SemaphoreSlim RunLock = new(1, 1);
+
+    private readonly ILogger<PlaylistRefreshService> _logger;
+    private readonly ILibraryManager _libraryManager;
+    private readonly IPlaylistManager _playlistManager;
+    private readonly IUserManager _userManager;
+    private readonly UniverseManagementService _universeManagementService;
+    private readonly PlaylistTrackingService _playlistTrackingService;
+    private readonly RefreshHistoryService _refreshHistoryService;
+    private readonly ContentLookupService _contentLookupService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PlaylistRefreshService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="libraryManager">The library manager.</param>
+    /// <param name="playlistManager">The playlist manager.</param>
+    /// <param name="userManager">The user manager.</param>
+    /// <param name="universeManagementService">The universe management service.</param>
+    /// <param name="playlistTrackingService">The playlist tracking service.</param>
+    /// <param name="refreshHistoryService">The refresh history service.</param>
+    /// <param name="contentLookupService">The shared library lookup index.</param>
+    public PlaylistRefreshService(
+        ILogger<PlaylistRefreshService> logger,
+        ILibraryManager libraryManager,
+        IPlaylistManager playlistManager,
+        IUserManager userManager,
+        UniverseManagementService universeManagementService,
+        PlaylistTrackingService playlistTrackingService,
+        RefreshHistoryService refreshHistoryService,
+        ContentLookupService contentLookupService)
+    {
+        _logger = logger;
+        _libraryManager = libraryManager;
+        _playlistManager = playlistManager;
+        _userManager = userManager;
+        _universeManagementService = universeManagementService;
+        _playlistTrackingService = playlistTrackingService;
+        _refreshHistoryService = refreshHistoryService;
+        _contentLookupService = contentLookupService;
+    }
+
+    /// <summary>
+    /// Refreshes the playlists of the given universes one at a time and records the run.
+    /// </summary>
+    /// <param name="filenames">The universe filenames to refresh.</param>
+    /// <param name="trigger">What started the run ("scheduled", "library-scan" or "library-change").</param>
+    /// <param name="progress">Optional progress reporter (0-100).</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>The recorded run.</returns>
+    public async Task<RefreshRun> RefreshUniversesAsync(
+        IReadOnlyList<string> filenames,
+        string trigger,
+        IProgress<double>? progress,
+        CancellationToken cancellationToken)
+    {
+        await RunLock.WaitAsync(cancellationToken);
+        var run = new RefreshRun
+        {
+            StartedAt = DateTime.UtcNow,
+            Trigger = trigger
+        };
+
+        try
+        {
+            _logger.LogInformation("[PlaylistRefresh] Refreshing {Count} universe(s) ({Trigger})", filenames.Count, trigger);
+
+            // Universes without an owner setting get playlists owned by the first administrator
+            var defaultOwnerId = _userManager.Users
+                .FirstOrDefault(u => u.HasPermission(PermissionKind.IsAdministrator))?.Id ?? Guid.Empty;
+            if (defaultOwnerId == Guid.Empty)
+            {
+                _logger.LogWarning("[PlaylistRefresh] No administrator found; only universes with an owner can be processed");
+            }
+
+            foreach (var filename in filenames)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                try
+                {
+                    if (!await RefreshUniverseAsync(filename, defaultOwnerId, run))
+                    {
+                        run.UniversesFailed++;
+                    }
+                }
+                catch (Exception ex)
+                {
+                    run.UniversesFailed++;
+                    run.Failures.Add($"{filename}: {ex.Message}");
+                    _logger.LogError(ex, "[PlaylistRefresh] Error processing universe {Filename}: {Message}", filename, ex.Message);
+                }
+                finally
+                {
+                    run.UniversesProcessed++;
+                    progress?.Report((double)run.UniversesProcessed / filenames.Count * 100);
+                }
+            }
+
+            _logger.LogInformation("[PlaylistRefresh] Run completed. Processed: {Total}, Changed: {Changed}, Failed: {Failed}",
+                run.UniversesProcessed, run.ChangedPlaylists.Count, run.UniversesFailed);
+        }
+        catch (OperationCanceledException)
+        {
+            run.Failures.Add("Run was cancelled");
+            throw;
+        }
+        finally
+        {
+            run.FinishedAt = DateTime.UtcNow;
+            try
+            {
+                await _refreshHistoryService.AddRunAsync(run);
+            }
+            finally
+            {
+                // Never leave the lock held, or every later refresh would wait forever
+                RunLock.Release();
+            }
+        }
+
+        return run;
+    }
+
+    /// <summary>
+    /// Inserts new library items into existing universe playlists at the position their universe gives them,
+    /// and records the run. The rest of each playlist is left as it is, so entries added, removed or moved
+    /// in Jellyfin itself are kept.
+    /// </summary>
+    /// <param name="insertions">The items to insert, per tracked playlist.</param>
+    /// <param name="trigger">What started the run (usually "library-change").</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>The recorded run.</returns>
+    public async Task<RefreshRun> InsertItemsAsync(
+        IReadOnlyList<PlaylistInsertion> insertions,
+        string trigger,
+        CancellationToken cancellationToken)
+    {
+        await RunLock.WaitAsync(cancellationToken);
+        var run = new RefreshRun
+        {
+            StartedAt = DateTime.UtcNow,
+            Trigger = trigger
+        };
+
+        try
+        {
+            _logger.LogInformation("[PlaylistRefresh] Inserting new items into {Count} playlist(s) ({Trigger})", insertions.Count, trigger);
+
+            var universeFilenames = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            var failedFilenames = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var insertion in insertions)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                var filename = insertion.Universe.Filename ?? insertion.Universe.Key;
+                universeFilenames.Add(filename);
+                try
+                {
+                    await InsertIntoPlaylistAsync(insertion, run);
+                }
+                catch (Exception ex)
+                {
+                    failedFilenames.Add(filename);
+                    run.Failures.Add($"{insertion.Universe.Name}: {ex.Message}");
+                    _logger.LogError(ex, "[PlaylistRefresh] Error inserting items into playlist '{Name}': {Message}",
+                        insertion.TrackedPlaylist.PlaylistName, ex.Message);
+                }
+            }
+
+            run.UniversesProcessed = universeFilenames.Count;
+            run.UniversesFailed = failedFilenames.Count;
+
+            _logger.LogInformation("[PlaylistRefresh] Run completed. Processed: {Total}, Changed: {Changed}, Failed: {Failed}",
+                run.UniversesProcessed, run.ChangedPlaylists.Count, run.UniversesFailed);
+        }
+        catch (OperationCanceledException)
+        {
+            run.Failures.Add("Run was cancelled");
+            throw;
+        }
+        finally
+        {
+            run.FinishedAt = DateTime.UtcNow;
+            try
+            {
+                await _refreshHistoryService.AddRunAsync(run);
+            }
+            finally
+            {
+                RunLock.Release();
+            }
+        }
+
+        return run;
+    }
+
+    /// <summary>
+    /// Refreshes the playlists of all orderings of a single universe and adds the outcome to the run.
+    /// </summary>
+    /// <param name="filename">The universe filename.</param>
+    /// <param name="defaultOwnerId">The owner for universes without an owner setting.</param>
+    /// <param name="run">The run to add the outcome to.</param>
+    /// <returns>True if the universe's playlists were updated, even if some orderings failed; false if the universe failed.</returns>
+    private async Task<bool> RefreshUniverseAsync(string filename, Guid defaultOwnerId, RefreshRun run)
+    {
+        // Jellyfin requires an owner; the universe's own owner setting takes precedence
+        var universe = await _universeManagementService.GetUniverseAsync(filename);
+        if (universe == null)
+        {
+            run.Failures.Add($"{filename}: universe file could not be loaded");
+            return false;
+        }
+
+        var hasOwner = universe.Ownership?.OwnerUserId is Guid ownerUserId && ownerUserId != Guid.Empty;
+        if (!hasOwner && defaultOwnerId == Guid.Empty)
+        {
+            run.Failures.Add($"{universe.Name}: no owner set and no administrator exists to own the playlist");
+            _logger.LogError("[PlaylistRefresh] Universe '{Name}' has no owner and no administrator exists to own its playlist. Set an owner in the plugin settings.",
+                universe.Name);
+            return false;
+        }
+
+        _logger.LogInformation("[PlaylistRefresh] Processing universe '{Name}'", universe.Name);
+
+        var playlistService = new PlaylistCreationService(
+            LoggerFactory.Create(builder => builder.AddConsole()).CreateLogger<PlaylistCreationService>(),
+            _playlistManager,
+            _libraryManager,
+            userId: defaultOwnerId,
+            selectedUniverseFilenames: new List<string> { filename },
+            playlistTrackingService: _playlistTrackingService,
+            userManager: _userManager,
+            contentLookupService: _contentLookupService);
+
+        var response = await playlistService.CreatePlaylistsAsync();
+
+        if (!response.Success)
+        {
+            run.Failures.Add($"{universe.Name}: {string.Join(", ", response.Errors)}");
+            _logger.LogError("[PlaylistRefresh] Failed to update playlist for universe '{Name}': {Errors}",
+                universe.Name, string.Join(", ", response.Errors));
+            return false;
+        }
+
+        foreach (var playlistResult in response.Playlists)
+        {
+            if (playlistResult.Action != "unchanged")
+            {
+                run.ChangedPlaylists.Add(playlistResult.Name);
+            }
+
+            run.ItemsAdded += playlistResult.AddedCount;
+            run.ItemsRemoved += playlistResult.RemovedCount;
+
+            _logger.LogInformation("[PlaylistRefresh] Playlist '{Name}' {Action}. Items: {Count} (+{Added}/-{Removed})",
+                playlistResult.Name, playlistResult.Action, playlistResult.ItemsAdded, playlistResult.AddedCount, playlistResult.RemovedCount);
+        }
+
+        // Some orderings of the universe may have failed while others succeeded
+        if (response.Errors.Count > 0)
+        {
+            run.Failures.Add($"{universe.Name}: {string.Join(", ", response.Errors)}");
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Inserts the items of one insertion into its playlist and adds the outcome to the run.
+    /// Each item goes right after the closest entry the universe puts before it, or right before the closest
+    /// entry it puts after it if none of the earlier ones are in the playlist.
+    /// </summary>
+    /// <param name="insertion">The playlist and the items to insert.</param>
+    /// <param name="run">The run to add the outcome to.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    private async Task InsertIntoPlaylistAsync(PlaylistInsertion insertion, RefreshRun run)
+    {
+        var trackedPlaylist = insertion.TrackedPlaylist;
+        if (_libraryManager.GetItemById(trackedPlaylist.PlaylistId) is not Playlist playlist)
+        {
+            run.Failures.Add($"{insertion.Universe.Name}: playlist '{trackedPlaylist.PlaylistName}' no longer exists");
+            return;
+        }
+
+        // The library items of the playlist's ordering, in the order the universe gives them
+        var ordering = insertion.Universe.FindOrdering(trackedPlaylist.OrderingKey);
+        var universeItemIds = insertion.Universe.GetPlaylistItems(ordering)
+            .SelectMany(item => _contentLookupService.ResolveTimelineItem(item))
+            .ToList();
+
+        var linkedChildren = playlist.LinkedChildren.ToList();
+        var insertedCount = 0;
+        foreach (var itemId in insertion.ItemIds)
+        {
+            var universePosition = universeItemIds.IndexOf(itemId);
+            if (universePosition < 0 ||
+                linkedChildren.Any(lc => lc.ItemId == itemId) ||
+                _libraryManager.GetItemById(itemId) is not BaseItem item)
+            {
+                continue;
+            }
+
+            linkedChildren.Insert(
+                FindInsertIndex(linkedChildren, universeItemIds, universePosition),
+                new LinkedChild
+                {
+                    ItemId = itemId,
+                    Path = item.Path ?? string.Empty
+                });
+            insertedCount++;
+        }
+
+        if (insertedCount == 0)
+        {
+            return;
+        }
+
+        playlist.LinkedChildren = linkedChildren.ToArray();
+        await playlist.UpdateToRepositoryAsync(ItemUpdateType.MetadataEdit, CancellationToken.None);
+
+        run.ChangedPlaylists.Add(playlist.Name);
+        run.ItemsAdded += insertedCount;
+
+        _logger.LogInformation("[PlaylistRefresh] Inserted {Count} item(s) into playlist '{Name}'", insertedCount, playlist.Name);
+    }
+
+    /// <summary>
+    /// Finds where in a playlist an item belongs, using the entries the universe puts around it.
+    /// </summary>
+    /// <param name="linkedChildren">The current playlist entries.</param>
+    /// <param name="universeItemIds">The library items of the universe, in universe order.</param>
+    /// <param name="universePosition">The position of the item in <paramref name="universeItemIds"/>.</param>
+    /// <returns>The index to insert the item at; the end of the playlist if no neighbour is in it.</returns>
+    private static int FindInsertIndex(List<LinkedChild> linkedChildren, List<Guid> universeItemIds, int universePosition)
+    {
+        var playlistIndexes = new Dictionary<Guid, (int First, int Last)>();
+        for (int i = 0; i < linkedChildren.Count; i++)
+        {
+            if (linkedChildren[i].ItemId is Guid childId)
+            {
+                playlistIndexes[childId] = playlistIndexes.TryGetValue(childId, out var indexes) ? (indexes.First, i) : (i, i);
+            }
+        }
+
+        for (int i = universePosition - 1; i >= 0; i--)
+        {
+            if (playlistIndexes.TryGetValue(universeItemIds[i], out var indexes))
+            {
+                return indexes.Last + 1;
+            }
+        }
+
+        for (int i = universePosition + 1; i < universeItemIds.Count; i++)
+        {
+            if (playlistIndexes.TryGetValue(universeItemIds[i], out var indexes))
+            {
+                return indexes.First;
+            }
+        }
+
+        return linkedChildren.Count;
+    }
+}
+
+/// <summary>
+/// New library items to insert into one tracked universe playlist.
+/// </summary>
+/// <param name="Universe">The universe that references the items.</param>
+/// <param name="TrackedPlaylist">The playlist of one of the universe's orderings.</param>
+/// <param name="ItemIds">The library items to insert.</param>
+public sealed record PlaylistInsertion(Universe Universe, TrackedPlaylist TrackedPlaylist, IReadOnlyList<Guid> ItemIds);
@@ -0,0 +1,591 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.TV;
+using MediaBrowser.Controller.Library;
+using MediaBrowser.Controller.Playlists;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for pulling changes made to a timeline playlist in Jellyfin (removed, added or reordered items)
+/// back into the universe that produced it, so the next refresh doesn't overwrite them.
+/// </summary>
+public class PlaylistSyncService
+{
+    private readonly ILogger<PlaylistSyncService> _logger;
+    private readonly ILibraryManager _libraryManager;
+    private readonly UniverseManagementService _universeManagementService;
+    private readonly PlaylistTrackingService _playlistTrackingService;
+    private readonly ContentLookupService _contentLookupService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PlaylistSyncService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="libraryManager">The Jellyfin library manager.</param>
+    /// <param name="universeManagementService">The universe management service.</param>
+    /// <param name="playlistTrackingService">The service that links playlists to universes.</param>
+    /// <param name="contentLookupService">The shared library lookup index.</param>
+    public PlaylistSyncService(
+        ILogger<PlaylistSyncService> logger,
+        ILibraryManager libraryManager,
+        UniverseManagementService universeManagementService,
+        PlaylistTrackingService playlistTrackingService,
+        ContentLookupService contentLookupService)
+    {
+        _logger = logger;
+        _libraryManager = libraryManager;
+        _universeManagementService = universeManagementService;
+        _playlistTrackingService = playlistTrackingService;
+        _contentLookupService = contentLookupService;
+    }
+
+    /// <summary>
+    /// Compares a playlist with its universe. Nothing is written.
+    /// </summary>
+    /// <param name="playlistId">The Jellyfin item ID of the playlist.</param>
+    /// <returns>The differences, or a preview with <see cref="PlaylistSyncPreview.Error"/> set.</returns>
+    public async Task<PlaylistSyncPreview> PreviewAsync(Guid playlistId)
+    {
+        var comparison = await CompareAsync(playlistId);
+        return comparison.Preview;
+    }
+
+    /// <summary>
+    /// Writes accepted playlist changes back to the universe file. The playlist is compared again first,
+    /// so changes that no longer match the playlist or the universe are skipped.
+    /// </summary>
+    /// <param name="playlistId">The Jellyfin item ID of the playlist.</param>
+    /// <param name="request">The accepted additions, removals and whether to apply the playlist order.</param>
+    /// <returns>The number of items added and removed, and any errors.</returns>
+    public async Task<PlaylistSyncResult> ApplyAsync(Guid playlistId, PlaylistSyncRequest request)
+    {
+        var result = new PlaylistSyncResult();
+
+        var comparison = await CompareAsync(playlistId);
+        var preview = comparison.Preview;
+        if (preview.Error != null || comparison.Universe == null)
+        {
+            result.Errors.Add(preview.Error ?? "The playlist could not be compared with its universe");
+            return result;
+        }
+
+        var universe = comparison.Universe;
+
+        var additions = new List<SyncEntry>();
+        foreach (var libraryItemId in (request.AddLibraryItemIds ?? new List<Guid>()).Distinct())
+        {
+            var entry = comparison.Sequence.FirstOrDefault(e => e.Addition != null && e.Addition.LibraryItemId == libraryItemId);
+            if (entry == null)
+            {
+                result.Errors.Add($"Library item {libraryItemId} is no longer an addition, compare again");
+                continue;
+            }
+
+            additions.Add(entry);
+        }
+
+        var removals = new HashSet<TimelineItem>();
+        foreach (var removal in request.Remove ?? new List<PlaylistSyncItem>())
+        {
+            var match = preview.Removed.FirstOrDefault(r => r.Index == removal.Index &&
+                string.Equals(r.OrderKey, removal.OrderKey, StringComparison.OrdinalIgnoreCase));
+            if (match == null)
+            {
+                result.Errors.Add($"Item {removal.Index + 1} ({removal.OrderKey}) changed since the comparison, compare again");
+                continue;
+            }
+
+            removals.Add(universe.Items[match.Index]);
+        }
+
+        var applyOrder = request.ApplyOrder && preview.Moved.Count > 0;
+        if (additions.Count == 0 && removals.Count == 0 && !applyOrder)
+        {
+            result.Success = result.Errors.Count == 0;
+            return result;
+        }
+
+        var ordering = comparison.Ordering;
+        var orderedItems = universe.GetOrderedItems(ordering);
+        var acceptedAdditions = new HashSet<SyncEntry>(additions);
+        var newOrder = applyOrder
+            ? MergeInPlaylistOrder(orderedItems, comparison.Sequence, acceptedAdditions)
+            : MergeInUniverseOrder(orderedItems, comparison.Sequence, acceptedAdditions);
+        newOrder.RemoveAll(removals.Contains);
+
+        if (ordering == null)
+        {
+            universe.Items = newOrder;
+        }
+        else
+        {
+            // Alternate orderings share the items list; new items join it at the end
+            universe.Items.RemoveAll(removals.Contains);
+            universe.Items.AddRange(additions.Select(a => a.Item));
+            ordering.Order = newOrder.Select(i => i.OrderKey).ToList();
+        }
+
+        RemoveStaleOrderKeys(universe, removals, ordering);
+
+        var saveResult = await _universeManagementService.SaveUniverseAsync(preview.Filename, universe);
+        if (!saveResult.Success)
+        {
+            result.Errors.AddRange(saveResult.Errors);
+            return result;
+        }
+
+        result.Added = additions.Count;
+        result.Removed = removals.Count;
+        result.Reordered = applyOrder;
+        result.Success = result.Errors.Count == 0;
+
+        _logger.LogInformation("Pulled changes from playlist '{PlaylistName}' into {Filename}: {Added} added, {Removed} removed, order {OrderAction}",
+            preview.PlaylistName, preview.Filename, result.Added, result.Removed, applyOrder ? "applied" : "kept");
+        return result;
+    }
+
+    /// <summary>
+    /// Loads a tracked playlist and its universe and maps every playlist entry back to a universe item.
+    /// </summary>
+    /// <param name="playlistId">The Jellyfin item ID of the playlist.</param>
+    /// <returns>The comparison.</returns>
+    private async Task<SyncComparison> CompareAsync(Guid playlistId)
+    {
+        var comparison = new SyncComparison();
+        var preview = comparison.Preview;
+        preview.PlaylistId = playlistId;
+
+        var trackedPlaylist = (await _playlistTrackingService.GetAllAsync()).FirstOrDefault(p => p.PlaylistId == playlistId);
+        if (trackedPlaylist == null)
+        {
+            preview.Error = "This playlist was not generated from a universe";
+            return comparison;
+        }
+
+        preview.PlaylistName = trackedPlaylist.PlaylistName;
+
+        if (_libraryManager.GetItemById(playlistId) is not Playlist playlist)
+        {
+            preview.Error = $"Playlist '{trackedPlaylist.PlaylistName}' no longer exists";
+            return comparison;
+        }
+
+        preview.PlaylistName = playlist.Name;
+
+        var filename = await FindUniverseFilenameAsync(trackedPlaylist);
+        var universe = filename == null ? null : await _universeManagementService.GetUniverseAsync(filename);
+        if (filename == null || universe == null)
+        {
+            preview.Error = $"Universe '{trackedPlaylist.UniverseKey}' not found or invalid";
+            return comparison;
+        }
+
+        var ordering = universe.FindOrdering(trackedPlaylist.OrderingKey);
+        if (ordering == null && !string.IsNullOrEmpty(trackedPlaylist.OrderingKey) &&
+            !string.Equals(trackedPlaylist.OrderingKey, UniverseOrdering.DefaultKey, StringComparison.OrdinalIgnoreCase))
+        {
+            preview.Error = $"Universe '{universe.Name}' no longer has the ordering '{trackedPlaylist.OrderingKey}'";
+            return comparison;
+        }
+
+        comparison.Universe = universe;
+        comparison.Ordering = ordering;
+        preview.Filename = filename;
+        preview.UniverseName = universe.Name;
+        preview.OrderingName = ordering?.Name;
+
+        var lookupService = _contentLookupService;
+        lookupService.EnsureLookupTables();
+
+        // Which universe items each library item stands for; a movie listed twice claims two playlist entries
+        var playlistItems = universe.GetPlaylistItems(ordering);
+        var resolvedIds = new Dictionary<TimelineItem, List<Guid>>(ReferenceEqualityComparer.Instance);
+        var claims = new Dictionary<Guid, List<TimelineItem>>();
+        foreach (var item in playlistItems)
+        {
+            var itemIds = lookupService.ResolveTimelineItem(item);
+            resolvedIds[item] = itemIds;
+            foreach (var itemId in itemIds.Distinct())
+            {
+                if (!claims.TryGetValue(itemId, out var claimingItems))
+                {
+                    claimingItems = new List<TimelineItem>();
+                    claims[itemId] = claimingItems;
+                }
+
+                claimingItems.Add(item);
+            }
+        }
+
+        var playlistItemIds = playlist.LinkedChildren
+            .Where(lc => lc.ItemId.HasValue)
+            .Select(lc => lc.ItemId!.Value)
+            .ToList();
+
+        // Each universe item takes its position from its first entry in the playlist
+        var occurrences = new Dictionary<Guid, int>();
+        var placed = new HashSet<TimelineItem>(ReferenceEqualityComparer.Instance);
+        var foundIds = new Dictionary<TimelineItem, HashSet<Guid>>(ReferenceEqualityComparer.Instance);
+        for (int position = 0; position < playlistItemIds.Count; position++)
+        {
+            var itemId = playlistItemIds[position];
+            occurrences.TryGetValue(itemId, out var occurrence);
+            occurrences[itemId] = occurrence + 1;
+
+            if (claims.TryGetValue(itemId, out var claimingItems))
+            {
+                if (occurrence >= claimingItems.Count)
+                {
+                    // Extra copy of an item the universe already lists
+                    continue;
+                }
+
+                var item = claimingItems[occurrence];
+                if (!foundIds.TryGetValue(item, out var found))
+                {
+                    found = new HashSet<Guid>();
+                    foundIds[item] = found;
+                }
+
+                found.Add(itemId);
+                if (placed.Add(item))
+                {
+                    comparison.Sequence.Add(new SyncEntry(item, null));
+                }
+
+                continue;
+            }
+
+            if (occurrence > 0)
+            {
+                continue;
+            }
+
+            var libraryItem = _libraryManager.GetItemById(itemId);
+            if (libraryItem == null)
+            {
+                continue;
+            }
+
+            var newItem = CreateTimelineItem(libraryItem);
+            if (newItem == null)
+            {
+                preview.Unmapped.Add(ContentLookupService.GetDisplayTitle(libraryItem));
+                continue;
+            }
+
+            var addition = new PlaylistSyncAddition
+            {
+                LibraryItemId = itemId,
+                Title = ContentLookupService.GetDisplayTitle(libraryItem),
+                Position = position + 1,
+                Item = newItem
+            };
+            preview.Added.Add(addition);
+            comparison.Sequence.Add(new SyncEntry(newItem, addition));
+        }
+
+        foreach (var item in playlistItems)
+        {
+            var itemIds = resolvedIds[item];
+            if (itemIds.Count == 0)
+            {
+                // Not in the library, so the playlist never had it
+                continue;
+            }
+
+            var syncItem = new PlaylistSyncItem
+            {
+                Index = universe.Items.IndexOf(item),
+                OrderKey = item.OrderKey,
+                Title = lookupService.GetTimelineItemTitle(item, itemIds)
+            };
+
+            if (!placed.Contains(item))
+            {
+                preview.Removed.Add(syncItem);
+            }
+            else if (foundIds[item].Count < itemIds.Distinct().Count())
+            {
+                syncItem.Detail = $"{foundIds[item].Count} of {itemIds.Distinct().Count()} episodes left in the playlist";
+                preview.PartiallyRemoved.Add(syncItem);
+            }
+        }
+
+        // Moved items are those outside the longest common order of the items both sides have
+        var placedInUniverseOrder = playlistItems.Where(placed.Contains).ToList();
+        var placedInPlaylistOrder = comparison.Sequence.Where(e => e.Addition == null).Select(e => e.Item).ToList();
+        var movedKeys = UniverseHistoryService.FindMovedKeys(
+            placedInUniverseOrder.Select(i => i.OrderKey).ToList(),
+            placedInPlaylistOrder.Select(i => i.OrderKey).ToList());
+
+        foreach (var movedKey in movedKeys.Distinct(StringComparer.OrdinalIgnoreCase))
+        {
+            var item = placedInPlaylistOrder.First(i => string.Equals(i.OrderKey, movedKey, StringComparison.OrdinalIgnoreCase));
+            preview.Moved.Add(new PlaylistSyncItem
+            {
+                Index = universe.Items.IndexOf(item),
+                OrderKey = item.OrderKey,
+                Title = lookupService.GetTimelineItemTitle(item, resolvedIds[item])
+            });
+        }
+
+        return comparison;
+    }
+
+    /// <summary>
+    /// Finds the universe file of a tracked playlist, by filename or, if the file was renamed, by universe key.
+    /// </summary>
+    /// <param name="trackedPlaylist">The tracked playlist.</param>
+    /// <returns>The filename, or null if no universe has the key.</returns>
+    private async Task<string?> FindUniverseFilenameAsync(TrackedPlaylist trackedPlaylist)
+    {
+        var universes = await _universeManagementService.GetAllUniversesAsync();
+        var byFilename = universes.FirstOrDefault(u =>
+            string.Equals(u.Filename, trackedPlaylist.UniverseFilename, StringComparison.OrdinalIgnoreCase) &&
+            string.Equals(u.Key, trackedPlaylist.UniverseKey, StringComparison.OrdinalIgnoreCase));
+
+        return byFilename?.Filename ?? universes
+            .FirstOrDefault(u => string.Equals(u.Key, trackedPlaylist.UniverseKey, StringComparison.OrdinalIgnoreCase))?.Filename;
+    }
+
+    /// <summary>
+    /// Builds the new order with the universe items in playlist order. Items the playlist doesn't have
+    /// (not in the library, optional items left out, or removals that weren't accepted) stay right after
+    /// the item they followed before.
+    /// </summary>
+    /// <param name="orderedItems">The universe items in their current order.</param>
+    /// <param name="sequence">The universe items and additions in playlist order.</param>
+    /// <param name="acceptedAdditions">The additions to include.</param>
+    /// <returns>The items in their new order.</returns>
+    private static List<TimelineItem> MergeInPlaylistOrder(
+        List<TimelineItem> orderedItems,
+        List<SyncEntry> sequence,
+        HashSet<SyncEntry> acceptedAdditions)
+    {
+        var inSequence = new HashSet<TimelineItem>(
+            sequence.Where(e => e.Addition == null).Select(e => e.Item),
+            ReferenceEqualityComparer.Instance);
+
+        var followers = new Dictionary<TimelineItem, List<TimelineItem>>(ReferenceEqualityComparer.Instance);
+        var leading = new List<TimelineItem>();
+        TimelineItem? anchor = null;
+        foreach (var item in orderedItems)
+        {
+            if (inSequence.Contains(item))
+            {
+                anchor = item;
+            }
+            else if (anchor == null)
+            {
+                leading.Add(item);
+            }
+            else
+            {
+                if (!followers.TryGetValue(anchor, out var list))
+                {
+                    list = new List<TimelineItem>();
+                    followers[anchor] = list;
+                }
+
+                list.Add(item);
+            }
+        }
+
+        var result = new List<TimelineItem>(leading);
+        foreach (var entry in sequence)
+        {
+            if (entry.Addition != null)
+            {
+                if (acceptedAdditions.Contains(entry))
+                {
+                    result.Add(entry.Item);
+                }
+
+                continue;
+            }
+
+            result.Add(entry.Item);
+            if (followers.TryGetValue(entry.Item, out var list))
+            {
+                result.AddRange(list);
+            }
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Builds the new order keeping the universe order, with each accepted addition placed after the
+    /// universe item it follows in the playlist.
+    /// </summary>
+    /// <param name="orderedItems">The universe items in their current order.</param>
+    /// <param name="sequence">The universe items and additions in playlist order.</param>
+    /// <param name="acceptedAdditions">The additions to include.</param>
+    /// <returns>The items in their new order.</returns>
+    private static List<TimelineItem> MergeInUniverseOrder(
+        List<TimelineItem> orderedItems,
+        List<SyncEntry> sequence,
+        HashSet<SyncEntry> acceptedAdditions)
+    {
+        var followers = new Dictionary<TimelineItem, List<TimelineItem>>(ReferenceEqualityComparer.Instance);
+        var leading = new List<TimelineItem>();
+        TimelineItem? anchor = null;
+        foreach (var entry in sequence)
+        {
+            if (entry.Addition == null)
+            {
+                anchor = entry.Item;
+            }
+            else if (!acceptedAdditions.Contains(entry))
+            {
+                continue;
+            }
+            else if (anchor == null)
+            {
+                leading.Add(entry.Item);
+            }
+            else
+            {
+                if (!followers.TryGetValue(anchor, out var list))
+                {
+                    list = new List<TimelineItem>();
+                    followers[anchor] = list;
+                }
+
+                list.Add(entry.Item);
+            }
+        }
+
+        var result = new List<TimelineItem>(leading);
+        foreach (var item in orderedItems)
+        {
+            result.Add(item);
+            if (followers.TryGetValue(item, out var list))
+            {
+                result.AddRange(list);
+            }
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Drops the order keys of removed items from the orderings that still list them, unless another item has the same key.
+    /// </summary>
+    /// <param name="universe">The universe, with the removed items already taken out.</param>
+    /// <param name="removals">The removed items.</param>
+    /// <param name="rewrittenOrdering">The ordering whose order was already rebuilt, if any.</param>
+    private static void RemoveStaleOrderKeys(Universe universe, HashSet<TimelineItem> removals, UniverseOrdering? rewrittenOrdering)
+    {
+        if (universe.Orderings == null || removals.Count == 0)
+        {
+            return;
+        }
+
+        foreach (var removedKey in removals.Select(i => i.OrderKey).Distinct(StringComparer.OrdinalIgnoreCase))
+        {
+            var remaining = universe.Items.Count(i => string.Equals(i.OrderKey, removedKey, StringComparison.OrdinalIgnoreCase));
+            foreach (var ordering in universe.Orderings.Where(o => o != rewrittenOrdering && o.Order != null))
+            {
+                var listed = ordering.Order.Count(k => string.Equals(k, removedKey, StringComparison.OrdinalIgnoreCase));
+                for (int i = ordering.Order.Count - 1; i >= 0 && listed > remaining; i--)
+                {
+                    if (string.Equals(ordering.Order[i], removedKey, StringComparison.OrdinalIgnoreCase))
+                    {
+                        ordering.Order.RemoveAt(i);
+                        listed--;
+                    }
+                }
+            }
+        }
+    }
+
+    /// <summary>
+    /// Creates a timeline item for a library movie or episode from its provider IDs, preferring the providers
+    /// in <see cref="ProviderRegistry"/> order; the item's other IDs are kept as alternate IDs.
+    /// Episodes are stored like episodes picked from TMDB: their own ID plus the series ID, season and episode number,
+    /// so they use the first provider that has an ID for both the episode and its series.
+    /// </summary>
+    /// <param name="libraryItem">The library item.</param>
+    /// <returns>
+    /// The timeline item, or null if the item isn't a movie or episode, has no usable ID,
+    /// or is an episode whose series has no ID from the same provider.
+    /// </returns>
+    private static TimelineItem? CreateTimelineItem(BaseItem libraryItem)
+    {
+        if (libraryItem is not Episode && libraryItem is not MediaBrowser.Controller.Entities.Movies.Movie)
+        {
+            return null;
+        }
+
+        var providerIds = ProviderRegistry.GetProviderIds(libraryItem);
+        var primaryIndex = providerIds.Count > 0 ? 0 : -1;
+        string? seriesId = null;
+
+        if (libraryItem is Episode episode)
+        {
+            // An episode item without its series ID could only be found by its own ID
+            primaryIndex = -1;
+            var seriesProviderIds = episode.Series?.ProviderIds;
+            for (var i = 0; i < providerIds.Count && seriesProviderIds != null; i++)
+            {
+                if (seriesProviderIds.TryGetValue(providerIds[i].Provider.JellyfinKey, out var id) && !string.IsNullOrWhiteSpace(id))
+                {
+                    primaryIndex = i;
+                    seriesId = id;
+                    break;
+                }
+            }
+        }
+
+        if (primaryIndex < 0)
+        {
+            return null;
+        }
+
+        var (provider, providerId) = providerIds[primaryIndex];
+        providerIds.RemoveAt(primaryIndex);
+
+        var item = new TimelineItem
+        {
+            ProviderId = providerId,
+            ProviderName = provider.Name,
+            Type = libraryItem is Episode ? "episode" : "movie",
+            AlternateIds = providerIds.Count > 0
+                ? providerIds.ToDictionary(p => p.Provider.Name, p => p.Id)
+                : null
+        };
+
+        if (libraryItem is Episode numberedEpisode && numberedEpisode.ParentIndexNumber.HasValue && numberedEpisode.IndexNumber.HasValue)
+        {
+            item.SeriesId = seriesId;
+            item.Season = numberedEpisode.ParentIndexNumber;
+            item.EpisodeStart = numberedEpisode.IndexNumber;
+            item.EpisodeEnd = numberedEpisode.IndexNumber;
+        }
+
+        return item;
+    }
+
+    // A universe item or proposed addition at its position in the playlist
+    private sealed record SyncEntry(TimelineItem Item, PlaylistSyncAddition? Addition);
+
+    // The universe, the ordering the playlist follows and the playlist mapped onto it
+    private sealed class SyncComparison
+    {
+        public PlaylistSyncPreview Preview { get; } = new();
+
+        public Universe? Universe { get; set; }
+
+        public UniverseOrdering? Ordering { get; set; }
+
+        public List<SyncEntry> Sequence { get; } = new();
+    }
+}
@@ -0,0 +1,246 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for remembering which Jellyfin playlist was generated from which universe,
+/// so that later runs update the same playlist instead of creating duplicates.
+/// </summary>
+public class PlaylistTrackingService
+{
+    // Shared across instances because services are also constructed ad hoc outside of DI
+    private static readonly SemaphoreSlim FileLock = new(1, 1);
+
+    private readonly ILogger<PlaylistTrackingService> _logger;
+    private readonly string _trackingFilePath;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PlaylistTrackingService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="trackingFilePath">The path to the playlist tracking file.</param>
+    public PlaylistTrackingService(
+        ILogger<PlaylistTrackingService> logger,
+        string trackingFilePath = "/config/timeline_manager_playlists.json")
+    {
+        _logger = logger;
+        _trackingFilePath = trackingFilePath;
+    }
+
+    /// <summary>
+    /// Gets all tracked playlists.
+    /// </summary>
+    /// <returns>The list of tracked playlists.</returns>
+    public async Task<List<TrackedPlaylist>> GetAllAsync()
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            return await ReadTrackingFileAsync();
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Gets the tracked playlist for one ordering of a universe.
+    /// </summary>
+    /// <param name="universeKey">The universe key.</param>
+    /// <param name="orderingKey">The ordering key, or null for the universe's items order.</param>
+    /// <returns>The tracked playlist, or null if the ordering has no playlist yet.</returns>
+    public async Task<TrackedPlaylist?> GetByUniverseKeyAsync(string universeKey, string? orderingKey = null)
+    {
+        var trackedPlaylists = await GetAllAsync();
+        return trackedPlaylists.FirstOrDefault(p => Matches(p, universeKey, orderingKey));
+    }
+
+    /// <summary>
+    /// Gets the tracked playlists of all orderings of a universe.
+    /// </summary>
+    /// <param name="universeKey">The universe key.</param>
+    /// <returns>The tracked playlists, empty if the universe has no playlist yet.</returns>
+    public async Task<List<TrackedPlaylist>> GetAllByUniverseKeyAsync(string universeKey)
+    {
+        var trackedPlaylists = await GetAllAsync();
+        return trackedPlaylists
+            .Where(p => string.Equals(p.UniverseKey, universeKey, StringComparison.OrdinalIgnoreCase))
+            .ToList();
+    }
+
+    /// <summary>
+    /// Creates or replaces the tracking entry for one ordering of a universe.
+    /// </summary>
+    /// <param name="trackedPlaylist">The tracking entry to store.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    public async Task SaveAsync(TrackedPlaylist trackedPlaylist)
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            var trackedPlaylists = await ReadTrackingFileAsync();
+            trackedPlaylists.RemoveAll(p => Matches(p, trackedPlaylist.UniverseKey, trackedPlaylist.OrderingKey));
+            trackedPlaylists.Add(trackedPlaylist);
+
+            await WriteTrackingFileAsync(trackedPlaylists);
+            _logger.LogDebug("Tracked playlist {PlaylistId} for universe '{UniverseKey}' ({OrderingKey})",
+                trackedPlaylist.PlaylistId, trackedPlaylist.UniverseKey, trackedPlaylist.OrderingKey ?? UniverseOrdering.DefaultKey);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Removes the tracking entries for all orderings of a universe.
+    /// </summary>
+    /// <param name="universeKey">The universe key.</param>
+    /// <returns>True if an entry was removed, false otherwise.</returns>
+    public async Task<bool> RemoveAsync(string universeKey)
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            var trackedPlaylists = await ReadTrackingFileAsync();
+            var removed = trackedPlaylists.RemoveAll(p =>
+                string.Equals(p.UniverseKey, universeKey, StringComparison.OrdinalIgnoreCase));
+
+            if (removed > 0)
+            {
+                await WriteTrackingFileAsync(trackedPlaylists);
+                _logger.LogInformation("Stopped tracking playlist for universe '{UniverseKey}'", universeKey);
+            }
+
+            return removed > 0;
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Removes the tracking entry of one playlist, so the plugin no longer updates it.
+    /// </summary>
+    /// <param name="playlistId">The Jellyfin item ID of the playlist.</param>
+    /// <returns>The removed entry, or null if the playlist was not tracked.</returns>
+    public async Task<TrackedPlaylist?> RemoveByPlaylistIdAsync(Guid playlistId)
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            var trackedPlaylists = await ReadTrackingFileAsync();
+            var trackedPlaylist = trackedPlaylists.FirstOrDefault(p => p.PlaylistId == playlistId);
+            if (trackedPlaylist == null)
+            {
+                return null;
+            }
+
+            trackedPlaylists.Remove(trackedPlaylist);
+            await WriteTrackingFileAsync(trackedPlaylists);
+            _logger.LogInformation("Stopped tracking playlist '{PlaylistName}' ({PlaylistId}) of universe '{UniverseKey}'",
+                trackedPlaylist.PlaylistName, playlistId, trackedPlaylist.UniverseKey);
+            return trackedPlaylist;
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Checks whether a tracking entry belongs to the given universe ordering.
+    /// Entries without an ordering key belong to the items order.
+    /// </summary>
+    /// <param name="trackedPlaylist">The tracking entry.</param>
+    /// <param name="universeKey">The universe key.</param>
+    /// <param name="orderingKey">The ordering key, or null for the items order.</param>
+    /// <returns>True if the entry belongs to the ordering.</returns>
+    private static bool Matches(TrackedPlaylist trackedPlaylist, string universeKey, string? orderingKey)
+    {
+        return string.Equals(trackedPlaylist.UniverseKey, universeKey, StringComparison.OrdinalIgnoreCase) &&
+            string.Equals(
+                trackedPlaylist.OrderingKey ?? UniverseOrdering.DefaultKey,
+                orderingKey ?? UniverseOrdering.DefaultKey,
+                StringComparison.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// Reads the tracking file. Must be called while holding the file lock.
+    /// </summary>
+    /// <returns>
+    /// The tracked playlists, or an empty list if the file is missing or unreadable.
+    /// A corrupt file is moved aside (as <c>.corrupt-&lt;timestamp&gt;</c>) first.
+    /// </returns>
+    private async Task<List<TrackedPlaylist>> ReadTrackingFileAsync()
+    {
+        try
+        {
+            if (!File.Exists(_trackingFilePath))
+            {
+                return new List<TrackedPlaylist>();
+            }
+
+            var jsonContent = await File.ReadAllTextAsync(_trackingFilePath);
+            if (string.IsNullOrWhiteSpace(jsonContent))
+            {
+                return new List<TrackedPlaylist>();
+            }
+
+            return JsonSerializer.Deserialize<List<TrackedPlaylist>>(jsonContent) ?? new List<TrackedPlaylist>();
+        }
+        catch (JsonException ex)
+        {
+            // Keep the unreadable file, so the next save doesn't overwrite the only copy of the playlist links
+            var corruptFilePath = $"{_trackingFilePath}.corrupt-{DateTime.UtcNow:yyyyMMddHHmmss}";
+            try
+            {
+                File.Move(_trackingFilePath, corruptFilePath, true);
+                _logger.LogError(ex, "Playlist tracking file {FilePath} is corrupt, moved it to {CorruptFilePath}", _trackingFilePath, corruptFilePath);
+            }
+            catch (Exception moveEx) when (moveEx is IOException || moveEx is UnauthorizedAccessException)
+            {
+                // Saving would overwrite the file, so refuse to continue without a copy
+                throw new IOException($"Playlist tracking file {_trackingFilePath} is corrupt and could not be moved aside", moveEx);
+            }
+
+            return new List<TrackedPlaylist>();
+        }
+        catch (IOException ex)
+        {
+            _logger.LogError(ex, "I/O error reading playlist tracking file {FilePath}", _trackingFilePath);
+            return new List<TrackedPlaylist>();
+        }
+    }
+
+    /// <summary>
+    /// Writes the tracking file atomically. Must be called while holding the file lock.
+    /// </summary>
+    /// <param name="trackedPlaylists">The tracked playlists to write.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    private async Task WriteTrackingFileAsync(List<TrackedPlaylist> trackedPlaylists)
+    {
+        var directory = Path.GetDirectoryName(_trackingFilePath);
+        if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+        {
+            Directory.CreateDirectory(directory);
+        }
+
+        var jsonContent = JsonSerializer.Serialize(trackedPlaylists, new JsonSerializerOptions { WriteIndented = true });
+
+        // Atomic write: write to temp file, then rename
+        var tempFilePath = _trackingFilePath + ".tmp";
+        await File.WriteAllTextAsync(tempFilePath, jsonContent);
+        File.Move(tempFilePath, _trackingFilePath, true);
+    }
+}
@@ -8,7 +8,8 @@ namespace Jellyfin.Plugin.TimelineManager.Services;
 
 /// <summary>
 /// Service for matching timeline items with library content using Provider_ID-based matching.
-/// Prioritizes Provider_ID matching over title or other attribute matching for accuracy.
+/// Prioritizes Provider_ID matching for accuracy; items that carry a title fall back to a scored
+/// title, year and runtime match against unidentified library items, which is flagged for review.
 /// </summary>
 public class ProviderMatchingService
 {
@@ -27,7 +28,7 @@ public class ProviderMatchingService
     }
 
     /// <summary>
-    /// Matches a single timeline item with library content using Provider_ID.
+    /// Matches a single timeline item with library content using Provider_ID, falling back to its title.
     /// </summary>
     /// <param name="timelineItem">The timeline item to match.</param>
     /// <returns>The matched library item ID if found, null otherwise.</returns>
@@ -50,7 +51,7 @@ public class ProviderMatchingService
 
         try
         {
-            // Use Provider_ID matching as the primary and only matching method
+            // Provider_ID matching is the primary method; the title is only a fallback
             var matchedId = _contentLookupService.FindItemByProviderId(
                 timelineItem.ProviderId, 
                 timelineItem.ProviderName, 
@@ -63,6 +64,14 @@ public class ProviderMatchingService
                 return matchedId.Value;
             }
 
+            var titleMatch = _contentLookupService.FindItemByTitle(timelineItem);
+            if (titleMatch != null)
+            {
+                _logger.LogWarning("Timeline item {ProviderKey} matched library item '{Title}' by title only ({Confidence}%), review the match",
+                    timelineItem.ProviderKey, titleMatch.Title, titleMatch.Confidence);
+                return titleMatch.ItemId;
+            }
+
             _logger.LogWarning("No library item found for Provider_ID {ProviderKey} ({ProviderName}:{ProviderId}, Type: {Type})",
                 timelineItem.ProviderKey, timelineItem.ProviderName, timelineItem.ProviderId, timelineItem.Type);
             return null;
@@ -152,15 +161,32 @@ public class ProviderMatchingService
         _logger.LogInformation("Matching {ItemCount} timeline items for universe '{UniverseName}'",
             universe.Items.Count, universe.Name);
 
-        var matchingResults = MatchTimelineItems(universe.Items);
+        var matchedTimelineItemCount = 0;
 
-        // Build ordered list of matched items maintaining chronological order
-        foreach (var timelineItem in universe.Items)
+        // Build ordered list of matched items maintaining chronological order.
+        // Series and season items expand into several episodes; the timeline item is repeated
+        // for each of them so MatchedItems and MatchedTimelineItems stay index-aligned.
+        for (int index = 0; index < universe.Items.Count; index++)
         {
-            if (matchingResults.TryGetValue(timelineItem, out var libraryItemId))
+            var timelineItem = universe.Items[index];
+            TitleMatch? titleMatch = null;
+            var libraryItemIds = IsValidTimelineItem(timelineItem)
+                ? _contentLookupService.ResolveTimelineItem(timelineItem, out titleMatch)
+                : new List<Guid>();
+
+            if (libraryItemIds.Count > 0)
             {
-                result.MatchedItems.Add(libraryItemId);
-                result.MatchedTimelineItems.Add(timelineItem);
+                matchedTimelineItemCount++;
+                if (titleMatch != null)
+                {
+                    result.TitleMatches.Add(CreateTitleMatchInfo(index, timelineItem, titleMatch));
+                }
+
+                foreach (var libraryItemId in libraryItemIds)
+                {
+                    result.MatchedItems.Add(libraryItemId);
+                    result.MatchedTimelineItems.Add(timelineItem);
+                }
             }
             else
             {
@@ -172,13 +198,13 @@ public class ProviderMatchingService
         result.MatchingStatistics = new MatchingStatistics
         {
             TotalItems = universe.Items.Count,
-            MatchedItems = result.MatchedItems.Count,
+            MatchedItems = matchedTimelineItemCount,
             MissingItems = result.MissingItems.Count,
-            MatchingRate = universe.Items.Count > 0 ? (double)result.MatchedItems.Count / universe.Items.Count : 0.0
+            MatchingRate = universe.Items.Count > 0 ? (double)matchedTimelineItemCount / universe.Items.Count : 0.0
         };
 
-        _logger.LogInformation("Universe '{UniverseName}' matching completed: {MatchedCount}/{TotalCount} items matched ({MatchingRate:P1})",
-            universe.Name, result.MatchedItems.Count, universe.Items.Count, result.MatchingStatistics.MatchingRate);
+        _logger.LogInformation("Universe '{UniverseName}' matching completed: {MatchedCount}/{TotalCount} items matched ({MatchingRate:P1}), {LibraryItemCount} library items",
+            universe.Name, matchedTimelineItemCount, universe.Items.Count, result.MatchingStatistics.MatchingRate, result.MatchedItems.Count);
 
         if (result.MissingItems.Count > 0)
         {
@@ -186,9 +212,38 @@ public class ProviderMatchingService
                 universe.Name, result.MissingItems.Count, string.Join(", ", result.MissingItems));
         }
 
+        if (result.TitleMatches.Count > 0)
+        {
+            _logger.LogWarning("Universe '{UniverseName}' has {TitleMatchCount} items matched by title only, review them",
+                universe.Name, result.TitleMatches.Count);
+        }
+
         return result;
     }
 
+    /// <summary>
+    /// Describes a title match for the results, so it can be reviewed.
+    /// </summary>
+    /// <param name="index">The position of the timeline item.</param>
+    /// <param name="timelineItem">The timeline item.</param>
+    /// <param name="titleMatch">The library item its title matched.</param>
+    /// <returns>The title match description.</returns>
+    public static TitleMatchInfo CreateTitleMatchInfo(int index, TimelineItem timelineItem, TitleMatch titleMatch)
+    {
+        return new TitleMatchInfo
+        {
+            Index = index,
+            ProviderId = timelineItem.ProviderId,
+            ProviderName = timelineItem.ProviderName,
+            Type = timelineItem.Type,
+            Scope = timelineItem.ScopeLabel,
+            Title = timelineItem.Year.HasValue ? $"{timelineItem.Title} ({timelineItem.Year.Value})" : timelineItem.Title ?? string.Empty,
+            LibraryItemId = titleMatch.ItemId,
+            LibraryTitle = titleMatch.Title,
+            Confidence = titleMatch.Confidence
+        };
+    }
+
     /// <summary>
     /// Validates that a timeline item has all required fields for Provider_ID matching.
     /// </summary>
@@ -219,12 +274,12 @@ public class UniverseMatchingResult
     public string UniverseName { get; set; } = string.Empty;
 
     /// <summary>
-    /// Gets the list of matched library item IDs in chronological order.
+    /// Gets the list of matched library item IDs in chronological order, with series and seasons expanded into episodes.
     /// </summary>
     public List<Guid> MatchedItems { get; } = new();
 
     /// <summary>
-    /// Gets the list of matched timeline items in chronological order.
+    /// Gets the list of matched timeline items in chronological order, aligned index-for-index with <see cref="MatchedItems"/>.
     /// </summary>
     public List<TimelineItem> MatchedTimelineItems { get; } = new();
 
@@ -238,6 +293,11 @@ public class UniverseMatchingResult
     /// </summary>
     public List<TimelineItem> MissingTimelineItems { get; } = new();
 
+    /// <summary>
+    /// Gets the timeline items that were matched by title instead of provider ID.
+    /// </summary>
+    public List<TitleMatchInfo> TitleMatches { get; } = new();
+
     /// <summary>
     /// Gets or sets the matching statistics.
     /// </summary>
@@ -255,7 +315,7 @@ public class MatchingStatistics
     public int TotalItems { get; set; }
 
     /// <summary>
-    /// Gets or sets the number of successfully matched items.
+    /// Gets or sets the number of successfully matched timeline items.
     /// </summary>
     public int MatchedItems { get; set; }
 
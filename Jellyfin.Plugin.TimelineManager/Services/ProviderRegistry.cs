@@ -0,0 +1,139 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Jellyfin.Plugin.TimelineManager.Models;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.Movies;
+using MediaBrowser.Controller.Entities.TV;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// The metadata providers whose IDs timeline items can use. Adding a provider here makes it
+/// available to indexing, validation, the editor and library search.
+/// </summary>
+public static class ProviderRegistry
+{
+    /// <summary>
+    /// The supported providers, in order of preference when a library item has IDs from several of them.
+    /// </summary>
+    public static readonly IReadOnlyList<ExternalProvider> Providers = new List<ExternalProvider>
+    {
+        new()
+        {
+            Name = "tmdb", DisplayName = "TMDB", JellyfinKey = "Tmdb",
+            SupportsMovies = true, SupportsSeries = true, SupportsEpisodes = true,
+            IdPattern = @"^\d+$", ExampleId = "1771"
+        },
+        new()
+        {
+            Name = "imdb", DisplayName = "IMDB", JellyfinKey = "Imdb",
+            SupportsMovies = true, SupportsSeries = true, SupportsEpisodes = true,
+            IdPattern = @"^tt\d+$", ExampleId = "tt0371746", TmdbFindSource = "imdb_id"
+        },
+        new()
+        {
+            Name = "tvdb", DisplayName = "TVDB", JellyfinKey = "Tvdb",
+            SupportsMovies = true, SupportsSeries = true, SupportsEpisodes = true,
+            IdPattern = @"^\d+$", ExampleId = "81189", TmdbFindSource = "tvdb_id"
+        },
+        new()
+        {
+            Name = "tvmaze", DisplayName = "TVmaze", JellyfinKey = "TvMaze",
+            SupportsMovies = false, SupportsSeries = true, SupportsEpisodes = true,
+            IdPattern = @"^\d+$", ExampleId = "169"
+        },
+        new()
+        {
+            // Set by the AniDB metadata plugin; anime films are AniDB entries too
+            Name = "anidb", DisplayName = "AniDB", JellyfinKey = "AniDB",
+            SupportsMovies = true, SupportsSeries = true, SupportsEpisodes = true,
+            IdPattern = @"^\d+$", ExampleId = "69"
+        }
+    };
+
+    /// <summary>
+    /// Gets the names of the supported providers, for error messages.
+    /// </summary>
+    public static string SupportedNames => string.Join(", ", Providers.Select(p => p.Name));
+
+    /// <summary>
+    /// Finds a provider by the name used in universe files.
+    /// </summary>
+    /// <param name="providerName">The provider name, in any casing.</param>
+    /// <returns>The provider, or null if it isn't supported.</returns>
+    public static ExternalProvider? Find(string? providerName)
+    {
+        if (string.IsNullOrWhiteSpace(providerName))
+        {
+            return null;
+        }
+
+        return Providers.FirstOrDefault(p => string.Equals(p.Name, providerName, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Checks whether a provider has IDs for a timeline content type.
+    /// </summary>
+    /// <param name="providerName">The provider name.</param>
+    /// <param name="contentType">The content type ("movie", "series", "season" or "episode").</param>
+    /// <returns>True if items of the type can use the provider's IDs.</returns>
+    public static bool SupportsContentType(string? providerName, string? contentType)
+    {
+        var provider = Find(providerName);
+        if (provider == null || string.IsNullOrWhiteSpace(contentType))
+        {
+            return false;
+        }
+
+        return contentType.ToLowerInvariant() switch
+        {
+            "movie" => provider.SupportsMovies,
+            "series" or "season" => provider.SupportsSeries,
+            "episode" => provider.SupportsEpisodes,
+            _ => false
+        };
+    }
+
+    /// <summary>
+    /// Gets the IDs a library item has from the supported providers, in order of preference.
+    /// </summary>
+    /// <param name="item">The library item.</param>
+    /// <returns>Pairs of provider and ID.</returns>
+    public static List<(ExternalProvider Provider, string Id)> GetProviderIds(BaseItem item)
+    {
+        var ids = new List<(ExternalProvider Provider, string Id)>();
+        if (item?.ProviderIds == null || item.ProviderIds.Count == 0)
+        {
+            return ids;
+        }
+
+        foreach (var provider in Providers)
+        {
+            if (item.ProviderIds.TryGetValue(provider.JellyfinKey, out var id) && !string.IsNullOrWhiteSpace(id) &&
+                SupportsLibraryItem(provider, item))
+            {
+                ids.Add((provider, id));
+            }
+        }
+
+        return ids;
+    }
+
+    /// <summary>
+    /// Checks whether a provider has IDs for the kind of a library item.
+    /// </summary>
+    /// <param name="provider">The provider.</param>
+    /// <param name="item">The library item.</param>
+    /// <returns>True for movies, series and episodes the provider covers.</returns>
+    public static bool SupportsLibraryItem(ExternalProvider provider, BaseItem item)
+    {
+        return item switch
+        {
+            Movie => provider.SupportsMovies,
+            Series => provider.SupportsSeries,
+            Episode => provider.SupportsEpisodes,
+            _ => false
+        };
+    }
+}
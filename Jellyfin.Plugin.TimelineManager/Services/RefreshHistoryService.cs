@@ -0,0 +1,128 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for persisting the history of automatic playlist refresh runs.
+/// </summary>
+public class RefreshHistoryService
+{
+    /// <summary>
+    /// The maximum number of runs kept in the history.
+    /// </summary>
+    public const int MaxRuns = 50;
+
+    // Shared across instances because services are also constructed ad hoc outside of DI
+    private static readonly SemaphoreSlim FileLock = new(1, 1);
+
+    private readonly ILogger<RefreshHistoryService> _logger;
+    private readonly string _historyFilePath;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="RefreshHistoryService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="historyFilePath">The path to the run history file.</param>
+    public RefreshHistoryService(
+        ILogger<RefreshHistoryService> logger,
+        string historyFilePath = "/config/timeline_manager_run_history.json")
+    {
+        _logger = logger;
+        _historyFilePath = historyFilePath;
+    }
+
+    /// <summary>
+    /// Gets the recorded runs, newest first.
+    /// </summary>
+    /// <returns>The run history.</returns>
+    public async Task<List<RefreshRun>> GetHistoryAsync()
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            return await ReadHistoryFileAsync();
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Records a run, dropping the oldest runs beyond <see cref="MaxRuns"/>.
+    /// </summary>
+    /// <param name="run">The run to record.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    public async Task AddRunAsync(RefreshRun run)
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            var runs = await ReadHistoryFileAsync();
+            runs.Insert(0, run);
+
+            var directory = Path.GetDirectoryName(_historyFilePath);
+            if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+            {
+                Directory.CreateDirectory(directory);
+            }
+
+            var jsonContent = JsonSerializer.Serialize(runs.Take(MaxRuns).ToList(), new JsonSerializerOptions { WriteIndented = true });
+
+            // Atomic write: write to temp file, then rename
+            var tempFilePath = _historyFilePath + ".tmp";
+            await File.WriteAllTextAsync(tempFilePath, jsonContent);
+            File.Move(tempFilePath, _historyFilePath, true);
+        }
+        catch (Exception ex) when (ex is IOException || ex is UnauthorizedAccessException)
+        {
+            // History is informational; never fail a refresh because it could not be recorded
+            _logger.LogError(ex, "Could not write refresh history file {FilePath}", _historyFilePath);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Reads the history file. Must be called while holding the file lock.
+    /// </summary>
+    /// <returns>The recorded runs, or an empty list if the file is missing or unreadable.</returns>
+    private async Task<List<RefreshRun>> ReadHistoryFileAsync()
+    {
+        try
+        {
+            if (!File.Exists(_historyFilePath))
+            {
+                return new List<RefreshRun>();
+            }
+
+            var jsonContent = await File.ReadAllTextAsync(_historyFilePath);
+            if (string.IsNullOrWhiteSpace(jsonContent))
+            {
+                return new List<RefreshRun>();
+            }
+
+            return JsonSerializer.Deserialize<List<RefreshRun>>(jsonContent) ?? new List<RefreshRun>();
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogError(ex, "Refresh history file {FilePath} is corrupt, ignoring it", _historyFilePath);
+            return new List<RefreshRun>();
+        }
+        catch (IOException ex)
+        {
+            _logger.LogError(ex, "I/O error reading refresh history file {FilePath}", _historyFilePath);
+            return new List<RefreshRun>();
+        }
+    }
+}
@@ -0,0 +1,191 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for storing which universes are refreshed automatically, and how often.
+/// </summary>
+public class RefreshScheduleService
+{
+    // Shared across instances because services are also constructed ad hoc outside of DI
+    private static readonly SemaphoreSlim FileLock = new(1, 1);
+
+    private readonly ILogger<RefreshScheduleService> _logger;
+    private readonly string _scheduleFilePath;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="RefreshScheduleService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="scheduleFilePath">The path to the refresh schedule file.</param>
+    public RefreshScheduleService(
+        ILogger<RefreshScheduleService> logger,
+        string scheduleFilePath = "/config/timeline_manager_schedule.json")
+    {
+        _logger = logger;
+        _scheduleFilePath = scheduleFilePath;
+    }
+
+    /// <summary>
+    /// Gets the refresh schedule.
+    /// </summary>
+    /// <returns>The stored schedule, or the default schedule (every universe daily) if none is stored.</returns>
+    public async Task<RefreshSchedule> GetScheduleAsync()
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            if (!File.Exists(_scheduleFilePath))
+            {
+                return new RefreshSchedule();
+            }
+
+            var jsonContent = await File.ReadAllTextAsync(_scheduleFilePath);
+            if (string.IsNullOrWhiteSpace(jsonContent))
+            {
+                return new RefreshSchedule();
+            }
+
+            return JsonSerializer.Deserialize<RefreshSchedule>(jsonContent) ?? new RefreshSchedule();
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogError(ex, "Refresh schedule file {FilePath} is corrupt, using the default schedule", _scheduleFilePath);
+            return new RefreshSchedule();
+        }
+        catch (IOException ex)
+        {
+            _logger.LogError(ex, "I/O error reading refresh schedule file {FilePath}", _scheduleFilePath);
+            return new RefreshSchedule();
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Saves the refresh schedule.
+    /// </summary>
+    /// <param name="schedule">The schedule to store.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    /// <exception cref="ArgumentException">Thrown when a universe has an unknown frequency.</exception>
+    public async Task SaveScheduleAsync(RefreshSchedule schedule)
+    {
+        var errors = ValidateSchedule(schedule);
+        if (errors.Count > 0)
+        {
+            throw new ArgumentException(string.Join("; ", errors));
+        }
+
+        await FileLock.WaitAsync();
+        try
+        {
+            var directory = Path.GetDirectoryName(_scheduleFilePath);
+            if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+            {
+                Directory.CreateDirectory(directory);
+            }
+
+            var jsonContent = JsonSerializer.Serialize(schedule, new JsonSerializerOptions { WriteIndented = true });
+
+            // Atomic write: write to temp file, then rename
+            var tempFilePath = _scheduleFilePath + ".tmp";
+            await File.WriteAllTextAsync(tempFilePath, jsonContent);
+            File.Move(tempFilePath, _scheduleFilePath, true);
+
+            _logger.LogInformation("Saved refresh schedule for {Count} universe(s), weekly refresh on {WeeklyDay}",
+                schedule.Universes.Count, schedule.WeeklyDay);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Gets the refresh frequency of a universe.
+    /// </summary>
+    /// <param name="schedule">The refresh schedule.</param>
+    /// <param name="filename">The universe filename.</param>
+    /// <returns>The frequency; universes without an entry are refreshed daily.</returns>
+    public static string GetFrequency(RefreshSchedule schedule, string filename)
+    {
+        var entry = schedule.Universes.FirstOrDefault(u =>
+            string.Equals(u.Filename, filename, StringComparison.OrdinalIgnoreCase));
+        return entry?.Frequency ?? RefreshSchedule.Daily;
+    }
+
+    /// <summary>
+    /// Selects the universes the scheduled task should refresh on a given day.
+    /// </summary>
+    /// <param name="schedule">The refresh schedule.</param>
+    /// <param name="universes">All universes.</param>
+    /// <param name="localNow">The current local time.</param>
+    /// <returns>The filenames of daily universes, plus weekly universes on the weekly day.</returns>
+    public static List<string> GetScheduledUniverses(RefreshSchedule schedule, IEnumerable<UniverseMetadata> universes, DateTime localNow)
+    {
+        return universes
+            .Where(u =>
+            {
+                var frequency = GetFrequency(schedule, u.Filename);
+                return frequency == RefreshSchedule.Daily ||
+                    (frequency == RefreshSchedule.Weekly && localNow.DayOfWeek == schedule.WeeklyDay);
+            })
+            .Select(u => u.Filename)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Selects the universes that are refreshed after a library scan.
+    /// </summary>
+    /// <param name="schedule">The refresh schedule.</param>
+    /// <param name="universes">All universes.</param>
+    /// <returns>The filenames of universes set to refresh after library scans.</returns>
+    public static List<string> GetLibraryScanUniverses(RefreshSchedule schedule, IEnumerable<UniverseMetadata> universes)
+    {
+        return universes
+            .Where(u => GetFrequency(schedule, u.Filename) == RefreshSchedule.LibraryScan)
+            .Select(u => u.Filename)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Validates a refresh schedule.
+    /// </summary>
+    /// <param name="schedule">The schedule to validate.</param>
+    /// <returns>The validation errors; empty if the schedule is valid.</returns>
+    private static List<string> ValidateSchedule(RefreshSchedule schedule)
+    {
+        var errors = new List<string>();
+
+        if (schedule.Universes == null)
+        {
+            errors.Add("Universe schedule list cannot be null");
+            return errors;
+        }
+
+        foreach (var entry in schedule.Universes)
+        {
+            if (string.IsNullOrWhiteSpace(entry.Filename))
+            {
+                errors.Add("Universe filename cannot be empty");
+            }
+
+            if (!RefreshSchedule.Frequencies.Contains(entry.Frequency))
+            {
+                errors.Add($"Invalid frequency '{entry.Frequency}' for '{entry.Filename}'. Must be one of: {string.Join(", ", RefreshSchedule.Frequencies)}");
+            }
+        }
+
+        return errors;
+    }
+}
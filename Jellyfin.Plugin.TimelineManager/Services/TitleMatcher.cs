@@ -0,0 +1,102 @@
+using System;
+using System.Linq;
+using System.Text;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Scores how well two titles match, for finding library items by title and year instead of provider ID.
+/// </summary>
+public static class TitleMatcher
+{
+    /// <summary>
+    /// Scores how well a library item matches a title and year, from 0 to 100. Titles are compared
+    /// after normalizing case, punctuation and a leading "The"; a year more than one off rules the match out.
+    /// </summary>
+    /// <param name="title">The title looked for.</param>
+    /// <param name="year">The year looked for, if known.</param>
+    /// <param name="candidateTitle">The library item's title.</param>
+    /// <param name="candidateYear">The library item's year, if known.</param>
+    /// <returns>The confidence.</returns>
+    public static int Score(string title, int? year, string candidateTitle, int? candidateYear)
+    {
+        var a = NormalizeTitle(title);
+        var b = NormalizeTitle(candidateTitle);
+        if (a.Length == 0 || b.Length == 0)
+        {
+            return 0;
+        }
+
+        var similarity = 1.0 - ((double)LevenshteinDistance(a, b) / Math.Max(a.Length, b.Length));
+
+        double yearFactor;
+        if (year.HasValue && candidateYear.HasValue)
+        {
+            var difference = Math.Abs(year.Value - candidateYear.Value);
+            yearFactor = difference switch
+            {
+                0 => 1.0,
+                1 => 0.9,
+                _ => 0.0
+            };
+        }
+        else
+        {
+            yearFactor = 0.8;
+        }
+
+        return (int)Math.Round(similarity * yearFactor * 100);
+    }
+
+    /// <summary>
+    /// Normalizes a title for comparison: lower case, letters and digits only, "&amp;" as "and", no leading "the".
+    /// </summary>
+    /// <param name="title">The title.</param>
+    /// <returns>The normalized title, words separated by single spaces.</returns>
+    public static string NormalizeTitle(string title)
+    {
+        var builder = new StringBuilder(title.Length);
+        foreach (var c in title.ToLowerInvariant().Replace("&", " and "))
+        {
+            builder.Append(char.IsLetterOrDigit(c) ? c : ' ');
+        }
+
+        var words = builder.ToString().Split(' ', StringSplitOptions.RemoveEmptyEntries).ToList();
+        if (words.Count > 1 && words[0] == "the")
+        {
+            words.RemoveAt(0);
+        }
+
+        return string.Join(' ', words);
+    }
+
+    /// <summary>
+    /// Computes the edit distance between two strings.
+    /// </summary>
+    /// <param name="a">The first string.</param>
+    /// <param name="b">The second string.</param>
+    /// <returns>The number of single-character insertions, deletions and substitutions.</returns>
+    private static int LevenshteinDistance(string a, string b)
+    {
+        var previous = new int[b.Length + 1];
+        var current = new int[b.Length + 1];
+        for (int j = 0; j <= b.Length; j++)
+        {
+            previous[j] = j;
+        }
+
+        for (int i = 1; i <= a.Length; i++)
+        {
+            current[0] = i;
+            for (int j = 1; j <= b.Length; j++)
+            {
+                var cost = a[i - 1] == b[j - 1] ? 0 : 1;
+                current[j] = Math.Min(Math.Min(current[j - 1] + 1, previous[j] + 1), previous[j - 1] + cost);
+            }
+
+            (previous, current) = (current, previous);
+        }
+
+        return previous[b.Length];
+    }
+}
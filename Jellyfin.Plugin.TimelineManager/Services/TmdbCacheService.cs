@@ -0,0 +1,186 @@
+using System;
+using System.IO;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for keeping TMDB responses on disk. Each response is stored in its own file under the cache
+/// directory, named after a hash of its request, so entries can be read and replaced independently.
+/// </summary>
+/// <remarks>
+/// Entries are never dropped when they expire: <see cref="TmdbSearchService"/> decides how old an entry may be,
+/// and still serves expired entries while TMDB is offline.
+/// </remarks>
+public class TmdbCacheService
+{
+    // Shared across instances because services are also constructed ad hoc outside of DI
+    private static readonly SemaphoreSlim FileLock = new(1, 1);
+
+    private readonly ILogger<TmdbCacheService> _logger;
+    private readonly string _cacheDirectoryPath;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="TmdbCacheService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="cacheDirectoryPath">The path to the cache directory.</param>
+    public TmdbCacheService(
+        ILogger<TmdbCacheService> logger,
+        string cacheDirectoryPath = "/config/timeline_manager_tmdb_cache")
+    {
+        _logger = logger;
+        _cacheDirectoryPath = cacheDirectoryPath;
+    }
+
+    /// <summary>
+    /// Gets a cached response, however old it is.
+    /// </summary>
+    /// <param name="key">The cache key (the TMDB request path and query without the API key).</param>
+    /// <returns>The entry, or null if the response isn't cached or the cache file is unreadable.</returns>
+    public async Task<TmdbCacheEntry?> GetAsync(string key)
+    {
+        var filePath = GetEntryFilePath(key);
+
+        try
+        {
+            if (!File.Exists(filePath))
+            {
+                return null;
+            }
+
+            var jsonContent = await File.ReadAllTextAsync(filePath);
+            var entry = JsonSerializer.Deserialize<TmdbCacheEntry>(jsonContent);
+
+            // Guard against hash collisions
+            return entry != null && string.Equals(entry.Key, key, StringComparison.Ordinal) ? entry : null;
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogWarning(ex, "TMDB cache file {FilePath} is corrupt, ignoring it", filePath);
+            return null;
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "I/O error reading TMDB cache file {FilePath}", filePath);
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Stores a response, replacing any cached response for the same request.
+    /// </summary>
+    /// <param name="key">The cache key (the TMDB request path and query without the API key).</param>
+    /// <param name="content">The raw JSON response body.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    public async Task SetAsync(string key, string content)
+    {
+        var entry = new TmdbCacheEntry
+        {
+            Key = key,
+            CachedAt = DateTime.UtcNow,
+            Content = content
+        };
+
+        await FileLock.WaitAsync();
+        try
+        {
+            Directory.CreateDirectory(_cacheDirectoryPath);
+
+            // Atomic write: write to temp file, then rename
+            var filePath = GetEntryFilePath(key);
+            var tempFilePath = filePath + ".tmp";
+            await File.WriteAllTextAsync(tempFilePath, JsonSerializer.Serialize(entry));
+            File.Move(tempFilePath, filePath, true);
+        }
+        catch (Exception ex) when (ex is IOException || ex is UnauthorizedAccessException)
+        {
+            // The cache is an optimization; never fail a TMDB lookup because a response could not be kept
+            _logger.LogWarning(ex, "Could not write TMDB cache entry for {Key}", key);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Gets the number, size and age of the cached responses.
+    /// </summary>
+    /// <returns>The cache status; the offline fields are left for <see cref="TmdbSearchService"/> to fill in.</returns>
+    public TmdbCacheStatus GetStatus()
+    {
+        var status = new TmdbCacheStatus();
+        if (!Directory.Exists(_cacheDirectoryPath))
+        {
+            return status;
+        }
+
+        // Entries are written once and replaced as a whole, so the file time is the time the response was fetched
+        foreach (var file in new DirectoryInfo(_cacheDirectoryPath).EnumerateFiles("*.json"))
+        {
+            status.EntryCount++;
+            status.SizeBytes += file.Length;
+
+            var cachedAt = file.LastWriteTimeUtc;
+            if (status.OldestEntry == null || cachedAt < status.OldestEntry)
+            {
+                status.OldestEntry = cachedAt;
+            }
+
+            if (status.NewestEntry == null || cachedAt > status.NewestEntry)
+            {
+                status.NewestEntry = cachedAt;
+            }
+        }
+
+        return status;
+    }
+
+    /// <summary>
+    /// Deletes every cached response.
+    /// </summary>
+    /// <returns>The number of responses deleted.</returns>
+    public async Task<int> ClearAsync()
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            if (!Directory.Exists(_cacheDirectoryPath))
+            {
+                return 0;
+            }
+
+            var deleted = 0;
+            foreach (var filePath in Directory.EnumerateFiles(_cacheDirectoryPath, "*.json"))
+            {
+                File.Delete(filePath);
+                deleted++;
+            }
+
+            _logger.LogInformation("Cleared {Count} cached TMDB responses", deleted);
+            return deleted;
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Gets the file a cache key is stored in.
+    /// </summary>
+    /// <param name="key">The cache key.</param>
+    /// <returns>The file path.</returns>
+    private string GetEntryFilePath(string key)
+    {
+        var hash = SHA256.HashData(Encoding.UTF8.GetBytes(key));
+        return Path.Combine(_cacheDirectoryPath, Convert.ToHexString(hash).ToLowerInvariant() + ".json");
+    }
+}
@@ -1,12 +1,14 @@
 using System;
 using System.Collections.Generic;
 using System.Globalization;
-using System.IO;
+using System.Linq;
+using System.Net;
 using System.Net.Http;
+using System.Net.Http.Headers;
 using System.Text.Json;
+using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Plugin.TimelineManager.Models;
-using MediaBrowser.Common.Configuration;
 using Microsoft.Extensions.Logging;
 
 namespace Jellyfin.Plugin.TimelineManager.Services;
@@ -14,155 +16,285 @@ namespace Jellyfin.Plugin.TimelineManager.Services;
 /// <summary>
 /// Service for searching TMDB API for movies and TV shows.
 /// </summary>
+/// <remarks>
+/// Responses are kept in the <see cref="TmdbCacheService"/>. When no API key is configured or TMDB can't be reached,
+/// the service is offline and answers from cached responses only, however old they are.
+/// </remarks>
 public class TmdbSearchService
 {
-    private const string TmdbBaseUrl = "https://api.themoviedb.org/3";
+    /// <summary>
+    /// Credential type of a TMDB v3 API key, sent as the <c>api_key</c> query parameter.
+    /// </summary>
+    public const string ApiKeyCredential = "apiKey";
+
+    /// <summary>
+    /// Credential type of a TMDB v4 read access token, sent as a bearer token.
+    /// </summary>
+    public const string BearerTokenCredential = "bearerToken";
+
+    private const string TmdbPosterBaseUrl = "https://image.tmdb.org/t/p/w92";
+
+    // How long cached responses are used before TMDB is asked again
+    private static readonly TimeSpan SearchCacheDuration = TimeSpan.FromDays(1);
+    private static readonly TimeSpan SeasonsCacheDuration = TimeSpan.FromDays(7);
+    private static readonly TimeSpan DetailsCacheDuration = TimeSpan.FromDays(30);
+
+    // After TMDB couldn't be reached, only cached responses are served for this long before TMDB is tried again
+    private static readonly TimeSpan OfflineRetryDelay = TimeSpan.FromMinutes(2);
     
     private readonly IHttpClientFactory _httpClientFactory;
     private readonly ILogger<TmdbSearchService> _logger;
-    private readonly IApplicationPaths _applicationPaths;
+    private readonly TmdbCacheService _cacheService;
+    private long _offlineUntilTicks;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="TmdbSearchService"/> class.
     /// </summary>
     /// <param name="httpClientFactory">The HTTP client factory.</param>
     /// <param name="logger">The logger instance.</param>
-    /// <param name="applicationPaths">The application paths.</param>
+    /// <param name="cacheService">The local TMDB response cache.</param>
     public TmdbSearchService(
         IHttpClientFactory httpClientFactory, 
         ILogger<TmdbSearchService> logger,
-        IApplicationPaths applicationPaths)
+        TmdbCacheService cacheService)
     {
         _httpClientFactory = httpClientFactory;
         _logger = logger;
-        _applicationPaths = applicationPaths;
+        _cacheService = cacheService;
     }
 
     /// <summary>
-    /// Gets the TMDB API key from plugin configuration.
+    /// Tells a TMDB v4 read access token from a v3 API key. Read access tokens are JWTs ("eyJ..." with dots),
+    /// v3 API keys are 32 hexadecimal characters.
     /// </summary>
-    /// <returns>The TMDB API key, or null if not configured.</returns>
-    private string? GetTmdbApiKey()
+    /// <param name="credential">The credential.</param>
+    /// <returns><see cref="BearerTokenCredential"/> or <see cref="ApiKeyCredential"/>.</returns>
+    public static string GetCredentialType(string credential)
     {
-        try
+        return credential.Contains('.', StringComparison.Ordinal) || credential.StartsWith("eyJ", StringComparison.Ordinal)
+            ? BearerTokenCredential
+            : ApiKeyCredential;
+    }
+
+    /// <summary>
+    /// Masks a credential for display, keeping only its last four characters (e.g., "••••••••3f9a").
+    /// </summary>
+    /// <param name="credential">The credential.</param>
+    /// <returns>The masked credential, or an empty string if there is none.</returns>
+    public static string MaskCredential(string? credential)
+    {
+        if (string.IsNullOrEmpty(credential))
         {
-            // Read the plugin configuration XML file
-            var configPath = Path.Combine(_applicationPaths.PluginConfigurationsPath, "Jellyfin.Plugin.TimelineManager.xml");
-            
-            if (!File.Exists(configPath))
-            {
-                _logger.LogWarning("Plugin configuration file not found at {ConfigPath}", configPath);
-                return null;
-            }
+            return string.Empty;
+        }
 
-            var xmlContent = File.ReadAllText(configPath);
-            
-            // Simple XML parsing to extract TmdbApiKey
-            var startTag = "<TmdbApiKey>";
-            var endTag = "</TmdbApiKey>";
-            var startIndex = xmlContent.IndexOf(startTag);
-            
-            if (startIndex == -1)
-            {
-                _logger.LogDebug("TmdbApiKey not found in configuration");
-                return null;
-            }
+        // Short values would be given away almost entirely by their last four characters
+        var visible = credential.Length >= 16 ? credential[^4..] : string.Empty;
+        return new string('•', 8) + visible;
+    }
 
-            startIndex += startTag.Length;
-            var endIndex = xmlContent.IndexOf(endTag, startIndex);
-            
-            if (endIndex == -1)
-            {
-                _logger.LogWarning("Malformed TmdbApiKey in configuration");
-                return null;
-            }
+    /// <summary>
+    /// Gets the TMDB credential from plugin configuration.
+    /// </summary>
+    /// <returns>The v3 API key or v4 read access token, or null if not configured.</returns>
+    private static string? GetTmdbApiKey()
+    {
+        var apiKey = Plugin.Instance?.Configuration.TmdbApiKey?.Trim();
+        return string.IsNullOrEmpty(apiKey) ? null : apiKey;
+    }
 
-            var apiKey = xmlContent.Substring(startIndex, endIndex - startIndex).Trim();
-            return string.IsNullOrWhiteSpace(apiKey) ? null : apiKey;
-        }
-        catch (Exception ex)
+    /// <summary>
+    /// Gets the TMDB API base URL from plugin configuration.
+    /// </summary>
+    /// <returns>The base URL without a trailing slash.</returns>
+    private static string GetTmdbBaseUrl()
+    {
+        return NormalizeBaseUrl(Plugin.Instance?.Configuration.TmdbBaseUrl);
+    }
+
+    /// <summary>
+    /// Trims a base URL, falling back to <see cref="PluginConfiguration.DefaultTmdbBaseUrl"/> if it is empty.
+    /// </summary>
+    /// <param name="baseUrl">The base URL.</param>
+    /// <returns>The base URL without a trailing slash.</returns>
+    private static string NormalizeBaseUrl(string? baseUrl)
+    {
+        return string.IsNullOrWhiteSpace(baseUrl)
+            ? PluginConfiguration.DefaultTmdbBaseUrl
+            : baseUrl.Trim().TrimEnd('/');
+    }
+
+    /// <summary>
+    /// Creates a TMDB request with the credential attached the way its type requires.
+    /// </summary>
+    /// <param name="baseUrl">The TMDB API base URL.</param>
+    /// <param name="path">The request path and query (e.g., "movie/1771").</param>
+    /// <param name="credential">The v3 API key or v4 read access token.</param>
+    /// <returns>The request.</returns>
+    private static HttpRequestMessage CreateTmdbRequest(string baseUrl, string path, string credential)
+    {
+        if (GetCredentialType(credential) == BearerTokenCredential)
         {
-            _logger.LogError(ex, "Error reading TMDB API key from configuration");
-            return null;
+            var request = new HttpRequestMessage(HttpMethod.Get, $"{baseUrl}/{path}");
+            request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", credential);
+            return request;
         }
+
+        var separator = path.Contains('?', StringComparison.Ordinal) ? '&' : '?';
+        return new HttpRequestMessage(HttpMethod.Get, $"{baseUrl}/{path}{separator}api_key={Uri.EscapeDataString(credential)}");
     }
 
     /// <summary>
-    /// Searches TMDB for movies matching the query.
+    /// Gets why TMDB-backed features are offline.
     /// </summary>
-    /// <param name="query">The search query string.</param>
-    /// <param name="limit">Maximum number of results to return (default 20).</param>
-    /// <returns>List of SearchResultItem objects.</returns>
-    public async Task<List<SearchResultItem>> SearchMovies(string query, int limit = 20)
+    /// <param name="apiKey">The configured TMDB API key, or null.</param>
+    /// <returns>The reason, or null if TMDB is online.</returns>
+    private string? GetOfflineReason(string? apiKey)
     {
-        var results = new List<SearchResultItem>();
+        if (apiKey == null)
+        {
+            return "No TMDB API key is configured";
+        }
 
-        if (string.IsNullOrWhiteSpace(query))
+        if (DateTime.UtcNow.Ticks < Interlocked.Read(ref _offlineUntilTicks))
         {
-            _logger.LogDebug("Empty search query provided for movies, returning empty results");
-            return results;
+            return "TMDB could not be reached";
         }
 
+        return null;
+    }
+
+    /// <summary>
+    /// Gets a TMDB response from the local cache while it is fresh enough, and from TMDB otherwise.
+    /// While TMDB is offline, cached responses are served however old they are.
+    /// </summary>
+    /// <param name="path">The request path and query without the API key (e.g., "movie/1771"), also used as the cache key.</param>
+    /// <param name="maxAge">How old a cached response may be before TMDB is asked again.</param>
+    /// <returns>The response body (null if TMDB is offline and the response isn't cached), and whether TMDB was offline.</returns>
+    /// <exception cref="HttpRequestException">TMDB answered with an error status.</exception>
+    private async Task<(string? Content, bool Offline)> GetTmdbResponseAsync(string path, TimeSpan maxAge)
+    {
         var apiKey = GetTmdbApiKey();
-        if (apiKey == null)
+        var baseUrl = GetTmdbBaseUrl();
+        var offlineReason = GetOfflineReason(apiKey);
+
+        // Responses of another base URL (e.g., a local mock) are cached apart from TMDB's own
+        var cacheKey = baseUrl == PluginConfiguration.DefaultTmdbBaseUrl ? path : $"{baseUrl}/{path}";
+        var cached = await _cacheService.GetAsync(cacheKey).ConfigureAwait(false);
+
+        if (cached != null && (offlineReason != null || DateTime.UtcNow - cached.CachedAt < maxAge))
         {
-            _logger.LogWarning("TMDB API key not configured. Please configure it in plugin settings.");
-            return results;
+            return (cached.Content, offlineReason != null);
         }
 
-        try
+        if (offlineReason != null)
         {
-            _logger.LogDebug("Searching TMDB for movies: {Query} with limit: {Limit}", query, limit);
+            _logger.LogDebug("{Reason} and {Path} isn't cached", offlineReason, path);
+            return (null, true);
+        }
 
-            var url = $"{TmdbBaseUrl}/search/movie?api_key={apiKey}&query={Uri.EscapeDataString(query)}";
-            
+        try
+        {
             using var httpClient = _httpClientFactory.CreateClient();
             httpClient.Timeout = TimeSpan.FromSeconds(30);
 
-            var response = await httpClient.GetAsync(url).ConfigureAwait(false);
+            using var request = CreateTmdbRequest(baseUrl, path, apiKey!);
+            using var response = await httpClient.SendAsync(request).ConfigureAwait(false);
             response.EnsureSuccessStatusCode();
 
             var content = await response.Content.ReadAsStringAsync().ConfigureAwait(false);
+            Interlocked.Exchange(ref _offlineUntilTicks, 0);
+            await _cacheService.SetAsync(cacheKey, content).ConfigureAwait(false);
+            return (content, false);
+        }
+        catch (Exception ex) when (ex is TaskCanceledException || (ex is HttpRequestException httpException && httpException.StatusCode == null))
+        {
+            // No answer at all: stop asking TMDB for a while so every lookup doesn't wait for the timeout
+            Interlocked.Exchange(ref _offlineUntilTicks, (DateTime.UtcNow + OfflineRetryDelay).Ticks);
+            _logger.LogWarning(
+                "TMDB could not be reached ({Message}), serving cached responses only for the next {Minutes} minutes",
+                ex.Message,
+                OfflineRetryDelay.TotalMinutes);
+            return (cached?.Content, true);
+        }
+    }
+
+    /// <summary>
+    /// Searches TMDB for movies matching the query.
+    /// </summary>
+    /// <param name="query">The search query string.</param>
+    /// <param name="limit">Maximum number of results to return from the page (default 20, TMDB pages hold 20).</param>
+    /// <param name="page">The TMDB result page (default 1).</param>
+    /// <param name="filters">Optional year range; other filters are ignored.</param>
+    /// <returns>The results of the page, and whether TMDB has more pages.</returns>
+    public async Task<SearchResultsResponse> SearchMovies(string query, int limit = 20, int page = 1, SearchFilters? filters = null)
+    {
+        var results = new List<SearchResultItem>();
+        var searchResponse = new SearchResultsResponse { Results = results };
+
+        if (string.IsNullOrWhiteSpace(query))
+        {
+            _logger.LogDebug("Empty search query provided for movies, returning empty results");
+            return searchResponse;
+        }
+
+        try
+        {
+            _logger.LogDebug("Searching TMDB for movies: {Query} with limit: {Limit}", query, limit);
+
+            var path = $"search/movie?query={Uri.EscapeDataString(query)}&page={page}";
+            if (filters?.YearFrom != null && filters.YearFrom == filters.YearTo)
+            {
+                path += $"&primary_release_year={filters.YearFrom.Value}";
+            }
+
+            var (content, offline) = await GetTmdbResponseAsync(path, SearchCacheDuration).ConfigureAwait(false);
+            searchResponse.Offline = offline;
+            if (content == null)
+            {
+                return searchResponse;
+            }
+
             var tmdbResponse = JsonSerializer.Deserialize<TmdbSearchResponse<TmdbMovieSearchResult>>(content);
 
             if (tmdbResponse?.Results == null)
             {
                 _logger.LogWarning("TMDB movie search returned null response for query: {Query}", query);
-                return results;
+                return searchResponse;
             }
 
             _logger.LogDebug("Found {Count} movie results from TMDB for query: {Query}", tmdbResponse.Results.Count, query);
 
-            // Convert TMDB results to SearchResultItem format
-            var itemsToTake = Math.Min(limit, tmdbResponse.Results.Count);
-            for (int i = 0; i < itemsToTake; i++)
+            searchResponse.TotalCount = tmdbResponse.TotalResults;
+            searchResponse.HasMore = tmdbResponse.Page < tmdbResponse.TotalPages;
+
+            // Convert TMDB results to SearchResultItem format; TMDB can't filter on a year range itself
+            foreach (var movie in tmdbResponse.Results)
             {
-                var movie = tmdbResponse.Results[i];
-                results.Add(ConvertMovieToSearchResultItem(movie));
+                var resultItem = ConvertMovieToSearchResultItem(movie);
+                if (results.Count < limit && (filters == null || filters.MatchesYear(resultItem.Year)))
+                {
+                    results.Add(resultItem);
+                }
             }
 
             _logger.LogInformation("Successfully returned {ResultCount} movie search results from TMDB for query: {Query}", results.Count, query);
-            return results;
+            return searchResponse;
         }
         catch (HttpRequestException ex)
         {
             _logger.LogError(ex, "HTTP error searching TMDB for movies with query: {Query}. Message: {Message}", query, ex.Message);
-            return results;
-        }
-        catch (TaskCanceledException ex)
-        {
-            _logger.LogError(ex, "Timeout searching TMDB for movies with query: {Query}. Message: {Message}", query, ex.Message);
-            return results;
+            return searchResponse;
         }
         catch (JsonException ex)
         {
             _logger.LogError(ex, "JSON parsing error for TMDB movie search with query: {Query}. Message: {Message}", query, ex.Message);
-            return results;
+            return searchResponse;
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Unexpected error searching TMDB for movies with query: {Query}. Message: {Message}", query, ex.Message);
-            return results;
+            return searchResponse;
         }
     }
 
@@ -170,79 +302,573 @@ public class TmdbSearchService
     /// Searches TMDB for TV shows matching the query.
     /// </summary>
     /// <param name="query">The search query string.</param>
-    /// <param name="limit">Maximum number of results to return (default 20).</param>
-    /// <returns>List of SearchResultItem objects.</returns>
-    public async Task<List<SearchResultItem>> SearchTvShows(string query, int limit = 20)
+    /// <param name="limit">Maximum number of results to return from the page (default 20, TMDB pages hold 20).</param>
+    /// <param name="page">The TMDB result page (default 1).</param>
+    /// <param name="filters">Optional year range; other filters are ignored.</param>
+    /// <returns>The results of the page, and whether TMDB has more pages.</returns>
+    public async Task<SearchResultsResponse> SearchTvShows(string query, int limit = 20, int page = 1, SearchFilters? filters = null)
     {
         var results = new List<SearchResultItem>();
+        var searchResponse = new SearchResultsResponse { Results = results };
 
         if (string.IsNullOrWhiteSpace(query))
         {
             _logger.LogDebug("Empty search query provided for TV shows, returning empty results");
-            return results;
-        }
-
-        var apiKey = GetTmdbApiKey();
-        if (apiKey == null)
-        {
-            _logger.LogWarning("TMDB API key not configured. Please configure it in plugin settings.");
-            return results;
+            return searchResponse;
         }
 
         try
         {
             _logger.LogDebug("Searching TMDB for TV shows: {Query} with limit: {Limit}", query, limit);
 
-            var url = $"{TmdbBaseUrl}/search/tv?api_key={apiKey}&query={Uri.EscapeDataString(query)}";
-            
-            using var httpClient = _httpClientFactory.CreateClient();
-            httpClient.Timeout = TimeSpan.FromSeconds(30);
+            var path = $"search/tv?query={Uri.EscapeDataString(query)}&page={page}";
+            if (filters?.YearFrom != null && filters.YearFrom == filters.YearTo)
+            {
+                path += $"&first_air_date_year={filters.YearFrom.Value}";
+            }
 
-            var response = await httpClient.GetAsync(url).ConfigureAwait(false);
-            response.EnsureSuccessStatusCode();
+            var (content, offline) = await GetTmdbResponseAsync(path, SearchCacheDuration).ConfigureAwait(false);
+            searchResponse.Offline = offline;
+            if (content == null)
+            {
+                return searchResponse;
+            }
 
-            var content = await response.Content.ReadAsStringAsync().ConfigureAwait(false);
             var tmdbResponse = JsonSerializer.Deserialize<TmdbSearchResponse<TmdbTvSearchResult>>(content);
 
             if (tmdbResponse?.Results == null)
             {
                 _logger.LogWarning("TMDB TV search returned null response for query: {Query}", query);
-                return results;
+                return searchResponse;
             }
 
             _logger.LogDebug("Found {Count} TV show results from TMDB for query: {Query}", tmdbResponse.Results.Count, query);
 
-            // Convert TMDB results to SearchResultItem format
-            var itemsToTake = Math.Min(limit, tmdbResponse.Results.Count);
-            for (int i = 0; i < itemsToTake; i++)
+            searchResponse.TotalCount = tmdbResponse.TotalResults;
+            searchResponse.HasMore = tmdbResponse.Page < tmdbResponse.TotalPages;
+
+            // Convert TMDB results to SearchResultItem format; TMDB can't filter on a year range itself
+            foreach (var tvShow in tmdbResponse.Results)
             {
-                var tvShow = tmdbResponse.Results[i];
-                results.Add(ConvertTvShowToSearchResultItem(tvShow));
+                var resultItem = ConvertTvShowToSearchResultItem(tvShow);
+                if (results.Count < limit && (filters == null || filters.MatchesYear(resultItem.Year)))
+                {
+                    results.Add(resultItem);
+                }
             }
 
             _logger.LogInformation("Successfully returned {ResultCount} TV show search results from TMDB for query: {Query}", results.Count, query);
-            return results;
+            return searchResponse;
         }
         catch (HttpRequestException ex)
         {
             _logger.LogError(ex, "HTTP error searching TMDB for TV shows with query: {Query}. Message: {Message}", query, ex.Message);
+            return searchResponse;
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogError(ex, "JSON parsing error for TMDB TV search with query: {Query}. Message: {Message}", query, ex.Message);
+            return searchResponse;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error searching TMDB for TV shows with query: {Query}. Message: {Message}", query, ex.Message);
+            return searchResponse;
+        }
+    }
+
+    /// <summary>
+    /// Searches TMDB for movie collections (e.g., "The Lord of the Rings Collection").
+    /// </summary>
+    /// <param name="query">The search query string.</param>
+    /// <param name="page">The TMDB result page (default 1).</param>
+    /// <returns>The collections of the page as "Collection" results, and whether TMDB has more pages.</returns>
+    public async Task<SearchResultsResponse> SearchCollectionsAsync(string query, int page = 1)
+    {
+        var results = new List<SearchResultItem>();
+        var searchResponse = new SearchResultsResponse { Results = results };
+
+        if (string.IsNullOrWhiteSpace(query))
+        {
+            return searchResponse;
+        }
+
+        try
+        {
+            var (content, offline) = await GetTmdbResponseAsync($"search/collection?query={Uri.EscapeDataString(query)}&page={page}", SearchCacheDuration).ConfigureAwait(false);
+            searchResponse.Offline = offline;
+            if (content == null)
+            {
+                return searchResponse;
+            }
+
+            var tmdbResponse = JsonSerializer.Deserialize<TmdbSearchResponse<TmdbCollectionSearchResult>>(content);
+
+            if (tmdbResponse?.Results == null)
+            {
+                return searchResponse;
+            }
+
+            searchResponse.TotalCount = tmdbResponse.TotalResults;
+            searchResponse.HasMore = tmdbResponse.Page < tmdbResponse.TotalPages;
+
+            foreach (var collection in tmdbResponse.Results)
+            {
+                results.Add(new SearchResultItem
+                {
+                    Id = Guid.Empty, // No Jellyfin ID for TMDB items
+                    Title = collection.Name,
+                    Type = "Collection",
+                    ProviderIds = new Dictionary<string, string> { { "tmdb", collection.Id.ToString(CultureInfo.InvariantCulture) } },
+                    Overview = collection.Overview ?? string.Empty,
+                    PosterUrl = string.IsNullOrWhiteSpace(collection.PosterPath) ? null : TmdbPosterBaseUrl + collection.PosterPath
+                });
+            }
+
+            _logger.LogDebug("Found {Count} collections on TMDB for query: {Query}", results.Count, query);
+            return searchResponse;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error searching TMDB collections with query: {Query}. Message: {Message}", query, ex.Message);
+            return searchResponse;
+        }
+    }
+
+    /// <summary>
+    /// Lists the movies of a TMDB collection in release order. Unreleased movies without a date come last.
+    /// </summary>
+    /// <param name="collectionId">The TMDB collection ID.</param>
+    /// <returns>The movies, or an empty list if TMDB is offline and they aren't cached, or the lookup failed.</returns>
+    public async Task<List<SearchResultItem>> GetCollectionMoviesAsync(string collectionId)
+    {
+        var results = new List<SearchResultItem>();
+
+        try
+        {
+            var (content, _) = await GetTmdbResponseAsync($"collection/{Uri.EscapeDataString(collectionId)}", SeasonsCacheDuration).ConfigureAwait(false);
+            if (content == null)
+            {
+                return results;
+            }
+
+            var collection = JsonSerializer.Deserialize<TmdbCollectionDetails>(content);
+
+            if (collection?.Parts == null)
+            {
+                return results;
+            }
+
+            // Release dates are "YYYY-MM-DD", so they sort as text
+            results.AddRange(collection.Parts
+                .OrderBy(m => string.IsNullOrWhiteSpace(m.ReleaseDate) ? 1 : 0)
+                .ThenBy(m => m.ReleaseDate, StringComparer.Ordinal)
+                .Select(ConvertMovieToSearchResultItem));
+
+            _logger.LogDebug("Found {Count} movies in TMDB collection {CollectionId}", results.Count, collectionId);
             return results;
         }
-        catch (TaskCanceledException ex)
+        catch (Exception ex)
         {
-            _logger.LogError(ex, "Timeout searching TMDB for TV shows with query: {Query}. Message: {Message}", query, ex.Message);
+            _logger.LogError(ex, "Error loading TMDB collection {CollectionId}: {Message}", collectionId, ex.Message);
             return results;
         }
-        catch (JsonException ex)
+    }
+
+    /// <summary>
+    /// Lists the seasons of a TMDB series, including specials (season 0).
+    /// </summary>
+    /// <param name="seriesId">The TMDB series ID.</param>
+    /// <returns>The seasons in order, or an empty list if TMDB is offline and they aren't cached, or the lookup failed.</returns>
+    public async Task<List<SeriesSeasonInfo>> GetSeasonsAsync(string seriesId)
+    {
+        var results = new List<SeriesSeasonInfo>();
+
+        try
         {
-            _logger.LogError(ex, "JSON parsing error for TMDB TV search with query: {Query}. Message: {Message}", query, ex.Message);
+            var (content, _) = await GetTmdbResponseAsync($"tv/{Uri.EscapeDataString(seriesId)}", SeasonsCacheDuration).ConfigureAwait(false);
+            if (content == null)
+            {
+                return results;
+            }
+
+            var tvShow = JsonSerializer.Deserialize<TmdbTvDetails>(content);
+
+            if (tvShow?.Seasons == null)
+            {
+                return results;
+            }
+
+            foreach (var season in tvShow.Seasons.OrderBy(s => s.SeasonNumber))
+            {
+                results.Add(new SeriesSeasonInfo
+                {
+                    SeasonNumber = season.SeasonNumber,
+                    Name = season.Name,
+                    EpisodeCount = season.EpisodeCount,
+                    Year = season.AirDate == null ? null : ParseYear(season.AirDate)
+                });
+            }
+
+            _logger.LogDebug("Found {Count} seasons on TMDB for series {SeriesId}", results.Count, seriesId);
             return results;
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Unexpected error searching TMDB for TV shows with query: {Query}. Message: {Message}", query, ex.Message);
+            _logger.LogError(ex, "Error listing TMDB seasons for series {SeriesId}: {Message}", seriesId, ex.Message);
+            return results;
+        }
+    }
+
+    /// <summary>
+    /// Lists the episodes of one season of a TMDB series.
+    /// </summary>
+    /// <param name="seriesId">The TMDB series ID.</param>
+    /// <param name="seasonNumber">The season number.</param>
+    /// <returns>The episodes in order, or an empty list if TMDB is offline and they aren't cached, or the lookup failed.</returns>
+    public async Task<List<SeriesEpisodeInfo>> GetEpisodesAsync(string seriesId, int seasonNumber)
+    {
+        var results = new List<SeriesEpisodeInfo>();
+
+        try
+        {
+            var (content, _) = await GetTmdbResponseAsync($"tv/{Uri.EscapeDataString(seriesId)}/season/{seasonNumber}", SeasonsCacheDuration).ConfigureAwait(false);
+            if (content == null)
+            {
+                return results;
+            }
+
+            var season = JsonSerializer.Deserialize<TmdbSeasonDetails>(content);
+
+            if (season?.Episodes == null)
+            {
+                return results;
+            }
+
+            foreach (var episode in season.Episodes.OrderBy(e => e.EpisodeNumber))
+            {
+                results.Add(new SeriesEpisodeInfo
+                {
+                    Id = episode.Id.ToString(CultureInfo.InvariantCulture),
+                    SeasonNumber = episode.SeasonNumber,
+                    EpisodeNumber = episode.EpisodeNumber,
+                    Name = episode.Name,
+                    AirDate = string.IsNullOrWhiteSpace(episode.AirDate) ? null : episode.AirDate
+                });
+            }
+
+            _logger.LogDebug("Found {Count} episodes on TMDB for series {SeriesId} season {Season}", results.Count, seriesId, seasonNumber);
             return results;
         }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing TMDB episodes for series {SeriesId} season {Season}: {Message}", seriesId, seasonNumber, ex.Message);
+            return results;
+        }
+    }
+
+    /// <summary>
+    /// Looks up the display title of a timeline item on TMDB (e.g., "Iron Man (2008)").
+    /// TMDB IDs are fetched directly; IMDB and TVDB IDs are resolved through the TMDB find endpoint.
+    /// </summary>
+    /// <param name="providerId">The provider ID.</param>
+    /// <param name="providerName">The provider name (e.g., "tmdb", "imdb", "tvdb").</param>
+    /// <param name="contentType">The timeline content type ("movie", "episode", "series" or "season").</param>
+    /// <returns>The title with year if known, or null if TMDB is offline and the title isn't cached, or the lookup failed.</returns>
+    public async Task<string?> GetTitleAsync(string providerId, string providerName, string contentType)
+    {
+        var details = await GetDetailsAsync(providerId, providerName, contentType).ConfigureAwait(false);
+        return details?.Title;
+    }
+
+    /// <summary>
+    /// Looks up the display title and poster of a timeline item on TMDB.
+    /// TMDB IDs are fetched directly; IMDB and TVDB IDs are resolved through the TMDB find endpoint.
+    /// </summary>
+    /// <param name="providerId">The provider ID.</param>
+    /// <param name="providerName">The provider name (e.g., "tmdb", "imdb", "tvdb").</param>
+    /// <param name="contentType">The timeline content type ("movie", "episode", "series" or "season").</param>
+    /// <returns>The title details, or null if TMDB is offline and the details aren't cached, or the lookup failed.</returns>
+    public async Task<TmdbTitleDetails?> GetDetailsAsync(string providerId, string providerName, string contentType)
+    {
+        if (string.IsNullOrWhiteSpace(providerId) || string.IsNullOrWhiteSpace(providerName))
+        {
+            return null;
+        }
+
+        var isMovie = string.Equals(contentType, "movie", StringComparison.OrdinalIgnoreCase);
+        var normalizedProvider = providerName.ToLowerInvariant();
+
+        try
+        {
+            if (normalizedProvider == "tmdb")
+            {
+                var path = isMovie
+                    ? $"movie/{Uri.EscapeDataString(providerId)}"
+                    : $"tv/{Uri.EscapeDataString(providerId)}";
+
+                var (content, _) = await GetTmdbResponseAsync(path, DetailsCacheDuration).ConfigureAwait(false);
+                if (content == null)
+                {
+                    return null;
+                }
+
+                if (isMovie)
+                {
+                    var movie = JsonSerializer.Deserialize<TmdbMovieSearchResult>(content);
+                    return movie == null ? null : CreateDetails(movie.Title, movie.ReleaseDate, movie.PosterPath);
+                }
+
+                var tvShow = JsonSerializer.Deserialize<TmdbTvSearchResult>(content);
+                return tvShow == null ? null : CreateDetails(tvShow.Name, tvShow.FirstAirDate, tvShow.PosterPath);
+            }
+
+            var findSource = ProviderRegistry.Find(normalizedProvider)?.TmdbFindSource;
+            if (findSource != null)
+            {
+                var path = $"find/{Uri.EscapeDataString(providerId)}?external_source={findSource}";
+
+                var (content, _) = await GetTmdbResponseAsync(path, DetailsCacheDuration).ConfigureAwait(false);
+                if (content == null)
+                {
+                    return null;
+                }
+
+                var findResponse = JsonSerializer.Deserialize<TmdbFindResponse>(content);
+
+                if (findResponse?.MovieResults.Count > 0)
+                {
+                    var movie = findResponse.MovieResults[0];
+                    return CreateDetails(movie.Title, movie.ReleaseDate, movie.PosterPath);
+                }
+
+                if (findResponse?.TvResults.Count > 0)
+                {
+                    var tvShow = findResponse.TvResults[0];
+                    return CreateDetails(tvShow.Name, tvShow.FirstAirDate, tvShow.PosterPath);
+                }
+            }
+
+            return null;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogDebug(ex, "Failed to fetch TMDB title for {Provider}:{ProviderId}: {Message}", providerName, providerId, ex.Message);
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Checks a TMDB credential by requesting the TMDB API configuration, which any valid credential may read.
+    /// </summary>
+    /// <param name="credential">The v3 API key or v4 read access token to check, or null for the configured one.</param>
+    /// <param name="baseUrl">The TMDB API base URL to check against, or null for the configured one.</param>
+    /// <returns>Whether TMDB accepted the credential, and why not if it didn't.</returns>
+    /// <remarks>
+    /// The configured credential is only sent to the configured base URL; checking another base URL
+    /// requires the credential to be passed in, so the stored one can't be sent to an arbitrary host.
+    /// </remarks>
+    public async Task<TmdbConnectionTestResult> TestConnectionAsync(string? credential, string? baseUrl)
+    {
+        var configuredBaseUrl = GetTmdbBaseUrl();
+        var result = new TmdbConnectionTestResult
+        {
+            BaseUrl = baseUrl == null ? configuredBaseUrl : NormalizeBaseUrl(baseUrl)
+        };
+
+        if (!string.IsNullOrWhiteSpace(credential))
+        {
+            credential = credential.Trim();
+        }
+        else if (string.Equals(result.BaseUrl, configuredBaseUrl, StringComparison.OrdinalIgnoreCase))
+        {
+            credential = GetTmdbApiKey();
+        }
+        else
+        {
+            result.Message = "Enter the API key or read access token to test against a base URL other than the saved one";
+            return result;
+        }
+
+        if (credential == null)
+        {
+            result.Message = "No TMDB API key or read access token is configured";
+            return result;
+        }
+
+        result.CredentialType = GetCredentialType(credential);
+
+        if (!Uri.TryCreate(result.BaseUrl, UriKind.Absolute, out var baseUri) || (baseUri.Scheme != Uri.UriSchemeHttp && baseUri.Scheme != Uri.UriSchemeHttps))
+        {
+            result.Message = $"'{result.BaseUrl}' is not an http or https URL";
+            return result;
+        }
+
+        try
+        {
+            using var httpClient = _httpClientFactory.CreateClient();
+            httpClient.Timeout = TimeSpan.FromSeconds(15);
+
+            using var request = CreateTmdbRequest(result.BaseUrl, "configuration", credential);
+            using var response = await httpClient.SendAsync(request).ConfigureAwait(false);
+            result.StatusCode = (int)response.StatusCode;
+
+            if (response.IsSuccessStatusCode)
+            {
+                result.Success = true;
+                result.Message = result.CredentialType == BearerTokenCredential
+                    ? "Connected to TMDB with the read access token"
+                    : "Connected to TMDB with the API key";
+            }
+            else if (response.StatusCode == HttpStatusCode.Unauthorized)
+            {
+                result.Message = "TMDB rejected the credential. Check that the API key or read access token is complete and still valid";
+            }
+            else if (response.StatusCode == HttpStatusCode.NotFound)
+            {
+                result.Message = $"{result.BaseUrl} doesn't look like the TMDB API (the configuration endpoint was not found)";
+            }
+            else
+            {
+                result.Message = $"TMDB answered with HTTP {result.StatusCode}";
+            }
+        }
+        catch (Exception ex) when (ex is HttpRequestException || ex is TaskCanceledException)
+        {
+            result.Message = $"Could not reach {result.BaseUrl}: {ex.Message}";
+        }
+
+        _logger.LogInformation(
+            "TMDB connection test against {BaseUrl} with {CredentialType}: {Message}",
+            result.BaseUrl,
+            result.CredentialType,
+            result.Message);
+        return result;
+    }
+
+    /// <summary>
+    /// Gets the size of the local TMDB cache and whether TMDB-backed features are offline.
+    /// </summary>
+    /// <returns>The cache status.</returns>
+    public TmdbCacheStatus GetCacheStatus()
+    {
+        var apiKey = GetTmdbApiKey();
+        var status = _cacheService.GetStatus();
+        status.ApiKeyConfigured = apiKey != null;
+        status.OfflineReason = GetOfflineReason(apiKey);
+        status.Offline = status.OfflineReason != null;
+        return status;
+    }
+
+    /// <summary>
+    /// Loads the TMDB details of timeline items into the local cache, so their titles and posters can be shown
+    /// while TMDB is offline. Details that are already cached and fresh enough aren't fetched again.
+    /// </summary>
+    /// <param name="items">The timeline items, e.g. the items of every universe.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>How many titles were found, cached, skipped and not found.</returns>
+    public async Task<TmdbCachePrewarmResult> PrewarmCacheAsync(IEnumerable<TimelineItem> items, CancellationToken cancellationToken)
+    {
+        var result = new TmdbCachePrewarmResult();
+        var seen = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+        foreach (var item in items)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            // Episodes are shown as their series, like in the universe editor
+            var lookupId = item.SeriesId ?? item.ProviderId;
+            if (string.IsNullOrWhiteSpace(lookupId) || string.IsNullOrWhiteSpace(item.ProviderName))
+            {
+                continue;
+            }
+
+            var isMovie = string.Equals(item.Type, "movie", StringComparison.OrdinalIgnoreCase);
+            if (!seen.Add($"{item.ProviderName}_{lookupId}_{(isMovie ? "movie" : "tv")}"))
+            {
+                continue;
+            }
+
+            result.ItemCount++;
+
+            var provider = item.ProviderName.ToLowerInvariant();
+            if (provider != "tmdb" && ProviderRegistry.Find(provider)?.TmdbFindSource == null)
+            {
+                result.SkippedCount++;
+                continue;
+            }
+
+            var details = await GetDetailsAsync(lookupId, item.ProviderName, item.Type).ConfigureAwait(false);
+            if (details != null)
+            {
+                result.CachedCount++;
+            }
+            else
+            {
+                result.FailedItems.Add($"{provider}:{lookupId}");
+            }
+        }
+
+        result.Offline = GetOfflineReason(GetTmdbApiKey()) != null;
+
+        _logger.LogInformation(
+            "Pre-warmed TMDB cache: {Cached} of {Total} titles cached, {Skipped} skipped, {Failed} not found{Offline}",
+            result.CachedCount,
+            result.ItemCount,
+            result.SkippedCount,
+            result.FailedItems.Count,
+            result.Offline ? " (TMDB offline)" : string.Empty);
+        return result;
+    }
+
+    /// <summary>
+    /// Deletes every cached TMDB response.
+    /// </summary>
+    /// <returns>The number of responses deleted.</returns>
+    public Task<int> ClearCacheAsync()
+    {
+        return _cacheService.ClearAsync();
+    }
+
+    /// <summary>
+    /// Builds the display details of a TMDB result.
+    /// </summary>
+    /// <param name="title">The title.</param>
+    /// <param name="dateString">The release or first air date ("YYYY-MM-DD").</param>
+    /// <param name="posterPath">The TMDB poster path, e.g. "/78lPtwv72eTNqFW9COBYI0dWDJa.jpg".</param>
+    /// <returns>The details, or null if the title is empty.</returns>
+    private static TmdbTitleDetails? CreateDetails(string title, string dateString, string? posterPath)
+    {
+        var formattedTitle = FormatTitle(title, dateString);
+        if (formattedTitle == null)
+        {
+            return null;
+        }
+
+        return new TmdbTitleDetails
+        {
+            Title = formattedTitle,
+            Name = title,
+            Year = ParseYear(dateString),
+            PosterUrl = string.IsNullOrWhiteSpace(posterPath) ? null : TmdbPosterBaseUrl + posterPath
+        };
+    }
+
+    /// <summary>
+    /// Formats a title with its release year, e.g. "Iron Man (2008)".
+    /// </summary>
+    /// <param name="title">The title.</param>
+    /// <param name="dateString">The release or first air date ("YYYY-MM-DD").</param>
+    /// <returns>The formatted title, or null if the title is empty.</returns>
+    private static string? FormatTitle(string title, string dateString)
+    {
+        if (string.IsNullOrWhiteSpace(title))
+        {
+            return null;
+        }
+
+        var year = ParseYear(dateString);
+        return year.HasValue ? $"{title} ({year.Value})" : title;
     }
 
     /// <summary>
@@ -286,7 +912,9 @@ public class TmdbSearchService
             Type = "Movie",
             ProviderIds = new Dictionary<string, string> { { "tmdb", movie.Id.ToString() } },
             SeasonNumber = null,
-            SeriesName = string.Empty
+            SeriesName = string.Empty,
+            Overview = movie.Overview ?? string.Empty,
+            PosterUrl = string.IsNullOrWhiteSpace(movie.PosterPath) ? null : TmdbPosterBaseUrl + movie.PosterPath
         };
     }
 
@@ -305,7 +933,9 @@ public class TmdbSearchService
             Type = "Series", // Will be converted to "episode" when creating TimelineItem
             ProviderIds = new Dictionary<string, string> { { "tmdb", tvShow.Id.ToString() } },
             SeasonNumber = null, // User can specify season when adding to playlist
-            SeriesName = tvShow.Name
+            SeriesName = tvShow.Name,
+            Overview = tvShow.Overview ?? string.Empty,
+            PosterUrl = string.IsNullOrWhiteSpace(tvShow.PosterPath) ? null : TmdbPosterBaseUrl + tvShow.PosterPath
         };
     }
 }
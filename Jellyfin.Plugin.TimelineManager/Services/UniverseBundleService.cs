@@ -0,0 +1,289 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for exporting universes into a single shareable bundle and importing such bundles.
+/// </summary>
+public class UniverseBundleService
+{
+    private readonly ILogger<UniverseBundleService> _logger;
+    private readonly UniverseManagementService _universeManagementService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="UniverseBundleService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="universeManagementService">The universe management service.</param>
+    public UniverseBundleService(
+        ILogger<UniverseBundleService> logger,
+        UniverseManagementService universeManagementService)
+    {
+        _logger = logger;
+        _universeManagementService = universeManagementService;
+    }
+
+    /// <summary>
+    /// Exports universes into a bundle.
+    /// </summary>
+    /// <param name="filenames">The universe filenames to export. If null or empty, all universes are exported.</param>
+    /// <returns>The bundle containing the universes that could be loaded.</returns>
+    public async Task<UniverseBundle> ExportAsync(IEnumerable<string>? filenames)
+    {
+        var requestedFilenames = filenames?.Where(f => !string.IsNullOrWhiteSpace(f)).ToList() ?? new List<string>();
+        if (requestedFilenames.Count == 0)
+        {
+            var allUniverses = await _universeManagementService.GetAllUniversesAsync();
+            requestedFilenames = allUniverses.Select(u => u.Filename).ToList();
+        }
+
+        var bundle = new UniverseBundle { ExportedAt = DateTime.UtcNow };
+
+        foreach (var filename in requestedFilenames)
+        {
+            var universe = await _universeManagementService.GetUniverseAsync(filename);
+            if (universe == null)
+            {
+                _logger.LogWarning("Skipping universe file {Filename} in export: not found or invalid", filename);
+                continue;
+            }
+
+            bundle.Universes.Add(universe);
+        }
+
+        _logger.LogInformation("Exported {Count} universe(s) to a bundle", bundle.Universes.Count);
+        return bundle;
+    }
+
+    /// <summary>
+    /// Previews what importing a bundle would do, without writing anything.
+    /// Reports validation errors and key collisions with existing universes or earlier bundle entries.
+    /// </summary>
+    /// <param name="bundle">The bundle to preview.</param>
+    /// <returns>One preview entry per universe in the bundle.</returns>
+    public async Task<List<BundleImportPreviewItem>> PreviewImportAsync(UniverseBundle bundle)
+    {
+        var existingByKey = await GetExistingUniversesByKeyAsync();
+        var bundleKeys = new HashSet<string>(
+            bundle.Universes.Where(u => u != null).Select(u => u.Key ?? string.Empty),
+            StringComparer.OrdinalIgnoreCase);
+        var seenKeys = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        var preview = new List<BundleImportPreviewItem>();
+
+        for (int i = 0; i < bundle.Universes.Count; i++)
+        {
+            var universe = bundle.Universes[i];
+            var key = universe?.Key ?? string.Empty;
+
+            var item = new BundleImportPreviewItem
+            {
+                Index = i,
+                Key = key,
+                Name = universe?.Name ?? string.Empty,
+                ItemCount = universe?.Items?.Count ?? 0,
+                Filename = $"{key}.json",
+                ValidationErrors = ValidateForImport(universe, key)
+            };
+
+            if (seenKeys.Contains(key))
+            {
+                item.HasConflict = true;
+                item.ConflictsWith = "an earlier universe in this bundle";
+                item.CanOverwrite = false;
+            }
+            else if (existingByKey.TryGetValue(key, out var existing))
+            {
+                item.HasConflict = true;
+                item.ConflictsWith = $"{existing.Name} ({existing.Filename})";
+                item.CanOverwrite = true;
+                item.Filename = existing.Filename;
+            }
+            else if (_universeManagementService.UniverseFileExists(item.Filename))
+            {
+                item.HasConflict = true;
+                item.ConflictsWith = item.Filename;
+                item.CanOverwrite = true;
+            }
+
+            if (item.HasConflict)
+            {
+                var takenKeys = new HashSet<string>(existingByKey.Keys, StringComparer.OrdinalIgnoreCase);
+                takenKeys.UnionWith(bundleKeys);
+                item.SuggestedKey = FindFreeKey(key, takenKeys);
+            }
+
+            seenKeys.Add(key);
+            preview.Add(item);
+        }
+
+        return preview;
+    }
+
+    /// <summary>
+    /// Imports a bundle, applying the per-universe conflict decisions.
+    /// Universes that fail validation or would collide without an explicit decision are not written.
+    /// </summary>
+    /// <param name="request">The import request.</param>
+    /// <returns>The result of the import.</returns>
+    public async Task<BundleImportResult> ImportAsync(BundleImportRequest request)
+    {
+        var result = new BundleImportResult();
+        var existingByKey = await GetExistingUniversesByKeyAsync();
+        var writtenKeys = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        var decisions = request.Decisions ?? new List<BundleImportDecision>();
+
+        for (int i = 0; i < request.Bundle.Universes.Count; i++)
+        {
+            var universe = request.Bundle.Universes[i];
+            var key = universe?.Key ?? string.Empty;
+            var decision = decisions.FirstOrDefault(d => d.Index == i);
+            var action = (decision?.Action ?? "import").ToLowerInvariant();
+            var label = string.IsNullOrEmpty(key) ? $"Universe #{i + 1}" : $"'{key}'";
+
+            if (action == "skip")
+            {
+                result.Skipped.Add(key);
+                continue;
+            }
+
+            // A renamed universe is validated under its new key, so renaming can also fix an invalid key
+            var newKey = decision?.NewKey?.Trim() ?? string.Empty;
+            var targetKey = action == "rename" ? newKey : key;
+            var validationErrors = ValidateForImport(universe, targetKey);
+            if (universe == null || validationErrors.Count > 0)
+            {
+                result.Errors.Add($"{label}: {string.Join("; ", validationErrors)}");
+                continue;
+            }
+
+            string filename;
+            switch (action)
+            {
+                case "import":
+                    filename = $"{key}.json";
+                    if (existingByKey.ContainsKey(key) || writtenKeys.Contains(key) || _universeManagementService.UniverseFileExists(filename))
+                    {
+                        result.Errors.Add($"{label}: a universe with this key already exists; choose overwrite, rename or skip");
+                        continue;
+                    }
+
+                    break;
+
+                case "overwrite":
+                    if (writtenKeys.Contains(key))
+                    {
+                        result.Errors.Add($"{label}: already imported from an earlier entry in this bundle; rename or skip it");
+                        continue;
+                    }
+
+                    filename = existingByKey.TryGetValue(key, out var existing) ? existing.Filename : $"{key}.json";
+                    break;
+
+                case "rename":
+                    filename = $"{newKey}.json";
+                    if (existingByKey.ContainsKey(newKey) || writtenKeys.Contains(newKey) || _universeManagementService.UniverseFileExists(filename))
+                    {
+                        result.Errors.Add($"{label}: new key '{newKey}' is already in use");
+                        continue;
+                    }
+
+                    universe.Key = newKey;
+                    key = newKey;
+                    break;
+
+                default:
+                    result.Errors.Add($"{label}: unknown action '{decision?.Action}'");
+                    continue;
+            }
+
+            var saveResult = await _universeManagementService.SaveUniverseAsync(filename, universe);
+            if (!saveResult.Success)
+            {
+                result.Errors.Add($"{label}: {string.Join("; ", saveResult.Errors)}");
+                continue;
+            }
+
+            writtenKeys.Add(key);
+            existingByKey[key] = new UniverseMetadata { Key = key, Name = universe.Name, Filename = filename };
+            result.Imported.Add(filename);
+        }
+
+        result.Success = result.Errors.Count == 0;
+
+        _logger.LogInformation("Bundle import finished: {ImportedCount} imported, {SkippedCount} skipped, {ErrorCount} failed",
+            result.Imported.Count, result.Skipped.Count, result.Errors.Count);
+
+        return result;
+    }
+
+    /// <summary>
+    /// Runs the universe validation rules and checks that the key can be used as a filename.
+    /// </summary>
+    /// <param name="universe">The universe to validate.</param>
+    /// <param name="key">The key the universe will be saved under.</param>
+    /// <returns>The validation errors, empty if valid.</returns>
+    private List<string> ValidateForImport(Universe? universe, string key)
+    {
+        if (universe == null)
+        {
+            return new List<string> { "Universe is null" };
+        }
+
+        // Validate with the key the universe will actually be saved under
+        var originalKey = universe.Key;
+        universe.Key = key;
+        var errors = _universeManagementService.ValidateUniverse(universe).Errors.ToList();
+        universe.Key = originalKey;
+
+        if (!string.IsNullOrWhiteSpace(key) &&
+            (key.Contains("..", StringComparison.Ordinal) || key.IndexOfAny(Path.GetInvalidFileNameChars()) >= 0 || key.Contains('\\')))
+        {
+            errors.Add($"Universe key '{key}' cannot be used as a filename");
+        }
+
+        return errors;
+    }
+
+    /// <summary>
+    /// Gets the existing universes keyed by universe key.
+    /// </summary>
+    /// <returns>A case-insensitive dictionary of existing universe metadata.</returns>
+    private async Task<Dictionary<string, UniverseMetadata>> GetExistingUniversesByKeyAsync()
+    {
+        var existing = await _universeManagementService.GetAllUniversesAsync();
+        var byKey = new Dictionary<string, UniverseMetadata>(StringComparer.OrdinalIgnoreCase);
+
+        foreach (var metadata in existing)
+        {
+            byKey.TryAdd(metadata.Key, metadata);
+        }
+
+        return byKey;
+    }
+
+    /// <summary>
+    /// Finds a key that is not in use by appending a number (e.g., "mcu-2").
+    /// </summary>
+    /// <param name="key">The colliding key.</param>
+    /// <param name="takenKeys">Keys that are already in use.</param>
+    /// <returns>A free key.</returns>
+    private string FindFreeKey(string key, HashSet<string> takenKeys)
+    {
+        var baseKey = string.IsNullOrWhiteSpace(key) ? "universe" : key;
+
+        for (int suffix = 2; ; suffix++)
+        {
+            var candidate = $"{baseKey}-{suffix}";
+            if (!takenKeys.Contains(candidate) && !_universeManagementService.UniverseFileExists($"{candidate}.json"))
+            {
+                return candidate;
+            }
+        }
+    }
+}
@@ -0,0 +1,414 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Text.RegularExpressions;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for finding timeline items whose provider ID went stale (e.g., the library item was
+/// re-identified or TMDB merged IDs) and proposing the provider ID of the library item with the same title and year.
+/// </summary>
+public class UniverseHealthService
+{
+    /// <summary>
+    /// Minimum confidence (0-100) for a library item to be proposed as a fix.
+    /// </summary>
+    public const int MinimumConfidence = 70;
+
+    // Item types that reference a movie or series the library search can find
+    private static readonly string[] CheckedTypes = { "movie", "series", "season" };
+
+    // "Iron Man (2008)" in an item comment
+    private static readonly Regex TitleWithYearPattern = new(@"^(.+?)\s*\((\d{4})\)\s*$", RegexOptions.Compiled);
+
+    private readonly ILogger<UniverseHealthService> _logger;
+    private readonly ILibraryManager _libraryManager;
+    private readonly UniverseManagementService _universeManagementService;
+    private readonly ContentSearchService _contentSearchService;
+    private readonly TmdbSearchService _tmdbSearchService;
+    private readonly ContentLookupService _contentLookupService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="UniverseHealthService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="libraryManager">The Jellyfin library manager.</param>
+    /// <param name="universeManagementService">The universe management service.</param>
+    /// <param name="contentSearchService">The library search service used to find items by title.</param>
+    /// <param name="tmdbSearchService">The TMDB service used to look up titles of missing items.</param>
+    /// <param name="contentLookupService">The shared library lookup index.</param>
+    public UniverseHealthService(
+        ILogger<UniverseHealthService> logger,
+        ILibraryManager libraryManager,
+        UniverseManagementService universeManagementService,
+        ContentSearchService contentSearchService,
+        TmdbSearchService tmdbSearchService,
+        ContentLookupService contentLookupService)
+    {
+        _logger = logger;
+        _libraryManager = libraryManager;
+        _universeManagementService = universeManagementService;
+        _contentSearchService = contentSearchService;
+        _tmdbSearchService = tmdbSearchService;
+        _contentLookupService = contentLookupService;
+    }
+
+    /// <summary>
+    /// Checks the given universe files for missing items that match a library item by title and year.
+    /// </summary>
+    /// <param name="filenames">The universe filenames to check. If null or empty, all universes are checked.</param>
+    /// <returns>One health report per universe, in the order requested.</returns>
+    public async Task<List<UniverseHealthReport>> CheckAsync(IEnumerable<string>? filenames)
+    {
+        var requestedFilenames = filenames?.Where(f => !string.IsNullOrWhiteSpace(f)).ToList() ?? new List<string>();
+        if (requestedFilenames.Count == 0)
+        {
+            var allUniverses = await _universeManagementService.GetAllUniversesAsync();
+            requestedFilenames = allUniverses.Select(u => u.Filename).ToList();
+        }
+
+        var reports = new List<UniverseHealthReport>();
+        if (requestedFilenames.Count == 0)
+        {
+            return reports;
+        }
+
+        var lookupService = _contentLookupService;
+        lookupService.EnsureLookupTables();
+
+        // The same title is often referenced several times (e.g. one entry per season), so look it up once
+        var tmdbDetails = new Dictionary<string, TmdbTitleDetails?>(StringComparer.OrdinalIgnoreCase);
+
+        foreach (var filename in requestedFilenames)
+        {
+            var universe = await _universeManagementService.GetUniverseAsync(filename);
+            if (universe == null)
+            {
+                reports.Add(new UniverseHealthReport
+                {
+                    Filename = filename,
+                    Error = $"Universe file '{filename}' not found or invalid"
+                });
+                continue;
+            }
+
+            reports.Add(await CheckUniverseAsync(filename, universe, lookupService, tmdbDetails));
+        }
+
+        _logger.LogInformation("Health check proposed {ProposalCount} fix(es) for {MissingCount} missing item(s) in {UniverseCount} universe(s)",
+            reports.Sum(r => r.Proposals.Count), reports.Sum(r => r.MissingItems), reports.Count);
+        return reports;
+    }
+
+    /// <summary>
+    /// Applies accepted fixes to a universe file. Orderings that reference a fixed item are updated too.
+    /// Fixes for items that changed since the health check are skipped.
+    /// </summary>
+    /// <param name="request">The universe filename and the accepted fixes.</param>
+    /// <returns>The number of items updated and any errors.</returns>
+    public async Task<HealthFixResult> ApplyFixesAsync(HealthFixRequest request)
+    {
+        var result = new HealthFixResult();
+
+        var universe = await _universeManagementService.GetUniverseAsync(request.Filename);
+        if (universe == null)
+        {
+            result.Errors.Add($"Universe file '{request.Filename}' not found or invalid");
+            return result;
+        }
+
+        foreach (var fix in request.Fixes ?? new List<HealthFix>())
+        {
+            if (string.IsNullOrWhiteSpace(fix.NewProviderName) || string.IsNullOrWhiteSpace(fix.NewProviderId))
+            {
+                result.Errors.Add($"Item {fix.Index + 1}: the new provider ID is empty");
+                continue;
+            }
+
+            if (fix.Index < 0 || fix.Index >= universe.Items.Count)
+            {
+                result.Errors.Add($"Item {fix.Index + 1} no longer exists");
+                continue;
+            }
+
+            var item = universe.Items[fix.Index];
+            if (!string.Equals(item.ProviderName, fix.ProviderName, StringComparison.OrdinalIgnoreCase) ||
+                !string.Equals(item.ProviderId, fix.ProviderId, StringComparison.OrdinalIgnoreCase))
+            {
+                result.Errors.Add($"Item {fix.Index + 1} changed since the health check, run it again");
+                continue;
+            }
+
+            var oldOrderKey = item.OrderKey;
+            item.ProviderName = fix.NewProviderName.ToLowerInvariant();
+            item.ProviderId = fix.NewProviderId;
+            RenameOrderKey(universe, oldOrderKey, item.OrderKey);
+            result.Applied++;
+
+            _logger.LogInformation("Health fix for '{UniverseName}' item {Position}: {OldProvider}:{OldId} -> {NewProvider}:{NewId}",
+                universe.Name, fix.Index + 1, fix.ProviderName, fix.ProviderId, item.ProviderName, item.ProviderId);
+        }
+
+        if (result.Applied == 0)
+        {
+            result.Success = result.Errors.Count == 0;
+            return result;
+        }
+
+        var saveResult = await _universeManagementService.SaveUniverseAsync(request.Filename, universe);
+        if (!saveResult.Success)
+        {
+            result.Applied = 0;
+            result.Errors.AddRange(saveResult.Errors);
+            return result;
+        }
+
+        result.Success = result.Errors.Count == 0;
+        return result;
+    }
+
+    /// <summary>
+    /// Checks one universe: finds its missing items and searches the library for each one's title.
+    /// </summary>
+    /// <param name="filename">The universe filename.</param>
+    /// <param name="universe">The universe.</param>
+    /// <param name="lookupService">The lookup service backed by built lookup tables.</param>
+    /// <param name="tmdbDetails">TMDB details already looked up, by provider, ID and kind.</param>
+    /// <returns>The health report.</returns>
+    private async Task<UniverseHealthReport> CheckUniverseAsync(
+        string filename,
+        Universe universe,
+        ContentLookupService lookupService,
+        Dictionary<string, TmdbTitleDetails?> tmdbDetails)
+    {
+        var report = new UniverseHealthReport
+        {
+            Filename = filename,
+            Key = universe.Key,
+            Name = universe.Name
+        };
+
+        // A library movie another entry already matches is a duplicate, not a fix
+        var matchedItemIds = new HashSet<Guid>();
+        var missing = new List<int>();
+        for (int i = 0; i < universe.Items.Count; i++)
+        {
+            var itemIds = lookupService.ResolveTimelineItem(universe.Items[i]);
+            if (itemIds.Count == 0)
+            {
+                missing.Add(i);
+            }
+            else
+            {
+                matchedItemIds.UnionWith(itemIds);
+            }
+        }
+
+        report.MissingItems = missing.Count;
+
+        foreach (var index in missing)
+        {
+            var item = universe.Items[index];
+            var proposal = CheckedTypes.Contains(item.Type.ToLowerInvariant())
+                ? await FindProposalAsync(index, item, matchedItemIds, tmdbDetails)
+                : null;
+
+            if (proposal != null)
+            {
+                report.Proposals.Add(proposal);
+                continue;
+            }
+
+            report.Unresolved.Add(new MissingItemInfo
+            {
+                Index = index,
+                ProviderId = item.ProviderId,
+                ProviderName = item.ProviderName,
+                Type = item.Type,
+                SeriesId = item.SeriesId,
+                Scope = item.ScopeLabel,
+                Title = tmdbDetails.TryGetValue(GetDetailsCacheKey(item), out var details) ? details?.Title : null
+            });
+        }
+
+        return report;
+    }
+
+    /// <summary>
+    /// Looks up a missing item's title and searches the library for the best match by title and year.
+    /// </summary>
+    /// <param name="index">The position of the item in the timeline.</param>
+    /// <param name="item">The missing item.</param>
+    /// <param name="matchedItemIds">Library items other timeline items already match.</param>
+    /// <param name="tmdbDetails">TMDB details already looked up, by provider, ID and kind.</param>
+    /// <returns>The proposal, or null if no title is known or no library item matches well enough.</returns>
+    private async Task<StaleItemProposal?> FindProposalAsync(
+        int index,
+        TimelineItem item,
+        HashSet<Guid> matchedItemIds,
+        Dictionary<string, TmdbTitleDetails?> tmdbDetails)
+    {
+        var cacheKey = GetDetailsCacheKey(item);
+        if (!tmdbDetails.TryGetValue(cacheKey, out var details))
+        {
+            details = await _tmdbSearchService.GetDetailsAsync(item.ProviderId, item.ProviderName, item.Type);
+            tmdbDetails[cacheKey] = details;
+        }
+
+        string title;
+        int? year;
+        string titleSource;
+        if (details != null && !string.IsNullOrWhiteSpace(details.Name))
+        {
+            title = details.Name;
+            year = details.Year;
+            titleSource = "tmdb";
+        }
+        else if (!string.IsNullOrWhiteSpace(item.Title))
+        {
+            title = item.Title;
+            year = item.Year;
+            titleSource = "item";
+        }
+        else if (!string.IsNullOrWhiteSpace(item.Comment))
+        {
+            // Merged or deleted TMDB IDs can't be looked up anymore; older universe files name the title in the comment
+            var match = TitleWithYearPattern.Match(item.Comment.Trim());
+            title = match.Success ? match.Groups[1].Value : item.Comment.Trim();
+            year = match.Success ? int.Parse(match.Groups[2].Value, CultureInfo.InvariantCulture) : null;
+            titleSource = "comment";
+        }
+        else
+        {
+            return null;
+        }
+
+        var isSeries = !string.Equals(item.Type, "movie", StringComparison.OrdinalIgnoreCase);
+        var candidates = SearchCandidates(title, isSeries);
+
+        StaleItemProposal? best = null;
+        foreach (var candidate in candidates)
+        {
+            if (!isSeries && matchedItemIds.Contains(candidate.Id))
+            {
+                continue;
+            }
+
+            var confidence = TitleMatcher.Score(title, year, candidate.Title, candidate.Year);
+            if (confidence < MinimumConfidence || (best != null && confidence <= best.Confidence))
+            {
+                continue;
+            }
+
+            var (newProviderName, newProviderId) = ChooseProviderId(item, candidate);
+            if (newProviderId == null)
+            {
+                continue;
+            }
+
+            best = new StaleItemProposal
+            {
+                Index = index,
+                Type = item.Type,
+                Scope = item.ScopeLabel,
+                ProviderName = item.ProviderName,
+                ProviderId = item.ProviderId,
+                Title = year.HasValue ? $"{title} ({year.Value})" : title,
+                TitleSource = titleSource,
+                LibraryItemId = candidate.Id,
+                LibraryTitle = candidate.Title,
+                LibraryYear = candidate.Year,
+                NewProviderName = newProviderName,
+                NewProviderId = newProviderId,
+                Confidence = confidence
+            };
+        }
+
+        return best;
+    }
+
+    /// <summary>
+    /// Searches the library for a title. Titles with a subtitle are also searched without it,
+    /// since the library and TMDB often punctuate subtitles differently.
+    /// </summary>
+    /// <param name="title">The title.</param>
+    /// <param name="isSeries">True to search series, false to search movies.</param>
+    /// <returns>The distinct library items found.</returns>
+    private List<SearchResultItem> SearchCandidates(string title, bool isSeries)
+    {
+        var candidates = _contentSearchService.SearchTitles(title, isSeries);
+
+        var separator = title.IndexOf(':');
+        if (separator < 0)
+        {
+            separator = title.IndexOf(" - ", StringComparison.Ordinal);
+        }
+
+        if (separator > 2)
+        {
+            candidates.AddRange(_contentSearchService.SearchTitles(title.Substring(0, separator).Trim(), isSeries));
+        }
+
+        return candidates.GroupBy(c => c.Id).Select(g => g.First()).ToList();
+    }
+
+    /// <summary>
+    /// Picks the provider ID to propose: the item's own provider if the library item has an ID for it,
+    /// otherwise the first provider in <see cref="ProviderRegistry"/> order that can identify the item's type.
+    /// </summary>
+    /// <param name="item">The missing item.</param>
+    /// <param name="candidate">The matching library item.</param>
+    /// <returns>The provider name and ID, or a null ID if the library item has none that differs from the current one.</returns>
+    private static (string ProviderName, string? ProviderId) ChooseProviderId(TimelineItem item, SearchResultItem candidate)
+    {
+        var providerName = item.ProviderName.ToLowerInvariant();
+        var names = new[] { providerName }.Concat(ProviderRegistry.Providers
+            .Where(p => ProviderRegistry.SupportsContentType(p.Name, item.Type))
+            .Select(p => p.Name));
+        foreach (var name in names)
+        {
+            if (candidate.ProviderIds.TryGetValue(name, out var id) &&
+                !(name == providerName && string.Equals(id, item.ProviderId, StringComparison.OrdinalIgnoreCase)))
+            {
+                return (name, id);
+            }
+        }
+
+        return (providerName, null);
+    }
+
+    /// <summary>
+    /// Replaces the first occurrence of an item's old order key in each alternate ordering.
+    /// </summary>
+    /// <param name="universe">The universe.</param>
+    /// <param name="oldOrderKey">The item's order key before the fix.</param>
+    /// <param name="newOrderKey">The item's order key after the fix.</param>
+    private static void RenameOrderKey(Universe universe, string oldOrderKey, string newOrderKey)
+    {
+        foreach (var ordering in universe.Orderings ?? new List<UniverseOrdering>())
+        {
+            var position = ordering.Order?.FindIndex(k => string.Equals(k, oldOrderKey, StringComparison.OrdinalIgnoreCase)) ?? -1;
+            if (position >= 0)
+            {
+                ordering.Order![position] = newOrderKey;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the key TMDB details are cached under. Series and seasons of one show share it.
+    /// </summary>
+    /// <param name="item">The timeline item.</param>
+    /// <returns>The cache key.</returns>
+    private static string GetDetailsCacheKey(TimelineItem item)
+    {
+        var isMovie = string.Equals(item.Type, "movie", StringComparison.OrdinalIgnoreCase);
+        return $"{item.ProviderName}_{item.ProviderId}_{(isMovie ? "movie" : "tv")}";
+    }
+}
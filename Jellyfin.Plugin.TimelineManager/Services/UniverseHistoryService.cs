@@ -0,0 +1,473 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.TimelineManager.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for keeping versioned snapshots of universe files. Each universe file gets its own
+/// folder under the history directory, with one file per snapshot holding the raw file content.
+/// </summary>
+public class UniverseHistoryService
+{
+    /// <summary>
+    /// Maximum number of snapshots kept per universe file; older snapshots are pruned.
+    /// </summary>
+    public const int MaxSnapshotsPerUniverse = 30;
+
+    private const string TimestampFormat = "yyyyMMdd'T'HHmmssfff'Z'";
+
+    // Snapshot IDs are "{timestamp}-{reason}", optionally with a counter for snapshots taken in the same millisecond
+    private static readonly Regex SnapshotIdPattern = new(@"^(\d{8}T\d{9}Z)(?:-(\d+))?-([a-z]+)$", RegexOptions.Compiled);
+
+    // Shared across instances because services are also constructed ad hoc outside of DI
+    private static readonly SemaphoreSlim FileLock = new(1, 1);
+
+    private readonly ILogger<UniverseHistoryService> _logger;
+    private readonly string _historyDirectoryPath;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="UniverseHistoryService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="historyDirectoryPath">The path to the history directory.</param>
+    public UniverseHistoryService(
+        ILogger<UniverseHistoryService> logger,
+        string historyDirectoryPath = "/config/universes/.history")
+    {
+        _logger = logger;
+        _historyDirectoryPath = historyDirectoryPath;
+    }
+
+    /// <summary>
+    /// Stores a snapshot of a universe file's content and prunes the oldest snapshots of that file.
+    /// </summary>
+    /// <param name="filename">The filename of the universe (e.g., "mcu.json").</param>
+    /// <param name="content">The raw file content to keep.</param>
+    /// <param name="reason">Why the snapshot is taken (see the reason constants of <see cref="UniverseSnapshot"/>).</param>
+    /// <returns>The snapshot, or null if it could not be written.</returns>
+    public async Task<UniverseSnapshot?> AddSnapshotAsync(string filename, string content, string reason)
+    {
+        await FileLock.WaitAsync();
+        try
+        {
+            var directory = GetUniverseHistoryDirectory(filename);
+            Directory.CreateDirectory(directory);
+
+            var timestamp = DateTime.UtcNow;
+            var baseId = timestamp.ToString(TimestampFormat, CultureInfo.InvariantCulture);
+            var id = $"{baseId}-{reason}";
+            for (int counter = 1; File.Exists(Path.Combine(directory, id + ".json")); counter++)
+            {
+                id = $"{baseId}-{counter}-{reason}";
+            }
+
+            // Atomic write: write to temp file, then rename
+            var filePath = Path.Combine(directory, id + ".json");
+            var tempFilePath = filePath + ".tmp";
+            await File.WriteAllTextAsync(tempFilePath, content);
+            File.Move(tempFilePath, filePath, true);
+
+            PruneSnapshots(directory);
+
+            _logger.LogInformation("Saved {Reason} snapshot {SnapshotId} of universe file {Filename}", reason, id, filename);
+            return CreateSnapshot(filename, id, content);
+        }
+        catch (Exception ex) when (ex is IOException || ex is UnauthorizedAccessException)
+        {
+            _logger.LogError(ex, "Could not save snapshot of universe file {Filename}", filename);
+            return null;
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Gets the snapshots of a universe file, newest first.
+    /// </summary>
+    /// <param name="filename">The filename of the universe (e.g., "mcu.json").</param>
+    /// <returns>The snapshots, empty if the file has no history.</returns>
+    public async Task<List<UniverseSnapshot>> GetSnapshotsAsync(string filename)
+    {
+        var snapshots = new List<UniverseSnapshot>();
+
+        await FileLock.WaitAsync();
+        try
+        {
+            var directory = GetUniverseHistoryDirectory(filename);
+            if (!Directory.Exists(directory))
+            {
+                return snapshots;
+            }
+
+            foreach (var id in GetSnapshotIds(directory))
+            {
+                try
+                {
+                    var content = await File.ReadAllTextAsync(Path.Combine(directory, id + ".json"));
+                    snapshots.Add(CreateSnapshot(filename, id, content));
+                }
+                catch (IOException ex)
+                {
+                    _logger.LogError(ex, "I/O error reading snapshot {SnapshotId} of {Filename}, skipping", id, filename);
+                }
+            }
+        }
+        catch (Exception ex) when (ex is IOException || ex is UnauthorizedAccessException)
+        {
+            _logger.LogError(ex, "Could not list snapshots of universe file {Filename}", filename);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+
+        return snapshots;
+    }
+
+    /// <summary>
+    /// Gets the raw content of a snapshot.
+    /// </summary>
+    /// <param name="filename">The filename of the universe (e.g., "mcu.json").</param>
+    /// <param name="snapshotId">The snapshot ID.</param>
+    /// <returns>The snapshot content, or null if the snapshot doesn't exist.</returns>
+    public async Task<string?> GetSnapshotContentAsync(string filename, string snapshotId)
+    {
+        if (!IsValidSnapshotId(snapshotId))
+        {
+            return null;
+        }
+
+        await FileLock.WaitAsync();
+        try
+        {
+            var filePath = Path.Combine(GetUniverseHistoryDirectory(filename), snapshotId + ".json");
+            if (!File.Exists(filePath))
+            {
+                _logger.LogWarning("Snapshot {SnapshotId} of universe file {Filename} not found", snapshotId, filename);
+                return null;
+            }
+
+            return await File.ReadAllTextAsync(filePath);
+        }
+        catch (IOException ex)
+        {
+            _logger.LogError(ex, "I/O error reading snapshot {SnapshotId} of {Filename}", snapshotId, filename);
+            return null;
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Gets the filenames of all universes that have history.
+    /// </summary>
+    /// <returns>The universe filenames (e.g., "mcu.json").</returns>
+    public List<string> GetFilenamesWithHistory()
+    {
+        try
+        {
+            if (!Directory.Exists(_historyDirectoryPath))
+            {
+                return new List<string>();
+            }
+
+            return Directory.GetDirectories(_historyDirectoryPath)
+                .Select(Path.GetFileName)
+                .Where(name => !string.IsNullOrEmpty(name) && name.EndsWith(".json", StringComparison.OrdinalIgnoreCase))
+                .Select(name => name!)
+                .OrderBy(name => name, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+        }
+        catch (Exception ex) when (ex is IOException || ex is UnauthorizedAccessException)
+        {
+            _logger.LogError(ex, "Could not scan history directory {DirectoryPath}", _historyDirectoryPath);
+            return new List<string>();
+        }
+    }
+
+    /// <summary>
+    /// Checks whether a snapshot ID is well-formed, so it can be used safely in a file path.
+    /// </summary>
+    /// <param name="snapshotId">The snapshot ID.</param>
+    /// <returns>True if the ID is well-formed.</returns>
+    public static bool IsValidSnapshotId(string? snapshotId)
+    {
+        return !string.IsNullOrEmpty(snapshotId) && SnapshotIdPattern.IsMatch(snapshotId);
+    }
+
+    /// <summary>
+    /// Compares a snapshot with the current universe: items added and removed since the snapshot,
+    /// items that moved relative to the others, and changes to the name, key, access and orderings.
+    /// </summary>
+    /// <param name="snapshot">The universe as stored in the snapshot.</param>
+    /// <param name="current">The current universe, or null if the file no longer exists.</param>
+    /// <returns>The differences.</returns>
+    public static UniverseSnapshotDiff CompareUniverses(Universe snapshot, Universe? current)
+    {
+        var snapshotKeys = (snapshot.Items ?? new List<TimelineItem>()).Select(i => i.OrderKey).ToList();
+        var diff = new UniverseSnapshotDiff { CurrentExists = current != null };
+
+        if (current == null)
+        {
+            diff.RemovedItems = snapshotKeys;
+            return diff;
+        }
+
+        var currentKeys = (current.Items ?? new List<TimelineItem>()).Select(i => i.OrderKey).ToList();
+
+        // Count occurrences so that an item listed twice is only matched twice
+        var currentCounts = CountKeys(currentKeys);
+        var snapshotCommon = new List<string>();
+        foreach (var key in snapshotKeys)
+        {
+            if (currentCounts.TryGetValue(key, out var count) && count > 0)
+            {
+                currentCounts[key] = count - 1;
+                snapshotCommon.Add(key);
+            }
+            else
+            {
+                diff.RemovedItems.Add(key);
+            }
+        }
+
+        var snapshotCounts = CountKeys(snapshotKeys);
+        var currentCommon = new List<string>();
+        foreach (var key in currentKeys)
+        {
+            if (snapshotCounts.TryGetValue(key, out var count) && count > 0)
+            {
+                snapshotCounts[key] = count - 1;
+                currentCommon.Add(key);
+            }
+            else
+            {
+                diff.AddedItems.Add(key);
+            }
+        }
+
+        diff.MovedItems = FindMovedKeys(snapshotCommon, currentCommon);
+
+        if (!string.Equals(snapshot.Name, current.Name, StringComparison.Ordinal))
+        {
+            diff.OtherChanges.Add($"Name changed from '{snapshot.Name}' to '{current.Name}'");
+        }
+
+        if (!string.Equals(snapshot.Key, current.Key, StringComparison.Ordinal))
+        {
+            diff.OtherChanges.Add($"Key changed from '{snapshot.Key}' to '{current.Key}'");
+        }
+
+        if (JsonSerializer.Serialize(snapshot.Ownership) != JsonSerializer.Serialize(current.Ownership))
+        {
+            diff.OtherChanges.Add("Playlist owner or sharing changed");
+        }
+
+        var snapshotOrderings = snapshot.Orderings ?? new List<UniverseOrdering>();
+        var currentOrderings = current.Orderings ?? new List<UniverseOrdering>();
+        foreach (var ordering in snapshotOrderings)
+        {
+            var match = currentOrderings.FirstOrDefault(o => string.Equals(o.Key, ordering.Key, StringComparison.OrdinalIgnoreCase));
+            if (match == null)
+            {
+                diff.OtherChanges.Add($"Ordering '{ordering.Name}' removed");
+            }
+            else if (JsonSerializer.Serialize(match) != JsonSerializer.Serialize(ordering))
+            {
+                diff.OtherChanges.Add($"Ordering '{match.Name}' changed");
+            }
+        }
+
+        foreach (var ordering in currentOrderings)
+        {
+            if (!snapshotOrderings.Any(o => string.Equals(o.Key, ordering.Key, StringComparison.OrdinalIgnoreCase)))
+            {
+                diff.OtherChanges.Add($"Ordering '{ordering.Name}' added");
+            }
+        }
+
+        return diff;
+    }
+
+    /// <summary>
+    /// Gets the history folder of a universe file.
+    /// </summary>
+    /// <param name="filename">The filename of the universe.</param>
+    /// <returns>The folder path.</returns>
+    private string GetUniverseHistoryDirectory(string filename)
+    {
+        return Path.Combine(_historyDirectoryPath, filename);
+    }
+
+    /// <summary>
+    /// Gets the IDs of the snapshots in a history folder, newest first.
+    /// </summary>
+    /// <param name="directory">The history folder of one universe file.</param>
+    /// <returns>The snapshot IDs.</returns>
+    private static List<string> GetSnapshotIds(string directory)
+    {
+        // The fixed-width timestamp sorts chronologically; snapshots of the same millisecond are ordered by
+        // their counter, which isn't padded (and is missing on the first one), so it is compared as a number
+        return Directory.GetFiles(directory, "*.json")
+            .Select(Path.GetFileNameWithoutExtension)
+            .Where(IsValidSnapshotId)
+            .Select(id => SnapshotIdPattern.Match(id!))
+            .OrderByDescending(match => match.Groups[1].Value, StringComparer.Ordinal)
+            .ThenByDescending(match => GetSnapshotCounter(match))
+            .Select(match => match.Value)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Gets the counter of a snapshot taken in the same millisecond as an earlier one.
+    /// </summary>
+    /// <param name="match">The <see cref="SnapshotIdPattern"/> match of the snapshot ID.</param>
+    /// <returns>The counter, or 0 for the first snapshot of its millisecond.</returns>
+    private static long GetSnapshotCounter(Match match)
+    {
+        return match.Groups[2].Success && long.TryParse(match.Groups[2].Value, NumberStyles.None, CultureInfo.InvariantCulture, out var counter)
+            ? counter
+            : 0;
+    }
+
+    /// <summary>
+    /// Counts how often each key occurs.
+    /// </summary>
+    /// <param name="keys">The keys.</param>
+    /// <returns>The number of occurrences per key.</returns>
+    private static Dictionary<string, int> CountKeys(List<string> keys)
+    {
+        var counts = new Dictionary<string, int>(StringComparer.Ordinal);
+        foreach (var key in keys)
+        {
+            counts[key] = counts.TryGetValue(key, out var count) ? count + 1 : 1;
+        }
+
+        return counts;
+    }
+
+    /// <summary>
+    /// Finds the keys that moved between two orders of the same items: everything outside the
+    /// longest common subsequence, so moving one item reports only that item.
+    /// </summary>
+    /// <param name="before">The keys in their old order.</param>
+    /// <param name="after">The same keys in their new order.</param>
+    /// <returns>The moved keys, in their new order.</returns>
+    internal static List<string> FindMovedKeys(List<string> before, List<string> after)
+    {
+        var lengths = new int[before.Count + 1, after.Count + 1];
+        for (int i = before.Count - 1; i >= 0; i--)
+        {
+            for (int j = after.Count - 1; j >= 0; j--)
+            {
+                lengths[i, j] = before[i] == after[j]
+                    ? lengths[i + 1, j + 1] + 1
+                    : Math.Max(lengths[i + 1, j], lengths[i, j + 1]);
+            }
+        }
+
+        var moved = new List<string>();
+        int b = 0, a = 0;
+        while (a < after.Count)
+        {
+            if (b < before.Count && before[b] == after[a])
+            {
+                b++;
+                a++;
+            }
+            else if (b < before.Count && lengths[b + 1, a] >= lengths[b, a + 1])
+            {
+                b++;
+            }
+            else
+            {
+                moved.Add(after[a]);
+                a++;
+            }
+        }
+
+        return moved;
+    }
+
+    /// <summary>
+    /// Deletes the oldest snapshots of a history folder beyond <see cref="MaxSnapshotsPerUniverse"/>.
+    /// Must be called while holding the file lock.
+    /// </summary>
+    /// <param name="directory">The history folder of one universe file.</param>
+    private void PruneSnapshots(string directory)
+    {
+        foreach (var id in GetSnapshotIds(directory).Skip(MaxSnapshotsPerUniverse))
+        {
+            try
+            {
+                File.Delete(Path.Combine(directory, id + ".json"));
+                _logger.LogDebug("Pruned snapshot {SnapshotId} in {Directory}", id, directory);
+            }
+            catch (IOException ex)
+            {
+                _logger.LogWarning(ex, "Could not prune snapshot {SnapshotId} in {Directory}", id, directory);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Builds the snapshot listing entry, reading the universe name and item count from the content.
+    /// </summary>
+    /// <param name="filename">The filename of the universe.</param>
+    /// <param name="id">The snapshot ID.</param>
+    /// <param name="content">The snapshot content.</param>
+    /// <returns>The snapshot.</returns>
+    private static UniverseSnapshot CreateSnapshot(string filename, string id, string content)
+    {
+        var match = SnapshotIdPattern.Match(id);
+        var snapshot = new UniverseSnapshot
+        {
+            Id = id,
+            Filename = filename,
+            Reason = match.Groups[3].Value,
+            Timestamp = DateTime.SpecifyKind(
+                DateTime.ParseExact(match.Groups[1].Value, TimestampFormat, CultureInfo.InvariantCulture),
+                DateTimeKind.Utc)
+        };
+
+        try
+        {
+            using var document = JsonDocument.Parse(content, new JsonDocumentOptions
+            {
+                AllowTrailingCommas = true,
+                CommentHandling = JsonCommentHandling.Skip
+            });
+
+            foreach (var property in document.RootElement.EnumerateObject())
+            {
+                if (string.Equals(property.Name, "name", StringComparison.OrdinalIgnoreCase) && property.Value.ValueKind == JsonValueKind.String)
+                {
+                    snapshot.UniverseName = property.Value.GetString();
+                }
+                else if (string.Equals(property.Name, "items", StringComparison.OrdinalIgnoreCase) && property.Value.ValueKind == JsonValueKind.Array)
+                {
+                    snapshot.ItemCount = property.Value.GetArrayLength();
+                }
+            }
+        }
+        catch (Exception ex) when (ex is JsonException || ex is InvalidOperationException)
+        {
+            // A hand-edited file may not have been valid JSON; the snapshot is still restorable
+        }
+
+        return snapshot;
+    }
+}
@@ -17,18 +17,24 @@ public class UniverseManagementService
 {
     private readonly ILogger<UniverseManagementService> _logger;
     private readonly string _universesDirectoryPath;
+    private readonly UniverseHistoryService _universeHistoryService;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="UniverseManagementService"/> class.
     /// </summary>
     /// <param name="logger">The logger instance.</param>
     /// <param name="universesDirectoryPath">The path to the universes directory.</param>
+    /// <param name="universeHistoryService">Optional history service for universe snapshots.</param>
     public UniverseManagementService(
         ILogger<UniverseManagementService> logger,
-        string universesDirectoryPath = "/config/universes")
+        string universesDirectoryPath = "/config/universes",
+        UniverseHistoryService? universeHistoryService = null)
     {
         _logger = logger;
         _universesDirectoryPath = universesDirectoryPath;
+        _universeHistoryService = universeHistoryService ?? new UniverseHistoryService(
+            LoggerFactory.Create(builder => builder.AddConsole()).CreateLogger<UniverseHistoryService>(),
+            Path.Combine(universesDirectoryPath, ".history"));
     }
 
     /// <summary>
@@ -99,7 +105,11 @@ public class UniverseManagementService
                         {
                             Key = universe.Key,
                             Name = universe.Name,
-                            Filename = filename
+                            Filename = filename,
+                            IsPublic = universe.Ownership?.IsPublic ?? true,
+                            Orderings = (universe.Orderings ?? new List<UniverseOrdering>())
+                                .Select(o => new UniverseOrderingInfo { Key = o.Key, Name = o.Name })
+                                .ToList()
                         });
                     }
                 }
@@ -144,15 +154,7 @@ public class UniverseManagementService
                 return null;
             }
 
-            var options = new JsonSerializerOptions
-            {
-                PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-                AllowTrailingCommas = true,
-                ReadCommentHandling = JsonCommentHandling.Skip,
-                PropertyNameCaseInsensitive = true
-            };
-
-            var universe = JsonSerializer.Deserialize<Universe>(jsonContent, options);
+            var universe = DeserializeUniverse(jsonContent);
 
             if (universe == null)
             {
@@ -160,6 +162,8 @@ public class UniverseManagementService
                 return null;
             }
 
+            universe.Filename = filename;
+
             _logger.LogDebug("Successfully loaded universe '{UniverseName}' from {FilePath}", universe.Name, filePath);
             return universe;
         }
@@ -180,6 +184,16 @@ public class UniverseManagementService
         }
     }
 
+    /// <summary>
+    /// Checks whether a universe file exists.
+    /// </summary>
+    /// <param name="filename">The filename to check (e.g., "mcu.json").</param>
+    /// <returns>True if the file exists, false otherwise.</returns>
+    public bool UniverseFileExists(string filename)
+    {
+        return File.Exists(Path.Combine(_universesDirectoryPath, filename));
+    }
+
     /// <summary>
     /// Saves a universe to a file (create or update).
     /// </summary>
@@ -217,6 +231,17 @@ public class UniverseManagementService
 
             var jsonContent = JsonSerializer.Serialize(universe, options);
 
+            // Keep the previous version before overwriting it; a failed snapshot doesn't block the save
+            if (File.Exists(filePath))
+            {
+                var previousContent = await File.ReadAllTextAsync(filePath);
+                if (previousContent != jsonContent &&
+                    await _universeHistoryService.AddSnapshotAsync(filename, previousContent, UniverseSnapshot.SaveReason) == null)
+                {
+                    _logger.LogWarning("Saving universe file {Filename} without a snapshot of the previous version", filename);
+                }
+            }
+
             // Atomic write: write to temp file, then rename
             await File.WriteAllTextAsync(tempFilePath, jsonContent);
             
@@ -269,6 +294,14 @@ public class UniverseManagementService
                 return false;
             }
 
+            // Never delete a universe that can't be restored afterwards
+            var content = await File.ReadAllTextAsync(filePath);
+            if (await _universeHistoryService.AddSnapshotAsync(filename, content, UniverseSnapshot.DeleteReason) == null)
+            {
+                _logger.LogError("Not deleting universe file {Filename} because its snapshot could not be saved", filename);
+                return false;
+            }
+
             File.Delete(filePath);
             _logger.LogInformation("Successfully deleted universe file: {FilePath}", filePath);
             return true;
@@ -290,6 +323,160 @@ public class UniverseManagementService
         }
     }
 
+    /// <summary>
+    /// Gets the snapshots of a universe file, newest first.
+    /// </summary>
+    /// <param name="filename">The filename of the universe (e.g., "mcu.json").</param>
+    /// <returns>The snapshots, empty if the file has no history.</returns>
+    public Task<List<UniverseSnapshot>> GetSnapshotsAsync(string filename)
+    {
+        return _universeHistoryService.GetSnapshotsAsync(filename);
+    }
+
+    /// <summary>
+    /// Gets the latest snapshot of every universe file that has been deleted, so it can be restored.
+    /// </summary>
+    /// <returns>The latest snapshot of each deleted universe file.</returns>
+    public async Task<List<UniverseSnapshot>> GetDeletedUniversesAsync()
+    {
+        var deleted = new List<UniverseSnapshot>();
+
+        foreach (var filename in _universeHistoryService.GetFilenamesWithHistory())
+        {
+            if (UniverseFileExists(filename))
+            {
+                continue;
+            }
+
+            var snapshots = await _universeHistoryService.GetSnapshotsAsync(filename);
+            if (snapshots.Count > 0)
+            {
+                deleted.Add(snapshots[0]);
+            }
+        }
+
+        return deleted.OrderByDescending(s => s.Timestamp).ToList();
+    }
+
+    /// <summary>
+    /// Compares a snapshot with the current universe file.
+    /// </summary>
+    /// <param name="filename">The filename of the universe (e.g., "mcu.json").</param>
+    /// <param name="snapshotId">The snapshot ID.</param>
+    /// <returns>The differences, or null if the snapshot doesn't exist or can't be parsed.</returns>
+    public async Task<UniverseSnapshotDiff?> GetSnapshotDiffAsync(string filename, string snapshotId)
+    {
+        var content = await _universeHistoryService.GetSnapshotContentAsync(filename, snapshotId);
+        if (content == null)
+        {
+            return null;
+        }
+
+        Universe? snapshot;
+        try
+        {
+            snapshot = DeserializeUniverse(content);
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogWarning(ex, "Snapshot {SnapshotId} of {Filename} is not a valid universe", snapshotId, filename);
+            return null;
+        }
+
+        if (snapshot == null)
+        {
+            return null;
+        }
+
+        var current = UniverseFileExists(filename) ? await GetUniverseAsync(filename) : null;
+        return UniverseHistoryService.CompareUniverses(snapshot, current);
+    }
+
+    /// <summary>
+    /// Restores a universe file from a snapshot, recreating it if it was deleted. The current
+    /// version is snapshotted first, so a restore can itself be undone.
+    /// </summary>
+    /// <param name="filename">The filename of the universe (e.g., "mcu.json").</param>
+    /// <param name="snapshotId">The snapshot ID.</param>
+    /// <returns>A result indicating success or failure with error details.</returns>
+    public async Task<SaveUniverseResult> RestoreSnapshotAsync(string filename, string snapshotId)
+    {
+        var result = new SaveUniverseResult();
+
+        try
+        {
+            var content = await _universeHistoryService.GetSnapshotContentAsync(filename, snapshotId);
+            if (content == null)
+            {
+                result.Errors.Add($"Snapshot '{snapshotId}' not found for {filename}");
+                return result;
+            }
+
+            Universe? universe;
+            try
+            {
+                universe = DeserializeUniverse(content);
+            }
+            catch (JsonException ex)
+            {
+                result.Errors.Add($"Snapshot is not valid JSON: {ex.Message}");
+                return result;
+            }
+
+            if (universe == null)
+            {
+                result.Errors.Add("Snapshot is empty");
+                return result;
+            }
+
+            var validationResult = ValidateUniverse(universe);
+            if (!validationResult.IsValid)
+            {
+                result.Errors = validationResult.Errors;
+                return result;
+            }
+
+            await EnsureUniversesDirectoryExistsAsync();
+
+            var filePath = Path.Combine(_universesDirectoryPath, filename);
+            if (File.Exists(filePath))
+            {
+                var currentContent = await File.ReadAllTextAsync(filePath);
+                if (currentContent != content &&
+                    await _universeHistoryService.AddSnapshotAsync(filename, currentContent, UniverseSnapshot.RestoreReason) == null)
+                {
+                    result.Errors.Add("Could not save a snapshot of the current version, restore cancelled");
+                    return result;
+                }
+            }
+
+            // Write the snapshot back as-is so the file is byte-for-byte the old version
+            var tempFilePath = filePath + ".tmp";
+            await File.WriteAllTextAsync(tempFilePath, content);
+            File.Move(tempFilePath, filePath, true);
+
+            result.Success = true;
+            _logger.LogInformation("Restored universe file {Filename} from snapshot {SnapshotId}", filename, snapshotId);
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            result.Errors.Add($"Access denied: {ex.Message}");
+            _logger.LogError(ex, "Access denied restoring universe file {Filename}", filename);
+        }
+        catch (IOException ex)
+        {
+            result.Errors.Add($"I/O error: {ex.Message}");
+            _logger.LogError(ex, "I/O error restoring universe file {Filename}", filename);
+        }
+        catch (Exception ex)
+        {
+            result.Errors.Add($"Unexpected error: {ex.Message}");
+            _logger.LogError(ex, "Unexpected error restoring universe file {Filename}", filename);
+        }
+
+        return result;
+    }
+
     /// <summary>
     /// Validates a universe object structure.
     /// </summary>
@@ -338,10 +525,108 @@ public class UniverseManagementService
             errors.Add("Universe items must be an array or list");
         }
 
+        errors.AddRange(ValidateOrderings(universe));
+
+        if (universe.Ownership != null)
+        {
+            if (universe.Ownership.OwnerUserId == Guid.Empty)
+            {
+                errors.Add("Playlist owner must be a valid user ID");
+            }
+
+            if (universe.Ownership.SharedUserIds == null)
+            {
+                errors.Add("Playlist share list cannot be null");
+            }
+            else if (universe.Ownership.SharedUserIds.Contains(Guid.Empty))
+            {
+                errors.Add("Playlist share list contains an invalid user ID");
+            }
+        }
+
         return new ConfigurationValidationResult
         {
             IsValid = errors.Count == 0,
             Errors = errors
         };
     }
+
+    /// <summary>
+    /// Validates the alternate orderings of a universe: keys and names must be set and unique,
+    /// and keys may only use letters, numbers, hyphens and underscores.
+    /// </summary>
+    /// <param name="universe">The universe to validate.</param>
+    /// <returns>A list of validation errors, empty if the orderings are valid.</returns>
+    public static List<string> ValidateOrderings(Universe universe)
+    {
+        var errors = new List<string>();
+        if (universe.Orderings == null)
+        {
+            return errors;
+        }
+
+        var keys = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        var names = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+        for (int i = 0; i < universe.Orderings.Count; i++)
+        {
+            var ordering = universe.Orderings[i];
+            if (ordering == null)
+            {
+                errors.Add($"Ordering {i + 1} is null");
+                continue;
+            }
+
+            if (string.IsNullOrWhiteSpace(ordering.Key))
+            {
+                errors.Add($"Ordering {i + 1}: key cannot be empty");
+            }
+            else if (!ordering.Key.All(c => char.IsLetterOrDigit(c) || c == '-' || c == '_'))
+            {
+                errors.Add($"Ordering key '{ordering.Key}' can only contain letters, numbers, hyphens and underscores");
+            }
+            else if (string.Equals(ordering.Key, UniverseOrdering.DefaultKey, StringComparison.OrdinalIgnoreCase))
+            {
+                errors.Add($"Ordering key '{ordering.Key}' is reserved for the items order");
+            }
+            else if (!keys.Add(ordering.Key))
+            {
+                errors.Add($"Ordering key '{ordering.Key}' is used more than once");
+            }
+
+            if (string.IsNullOrWhiteSpace(ordering.Name))
+            {
+                errors.Add($"Ordering {i + 1}: name cannot be empty");
+            }
+            else if (!names.Add(ordering.Name.Trim()))
+            {
+                errors.Add($"Ordering name '{ordering.Name}' is used more than once");
+            }
+
+            if (ordering.Order == null)
+            {
+                errors.Add($"Ordering {i + 1}: order cannot be null");
+            }
+        }
+
+        return errors;
+    }
+
+    /// <summary>
+    /// Deserializes universe JSON, accepting hand-edited files (comments, trailing commas, any property casing).
+    /// </summary>
+    /// <param name="jsonContent">The JSON content.</param>
+    /// <returns>The universe, or null if the content is the JSON literal null.</returns>
+    private static Universe? DeserializeUniverse(string jsonContent)
+    {
+        var options = new JsonSerializerOptions
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+            AllowTrailingCommas = true,
+            ReadCommentHandling = JsonCommentHandling.Skip,
+            PropertyNameCaseInsensitive = true
+        };
+
+        return JsonSerializer.Deserialize<Universe>(jsonContent, options);
+    }
 }
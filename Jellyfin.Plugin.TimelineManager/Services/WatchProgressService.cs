@@ -0,0 +1,255 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Jellyfin.Data.Entities;
+using Jellyfin.Data.Enums;
+using Jellyfin.Plugin.TimelineManager.Models;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TimelineManager.Services;
+
+/// <summary>
+/// Service for reporting how far a user has watched through the timelines, from Jellyfin's played state.
+/// Reports only cover what the user may see: universes that are public, owned by or shared with them
+/// (administrators see all), and library items their parental and library access rules allow.
+/// </summary>
+public class WatchProgressService
+{
+    private readonly ILogger<WatchProgressService> _logger;
+    private readonly ILibraryManager _libraryManager;
+    private readonly IUserDataManager _userDataManager;
+    private readonly UniverseManagementService _universeManagementService;
+    private readonly ContentLookupService _contentLookupService;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="WatchProgressService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="libraryManager">The Jellyfin library manager.</param>
+    /// <param name="userDataManager">The Jellyfin user data manager, for played state and resume positions.</param>
+    /// <param name="universeManagementService">The universe management service.</param>
+    /// <param name="contentLookupService">The shared library lookup index.</param>
+    public WatchProgressService(
+        ILogger<WatchProgressService> logger,
+        ILibraryManager libraryManager,
+        IUserDataManager userDataManager,
+        UniverseManagementService universeManagementService,
+        ContentLookupService contentLookupService)
+    {
+        _logger = logger;
+        _libraryManager = libraryManager;
+        _userDataManager = userDataManager;
+        _universeManagementService = universeManagementService;
+        _contentLookupService = contentLookupService;
+    }
+
+    /// <summary>
+    /// Gets a user's progress through the items order of the given universes.
+    /// </summary>
+    /// <param name="user">The user.</param>
+    /// <param name="filenames">The universe filenames. If null or empty, all universes are reported.</param>
+    /// <returns>One report per universe the user may see, in the order requested.</returns>
+    public async Task<List<WatchProgressReport>> GetProgressAsync(User user, IEnumerable<string>? filenames)
+    {
+        var requestedFilenames = filenames?.Where(f => !string.IsNullOrWhiteSpace(f)).ToList() ?? new List<string>();
+        if (requestedFilenames.Count == 0)
+        {
+            var allUniverses = await _universeManagementService.GetAllUniversesAsync();
+            requestedFilenames = allUniverses.Select(u => u.Filename).ToList();
+        }
+
+        var reports = new List<WatchProgressReport>();
+        if (requestedFilenames.Count == 0)
+        {
+            return reports;
+        }
+
+        var lookupService = GetLookupService();
+        foreach (var filename in requestedFilenames)
+        {
+            var report = await GetProgressAsync(user, filename, null, lookupService);
+            if (report != null)
+            {
+                reports.Add(report);
+            }
+        }
+
+        return reports;
+    }
+
+    /// <summary>
+    /// Gets a user's progress through one ordering of a universe.
+    /// </summary>
+    /// <param name="user">The user.</param>
+    /// <param name="filename">The universe filename.</param>
+    /// <param name="orderingKey">The ordering key, or null for the items order.</param>
+    /// <returns>
+    /// The report, with <see cref="WatchProgressReport.Error"/> set if the universe or ordering doesn't exist
+    /// or the user may not see the universe.
+    /// </returns>
+    public async Task<WatchProgressReport> GetProgressAsync(User user, string filename, string? orderingKey)
+    {
+        return await GetProgressAsync(user, filename, orderingKey, GetLookupService())
+            ?? new WatchProgressReport
+            {
+                Filename = filename,
+                UserId = user.Id,
+                Error = $"Universe file '{filename}' not found or invalid"
+            };
+    }
+
+    /// <summary>
+    /// Builds the progress report of one universe ordering.
+    /// </summary>
+    /// <param name="user">The user.</param>
+    /// <param name="filename">The universe filename.</param>
+    /// <param name="orderingKey">The ordering key, or null for the items order.</param>
+    /// <param name="lookupService">The lookup service backed by built lookup tables.</param>
+    /// <returns>The report, or null if the user may not see the universe.</returns>
+    private async Task<WatchProgressReport?> GetProgressAsync(User user, string filename, string? orderingKey, ContentLookupService lookupService)
+    {
+        var report = new WatchProgressReport
+        {
+            Filename = filename,
+            UserId = user.Id
+        };
+
+        var universe = await _universeManagementService.GetUniverseAsync(filename);
+        if (universe == null)
+        {
+            report.Error = $"Universe file '{filename}' not found or invalid";
+            return report;
+        }
+
+        if (!CanSeeUniverse(user, universe))
+        {
+            return null;
+        }
+
+        report.Key = universe.Key;
+        report.Name = universe.Name;
+        report.Orderings = (universe.Orderings ?? new List<UniverseOrdering>())
+            .Select(o => new UniverseOrderingInfo { Key = o.Key, Name = o.Name })
+            .ToList();
+
+        var ordering = universe.FindOrdering(orderingKey);
+        if (ordering == null && !string.IsNullOrEmpty(orderingKey) &&
+            !string.Equals(orderingKey, UniverseOrdering.DefaultKey, StringComparison.OrdinalIgnoreCase))
+        {
+            report.Error = $"Universe '{universe.Name}' has no ordering '{orderingKey}'";
+            return report;
+        }
+
+        report.OrderingKey = ordering?.Key;
+
+        var totalItems = 0;
+        var watchedItems = 0;
+        var items = universe.GetPlaylistItems(ordering);
+        for (int position = 0; position < items.Count; position++)
+        {
+            var item = items[position];
+            // Items the user's parental or library access rules hide count as missing
+            var itemIds = lookupService.ResolveTimelineItem(item)
+                .Where(id => _libraryManager.GetItemById(id) is BaseItem visibleItem && visibleItem.IsVisible(user))
+                .ToList();
+            var entry = new WatchProgressEntry
+            {
+                Position = position,
+                OrderKey = item.OrderKey,
+                Type = item.Type,
+                Title = lookupService.GetTimelineItemTitle(item, itemIds),
+                TotalItems = itemIds.Count
+            };
+
+            var started = false;
+            foreach (var itemId in itemIds)
+            {
+                var libraryItem = _libraryManager.GetItemById(itemId);
+                var userData = libraryItem == null ? null : _userDataManager.GetUserData(user, libraryItem);
+                if (userData != null && userData.Played)
+                {
+                    entry.WatchedItems++;
+                    continue;
+                }
+
+                var resumeTicks = userData?.PlaybackPositionTicks ?? 0;
+                started |= resumeTicks > 0;
+
+                // Next up is the first movie or episode in timeline order the user hasn't finished
+                if (report.NextUp == null && libraryItem != null)
+                {
+                    report.NextUp = new WatchProgressNextUp
+                    {
+                        Position = position,
+                        LibraryItemId = itemId,
+                        Title = ContentLookupService.GetDisplayTitle(libraryItem),
+                        PlaybackPositionTicks = resumeTicks,
+                        RunTimeTicks = libraryItem.RunTimeTicks
+                    };
+                }
+            }
+
+            if (itemIds.Count == 0)
+            {
+                entry.Status = WatchProgressEntry.MissingStatus;
+                report.MissingEntries++;
+            }
+            else if (entry.WatchedItems == itemIds.Count)
+            {
+                entry.Status = WatchProgressEntry.WatchedStatus;
+                report.WatchedEntries++;
+            }
+            else if (entry.WatchedItems > 0 || started)
+            {
+                entry.Status = WatchProgressEntry.InProgressStatus;
+                report.InProgressEntries++;
+            }
+            else
+            {
+                entry.Status = WatchProgressEntry.UnwatchedStatus;
+                report.UnwatchedEntries++;
+            }
+
+            totalItems += entry.TotalItems;
+            watchedItems += entry.WatchedItems;
+            report.Entries.Add(entry);
+        }
+
+        report.TotalEntries = report.Entries.Count;
+        report.PercentComplete = totalItems == 0 ? 0 : (int)Math.Floor(100.0 * watchedItems / totalItems);
+
+        _logger.LogDebug("Watch progress of {UserName} in '{UniverseName}': {Watched}/{Total} items ({Percent}%)",
+            user.Username, universe.Name, watchedItems, totalItems, report.PercentComplete);
+        return report;
+    }
+
+    /// <summary>
+    /// Checks whether a user may see a universe: administrators see all, other users only universes
+    /// that are public, owned by them or shared with them.
+    /// </summary>
+    /// <param name="user">The user.</param>
+    /// <param name="universe">The universe.</param>
+    /// <returns>True if the user may see the universe.</returns>
+    private static bool CanSeeUniverse(User user, Universe universe)
+    {
+        var ownership = universe.Ownership;
+        return user.HasPermission(PermissionKind.IsAdministrator) ||
+            ownership == null ||
+            ownership.IsPublic ||
+            ownership.OwnerUserId == user.Id ||
+            (ownership.SharedUserIds?.Contains(user.Id) ?? false);
+    }
+
+    /// <summary>
+    /// Gets the shared lookup service with up-to-date lookup tables.
+    /// </summary>
+    /// <returns>The lookup service.</returns>
+    private ContentLookupService GetLookupService()
+    {
+        _contentLookupService.EnsureLookupTables();
+        return _contentLookupService;
+    }
+}